@@ -4,6 +4,7 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const { requestContextMiddleware } = require('./utils/requestContext');
 
 const app = express();
 
@@ -30,6 +31,9 @@ app.use('/api/', limiter);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Per-request context (acting user, correlation id) for the audit trail
+app.use(requestContextMiddleware);
+
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -56,18 +60,28 @@ const userRoutes = require('./routes/userRoutes');
 const prisonRoutes = require('./routes/prisonRoutes');
 const prisonerRoutes = require('./routes/prisonerRoutes');
 const workRecordRoutes = require('./routes/workRecordRoutes');
+const payrollRoutes = require('./routes/payrollRoutes');
 const behaviourRoutes = require('./routes/behaviourRoutes');
 const visitorRoutes = require('./routes/visitorRoutes');
 const visitRoutes = require('./routes/visitRoutes');
+const transferRoutes = require('./routes/transferRoutes');
+const housingRoutes = require('./routes/housingRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const roleRoutes = require('./routes/roleRoutes');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/prisons', prisonRoutes);
 app.use('/api/prisoners', prisonerRoutes);
 app.use('/api/work-records', workRecordRoutes);
+app.use('/api/payroll-runs', payrollRoutes);
 app.use('/api/behaviour-records', behaviourRoutes);
 app.use('/api/visitors', visitorRoutes);
 app.use('/api/visits', visitRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/housing', housingRoutes);
+app.use('/api/audit-logs', auditRoutes);
+app.use('/api/roles', roleRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -17,17 +17,141 @@ module.exports = {
     SEVERE: 'Severe'
   },
 
+  // Rating bands of the behaviour score
+  BEHAVIOUR_RATING: {
+    EXCELLENT: 'Excellent',
+    GOOD: 'Good',
+    FAIR: 'Fair',
+    POOR: 'Poor'
+  },
+
   PAYMENT_STATUS: {
     PENDING: 'Pending',
     PAID: 'Paid'
   },
 
+  PAYROLL_RUN_STATUS: {
+    DRAFT: 'Draft',
+    APPROVED: 'Approved',
+    POSTED: 'Posted',
+    REVERSED: 'Reversed',
+    CANCELLED: 'Cancelled'
+  },
+
+  // Work payments and family deposits credit a prisoner's account; canteen
+  // purchases, fines and restitution debit it
+  ACCOUNT_ENTRY_TYPE: {
+    WORK_PAYMENT: 'Work Payment',
+    FAMILY_DEPOSIT: 'Family Deposit',
+    CANTEEN_PURCHASE: 'Canteen Purchase',
+    FINE: 'Fine',
+    RESTITUTION: 'Restitution',
+    REVERSAL: 'Reversal'
+  },
+
+  WORK_JOB_CATEGORY: {
+    KITCHEN: 'Kitchen',
+    LAUNDRY: 'Laundry',
+    WORKSHOP: 'Workshop',
+    FARM: 'Farm',
+    CLEANING: 'Cleaning',
+    MAINTENANCE: 'Maintenance',
+    OTHER: 'Other'
+  },
+
+  SKILL_LEVEL: {
+    UNSKILLED: 'Unskilled',
+    SEMI_SKILLED: 'Semi-skilled',
+    SKILLED: 'Skilled'
+  },
+
   VISIT_STATUS: {
     SCHEDULED: 'Scheduled',
+    CHECKED_IN: 'Checked In',
     COMPLETED: 'Completed',
+    CANCELLED: 'Cancelled',
+    NO_SHOW: 'No Show',
+    DENIED: 'Denied',
+    TERMINATED: 'Terminated'
+  },
+
+  // Every type except Social is a professional visit: not counted towards
+  // visit quotas, booked in professional slots and with privileged details
+  VISIT_TYPE: {
+    SOCIAL: 'Social',
+    LEGAL: 'Legal',
+    RELIGIOUS: 'Religious',
+    CONSULAR: 'Consular'
+  },
+
+  VISIT_SLOT_TYPE: {
+    SOCIAL: 'Social',
+    PROFESSIONAL: 'Professional'
+  },
+
+  // Verification of visitor identities and professional credentials
+  CREDENTIAL_STATUS: {
+    PENDING: 'Pending',
+    VERIFIED: 'Verified',
+    REJECTED: 'Rejected'
+  },
+
+  VISITOR_DOCUMENT_TYPE: {
+    PHOTO: 'Photo',
+    ID_FRONT: 'ID Front',
+    ID_BACK: 'ID Back'
+  },
+
+  VISIT_RECURRENCE: {
+    WEEKLY: 'Weekly',
+    FORTNIGHTLY: 'Fortnightly',
+    MONTHLY: 'Monthly'
+  },
+
+  VISIT_BLACKOUT_TYPE: {
+    HOLIDAY: 'Holiday',
+    BLACKOUT: 'Blackout'
+  },
+
+  APPROVED_VISITOR_STATUS: {
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected',
+    REMOVED: 'Removed'
+  },
+
+  VISITOR_BAN_SCOPE: {
+    PRISONER: 'Prisoner',
+    PRISON: 'Prison',
+    SYSTEM: 'System'
+  },
+
+  TRANSFER_STATUS: {
+    REQUESTED: 'Requested',
+    APPROVED: 'Approved',
+    DISPATCHED: 'Dispatched',
+    RECEIVED: 'Received',
+    REJECTED: 'Rejected',
     CANCELLED: 'Cancelled'
   },
 
+  HOUSING_UNIT_TYPE: {
+    BLOCK: 'Block',
+    WING: 'Wing'
+  },
+
+  SECURITY_LEVEL: {
+    MINIMUM: 'Minimum',
+    MEDIUM: 'Medium',
+    MAXIMUM: 'Maximum'
+  },
+
+  CELL_DESIGNATION: {
+    MALE: 'Male',
+    FEMALE: 'Female',
+    ANY: 'Any'
+  },
+
   PHOTO_TYPE: {
     PROFILE: 'Profile',
     FULL_BODY: 'Full Body',
@@ -52,9 +176,66 @@ module.exports = {
     PENDING: 'Pending',
     APPROVED: 'Approved',
     REJECTED: 'Rejected',
+    REVERSED: 'Reversed',
     NOT_APPLICABLE: 'N/A'
   },
 
+  SENTENCE_TYPE: {
+    CONCURRENT: 'Concurrent',
+    CONSECUTIVE: 'Consecutive'
+  },
+
+  SENTENCE_ADJUSTMENT_TYPE: {
+    BEHAVIOUR: 'Behaviour',
+    REVERSAL: 'Reversal'
+  },
+
+  // Statutory remission: a fraction of each eligible sentence is remitted
+  // once the term is longer than the minimum qualifying length
+  SENTENCE_REMISSION: {
+    FRACTION: parseFloat(process.env.SENTENCE_REMISSION_FRACTION) || 1 / 3,
+    MIN_TERM_DAYS: parseInt(process.env.SENTENCE_REMISSION_MIN_TERM_DAYS) || 30
+  },
+
+  // Visitors with no visit within DAYS have their contact details removed
+  VISITOR_RETENTION: {
+    DAYS: parseInt(process.env.VISITOR_RETENTION_DAYS) || 730
+  },
+
+  // Per-account login throttling: each failure doubles the wait before the
+  // next attempt, and MAX_FAILED_ATTEMPTS consecutive failures lock the account
+  LOGIN_SECURITY: {
+    MAX_FAILED_ATTEMPTS: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    LOCKOUT_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    BASE_DELAY_SECONDS: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS) || 1,
+    MAX_DELAY_SECONDS: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30
+  },
+
+  PASSWORD_POLICY: {
+    MIN_LENGTH: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    REQUIRE_UPPERCASE: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    REQUIRE_LOWERCASE: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    REQUIRE_NUMBER: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    REQUIRE_SPECIAL: process.env.PASSWORD_REQUIRE_SPECIAL !== 'false',
+    // Number of previous passwords (including the current one) that cannot be reused
+    HISTORY_COUNT: parseInt(process.env.PASSWORD_HISTORY_COUNT) || 5,
+    // Days before a password must be changed, 0 disables expiry
+    MAX_AGE_DAYS: process.env.PASSWORD_MAX_AGE_DAYS !== undefined
+      ? parseInt(process.env.PASSWORD_MAX_AGE_DAYS)
+      : 90
+  },
+
+  TWO_FACTOR: {
+    ISSUER: process.env.TWO_FACTOR_ISSUER || 'Prison Management System',
+    CHALLENGE_EXPIRES_IN: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    RECOVERY_CODE_COUNT: 10
+  },
+
+  // Time-bounded access to another prison, granted by an administrator
+  ACCESS_DELEGATION: {
+    MAX_DAYS: parseInt(process.env.ACCESS_DELEGATION_MAX_DAYS) || 30
+  },
+
   PERMISSIONS: {
     // User Management
     MANAGE_USERS: 'manage_users',
@@ -62,10 +243,12 @@ module.exports = {
     CREATE_USER: 'create_user',
     UPDATE_USER: 'update_user',
     DELETE_USER: 'delete_user',
+    MANAGE_ROLES: 'manage_roles',
     
     // Prison Management
     MANAGE_PRISONS: 'manage_prisons',
     VIEW_PRISONS: 'view_prisons',
+    MANAGE_HOUSING: 'manage_housing',
     
     // Prisoner Management
     MANAGE_PRISONERS: 'manage_prisoners',
@@ -79,6 +262,10 @@ module.exports = {
     VIEW_WORK_RECORDS: 'view_work_records',
     RECORD_WORK: 'record_work',
     APPROVE_PAYMENT: 'approve_payment',
+
+    // Prisoner Accounts
+    VIEW_ACCOUNTS: 'view_accounts',
+    MANAGE_ACCOUNTS: 'manage_accounts',
     
     // Behaviour Records
     MANAGE_BEHAVIOUR: 'manage_behaviour',
@@ -91,9 +278,13 @@ module.exports = {
     VIEW_VISITORS: 'view_visitors',
     SCHEDULE_VISIT: 'schedule_visit',
     APPROVE_VISIT: 'approve_visit',
+    VIEW_LEGAL_PRIVILEGE: 'view_legal_privilege',
     
     // Reports
     GENERATE_REPORTS: 'generate_reports',
-    VIEW_REPORTS: 'view_reports'
+    VIEW_REPORTS: 'view_reports',
+
+    // Audit
+    VIEW_AUDIT_LOGS: 'view_audit_logs'
   }
 };
\ No newline at end of file
@@ -0,0 +1,109 @@
+const auditService = require('../services/auditService');
+
+/**
+ * @desc    Get audit log entries
+ * @route   GET /api/audit-logs
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      table_name,
+      record_id,
+      user_id,
+      prison_id,
+      action_type,
+      operation,
+      correlation_id,
+      start_date,
+      end_date,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const result = await auditService.getAuditLogs(
+      {
+        table_name,
+        record_id,
+        user_id,
+        prison_id,
+        action_type,
+        operation,
+        correlation_id,
+        start_date,
+        end_date
+      },
+      page,
+      limit,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.logs,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch audit logs'
+    });
+  }
+};
+
+/**
+ * @desc    Get audit log entry by ID
+ * @route   GET /api/audit-logs/:id
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const getAuditLogById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const log = await auditService.getAuditLogById(
+      id,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch audit log entry'
+    });
+  }
+};
+
+/**
+ * @desc    Verify the audit log hash chain
+ * @route   GET /api/audit-logs/verify
+ * @access  Private (Super Admin only)
+ */
+const verifyAuditChain = async (req, res) => {
+  try {
+    const result = await auditService.verifyAuditChain();
+
+    res.status(200).json({
+      success: true,
+      message: result.valid
+        ? 'Audit log chain is intact'
+        : `Audit log chain is broken at entry ${result.brokenAt.logId}`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to verify audit log chain'
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getAuditLogById,
+  verifyAuditChain
+};
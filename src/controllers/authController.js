@@ -1,4 +1,6 @@
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
 
 /**
  * @desc    Login user
@@ -9,7 +11,39 @@ const login = async (req, res) => {
   try {
     const { username, password } = req.body;
 
-    const result = await authService.login(username, password);
+    const result = await authService.login(username, password, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.twoFactorRequired ? 'Two-factor code required' : 'Login successful',
+      data: result
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('locked') ? 423 :
+                       error.message.includes('Too many') ? 429 : 401;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Login failed'
+    });
+  }
+};
+
+/**
+ * @desc    Complete login with a two-factor code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const result = await authService.verifyTwoFactorLogin(challengeToken, code, recoveryCode, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     res.status(200).json({
       success: true,
@@ -17,7 +51,9 @@ const login = async (req, res) => {
       data: result
     });
   } catch (error) {
-    res.status(401).json({
+    const statusCode = error.message.includes('locked') ? 423 :
+                       error.message.includes('Too many') ? 429 : 401;
+    res.status(statusCode).json({
       success: false,
       message: error.message || 'Login failed'
     });
@@ -66,7 +102,11 @@ const getCurrentUser = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: user
+      data: {
+        ...user,
+        // Home prison, assignments and delegations in force; null when unrestricted
+        accessiblePrisonIds: req.user.accessiblePrisonIds
+      }
     });
   } catch (error) {
     res.status(404).json({
@@ -106,9 +146,8 @@ const changePassword = async (req, res) => {
  */
 const logout = async (req, res) => {
   try {
-    // In a stateless JWT setup, logout is handled client-side
-    // Server can optionally blacklist tokens here if needed
-    
+    await authService.logout(req.user.sessionId, req.user.userId);
+
     res.status(200).json({
       success: true,
       message: 'Logout successful'
@@ -121,10 +160,185 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get active sessions of the current user (or another user for admins)
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const targetUserId = req.query.user_id || req.user.userId;
+
+    const sessions = await sessionService.getActiveSessions(targetUserId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: sessions
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch sessions'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a session
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await sessionService.revokeSessionById(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to revoke session'
+    });
+  }
+};
+
+/**
+ * Map two-factor service errors to HTTP status codes
+ */
+const getTwoFactorErrorStatus = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('required for your role') ? 403 : 400;
+};
+
+/**
+ * @desc    Get two-factor status
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    res.status(getTwoFactorErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to fetch two-factor status'
+    });
+  }
+};
+
+/**
+ * @desc    Start two-factor enrolment
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.beginEnrolment(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code and confirm with a code from your authenticator app',
+      data: result
+    });
+  } catch (error) {
+    res.status(getTwoFactorErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to start two-factor setup'
+    });
+  }
+};
+
+/**
+ * @desc    Confirm two-factor enrolment
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.confirmEnrolment(req.user.userId, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes safely, they will not be shown again',
+      data: result
+    });
+  } catch (error) {
+    res.status(getTwoFactorErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const result = await twoFactorService.disable(req.user.userId, password, code);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    res.status(getTwoFactorErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+/**
+ * @desc    Regenerate recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.user.userId, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work',
+      data: result
+    });
+  } catch (error) {
+    res.status(getTwoFactorErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to regenerate recovery codes'
+    });
+  }
+};
+
 module.exports = {
   login,
+  verifyTwoFactorLogin,
   refreshToken,
   getCurrentUser,
   changePassword,
-  logout
+  logout,
+  getSessions,
+  revokeSession,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const behaviourService = require('../services/behaviourService');
+const accessPolicy = require('../utils/accessPolicy');
 
 /**
  * @desc    Get all behaviour records with filtering and pagination
@@ -23,12 +24,8 @@ const getAllBehaviourRecords = async (req, res) => {
     // Build filters
     const filters = {};
     
-    // Prison admins and staff can only see records from their prison
-    if (req.user.roleName !== 'Super Admin' && req.user.prisonId) {
-      filters.prisonId = req.user.prisonId;
-    } else if (prison_id) {
-      filters.prisonId = prison_id;
-    }
+    // Restrict to the prisons the user works in
+    filters.prisonId = accessPolicy.prisonFilter(req.user, prison_id);
     
     if (prisoner_id) filters.prisonerId = prisoner_id;
     if (behaviour_type) filters.behaviourType = behaviour_type;
@@ -65,8 +62,7 @@ const getBehaviourRecordsByPrisoner = async (req, res) => {
 
     const result = await behaviourService.getBehaviourRecordsByPrisoner(
       prisonerId,
-      req.user.prisonId,
-      req.user.roleName,
+      req.user,
       page,
       limit
     );
@@ -97,8 +93,7 @@ const getBehaviourRecordById = async (req, res) => {
     const { id } = req.params;
     const behaviourRecord = await behaviourService.getBehaviourRecordById(
       id,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -124,9 +119,7 @@ const createBehaviourRecord = async (req, res) => {
   try {
     const behaviourRecord = await behaviourService.createBehaviourRecord(
       req.body,
-      req.user.userId,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(201).json({
@@ -155,8 +148,7 @@ const updateBehaviourRecord = async (req, res) => {
     const behaviourRecord = await behaviourService.updateBehaviourRecord(
       id,
       req.body,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -186,8 +178,7 @@ const deleteBehaviourRecord = async (req, res) => {
     
     await behaviourService.deleteBehaviourRecord(
       id,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -220,8 +211,7 @@ const approveSentenceAdjustment = async (req, res) => {
     const result = await behaviourService.approveSentenceAdjustment(
       id,
       notes,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -254,8 +244,7 @@ const rejectSentenceAdjustment = async (req, res) => {
     const result = await behaviourService.rejectSentenceAdjustment(
       id,
       reason,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -274,6 +263,38 @@ const rejectSentenceAdjustment = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Reverse an approved sentence adjustment
+ * @route   POST /api/behaviour-records/:id/reverse-adjustment
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const reverseSentenceAdjustment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const result = await behaviourService.reverseSentenceAdjustment(
+      id,
+      reason,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Sentence adjustment reversed successfully',
+      data: result
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Behaviour record not found' ? 404 :
+                       error.message.includes('access') ? 403 :
+                       error.message.includes('already') ? 409 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to reverse sentence adjustment'
+    });
+  }
+};
+
 /**
  * @desc    Get behaviour records with pending sentence adjustments
  * @route   GET /api/behaviour-records/pending-adjustments
@@ -284,12 +305,7 @@ const getPendingAdjustments = async (req, res) => {
     const { prison_id, page = 1, limit = 10 } = req.query;
     
     // Determine which prison to get pending adjustments for
-    let targetPrisonId = null;
-    if (req.user.roleName === 'Super Admin') {
-      targetPrisonId = prison_id || null; // null means all prisons
-    } else {
-      targetPrisonId = req.user.prisonId;
-    }
+    const targetPrisonId = accessPolicy.prisonFilter(req.user, prison_id);
 
     const result = await behaviourService.getPendingAdjustments(
       targetPrisonId,
@@ -323,8 +339,7 @@ const calculateBehaviourScore = async (req, res) => {
 
     const score = await behaviourService.calculateBehaviourScore(
       prisonerId,
-      req.user.prisonId,
-      req.user.roleName,
+      req.user,
       parseInt(months)
     );
 
@@ -352,12 +367,7 @@ const getBehaviourStatistics = async (req, res) => {
     const { prison_id, start_date, end_date } = req.query;
     
     // Determine which prison to get stats for
-    let targetPrisonId = null;
-    if (req.user.roleName === 'Super Admin') {
-      targetPrisonId = prison_id || null; // null means all prisons
-    } else {
-      targetPrisonId = req.user.prisonId;
-    }
+    const targetPrisonId = accessPolicy.prisonFilter(req.user, prison_id);
 
     const statistics = await behaviourService.getBehaviourStatistics(
       targetPrisonId,
@@ -386,6 +396,7 @@ module.exports = {
   deleteBehaviourRecord,
   approveSentenceAdjustment,
   rejectSentenceAdjustment,
+  reverseSentenceAdjustment,
   getPendingAdjustments,
   calculateBehaviourScore,
   getBehaviourStatistics
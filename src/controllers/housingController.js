@@ -0,0 +1,147 @@
+const housingService = require('../services/housingService');
+
+/**
+ * Map housing service errors to HTTP status codes
+ */
+const getHousingErrorStatus = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('access') ? 403 :
+         error.message.includes('already exists') ? 409 : 400;
+};
+
+/**
+ * @desc    Get blocks, wings and cells of a prison with occupancy
+ * @route   GET /api/housing/prisons/:prisonId
+ * @access  Private
+ */
+const getHousingUnits = async (req, res) => {
+  try {
+    const { prisonId } = req.params;
+    const units = await housingService.getHousingUnits(
+      prisonId,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: units
+    });
+  } catch (error) {
+    res.status(getHousingErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to fetch housing units'
+    });
+  }
+};
+
+/**
+ * @desc    Create block or wing
+ * @route   POST /api/housing/units
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const createHousingUnit = async (req, res) => {
+  try {
+    const unit = await housingService.createHousingUnit(
+      req.body,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Housing unit created successfully',
+      data: unit
+    });
+  } catch (error) {
+    res.status(getHousingErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to create housing unit'
+    });
+  }
+};
+
+/**
+ * @desc    Update block or wing
+ * @route   PUT /api/housing/units/:id
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const updateHousingUnit = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const unit = await housingService.updateHousingUnit(
+      id,
+      req.body,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Housing unit updated successfully',
+      data: unit
+    });
+  } catch (error) {
+    res.status(getHousingErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to update housing unit'
+    });
+  }
+};
+
+/**
+ * @desc    Create cell
+ * @route   POST /api/housing/cells
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const createCell = async (req, res) => {
+  try {
+    const cell = await housingService.createCell(
+      req.body,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Cell created successfully',
+      data: cell
+    });
+  } catch (error) {
+    res.status(getHousingErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to create cell'
+    });
+  }
+};
+
+/**
+ * @desc    Update cell
+ * @route   PUT /api/housing/cells/:id
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const updateCell = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const cell = await housingService.updateCell(
+      id,
+      req.body,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Cell updated successfully',
+      data: cell
+    });
+  } catch (error) {
+    res.status(getHousingErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to update cell'
+    });
+  }
+};
+
+module.exports = {
+  getHousingUnits,
+  createHousingUnit,
+  updateHousingUnit,
+  createCell,
+  updateCell
+};
@@ -0,0 +1,179 @@
+const payrollService = require('../services/payrollService');
+
+/**
+ * Map payroll service errors to HTTP status codes
+ */
+const getPayrollErrorStatus = (error) => {
+  return error.message.includes('not found') ? 404 :
+         error.message.includes('access') || error.message.startsWith('Only') ? 403 :
+         error.message.includes('Insufficient funds') ? 409 : 400;
+};
+
+/**
+ * @desc    Open a draft payroll run
+ * @route   POST /api/payroll-runs
+ * @access  Private
+ */
+const createPayrollRun = async (req, res) => {
+  try {
+    const run = await payrollService.createPayrollRun(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payroll run created successfully',
+      data: run
+    });
+  } catch (error) {
+    res.status(getPayrollErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to create payroll run'
+    });
+  }
+};
+
+/**
+ * @desc    Get payroll run by ID
+ * @route   GET /api/payroll-runs/:id
+ * @access  Private
+ */
+const getPayrollRunById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const run = await payrollService.getPayrollRunById(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    res.status(getPayrollErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to fetch payroll run'
+    });
+  }
+};
+
+/**
+ * @desc    Download payroll run summary
+ * @route   GET /api/payroll-runs/:id/export
+ * @access  Private
+ */
+const exportPayrollRun = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'csv' } = req.query;
+
+    const file = await payrollService.exportPayrollRun(id, format, req.user);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.status(200).send(file.content);
+  } catch (error) {
+    res.status(getPayrollErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to export payroll run'
+    });
+  }
+};
+
+/**
+ * @desc    Approve draft payroll run
+ * @route   POST /api/payroll-runs/:id/approve
+ * @access  Private
+ */
+const approvePayrollRun = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const run = await payrollService.approvePayrollRun(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll run approved successfully',
+      data: run
+    });
+  } catch (error) {
+    res.status(getPayrollErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to approve payroll run'
+    });
+  }
+};
+
+/**
+ * @desc    Post approved payroll run
+ * @route   POST /api/payroll-runs/:id/post
+ * @access  Private
+ */
+const postPayrollRun = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const run = await payrollService.postPayrollRun(id, req.body.payment_date, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll run posted successfully',
+      data: run
+    });
+  } catch (error) {
+    res.status(getPayrollErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to post payroll run'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel payroll run
+ * @route   POST /api/payroll-runs/:id/cancel
+ * @access  Private
+ */
+const cancelPayrollRun = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const run = await payrollService.cancelPayrollRun(id, req.body.reason, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll run cancelled successfully',
+      data: run
+    });
+  } catch (error) {
+    res.status(getPayrollErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to cancel payroll run'
+    });
+  }
+};
+
+/**
+ * @desc    Reverse posted payroll run
+ * @route   POST /api/payroll-runs/:id/reverse
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const reversePayrollRun = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const run = await payrollService.reversePayrollRun(id, req.body.reason, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payroll run reversed successfully',
+      data: run
+    });
+  } catch (error) {
+    res.status(getPayrollErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to reverse payroll run'
+    });
+  }
+};
+
+module.exports = {
+  createPayrollRun,
+  getPayrollRunById,
+  exportPayrollRun,
+  approvePayrollRun,
+  postPayrollRun,
+  cancelPayrollRun,
+  reversePayrollRun
+};
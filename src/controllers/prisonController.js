@@ -1,4 +1,9 @@
 const prisonService = require('../services/prisonService');
+const transferService = require('../services/transferService');
+const visitRuleService = require('../services/visitRuleService');
+const visitSlotService = require('../services/visitSlotService');
+const workJobService = require('../services/workJobService');
+const payrollService = require('../services/payrollService');
 
 /**
  * @desc    Get all prisons
@@ -63,7 +68,7 @@ const createPrison = async (req, res) => {
   try {
     const prison = await prisonService.createPrison(
       req.body,
-      req.user.roleName
+      req.user
     );
 
     res.status(201).json({
@@ -92,7 +97,7 @@ const updatePrison = async (req, res) => {
     const prison = await prisonService.updatePrison(
       id,
       req.body,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -122,7 +127,7 @@ const deletePrison = async (req, res) => {
     const { id } = req.params;
     const result = await prisonService.deletePrison(
       id,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -163,11 +168,460 @@ const getPrisonStatistics = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get inbound or outbound transfer queue of prison
+ * @route   GET /api/prisons/:id/transfers
+ * @access  Private
+ */
+const getPrisonTransfers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { direction = 'inbound', status, page = 1, limit = 10 } = req.query;
+
+    const result = await transferService.getPrisonTransferQueue(
+      id,
+      direction,
+      req.user,
+      { status },
+      page,
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.transfers,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prison not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch transfer queue'
+    });
+  }
+};
+
+/**
+ * @desc    Get visit rules of prison
+ * @route   GET /api/prisons/:id/visit-rules
+ * @access  Private
+ */
+const getVisitRules = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const rules = await visitRuleService.getVisitRules(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prison not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch visit rules'
+    });
+  }
+};
+
+/**
+ * @desc    Create or replace a visit rule of prison
+ * @route   PUT /api/prisons/:id/visit-rules
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const saveVisitRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const rule = await visitRuleService.saveVisitRule(id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visit rule saved successfully',
+      data: rule
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prison not found' ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to save visit rule'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a visit rule of prison
+ * @route   DELETE /api/prisons/:id/visit-rules/:ruleId
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const deleteVisitRule = async (req, res) => {
+  try {
+    const { id, ruleId } = req.params;
+    const result = await visitRuleService.deleteVisitRule(id, ruleId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to delete visit rule'
+    });
+  }
+};
+
+/**
+ * @desc    Get visiting rooms and slot timetables of prison
+ * @route   GET /api/prisons/:id/visiting-rooms
+ * @access  Private
+ */
+const getVisitingRooms = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const rooms = await visitSlotService.getVisitingRooms(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: rooms
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prison not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch visiting rooms'
+    });
+  }
+};
+
+/**
+ * @desc    Create visiting room
+ * @route   POST /api/prisons/:id/visiting-rooms
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const createVisitingRoom = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const room = await visitSlotService.createVisitingRoom(id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Visiting room created successfully',
+      data: room
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to create visiting room'
+    });
+  }
+};
+
+/**
+ * @desc    Update visiting room
+ * @route   PUT /api/prisons/:id/visiting-rooms/:roomId
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const updateVisitingRoom = async (req, res) => {
+  try {
+    const { id, roomId } = req.params;
+    const room = await visitSlotService.updateVisitingRoom(id, roomId, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visiting room updated successfully',
+      data: room
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to update visiting room'
+    });
+  }
+};
+
+/**
+ * @desc    Add a weekly visit slot to a visiting room
+ * @route   POST /api/prisons/:id/visiting-rooms/:roomId/slots
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const createVisitSlot = async (req, res) => {
+  try {
+    const { id, roomId } = req.params;
+    const slot = await visitSlotService.createVisitSlot(id, roomId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Visit slot created successfully',
+      data: slot
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to create visit slot'
+    });
+  }
+};
+
+/**
+ * @desc    Update capacity or status of a visit slot
+ * @route   PUT /api/prisons/:id/visiting-rooms/:roomId/slots/:slotId
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const updateVisitSlot = async (req, res) => {
+  try {
+    const { id, roomId, slotId } = req.params;
+    const slot = await visitSlotService.updateVisitSlot(id, roomId, slotId, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visit slot updated successfully',
+      data: slot
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to update visit slot'
+    });
+  }
+};
+
+/**
+ * @desc    Get blackout dates and holidays of prison
+ * @route   GET /api/prisons/:id/visit-blackouts
+ * @access  Private
+ */
+const getVisitBlackouts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { start_date, end_date } = req.query;
+    const blackouts = await visitSlotService.getBlackouts(id, start_date, end_date, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: blackouts
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prison not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch blackout dates'
+    });
+  }
+};
+
+/**
+ * @desc    Add a blackout date or holiday for prison or one of its rooms
+ * @route   POST /api/prisons/:id/visit-blackouts
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const createVisitBlackout = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const blackout = await visitSlotService.createBlackout(id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Blackout date added successfully',
+      data: blackout
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to add blackout date'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a blackout date
+ * @route   DELETE /api/prisons/:id/visit-blackouts/:blackoutId
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const deleteVisitBlackout = async (req, res) => {
+  try {
+    const { id, blackoutId } = req.params;
+    const result = await visitSlotService.deleteBlackout(id, blackoutId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to remove blackout date'
+    });
+  }
+};
+
+/**
+ * @desc    Get job catalogue of prison with pay rates
+ * @route   GET /api/prisons/:id/jobs
+ * @access  Private
+ */
+const getJobs = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const jobs = await workJobService.getJobs(id, req.user, req.query.include_inactive === 'true');
+
+    res.status(200).json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prison not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch jobs'
+    });
+  }
+};
+
+/**
+ * @desc    Add job to prison's catalogue
+ * @route   POST /api/prisons/:id/jobs
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const createJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await workJobService.createJob(id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Job created successfully',
+      data: job
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to create job'
+    });
+  }
+};
+
+/**
+ * @desc    Update or withdraw job
+ * @route   PUT /api/prisons/:id/jobs/:jobId
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const updateJob = async (req, res) => {
+  try {
+    const { id, jobId } = req.params;
+    const job = await workJobService.updateJob(id, jobId, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Job updated successfully',
+      data: job
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to update job'
+    });
+  }
+};
+
+/**
+ * @desc    Add a pay rate to a job's schedule
+ * @route   POST /api/prisons/:id/jobs/:jobId/rates
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const addJobPayRate = async (req, res) => {
+  try {
+    const { id, jobId } = req.params;
+    const job = await workJobService.addPayRate(id, jobId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pay rate added successfully',
+      data: job
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 :
+                       error.message.includes('already') ? 409 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to add pay rate'
+    });
+  }
+};
+
+/**
+ * @desc    Get payroll runs of prison
+ * @route   GET /api/prisons/:id/payroll-runs
+ * @access  Private
+ */
+const getPayrollRuns = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const result = await payrollService.getPrisonPayrollRuns(id, req.user, { status }, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: result.payrollRuns,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prison not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch payroll runs'
+    });
+  }
+};
+
 module.exports = {
   getAllPrisons,
   getPrisonById,
   createPrison,
   updatePrison,
   deletePrison,
-  getPrisonStatistics
+  getPrisonStatistics,
+  getPrisonTransfers,
+  getVisitRules,
+  saveVisitRule,
+  deleteVisitRule,
+  getVisitingRooms,
+  createVisitingRoom,
+  updateVisitingRoom,
+  createVisitSlot,
+  updateVisitSlot,
+  getVisitBlackouts,
+  createVisitBlackout,
+  deleteVisitBlackout,
+  getJobs,
+  createJob,
+  updateJob,
+  addJobPayRate,
+  getPayrollRuns
 };
\ No newline at end of file
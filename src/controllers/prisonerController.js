@@ -1,4 +1,10 @@
 const prisonerService = require('../services/prisonerService');
+const transferService = require('../services/transferService');
+const housingService = require('../services/housingService');
+const visitorEligibilityService = require('../services/visitorEligibilityService');
+const workJobService = require('../services/workJobService');
+const accountService = require('../services/accountService');
+const accessPolicy = require('../utils/accessPolicy');
 
 /**
  * @desc    Get all prisoners with filtering and pagination
@@ -20,12 +26,8 @@ const getAllPrisoners = async (req, res) => {
     // Build filters
     const filters = {};
     
-    // Prison admins and staff can only see prisoners from their prison
-    if (req.user.roleName !== 'Super Admin' && req.user.prisonId) {
-      filters.prisonId = req.user.prisonId;
-    } else if (prison_id) {
-      filters.prisonId = prison_id;
-    }
+    // Restrict to the prisons the user works in
+    filters.prisonId = accessPolicy.prisonFilter(req.user, prison_id);
     
     if (status) filters.status = status;
     if (gender) filters.gender = gender;
@@ -57,8 +59,7 @@ const getPrisonerById = async (req, res) => {
     const { id } = req.params;
     const prisoner = await prisonerService.getPrisonerById(
       id,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -84,9 +85,7 @@ const registerPrisoner = async (req, res) => {
   try {
     const prisoner = await prisonerService.registerPrisoner(
       req.body,
-      req.user.prisonId,
-      req.user.roleName,
-      req.user.userId
+      req.user
     );
 
     res.status(201).json({
@@ -116,9 +115,7 @@ const updatePrisoner = async (req, res) => {
     const prisoner = await prisonerService.updatePrisoner(
       id,
       req.body,
-      req.user.prisonId,
-      req.user.roleName,
-      req.user.userId
+      req.user
     );
 
     res.status(200).json({
@@ -150,9 +147,7 @@ const deletePrisoner = async (req, res) => {
     const result = await prisonerService.deletePrisoner(
       id,
       reason,
-      req.user.prisonId,
-      req.user.roleName,
-      req.user.userId
+      req.user
     );
 
     res.status(200).json({
@@ -169,6 +164,35 @@ const deletePrisoner = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Add sentence to prisoner
+ * @route   POST /api/prisoners/:id/sentences
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+const addSentence = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await prisonerService.addSentence(
+      id,
+      req.body,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Sentence added successfully',
+      data: result
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prisoner not found' ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to add sentence'
+    });
+  }
+};
+
 /**
  * @desc    Add family details to prisoner
  * @route   POST /api/prisoners/:id/family
@@ -180,8 +204,7 @@ const addFamilyDetails = async (req, res) => {
     const familyMember = await prisonerService.addFamilyDetails(
       id,
       req.body,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(201).json({
@@ -211,8 +234,7 @@ const updateFamilyDetails = async (req, res) => {
       id,
       familyId,
       req.body,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -241,8 +263,7 @@ const deleteFamilyMember = async (req, res) => {
     await prisonerService.deleteFamilyMember(
       id,
       familyId,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -280,8 +301,7 @@ const uploadPhoto = async (req, res) => {
       id,
       req.file,
       photo_type,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(201).json({
@@ -310,8 +330,7 @@ const deletePhoto = async (req, res) => {
     await prisonerService.deletePhoto(
       id,
       photoId,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -339,8 +358,7 @@ const addBodyMark = async (req, res) => {
     const bodyMark = await prisonerService.addBodyMark(
       id,
       req.body,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(201).json({
@@ -370,8 +388,7 @@ const updateBodyMark = async (req, res) => {
       id,
       markId,
       req.body,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -400,8 +417,7 @@ const deleteBodyMark = async (req, res) => {
     await prisonerService.deleteBodyMark(
       id,
       markId,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -419,7 +435,387 @@ const deleteBodyMark = async (req, res) => {
 };
 
 /**
- * @desc    Transfer prisoner to another prison
+ * @desc    Assign or move prisoner to a cell
+ * @route   PUT /api/prisoners/:id/cell
+ * @access  Private
+ */
+const assignCell = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cell_id, reason } = req.body;
+
+    const result = await housingService.assignCell(
+      id,
+      cell_id,
+      reason,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Prisoner assigned to cell successfully',
+      data: result
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 :
+                       error.message.includes('full') ? 409 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to assign cell'
+    });
+  }
+};
+
+/**
+ * @desc    Vacate prisoner's current cell
+ * @route   DELETE /api/prisoners/:id/cell
+ * @access  Private
+ */
+const vacateCell = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    const result = await housingService.vacateCell(
+      id,
+      reason,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Cell vacated successfully',
+      data: result
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prisoner not found' ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to vacate cell'
+    });
+  }
+};
+
+/**
+ * @desc    Get cell placement history of prisoner
+ * @route   GET /api/prisoners/:id/placements
+ * @access  Private
+ */
+const getPlacementHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await housingService.getPlacementHistory(
+      id,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prisoner not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch placement history'
+    });
+  }
+};
+
+/**
+ * @desc    Get prisoner's approved visitor list
+ * @route   GET /api/prisoners/:id/approved-visitors
+ * @access  Private
+ */
+const getApprovedVisitors = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const approvals = await visitorEligibilityService.getApprovedVisitors(
+      id,
+      req.user,
+      req.query.status || null
+    );
+
+    res.status(200).json({
+      success: true,
+      data: approvals
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prisoner not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch approved visitors'
+    });
+  }
+};
+
+/**
+ * @desc    Request a visitor be added to prisoner's approved list
+ * @route   POST /api/prisoners/:id/approved-visitors
+ * @access  Private
+ */
+const addApprovedVisitor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const approval = await visitorEligibilityService.addApprovedVisitor(id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Visitor submitted for approval',
+      data: approval
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 :
+                       error.message.includes('already') ? 409 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to add approved visitor'
+    });
+  }
+};
+
+/**
+ * @desc    Approve, reject or remove a visitor on prisoner's approved list
+ * @route   PUT /api/prisoners/:id/approved-visitors/:approvalId
+ * @access  Private
+ */
+const reviewApprovedVisitor = async (req, res) => {
+  try {
+    const { id, approvalId } = req.params;
+    const approval = await visitorEligibilityService.reviewApprovedVisitor(
+      id,
+      approvalId,
+      req.body,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Approved visitor entry updated successfully',
+      data: approval
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to update approved visitor entry'
+    });
+  }
+};
+
+/**
+ * @desc    Get prisoner's visit restrictions
+ * @route   GET /api/prisoners/:id/visit-restrictions
+ * @access  Private
+ */
+const getVisitRestrictions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const restrictions = await visitorEligibilityService.getVisitRestrictions(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: restrictions
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prisoner not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch visit restrictions'
+    });
+  }
+};
+
+/**
+ * @desc    Lift a visit restriction before it ends
+ * @route   POST /api/prisoners/:id/visit-restrictions/:restrictionId/lift
+ * @access  Private
+ */
+const liftVisitRestriction = async (req, res) => {
+  try {
+    const { id, restrictionId } = req.params;
+    const result = await visitorEligibilityService.liftRestriction(
+      id,
+      restrictionId,
+      req.body.reason,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to lift visit restriction'
+    });
+  }
+};
+
+/**
+ * @desc    Get prisoner's work assignments
+ * @route   GET /api/prisoners/:id/work-assignments
+ * @access  Private
+ */
+const getWorkAssignments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const assignments = await workJobService.getWorkAssignments(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: assignments
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prisoner not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch work assignments'
+    });
+  }
+};
+
+/**
+ * @desc    Assign prisoner to a job
+ * @route   POST /api/prisoners/:id/work-assignments
+ * @access  Private
+ */
+const assignJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const assignment = await workJobService.assignJob(id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prisoner assigned to job successfully',
+      data: assignment
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 :
+                       error.message.includes('already') ? 409 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to assign job'
+    });
+  }
+};
+
+/**
+ * @desc    End prisoner's work assignment
+ * @route   POST /api/prisoners/:id/work-assignments/:assignmentId/end
+ * @access  Private
+ */
+const endWorkAssignment = async (req, res) => {
+  try {
+    const { id, assignmentId } = req.params;
+    const assignment = await workJobService.endAssignment(id, assignmentId, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Work assignment ended successfully',
+      data: assignment
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to end work assignment'
+    });
+  }
+};
+
+/**
+ * @desc    Get prisoner's account statement
+ * @route   GET /api/prisoners/:id/account
+ * @access  Private
+ */
+const getAccount = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { start_date, end_date } = req.query;
+    const statement = await accountService.getAccountStatement(id, req.user, start_date, end_date);
+
+    res.status(200).json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prisoner not found' ? 404 :
+                       error.message.includes('access') ? 403 :
+                       error.message.includes('date') ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch account statement'
+    });
+  }
+};
+
+/**
+ * @desc    Post an entry to prisoner's account
+ * @route   POST /api/prisoners/:id/account/entries
+ * @access  Private
+ */
+const recordAccountEntry = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await accountService.recordEntry(id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account entry recorded successfully',
+      data: entry
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prisoner not found' ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to record account entry'
+    });
+  }
+};
+
+/**
+ * @desc    Reverse an entry on prisoner's account
+ * @route   POST /api/prisoners/:id/account/entries/:entryId/reverse
+ * @access  Private
+ */
+const reverseAccountEntry = async (req, res) => {
+  try {
+    const { id, entryId } = req.params;
+    const entry = await accountService.reverseEntry(id, entryId, req.body.reason, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account entry reversed successfully',
+      data: entry
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 :
+                       error.message.includes('already') ? 409 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to reverse account entry'
+    });
+  }
+};
+
+/**
+ * @desc    Request transfer of prisoner to another prison
  * @route   POST /api/prisoners/:id/transfer
  * @access  Private (Prison Admin or Super Admin only)
  */
@@ -428,28 +824,53 @@ const transferPrisoner = async (req, res) => {
     const { id } = req.params;
     const { target_prison_id, transfer_reason } = req.body;
     
-    const result = await prisonerService.transferPrisoner(
+    const result = await transferService.requestTransfer(
       id,
       target_prison_id,
       transfer_reason,
-      req.user.prisonId,
-      req.user.roleName,
-      req.user.userId
+      req.user
     );
 
-    res.status(200).json({
+    res.status(201).json({
       success: true,
-      message: 'Prisoner transferred successfully',
+      message: 'Transfer requested successfully',
       data: result
     });
   } catch (error) {
     const statusCode = error.message === 'Prisoner not found' ? 404 :
                        error.message === 'Target prison not found' ? 404 :
                        error.message.includes('access') ? 403 :
-                       error.message.includes('capacity') ? 400 : 400;
+                       error.message.includes('in progress') ? 409 : 400;
     res.status(statusCode).json({
       success: false,
-      message: error.message || 'Failed to transfer prisoner'
+      message: error.message || 'Failed to request transfer'
+    });
+  }
+};
+
+/**
+ * @desc    Get transfer history of prisoner
+ * @route   GET /api/prisoners/:id/transfers
+ * @access  Private
+ */
+const getPrisonerTransfers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const transfers = await transferService.getPrisonerTransfers(
+      id,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: transfers
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prisoner not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch transfer history'
     });
   }
 };
@@ -466,9 +887,7 @@ const releasePrisoner = async (req, res) => {
     
     const result = await prisonerService.releasePrisoner(
       id,
-      req.user.prisonId,
-      req.user.roleName,
-      req.user.userId
+      req.user
     );
 
     res.status(200).json({
@@ -496,12 +915,7 @@ const getPrisonerStatistics = async (req, res) => {
     const { prison_id } = req.query;
     
     // Determine which prison to get stats for
-    let targetPrisonId = null;
-    if (req.user.roleName === 'Super Admin') {
-      targetPrisonId = prison_id || null; // null means all prisons
-    } else {
-      targetPrisonId = req.user.prisonId;
-    }
+    const targetPrisonId = accessPolicy.prisonFilter(req.user, prison_id);
 
     const statistics = await prisonerService.getPrisonerStatistics(targetPrisonId);
 
@@ -523,6 +937,7 @@ module.exports = {
   registerPrisoner,
   updatePrisoner,
   deletePrisoner,
+  addSentence,
   addFamilyDetails,
   updateFamilyDetails,
   deleteFamilyMember,
@@ -531,7 +946,22 @@ module.exports = {
   addBodyMark,
   updateBodyMark,
   deleteBodyMark,
+  assignCell,
+  vacateCell,
+  getPlacementHistory,
+  getApprovedVisitors,
+  addApprovedVisitor,
+  reviewApprovedVisitor,
+  getVisitRestrictions,
+  liftVisitRestriction,
+  getWorkAssignments,
+  assignJob,
+  endWorkAssignment,
+  getAccount,
+  recordAccountEntry,
+  reverseAccountEntry,
   transferPrisoner,
+  getPrisonerTransfers,
   releasePrisoner,
   getPrisonerStatistics
 };
\ No newline at end of file
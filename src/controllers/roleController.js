@@ -0,0 +1,200 @@
+const roleService = require('../services/roleService');
+
+/**
+ * Map role service errors to HTTP status codes
+ */
+const getErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.includes('already exists')) return 409;
+  if (error.message.includes('cannot')) return 403;
+  return 400;
+};
+
+/**
+ * @desc    Get all roles with their permissions
+ * @route   GET /api/roles
+ * @access  Private (Super Admin only)
+ */
+const getAllRoles = async (req, res) => {
+  try {
+    const roles = await roleService.getAllRoles();
+
+    res.status(200).json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch roles'
+    });
+  }
+};
+
+/**
+ * @desc    Get all permissions
+ * @route   GET /api/roles/permissions
+ * @access  Private (Super Admin only)
+ */
+const getAllPermissions = async (req, res) => {
+  try {
+    const permissions = await roleService.getAllPermissions();
+
+    res.status(200).json({
+      success: true,
+      data: permissions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch permissions'
+    });
+  }
+};
+
+/**
+ * @desc    Get role by ID
+ * @route   GET /api/roles/:id
+ * @access  Private (Super Admin only)
+ */
+const getRoleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const role = await roleService.getRoleById(id);
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Role not found' ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch role'
+    });
+  }
+};
+
+/**
+ * @desc    Create role
+ * @route   POST /api/roles
+ * @access  Private (Super Admin only)
+ */
+const createRole = async (req, res) => {
+  try {
+    const role = await roleService.createRole(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to create role'
+    });
+  }
+};
+
+/**
+ * @desc    Update role
+ * @route   PUT /api/roles/:id
+ * @access  Private (Super Admin only)
+ */
+const updateRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const role = await roleService.updateRole(id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to update role'
+    });
+  }
+};
+
+/**
+ * @desc    Delete role
+ * @route   DELETE /api/roles/:id
+ * @access  Private (Super Admin only)
+ */
+const deleteRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await roleService.deleteRole(id);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to delete role'
+    });
+  }
+};
+
+/**
+ * @desc    Grant permissions to a role
+ * @route   POST /api/roles/:id/permissions
+ * @access  Private (Super Admin only)
+ */
+const attachPermissions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const role = await roleService.attachPermissions(id, req.body.permission_ids);
+
+    res.status(200).json({
+      success: true,
+      message: 'Permissions granted successfully',
+      data: role
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to grant permissions'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a permission from a role
+ * @route   DELETE /api/roles/:id/permissions/:permissionId
+ * @access  Private (Super Admin only)
+ */
+const detachPermission = async (req, res) => {
+  try {
+    const { id, permissionId } = req.params;
+    const role = await roleService.detachPermission(id, permissionId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Permission revoked successfully',
+      data: role
+    });
+  } catch (error) {
+    res.status(getErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to revoke permission'
+    });
+  }
+};
+
+module.exports = {
+  getAllRoles,
+  getAllPermissions,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+  attachPermissions,
+  detachPermission
+};
@@ -0,0 +1,190 @@
+const transferService = require('../services/transferService');
+
+/**
+ * Map transfer service errors to HTTP status codes
+ */
+const getTransferErrorStatus = (error) => {
+  return error.message === 'Transfer not found' ? 404 :
+         error.message.includes('access') ? 403 :
+         error.message.includes('capacity') ? 409 : 400;
+};
+
+/**
+ * @desc    Get transfer by ID
+ * @route   GET /api/transfers/:id
+ * @access  Private
+ */
+const getTransferById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const transfer = await transferService.getTransferById(
+      id,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: transfer
+    });
+  } catch (error) {
+    res.status(getTransferErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to fetch transfer'
+    });
+  }
+};
+
+/**
+ * @desc    Approve transfer request
+ * @route   POST /api/transfers/:id/approve
+ * @access  Private (Prison Admin of destination or Super Admin)
+ */
+const approveTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes, capacity_override, capacity_override_reason } = req.body;
+
+    const transfer = await transferService.approveTransfer(
+      id,
+      notes,
+      req.user,
+      capacity_override ? { enabled: true, reason: capacity_override_reason } : null
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Transfer approved successfully',
+      data: transfer
+    });
+  } catch (error) {
+    res.status(getTransferErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to approve transfer'
+    });
+  }
+};
+
+/**
+ * @desc    Reject transfer request
+ * @route   POST /api/transfers/:id/reject
+ * @access  Private (Prison Admin of destination or Super Admin)
+ */
+const rejectTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const transfer = await transferService.rejectTransfer(
+      id,
+      reason,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Transfer rejected',
+      data: transfer
+    });
+  } catch (error) {
+    res.status(getTransferErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to reject transfer'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel transfer request
+ * @route   POST /api/transfers/:id/cancel
+ * @access  Private (Prison Admin of source or Super Admin)
+ */
+const cancelTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const transfer = await transferService.cancelTransfer(
+      id,
+      reason,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Transfer cancelled',
+      data: transfer
+    });
+  } catch (error) {
+    res.status(getTransferErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to cancel transfer'
+    });
+  }
+};
+
+/**
+ * @desc    Dispatch prisoner to destination prison
+ * @route   POST /api/transfers/:id/dispatch
+ * @access  Private (Prison Admin of source or Super Admin)
+ */
+const dispatchTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    const transfer = await transferService.dispatchTransfer(
+      id,
+      notes,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Prisoner dispatched successfully',
+      data: transfer
+    });
+  } catch (error) {
+    res.status(getTransferErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to dispatch transfer'
+    });
+  }
+};
+
+/**
+ * @desc    Receive prisoner at destination prison
+ * @route   POST /api/transfers/:id/receive
+ * @access  Private (Prison Admin of destination or Super Admin)
+ */
+const receiveTransfer = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { notes } = req.body;
+
+    const transfer = await transferService.receiveTransfer(
+      id,
+      notes,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Prisoner received successfully',
+      data: transfer
+    });
+  } catch (error) {
+    res.status(getTransferErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to receive transfer'
+    });
+  }
+};
+
+module.exports = {
+  getTransferById,
+  approveTransfer,
+  rejectTransfer,
+  cancelTransfer,
+  dispatchTransfer,
+  receiveTransfer
+};
@@ -1,4 +1,7 @@
 const userService = require('../services/userService');
+const delegationService = require('../services/delegationService');
+const prisonAssignmentService = require('../services/prisonAssignmentService');
+const accessPolicy = require('../utils/accessPolicy');
 
 /**
  * @desc    Get all users
@@ -12,12 +15,8 @@ const getAllUsers = async (req, res) => {
     // Build filters
     const filters = {};
     
-    // If not Super Admin, filter by user's prison
-    if (req.user.roleName !== 'Super Admin' && req.user.prisonId) {
-      filters.prisonId = req.user.prisonId;
-    } else if (prison_id) {
-      filters.prisonId = prison_id;
-    }
+    // Restrict to the prisons the user works in
+    filters.prisonId = accessPolicy.prisonFilter(req.user, prison_id);
     
     if (role_id) filters.roleId = role_id;
     if (is_active !== undefined) filters.isActive = is_active === 'true';
@@ -70,8 +69,7 @@ const createUser = async (req, res) => {
   try {
     const user = await userService.createUser(
       req.body,
-      req.user.roleName,
-      req.user.prisonId
+      req.user
     );
 
     res.status(201).json({
@@ -99,8 +97,7 @@ const updateUser = async (req, res) => {
     const user = await userService.updateUser(
       id,
       req.body,
-      req.user.roleName,
-      req.user.prisonId
+      req.user
     );
 
     res.status(200).json({
@@ -128,8 +125,7 @@ const deleteUser = async (req, res) => {
     const { id } = req.params;
     const result = await userService.deleteUser(
       id,
-      req.user.roleName,
-      req.user.prisonId
+      req.user
     );
 
     res.status(200).json({
@@ -153,7 +149,7 @@ const deleteUser = async (req, res) => {
 const resetUserPassword = async (req, res) => {
   try {
     const { id } = req.params;
-    const { newPassword } = req.body;
+    const { newPassword, reset_two_factor } = req.body;
 
     if (!newPassword) {
       return res.status(400).json({
@@ -165,8 +161,8 @@ const resetUserPassword = async (req, res) => {
     const result = await userService.resetUserPassword(
       id,
       newPassword,
-      req.user.roleName,
-      req.user.prisonId
+      req.user,
+      { resetTwoFactor: reset_two_factor === true || reset_two_factor === 'true' }
     );
 
     res.status(200).json({
@@ -182,6 +178,214 @@ const resetUserPassword = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Unlock user account locked by failed logins
+ * @route   POST /api/users/:id/unlock
+ * @access  Private (Admin only)
+ */
+const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await userService.unlockUser(
+      id,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    const statusCode = error.message === 'User not found' ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to unlock user'
+    });
+  }
+};
+
+/**
+ * @desc    Get login attempts
+ * @route   GET /api/users/login-attempts
+ * @route   GET /api/users/:id/login-attempts
+ * @access  Private (Admin only)
+ */
+const getLoginAttempts = async (req, res) => {
+  try {
+    const { prison_id, succeeded, ip_address, start_date, end_date, page = 1, limit = 20 } = req.query;
+
+    const filters = {};
+    if (req.params.id) filters.userId = req.params.id;
+    if (prison_id) filters.prisonId = prison_id;
+    if (succeeded !== undefined) filters.succeeded = succeeded === 'true';
+    if (ip_address) filters.ipAddress = ip_address;
+    if (start_date) filters.startDate = start_date;
+    if (end_date) filters.endDate = end_date;
+
+    const result = await userService.getLoginAttempts(
+      filters,
+      page,
+      limit,
+      req.user
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.attempts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch login attempts'
+    });
+  }
+};
+
+/**
+ * @desc    Get prison access delegated to a user
+ * @route   GET /api/users/:id/delegations
+ * @access  Private (Admin only)
+ */
+const getUserDelegations = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const delegations = await delegationService.getUserDelegations(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: delegations
+    });
+  } catch (error) {
+    const statusCode = error.message === 'User not found' ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch delegations'
+    });
+  }
+};
+
+/**
+ * @desc    Delegate time-bounded prison access to a user
+ * @route   POST /api/users/:id/delegations
+ * @access  Private (Admin only)
+ */
+const grantDelegation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const delegation = await delegationService.grantDelegation(id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Access delegated successfully',
+      data: delegation
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('only delegate') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to delegate access'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a delegation before it ends
+ * @route   DELETE /api/users/:id/delegations/:delegationId
+ * @access  Private (Admin only)
+ */
+const revokeDelegation = async (req, res) => {
+  try {
+    const { id, delegationId } = req.params;
+    const result = await delegationService.revokeDelegation(id, delegationId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Delegation not found' ? 404 :
+                       error.message.includes('only delegate') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to revoke delegation'
+    });
+  }
+};
+
+/**
+ * @desc    Get a user's home prison and prison assignments
+ * @route   GET /api/users/:id/prisons
+ * @access  Private (Admin only)
+ */
+const getUserPrisons = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const prisons = await prisonAssignmentService.getUserPrisons(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: prisons
+    });
+  } catch (error) {
+    const statusCode = error.message === 'User not found' ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch prison assignments'
+    });
+  }
+};
+
+/**
+ * @desc    Assign a user to a further prison or second them for a period
+ * @route   POST /api/users/:id/prisons
+ * @access  Private (Admin only)
+ */
+const assignPrison = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const assignment = await prisonAssignmentService.assignPrison(id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prison assigned successfully',
+      data: assignment
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('only assign') || error.message.includes('permission') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to assign prison'
+    });
+  }
+};
+
+/**
+ * @desc    End a prison assignment
+ * @route   DELETE /api/users/:id/prisons/:assignmentId
+ * @access  Private (Admin only)
+ */
+const endAssignment = async (req, res) => {
+  try {
+    const { id, assignmentId } = req.params;
+    const result = await prisonAssignmentService.endAssignment(id, assignmentId, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Assignment not found' ? 404 :
+                       error.message.includes('only assign') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to end prison assignment'
+    });
+  }
+};
+
 // Roles Dropdown
 const getAllRolesDropdown = async (req, res) => {
   try {
@@ -205,5 +409,13 @@ module.exports = {
   updateUser,
   deleteUser,
   resetUserPassword,
+  unlockUser,
+  getLoginAttempts,
+  getUserDelegations,
+  grantDelegation,
+  revokeDelegation,
+  getUserPrisons,
+  assignPrison,
+  endAssignment,
   getAllRolesDropdown
 };
\ No newline at end of file
@@ -1,4 +1,8 @@
 const visitService = require('../services/visitService');
+const visitRuleService = require('../services/visitRuleService');
+const visitSlotService = require('../services/visitSlotService');
+const visitSeriesService = require('../services/visitSeriesService');
+const accessPolicy = require('../utils/accessPolicy');
 
 /**
  * @desc    Get all visits with filtering and pagination
@@ -12,6 +16,7 @@ const getAllVisits = async (req, res) => {
       prisoner_id,
       visitor_id,
       status,
+      visit_type,
       start_date,
       end_date,
       search,
@@ -22,21 +27,18 @@ const getAllVisits = async (req, res) => {
     // Build filters
     const filters = {};
     
-    // Prison admins and staff can only see visits from their prison
-    if (req.user.roleName !== 'Super Admin' && req.user.prisonId) {
-      filters.prisonId = req.user.prisonId;
-    } else if (prison_id) {
-      filters.prisonId = prison_id;
-    }
+    // Restrict to the prisons the user works in
+    filters.prisonId = accessPolicy.prisonFilter(req.user, prison_id);
     
     if (prisoner_id) filters.prisonerId = prisoner_id;
     if (visitor_id) filters.visitorId = visitor_id;
     if (status) filters.status = status;
+    if (visit_type) filters.visitType = visit_type;
     if (start_date) filters.startDate = start_date;
     if (end_date) filters.endDate = end_date;
     if (search) filters.search = search;
 
-    const result = await visitService.getAllVisits(filters, page, limit);
+    const result = await visitService.getAllVisits(filters, page, limit, req.user);
 
     res.status(200).json({
       success: true,
@@ -63,8 +65,7 @@ const getVisitsByPrisoner = async (req, res) => {
 
     const result = await visitService.getVisitsByPrisoner(
       prisonerId,
-      req.user.prisonId,
-      req.user.roleName,
+      req.user,
       page,
       limit
     );
@@ -85,6 +86,57 @@ const getVisitsByPrisoner = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get remaining visit allowance of a prisoner
+ * @route   GET /api/visits/prisoner/:prisonerId/allowance
+ * @access  Private
+ */
+const getVisitAllowance = async (req, res) => {
+  try {
+    const { prisonerId } = req.params;
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+
+    const allowance = await visitRuleService.getVisitAllowance(prisonerId, date, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: allowance
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prisoner not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch visit allowance'
+    });
+  }
+};
+
+/**
+ * @desc    Get bookable visiting slots of a prison on a date
+ * @route   GET /api/visits/availability
+ * @access  Private
+ */
+const getVisitAvailability = async (req, res) => {
+  try {
+    const { prison_id, date, visit_type } = req.query;
+
+    const availability = await visitSlotService.getAvailability(prison_id, date, req.user, visit_type);
+
+    res.status(200).json({
+      success: true,
+      data: availability
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Prison not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch visit availability'
+    });
+  }
+};
+
 /**
  * @desc    Get upcoming scheduled visits
  * @route   GET /api/visits/upcoming
@@ -95,17 +147,13 @@ const getUpcomingVisits = async (req, res) => {
     const { prison_id, page = 1, limit = 10 } = req.query;
     
     // Determine which prison to get upcoming visits for
-    let targetPrisonId = null;
-    if (req.user.roleName === 'Super Admin') {
-      targetPrisonId = prison_id || null;
-    } else {
-      targetPrisonId = req.user.prisonId;
-    }
+    const targetPrisonId = accessPolicy.prisonFilter(req.user, prison_id);
 
     const result = await visitService.getUpcomingVisits(
       targetPrisonId,
       page,
-      limit
+      limit,
+      req.user
     );
 
     res.status(200).json({
@@ -131,8 +179,7 @@ const getVisitById = async (req, res) => {
     const { id } = req.params;
     const visit = await visitService.getVisitById(
       id,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -158,9 +205,7 @@ const scheduleVisit = async (req, res) => {
   try {
     const visit = await visitService.scheduleVisit(
       req.body,
-      req.user.userId,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(201).json({
@@ -179,6 +224,112 @@ const scheduleVisit = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Create recurring visit series
+ * @route   POST /api/visits/series
+ * @access  Private (Visitor Manager or higher)
+ */
+const createVisitSeries = async (req, res) => {
+  try {
+    const result = await visitSeriesService.createVisitSeries(req.body, req.user);
+
+    if (!result.series) {
+      return res.status(409).json({
+        success: false,
+        message: 'No occurrence of the series could be scheduled',
+        data: result
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Visit series created: ${result.succeeded} scheduled, ${result.failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to create visit series'
+    });
+  }
+};
+
+/**
+ * @desc    Get visit series with its occurrences
+ * @route   GET /api/visits/series/:seriesId
+ * @access  Private
+ */
+const getVisitSeries = async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+    const series = await visitSeriesService.getVisitSeries(seriesId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Visit series not found' ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch visit series'
+    });
+  }
+};
+
+/**
+ * @desc    Update a visit of a series and the occurrences after it
+ * @route   PUT /api/visits/series/:seriesId/occurrences/:visitId
+ * @access  Private (Visitor Manager or higher)
+ */
+const updateVisitSeries = async (req, res) => {
+  try {
+    const { seriesId, visitId } = req.params;
+    const result = await visitSeriesService.updateFollowing(seriesId, visitId, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Visit series updated: ${result.succeeded} updated, ${result.failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to update visit series'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a visit of a series and the occurrences after it
+ * @route   POST /api/visits/series/:seriesId/occurrences/:visitId/cancel
+ * @access  Private (Visitor Manager or higher)
+ */
+const cancelVisitSeries = async (req, res) => {
+  try {
+    const { seriesId, visitId } = req.params;
+    const result = await visitSeriesService.cancelFollowing(seriesId, visitId, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Visit series cancelled: ${result.succeeded} cancelled, ${result.failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to cancel visit series'
+    });
+  }
+};
+
 /**
  * @desc    Update visit
  * @route   PUT /api/visits/:id
@@ -190,8 +341,7 @@ const updateVisit = async (req, res) => {
     const visit = await visitService.updateVisit(
       id,
       req.body,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -218,14 +368,11 @@ const updateVisit = async (req, res) => {
 const updateVisitStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, notes } = req.body;
 
     const visit = await visitService.updateVisitStatus(
       id,
-      status,
-      notes,
-      req.user.prisonId,
-      req.user.roleName
+      req.body,
+      req.user
     );
 
     res.status(200).json({
@@ -244,6 +391,58 @@ const updateVisitStatus = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Check visitor in for a visit
+ * @route   POST /api/visits/:id/check-in
+ * @access  Private
+ */
+const checkInVisit = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const visit = await visitService.checkInVisit(id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visitor checked in successfully',
+      data: visit
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Visit not found' ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to check in visitor'
+    });
+  }
+};
+
+/**
+ * @desc    Check visitor out, completing or terminating the visit
+ * @route   POST /api/visits/:id/check-out
+ * @access  Private
+ */
+const checkOutVisit = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const visit = await visitService.checkOutVisit(id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visitor checked out successfully',
+      data: visit
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Visit not found' ? 404 :
+                       error.message.includes('access') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to check out visitor'
+    });
+  }
+};
+
 /**
  * @desc    Delete visit
  * @route   DELETE /api/visits/:id
@@ -255,8 +454,7 @@ const deleteVisit = async (req, res) => {
     
     await visitService.deleteVisit(
       id,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -285,9 +483,7 @@ const approveVisit = async (req, res) => {
     
     const visit = await visitService.approveVisit(
       id,
-      req.user.userId,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -316,12 +512,7 @@ const getVisitStatistics = async (req, res) => {
     const { prison_id, start_date, end_date } = req.query;
     
     // Determine which prison to get stats for
-    let targetPrisonId = null;
-    if (req.user.roleName === 'Super Admin') {
-      targetPrisonId = prison_id || null;
-    } else {
-      targetPrisonId = req.user.prisonId;
-    }
+    const targetPrisonId = accessPolicy.prisonFilter(req.user, prison_id);
 
     const statistics = await visitService.getVisitStatistics(
       targetPrisonId,
@@ -344,11 +535,19 @@ const getVisitStatistics = async (req, res) => {
 module.exports = {
   getAllVisits,
   getVisitsByPrisoner,
+  getVisitAllowance,
+  getVisitAvailability,
   getUpcomingVisits,
   getVisitById,
   scheduleVisit,
+  createVisitSeries,
+  getVisitSeries,
+  updateVisitSeries,
+  cancelVisitSeries,
   updateVisit,
   updateVisitStatus,
+  checkInVisit,
+  checkOutVisit,
   deleteVisit,
   approveVisit,
   getVisitStatistics
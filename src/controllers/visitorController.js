@@ -1,4 +1,6 @@
 const visitorService = require('../services/visitorService');
+const visitorEligibilityService = require('../services/visitorEligibilityService');
+const accessPolicy = require('../utils/accessPolicy');
 
 /**
  * @desc    Get all visitors with filtering and pagination
@@ -9,12 +11,16 @@ const getAllVisitors = async (req, res) => {
   try {
     const { 
       search,
+      verification_status,
+      include_archived,
       page = 1, 
       limit = 10 
     } = req.query;
 
     const filters = {};
     if (search) filters.search = search;
+    if (verification_status) filters.verificationStatus = verification_status;
+    if (include_archived === 'true') filters.includeArchived = true;
 
     const result = await visitorService.getAllVisitors(filters, page, limit);
 
@@ -38,9 +44,9 @@ const getAllVisitors = async (req, res) => {
  */
 const searchVisitors = async (req, res) => {
   try {
-    const { query } = req.query;
+    const { query, include_archived } = req.query;
 
-    const visitors = await visitorService.searchVisitors(query);
+    const visitors = await visitorService.searchVisitors(query, include_archived === 'true');
 
     res.status(200).json({
       success: true,
@@ -62,7 +68,7 @@ const searchVisitors = async (req, res) => {
 const getVisitorById = async (req, res) => {
   try {
     const { id } = req.params;
-    const visitor = await visitorService.getVisitorById(id);
+    const visitor = await visitorService.getVisitorById(id, req.user);
 
     res.status(200).json({
       success: true,
@@ -84,7 +90,7 @@ const getVisitorById = async (req, res) => {
  */
 const createVisitor = async (req, res) => {
   try {
-    const visitor = await visitorService.createVisitor(req.body);
+    const visitor = await visitorService.createVisitor(req.body, req.user);
 
     res.status(201).json({
       success: true,
@@ -108,7 +114,7 @@ const createVisitor = async (req, res) => {
 const updateVisitor = async (req, res) => {
   try {
     const { id } = req.params;
-    const visitor = await visitorService.updateVisitor(id, req.body);
+    const visitor = await visitorService.updateVisitor(id, req.body, req.user);
 
     res.status(200).json({
       success: true,
@@ -150,6 +156,160 @@ const deleteVisitor = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Upload visitor photo or ID document scan
+ * @route   POST /api/visitors/:id/documents
+ * @access  Private (Visitor Manager or higher)
+ */
+const uploadDocument = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { document_type } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No document file uploaded'
+      });
+    }
+
+    const document = await visitorService.uploadDocument(
+      id,
+      req.file,
+      document_type,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      data: document
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Visitor not found' ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to upload document'
+    });
+  }
+};
+
+/**
+ * @desc    Download visitor photo or ID document scan
+ * @route   GET /api/visitors/:id/documents/:documentId/file
+ * @access  Private (staff of a prison the visitor is known at)
+ */
+const getDocumentFile = async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    const filePath = await visitorService.getDocumentFile(id, documentId, req.user);
+
+    res.sendFile(filePath);
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') ? 403 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch document'
+    });
+  }
+};
+
+/**
+ * @desc    Delete visitor photo or ID document scan
+ * @route   DELETE /api/visitors/:id/documents/:documentId
+ * @access  Private (Visitor Manager or higher)
+ */
+const deleteDocument = async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    await visitorService.deleteDocument(id, documentId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to delete document'
+    });
+  }
+};
+
+/**
+ * @desc    Verify or reject a visitor's identity
+ * @route   POST /api/visitors/:id/verify
+ * @access  Private (Prison Admin or higher)
+ */
+const verifyVisitor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const visitor = await visitorService.verifyVisitor(id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Visitor identity ${visitor.verification.status.toLowerCase()}`,
+      data: visitor
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Visitor not found' ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to verify visitor'
+    });
+  }
+};
+
+/**
+ * @desc    Archive visitor
+ * @route   POST /api/visitors/:id/archive
+ * @access  Private (Visitor Manager or higher)
+ */
+const archiveVisitor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const visitor = await visitorService.archiveVisitor(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visitor archived successfully',
+      data: visitor
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Visitor not found' ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to archive visitor'
+    });
+  }
+};
+
+/**
+ * @desc    Restore archived visitor
+ * @route   POST /api/visitors/:id/restore
+ * @access  Private (Visitor Manager or higher)
+ */
+const restoreVisitor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const visitor = await visitorService.restoreVisitor(id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visitor restored successfully',
+      data: visitor
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Visitor not found' ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to restore visitor'
+    });
+  }
+};
+
 /**
  * @desc    Get visitor's visit history
  * @route   GET /api/visitors/:id/history
@@ -162,8 +322,7 @@ const getVisitorHistory = async (req, res) => {
 
     const result = await visitorService.getVisitorHistory(
       id,
-      req.user.prisonId,
-      req.user.roleName,
+      req.user,
       page,
       limit
     );
@@ -193,12 +352,7 @@ const getVisitorStatistics = async (req, res) => {
     const { prison_id, start_date, end_date } = req.query;
     
     // Determine which prison to get stats for
-    let targetPrisonId = null;
-    if (req.user.roleName === 'Super Admin') {
-      targetPrisonId = prison_id || null;
-    } else {
-      targetPrisonId = req.user.prisonId;
-    }
+    const targetPrisonId = accessPolicy.prisonFilter(req.user, prison_id);
 
     const statistics = await visitorService.getVisitorStatistics(
       targetPrisonId,
@@ -218,6 +372,149 @@ const getVisitorStatistics = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get a visitor's bans
+ * @route   GET /api/visitors/:id/bans
+ * @access  Private
+ */
+const getVisitorBans = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const bans = await visitorEligibilityService.getVisitorBans(id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: bans
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Visitor not found' ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch visitor bans'
+    });
+  }
+};
+
+/**
+ * @desc    Ban a visitor from a prisoner, a prison or every prison
+ * @route   POST /api/visitors/:id/bans
+ * @access  Private (Visitor Manager or higher)
+ */
+const banVisitor = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const ban = await visitorEligibilityService.banVisitor(id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Visitor banned successfully',
+      data: ban
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to ban visitor'
+    });
+  }
+};
+
+/**
+ * @desc    Lift a visitor ban before it ends
+ * @route   POST /api/visitors/:id/bans/:banId/lift
+ * @access  Private (Visitor Manager or higher)
+ */
+const liftVisitorBan = async (req, res) => {
+  try {
+    const { id, banId } = req.params;
+    const result = await visitorEligibilityService.liftBan(id, banId, req.body.reason, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Ban not found' ? 404 :
+                       error.message.includes('access') || error.message.includes('Only') ? 403 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to lift ban'
+    });
+  }
+};
+
+/**
+ * @desc    Get a visitor's professional credential
+ * @route   GET /api/visitors/:id/credential
+ * @access  Private
+ */
+const getVisitorCredential = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const credential = await visitorEligibilityService.getCredential(id);
+
+    res.status(200).json({
+      success: true,
+      data: credential
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Visitor not found' ? 404 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to fetch visitor credential'
+    });
+  }
+};
+
+/**
+ * @desc    Record or replace a visitor's professional credential
+ * @route   PUT /api/visitors/:id/credential
+ * @access  Private (Visitor Manager or higher)
+ */
+const saveVisitorCredential = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const credential = await visitorEligibilityService.saveCredential(id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Visitor credential saved and awaiting verification',
+      data: credential
+    });
+  } catch (error) {
+    const statusCode = error.message === 'Visitor not found' ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to save visitor credential'
+    });
+  }
+};
+
+/**
+ * @desc    Verify or reject a visitor's professional credential
+ * @route   POST /api/visitors/:id/credential/verify
+ * @access  Private (Prison Admin or higher)
+ */
+const verifyVisitorCredential = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const credential = await visitorEligibilityService.verifyCredential(id, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `Visitor credential ${credential.verificationStatus.toLowerCase()}`,
+      data: credential
+    });
+  } catch (error) {
+    const statusCode = error.message.includes('not found') ? 404 : 400;
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'Failed to verify visitor credential'
+    });
+  }
+};
+
 module.exports = {
   getAllVisitors,
   searchVisitors,
@@ -225,6 +522,18 @@ module.exports = {
   createVisitor,
   updateVisitor,
   deleteVisitor,
+  uploadDocument,
+  getDocumentFile,
+  deleteDocument,
+  verifyVisitor,
+  archiveVisitor,
+  restoreVisitor,
   getVisitorHistory,
-  getVisitorStatistics
+  getVisitorStatistics,
+  getVisitorBans,
+  banVisitor,
+  liftVisitorBan,
+  getVisitorCredential,
+  saveVisitorCredential,
+  verifyVisitorCredential
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const workRecordService = require('../services/workRecordService');
+const accessPolicy = require('../utils/accessPolicy');
 
 /**
  * @desc    Get all work records with filtering and pagination
@@ -21,12 +22,8 @@ const getAllWorkRecords = async (req, res) => {
     // Build filters
     const filters = {};
     
-    // Prison admins and staff can only see records from their prison
-    if (req.user.roleName !== 'Super Admin' && req.user.prisonId) {
-      filters.prisonId = req.user.prisonId;
-    } else if (prison_id) {
-      filters.prisonId = prison_id;
-    }
+    // Restrict to the prisons the user works in
+    filters.prisonId = accessPolicy.prisonFilter(req.user, prison_id);
     
     if (prisoner_id) filters.prisonerId = prisoner_id;
     if (payment_status) filters.paymentStatus = payment_status;
@@ -61,8 +58,7 @@ const getWorkRecordsByPrisoner = async (req, res) => {
 
     const result = await workRecordService.getWorkRecordsByPrisoner(
       prisonerId,
-      req.user.prisonId,
-      req.user.roleName,
+      req.user,
       page,
       limit
     );
@@ -93,8 +89,7 @@ const getWorkRecordById = async (req, res) => {
     const { id } = req.params;
     const workRecord = await workRecordService.getWorkRecordById(
       id,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -120,9 +115,7 @@ const createWorkRecord = async (req, res) => {
   try {
     const workRecord = await workRecordService.createWorkRecord(
       req.body,
-      req.user.userId,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(201).json({
@@ -132,7 +125,8 @@ const createWorkRecord = async (req, res) => {
     });
   } catch (error) {
     const statusCode = error.message === 'Prisoner not found' ? 404 :
-                       error.message.includes('access') ? 403 : 400;
+                       error.message.includes('access') || error.message.startsWith('Only') ? 403 :
+                       error.message.startsWith('Duplicate') || error.message.startsWith('Overlaps') ? 409 : 400;
     res.status(statusCode).json({
       success: false,
       message: error.message || 'Failed to create work record'
@@ -140,6 +134,36 @@ const createWorkRecord = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Enter a weekly timesheet for a gang of prisoners
+ * @route   POST /api/work-records/timesheet
+ * @access  Private (Records Keeper or higher)
+ */
+const submitTimesheet = async (req, res) => {
+  try {
+    const { week_start, entries, validate_only = false } = req.body;
+
+    const result = await workRecordService.submitTimesheet(
+      week_start,
+      entries,
+      req.user,
+      validate_only
+    );
+
+    const verb = validate_only ? 'would be recorded' : 'recorded';
+    res.status(!validate_only && result.accepted > 0 ? 201 : 200).json({
+      success: true,
+      message: `${result.accepted} of ${result.total} timesheet rows ${verb}`,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to submit timesheet'
+    });
+  }
+};
+
 /**
  * @desc    Update work record
  * @route   PUT /api/work-records/:id
@@ -151,8 +175,7 @@ const updateWorkRecord = async (req, res) => {
     const workRecord = await workRecordService.updateWorkRecord(
       id,
       req.body,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -162,8 +185,8 @@ const updateWorkRecord = async (req, res) => {
     });
   } catch (error) {
     const statusCode = error.message === 'Work record not found' ? 404 :
-                       error.message.includes('access') ? 403 :
-                       error.message.includes('paid') ? 400 : 400;
+                       error.message.includes('access') || error.message.startsWith('Only') ? 403 :
+                       error.message.startsWith('Duplicate') || error.message.startsWith('Overlaps') ? 409 : 400;
     res.status(statusCode).json({
       success: false,
       message: error.message || 'Failed to update work record'
@@ -182,8 +205,7 @@ const deleteWorkRecord = async (req, res) => {
     
     await workRecordService.deleteWorkRecord(
       id,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -215,8 +237,7 @@ const approvePayment = async (req, res) => {
     const workRecord = await workRecordService.approvePayment(
       id,
       payment_date,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -254,8 +275,7 @@ const bulkApprovePayments = async (req, res) => {
     const result = await workRecordService.bulkApprovePayments(
       work_record_ids,
       payment_date,
-      req.user.prisonId,
-      req.user.roleName
+      req.user
     );
 
     res.status(200).json({
@@ -282,12 +302,7 @@ const getPendingPayments = async (req, res) => {
     const { prison_id, page = 1, limit = 10 } = req.query;
     
     // Determine which prison to get pending payments for
-    let targetPrisonId = null;
-    if (req.user.roleName === 'Super Admin') {
-      targetPrisonId = prison_id || null; // null means all prisons
-    } else {
-      targetPrisonId = req.user.prisonId;
-    }
+    const targetPrisonId = accessPolicy.prisonFilter(req.user, prison_id);
 
     const result = await workRecordService.getPendingPayments(
       targetPrisonId,
@@ -319,12 +334,7 @@ const getWorkRecordStatistics = async (req, res) => {
     const { prison_id, start_date, end_date } = req.query;
     
     // Determine which prison to get stats for
-    let targetPrisonId = null;
-    if (req.user.roleName === 'Super Admin') {
-      targetPrisonId = prison_id || null; // null means all prisons
-    } else {
-      targetPrisonId = req.user.prisonId;
-    }
+    const targetPrisonId = accessPolicy.prisonFilter(req.user, prison_id);
 
     const statistics = await workRecordService.getWorkRecordStatistics(
       targetPrisonId,
@@ -349,6 +359,7 @@ module.exports = {
   getWorkRecordsByPrisoner,
   getWorkRecordById,
   createWorkRecord,
+  submitTimesheet,
   updateWorkRecord,
   deleteWorkRecord,
   approvePayment,
@@ -1,26 +1,33 @@
 const db = require('../models');
+const { getContext, setContext } = require('../utils/requestContext');
+const { writeAuditRecord } = require('../utils/auditTrail');
 
 /**
- * Middleware to log user actions for audit trail
+ * Middleware to label the changes made by a route for the audit trail.
+ * Row-level before/after values are written by the model hooks; this only
+ * names the action and records actions that changed no audited rows
+ * (e.g. logout).
  */
 const auditLog = (actionType) => {
   return async (req, res, next) => {
+    setContext({ action: actionType });
+
     // Store original json method
     const originalJson = res.json.bind(res);
 
     // Override json method to capture response
     res.json = function (data) {
-      // Only log successful operations
-      if (data.success !== false && req.user) {
-        // Create audit log asynchronously (don't wait for it)
-        db.AuditLog.create({
-          user_id: req.user.userId,
-          action_type: actionType,
-          table_name: getTableNameFromRoute(req.route.path),
-          record_id: getRecordId(req, data),
-          old_values: req.method === 'PUT' || req.method === 'PATCH' ? req.body : null,
-          new_values: req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH' ? data.data : null,
-          ip_address: req.ip || req.connection.remoteAddress
+      const context = getContext();
+
+      // Only log successful operations that did not already leave a trail
+      if (data.success !== false && req.user && context && context.auditedChanges === 0) {
+        writeAuditRecord(db, {
+          userId: req.user.userId,
+          actionType,
+          operation: 'ACTION',
+          tableName: getResourceFromRequest(req),
+          recordId: getRecordId(req, data),
+          prisonId: req.user.prisonId
         }).catch(err => {
           console.error('Audit log error:', err);
         });
@@ -35,12 +42,10 @@ const auditLog = (actionType) => {
 };
 
 /**
- * Helper function to extract table name from route
+ * Helper function to name the resource from the router mount path
  */
-const getTableNameFromRoute = (routePath) => {
-  if (!routePath) return 'unknown';
-  
-  const match = routePath.match(/\/([^\/]+)/);
+const getResourceFromRequest = (req) => {
+  const match = (req.baseUrl || '').match(/\/api\/([^\/]+)/);
   return match ? match[1] : 'unknown';
 };
 
@@ -50,10 +55,10 @@ const getTableNameFromRoute = (routePath) => {
 const getRecordId = (req, responseData) => {
   // Try to get ID from params
   if (req.params.id) return req.params.id;
-  
+
   // Try to get ID from response data
   if (responseData.data && responseData.data.id) return responseData.data.id;
-  
+
   // Try various ID field names in response
   const idFields = ['user_id', 'prisoner_id', 'prison_id', 'visit_id', 'visitor_id'];
   for (const field of idFields) {
@@ -61,10 +66,10 @@ const getRecordId = (req, responseData) => {
       return responseData.data[field];
     }
   }
-  
+
   return null;
 };
 
 module.exports = {
   auditLog
-};
\ No newline at end of file
+};
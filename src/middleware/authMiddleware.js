@@ -1,6 +1,20 @@
 const jwt = require('jsonwebtoken');
 const { jwtSecret } = require('../config/auth');
 const db = require('../models');
+const { setContext } = require('../utils/requestContext');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const passwordService = require('../services/passwordService');
+const delegationService = require('../services/delegationService');
+const prisonAssignmentService = require('../services/prisonAssignmentService');
+const accessPolicy = require('../utils/accessPolicy');
+const permissionCache = require('../utils/permissionCache');
+
+// Routes a user with a temporary or expired password may use
+const PASSWORD_CHANGE_PATHS = ['/api/auth/me', '/api/auth/logout', '/api/auth/change-password'];
+
+// Routes a user who still has to enrol in two-factor authentication may use
+const TWO_FACTOR_ENROLMENT_PATHS = [...PASSWORD_CHANGE_PATHS, '/api/auth/2fa'];
 
 /**
  * Middleware to verify JWT token and attach user to request
@@ -22,20 +36,17 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, jwtSecret);
 
-    // Get user from database with role and permissions
+    // Reject tokens whose session has been revoked (logout, deactivation, reuse)
+    if (!decoded.sid || !(await sessionService.isSessionActive(decoded.sid, decoded.userId))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked or has expired.'
+      });
+    }
+
+    // Get user from database; role and permissions come from the cache
     const user = await db.User.findByPk(decoded.userId, {
       include: [
-        {
-          model: db.Role,
-          as: 'role',
-          include: [
-            {
-              model: db.Permission,
-              as: 'permissions',
-              through: { attributes: [] }
-            }
-          ]
-        },
         {
           model: db.Prison,
           as: 'prison',
@@ -44,7 +55,9 @@ const authenticate = async (req, res, next) => {
       ]
     });
 
-    if (!user) {
+    const roleAccess = user ? await permissionCache.getRoleAccess(user.role_id) : null;
+
+    if (!user || !roleAccess) {
       return res.status(401).json({
         success: false,
         message: 'Invalid token. User not found.'
@@ -58,17 +71,43 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Temporary and expired passwords must be replaced before anything else
+    if (passwordService.isPasswordChangeRequired(user) &&
+        !PASSWORD_CHANGE_PATHS.some(path => req.originalUrl.startsWith(path))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Password must be changed before continuing.'
+      });
+    }
+
+    // Roles that require two-factor authentication may only enrol until they have
+    if (twoFactorService.isEnrolmentRequired(user, roleAccess.requiresTwoFactor) &&
+        !TWO_FACTOR_ENROLMENT_PATHS.some(path => req.originalUrl.startsWith(path))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be set up before continuing.'
+      });
+    }
+
     // Attach user to request
     req.user = {
       userId: user.user_id,
       username: user.username,
       email: user.email,
       roleId: user.role_id,
-      roleName: user.role.role_name,
+      roleName: roleAccess.roleName,
       prisonId: user.prison_id,
-      permissions: user.role.permissions.map(p => p.permission_name)
+      permissions: roleAccess.permissions,
+      assignments: await prisonAssignmentService.getCurrentAssignments(user.user_id),
+      delegations: await delegationService.getCurrentDelegations(user.user_id),
+      sessionId: decoded.sid
     };
 
+    // Every prison the user can work in right now; null for unrestricted
+    req.user.accessiblePrisonIds = accessPolicy.getAccessiblePrisonIds(req.user);
+
+    setContext({ userId: user.user_id, prisonId: user.prison_id });
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -107,32 +146,30 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader.substring(7);
     const decoded = jwt.verify(token, jwtSecret);
 
-    const user = await db.User.findByPk(decoded.userId, {
-      include: [
-        {
-          model: db.Role,
-          as: 'role',
-          include: [
-            {
-              model: db.Permission,
-              as: 'permissions',
-              through: { attributes: [] }
-            }
-          ]
-        }
-      ]
-    });
+    if (!decoded.sid || !(await sessionService.isSessionActive(decoded.sid, decoded.userId))) {
+      return next();
+    }
+
+    const user = await db.User.findByPk(decoded.userId);
+    const roleAccess = user ? await permissionCache.getRoleAccess(user.role_id) : null;
 
-    if (user && user.is_active) {
+    if (user && user.is_active && roleAccess) {
       req.user = {
         userId: user.user_id,
         username: user.username,
         email: user.email,
         roleId: user.role_id,
-        roleName: user.role.role_name,
+        roleName: roleAccess.roleName,
         prisonId: user.prison_id,
-        permissions: user.role.permissions.map(p => p.permission_name)
+        permissions: roleAccess.permissions,
+        assignments: await prisonAssignmentService.getCurrentAssignments(user.user_id),
+        delegations: await delegationService.getCurrentDelegations(user.user_id),
+        sessionId: decoded.sid
       };
+
+      req.user.accessiblePrisonIds = accessPolicy.getAccessiblePrisonIds(req.user);
+
+      setContext({ userId: user.user_id, prisonId: user.prison_id });
     }
 
     next();
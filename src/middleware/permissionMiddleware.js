@@ -1,10 +1,14 @@
+const permissionCache = require('../utils/permissionCache');
+
 /**
- * Middleware to check if user has required permission(s)
+ * Middleware to check if user has required permission(s).
+ * Permissions are read through the role cache, so changes made through the
+ * roles API apply without a restart.
  * @param {string|string[]} requiredPermissions - Single permission or array of permissions
  * @param {boolean} requireAll - If true, user must have all permissions. If false, user needs at least one
  */
 const checkPermission = (requiredPermissions, requireAll = false) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -12,6 +16,17 @@ const checkPermission = (requiredPermissions, requireAll = false) => {
       });
     }
 
+    try {
+      const roleAccess = await permissionCache.getRoleAccess(req.user.roleId);
+      req.user.permissions = roleAccess ? roleAccess.permissions : [];
+    } catch (error) {
+      console.error('Permission lookup error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Permission check failed.'
+      });
+    }
+
     if (!req.user.permissions || req.user.permissions.length === 0) {
       return res.status(403).json({
         success: false,
@@ -1,4 +1,5 @@
 const { USER_ROLES } = require('../config/constants');
+const accessPolicy = require('../utils/accessPolicy');
 
 /**
  * Middleware to check if user has required role
@@ -73,7 +74,7 @@ const isPrisonAdmin = (req, res, next) => {
 };
 
 /**
- * Middleware to check if user belongs to the same prison or is Super Admin
+ * Middleware to check if user works in the requested prison or is Super Admin
  * Requires prison_id in request params or body
  */
 const checkPrisonAccess = (req, res, next) => {
@@ -84,8 +85,10 @@ const checkPrisonAccess = (req, res, next) => {
     });
   }
 
+  const accessiblePrisonIds = accessPolicy.getAccessiblePrisonIds(req.user);
+
   // Super Admin can access all prisons
-  if (req.user.roleName === USER_ROLES.SUPER_ADMIN) {
+  if (accessiblePrisonIds === null) {
     return next();
   }
 
@@ -93,18 +96,18 @@ const checkPrisonAccess = (req, res, next) => {
   const prisonId = req.params.prison_id || req.body.prison_id;
 
   // Check if user has a prison assigned
-  if (!req.user.prisonId) {
+  if (accessiblePrisonIds.length === 0) {
     return res.status(403).json({
       success: false,
       message: 'Access denied. No prison assigned to your account.'
     });
   }
 
-  // Check if prison_id matches user's prison
-  if (prisonId && parseInt(prisonId) !== parseInt(req.user.prisonId)) {
+  // Check if prison_id is one of the user's prisons
+  if (prisonId && !accessPolicy.canAccessPrison(req.user, prisonId)) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. You can only access data from your assigned prison.'
+      message: 'Access denied. You can only access data from your assigned prisons.'
     });
   }
 
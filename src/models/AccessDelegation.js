@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const AccessDelegation = sequelize.define('AccessDelegation', {
+    delegation_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      comment: 'User receiving access'
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    granted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when the delegation is withdrawn before it ends'
+    },
+    revoked_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'access_delegations',
+    timestamps: true,
+    indexes: [
+      { fields: ['user_id', 'ends_at'] },
+      { fields: ['prison_id'] }
+    ]
+  });
+
+  AccessDelegation.associate = (models) => {
+    AccessDelegation.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    AccessDelegation.belongsTo(models.Prison, {
+      foreignKey: 'prison_id',
+      as: 'prison'
+    });
+
+    AccessDelegation.belongsTo(models.User, {
+      foreignKey: 'granted_by',
+      as: 'granter'
+    });
+
+    AccessDelegation.belongsTo(models.User, {
+      foreignKey: 'revoked_by',
+      as: 'revoker'
+    });
+  };
+
+  return AccessDelegation;
+};
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const ApprovedVisitor = sequelize.define('ApprovedVisitor', {
+    approval_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      }
+    },
+    visitor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'visitors',
+        key: 'visitor_id'
+      }
+    },
+    relationship: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('Pending', 'Approved', 'Rejected', 'Removed'),
+      allowNull: false,
+      defaultValue: 'Pending'
+    },
+    requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    reviewed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'approved_visitors',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['prisoner_id', 'visitor_id'] },
+      { fields: ['visitor_id'] }
+    ]
+  });
+
+  ApprovedVisitor.associate = (models) => {
+    ApprovedVisitor.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+
+    ApprovedVisitor.belongsTo(models.Visitor, {
+      foreignKey: 'visitor_id',
+      as: 'visitor'
+    });
+
+    ApprovedVisitor.belongsTo(models.User, {
+      foreignKey: 'requested_by',
+      as: 'requester'
+    });
+
+    ApprovedVisitor.belongsTo(models.User, {
+      foreignKey: 'reviewed_by',
+      as: 'reviewer'
+    });
+  };
+
+  return ApprovedVisitor;
+};
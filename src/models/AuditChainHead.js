@@ -0,0 +1,28 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Single row holding the end of the audit log hash chain. Sealing locks it
+  // so only one writer extends the chain at a time.
+  const AuditChainHead = sequelize.define('AuditChainHead', {
+    head_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true
+    },
+    last_position: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'chain_position of the last sealed audit log entry'
+    },
+    last_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'entry_hash of the last sealed audit log entry'
+    }
+  }, {
+    tableName: 'audit_chain_heads',
+    timestamps: true
+  });
+
+  return AuditChainHead;
+};
@@ -9,16 +9,22 @@ module.exports = (sequelize) => {
     },
     user_id: {
       type: DataTypes.INTEGER,
-      allowNull: false,
+      allowNull: true,
       references: {
         model: 'users',
         key: 'user_id'
-      }
+      },
+      comment: 'Null for changes made outside a request, e.g. seeders and jobs'
     },
     action_type: {
       type: DataTypes.STRING(50),
       allowNull: false
     },
+    operation: {
+      type: DataTypes.ENUM('CREATE', 'UPDATE', 'DELETE', 'ACTION'),
+      allowNull: false,
+      defaultValue: 'ACTION'
+    },
     table_name: {
       type: DataTypes.STRING(50),
       allowNull: false
@@ -27,6 +33,11 @@ module.exports = (sequelize) => {
       type: DataTypes.INTEGER,
       allowNull: true
     },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Prison the changed record belongs to, used to scope audit queries'
+    },
     old_values: {
       type: DataTypes.JSON,
       allowNull: true
@@ -39,14 +50,58 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING(45),
       allowNull: true
     },
+    correlation_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
     timestamp: {
       type: DataTypes.DATE,
       allowNull: false,
       defaultValue: DataTypes.NOW
+    },
+    chain_position: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Place in the hash chain, null until the entry is sealed'
+    },
+    previous_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'entry_hash of the preceding entry in the chain'
+    },
+    entry_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 of this entry chained to previous_hash'
     }
   }, {
     tableName: 'audit_logs',
-    timestamps: false
+    timestamps: false,
+    indexes: [
+      { fields: ['table_name', 'record_id'] },
+      { fields: ['user_id'] },
+      { fields: ['prison_id'] },
+      { fields: ['timestamp'] },
+      { fields: ['correlation_id'] },
+      { unique: true, fields: ['chain_position'] }
+    ],
+    hooks: {
+      // Entries are chained after their transaction commits (see
+      // utils/auditChain sealPendingEntries), which writes the chain columns
+      // directly; nothing else may change an entry
+      beforeUpdate: () => {
+        throw new Error('Audit log entries cannot be modified');
+      },
+      beforeDestroy: () => {
+        throw new Error('Audit log entries cannot be deleted');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Audit log entries cannot be modified');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('Audit log entries cannot be deleted');
+      }
+    }
   });
 
   AuditLog.associate = (models) => {
@@ -57,4 +112,4 @@ module.exports = (sequelize) => {
   };
 
   return AuditLog;
-};
\ No newline at end of file
+};
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Cell = sequelize.define('Cell', {
+    cell_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    unit_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'housing_units',
+        key: 'unit_id'
+      }
+    },
+    cell_number: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    security_level: {
+      type: DataTypes.ENUM('Minimum', 'Medium', 'Maximum'),
+      allowNull: false,
+      defaultValue: 'Medium'
+    },
+    gender_designation: {
+      type: DataTypes.ENUM('Male', 'Female', 'Any'),
+      allowNull: false,
+      defaultValue: 'Any'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'cells',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['prison_id', 'cell_number']
+      }
+    ]
+  });
+
+  Cell.associate = (models) => {
+    Cell.belongsTo(models.Prison, {
+      foreignKey: 'prison_id',
+      as: 'prison'
+    });
+
+    Cell.belongsTo(models.HousingUnit, {
+      foreignKey: 'unit_id',
+      as: 'unit'
+    });
+
+    Cell.hasMany(models.CellPlacement, {
+      foreignKey: 'cell_id',
+      as: 'placements'
+    });
+  };
+
+  return Cell;
+};
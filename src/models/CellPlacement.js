@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CellPlacement = sequelize.define('CellPlacement', {
+    placement_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      }
+    },
+    cell_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'cells',
+        key: 'cell_id'
+      }
+    },
+    assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    assigned_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    assignment_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    vacated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Null while the prisoner still occupies the cell'
+    },
+    vacated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    vacate_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'cell_placements',
+    timestamps: true
+  });
+
+  CellPlacement.associate = (models) => {
+    CellPlacement.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+
+    CellPlacement.belongsTo(models.Cell, {
+      foreignKey: 'cell_id',
+      as: 'cell'
+    });
+
+    CellPlacement.belongsTo(models.User, {
+      foreignKey: 'assigned_by',
+      as: 'assigner'
+    });
+
+    CellPlacement.belongsTo(models.User, {
+      foreignKey: 'vacated_by',
+      as: 'vacater'
+    });
+  };
+
+  return CellPlacement;
+};
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const HousingUnit = sequelize.define('HousingUnit', {
+    unit_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    parent_unit_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'housing_units',
+        key: 'unit_id'
+      },
+      comment: 'Block that a wing belongs to; null for blocks'
+    },
+    unit_type: {
+      type: DataTypes.ENUM('Block', 'Wing'),
+      allowNull: false
+    },
+    unit_name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    security_level: {
+      type: DataTypes.ENUM('Minimum', 'Medium', 'Maximum'),
+      allowNull: true
+    },
+    gender_designation: {
+      type: DataTypes.ENUM('Male', 'Female', 'Any'),
+      allowNull: false,
+      defaultValue: 'Any'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'housing_units',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['prison_id', 'parent_unit_id', 'unit_name']
+      }
+    ]
+  });
+
+  HousingUnit.associate = (models) => {
+    HousingUnit.belongsTo(models.Prison, {
+      foreignKey: 'prison_id',
+      as: 'prison'
+    });
+
+    HousingUnit.belongsTo(models.HousingUnit, {
+      foreignKey: 'parent_unit_id',
+      as: 'parentUnit'
+    });
+
+    HousingUnit.hasMany(models.HousingUnit, {
+      foreignKey: 'parent_unit_id',
+      as: 'childUnits'
+    });
+
+    HousingUnit.hasMany(models.Cell, {
+      foreignKey: 'unit_id',
+      as: 'cells'
+    });
+  };
+
+  return HousingUnit;
+};
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const LoginAttempt = sequelize.define('LoginAttempt', {
+    attempt_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      comment: 'Null when the username did not match an account'
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Prison of the account at the time of the attempt'
+    },
+    username_attempted: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    succeeded: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    failure_reason: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    attempted_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'login_attempts',
+    timestamps: false,
+    indexes: [
+      { fields: ['user_id', 'attempted_at'] },
+      { fields: ['prison_id', 'attempted_at'] },
+      { fields: ['ip_address'] }
+    ]
+  });
+
+  LoginAttempt.associate = (models) => {
+    LoginAttempt.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return LoginAttempt;
+};
@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PasswordHistory = sequelize.define('PasswordHistory', {
+    history_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    password_hash: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    }
+  }, {
+    tableName: 'password_history',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['user_id', 'created_at'] }
+    ]
+  });
+
+  PasswordHistory.associate = (models) => {
+    PasswordHistory.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+  };
+
+  return PasswordHistory;
+};
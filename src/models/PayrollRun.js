@@ -0,0 +1,143 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PayrollRun = sequelize.define('PayrollRun', {
+    run_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    run_number: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      unique: true,
+      comment: 'Assigned when the run is posted'
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    period_start: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    period_end: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('Draft', 'Approved', 'Posted', 'Reversed', 'Cancelled'),
+      allowNull: false,
+      defaultValue: 'Draft'
+    },
+    record_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    total_hours: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    total_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    payment_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    approved_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    approved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    posted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    posted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'User who cancelled or reversed the run',
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    closed_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'payroll_runs',
+    timestamps: true
+  });
+
+  PayrollRun.associate = (models) => {
+    PayrollRun.belongsTo(models.Prison, {
+      foreignKey: 'prison_id',
+      as: 'prison'
+    });
+
+    PayrollRun.hasMany(models.PayrollRunItem, {
+      foreignKey: 'run_id',
+      as: 'items'
+    });
+
+    PayrollRun.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    PayrollRun.belongsTo(models.User, {
+      foreignKey: 'approved_by',
+      as: 'approver'
+    });
+
+    PayrollRun.belongsTo(models.User, {
+      foreignKey: 'posted_by',
+      as: 'poster'
+    });
+
+    PayrollRun.belongsTo(models.User, {
+      foreignKey: 'closed_by',
+      as: 'closer'
+    });
+  };
+
+  return PayrollRun;
+};
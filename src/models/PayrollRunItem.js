@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PayrollRunItem = sequelize.define('PayrollRunItem', {
+    item_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    run_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'payroll_runs',
+        key: 'run_id'
+      }
+    },
+    work_record_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoner_work_records',
+        key: 'work_record_id'
+      }
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      }
+    },
+    work_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    hours_worked: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false
+    },
+    payment_amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Amount of the work record when it was added to the run'
+    }
+  }, {
+    tableName: 'payroll_run_items',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['run_id', 'work_record_id'] }
+    ]
+  });
+
+  PayrollRunItem.associate = (models) => {
+    PayrollRunItem.belongsTo(models.PayrollRun, {
+      foreignKey: 'run_id',
+      as: 'run'
+    });
+
+    PayrollRunItem.belongsTo(models.PrisonerWorkRecord, {
+      foreignKey: 'work_record_id',
+      as: 'workRecord'
+    });
+
+    PayrollRunItem.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+  };
+
+  return PayrollRunItem;
+};
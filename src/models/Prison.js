@@ -47,6 +47,24 @@ module.exports = (sequelize) => {
     is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
+    },
+    require_verified_visitors: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Visits can only be booked for visitors with a verified identity'
+    },
+    max_daily_work_hours: {
+      type: DataTypes.DECIMAL(4, 2),
+      allowNull: false,
+      defaultValue: 8.00,
+      comment: 'Most hours a prisoner may be recorded as working on one day'
+    },
+    max_weekly_work_hours: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 48.00,
+      comment: 'Most hours a prisoner may be recorded as working in a Monday to Sunday week'
     }
   }, {
     tableName: 'prisons',
@@ -63,6 +81,51 @@ module.exports = (sequelize) => {
       foreignKey: 'prison_id',
       as: 'prisoners'
     });
+
+    Prison.hasMany(models.HousingUnit, {
+      foreignKey: 'prison_id',
+      as: 'housingUnits'
+    });
+
+    Prison.hasMany(models.Cell, {
+      foreignKey: 'prison_id',
+      as: 'cells'
+    });
+
+    Prison.hasMany(models.VisitRule, {
+      foreignKey: 'prison_id',
+      as: 'visitRules'
+    });
+
+    Prison.hasMany(models.VisitingRoom, {
+      foreignKey: 'prison_id',
+      as: 'visitingRooms'
+    });
+
+    Prison.hasMany(models.VisitBlackout, {
+      foreignKey: 'prison_id',
+      as: 'visitBlackouts'
+    });
+
+    Prison.hasMany(models.WorkJob, {
+      foreignKey: 'prison_id',
+      as: 'workJobs'
+    });
+
+    Prison.hasMany(models.PayrollRun, {
+      foreignKey: 'prison_id',
+      as: 'payrollRuns'
+    });
+
+    Prison.hasMany(models.PrisonerTransfer, {
+      foreignKey: 'source_prison_id',
+      as: 'outboundTransfers'
+    });
+
+    Prison.hasMany(models.PrisonerTransfer, {
+      foreignKey: 'destination_prison_id',
+      as: 'inboundTransfers'
+    });
   };
 
   return Prison;
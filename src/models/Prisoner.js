@@ -63,9 +63,18 @@ module.exports = (sequelize) => {
         key: 'prison_id'
       }
     },
+    cell_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'cells',
+        key: 'cell_id'
+      }
+    },
     cell_number: {
       type: DataTypes.STRING(20),
-      allowNull: true
+      allowNull: true,
+      comment: 'Copy of the current cell number, maintained by cell placements'
     },
     social_status: {
       type: DataTypes.STRING(100),
@@ -102,6 +111,16 @@ module.exports = (sequelize) => {
       as: 'workRecords'
     });
 
+    Prisoner.hasMany(models.WorkAssignment, {
+      foreignKey: 'prisoner_id',
+      as: 'workAssignments'
+    });
+
+    Prisoner.hasMany(models.PrisonerAccountEntry, {
+      foreignKey: 'prisoner_id',
+      as: 'accountEntries'
+    });
+
     Prisoner.hasMany(models.PrisonerBehaviourRecord, {
       foreignKey: 'prisoner_id',
       as: 'behaviourRecords'
@@ -111,6 +130,41 @@ module.exports = (sequelize) => {
       foreignKey: 'prisoner_id',
       as: 'visits'
     });
+
+    Prisoner.hasMany(models.PrisonerSentence, {
+      foreignKey: 'prisoner_id',
+      as: 'sentences'
+    });
+
+    Prisoner.hasMany(models.SentenceAdjustment, {
+      foreignKey: 'prisoner_id',
+      as: 'sentenceAdjustments'
+    });
+
+    Prisoner.hasMany(models.PrisonerTransfer, {
+      foreignKey: 'prisoner_id',
+      as: 'transfers'
+    });
+
+    Prisoner.belongsTo(models.Cell, {
+      foreignKey: 'cell_id',
+      as: 'cell'
+    });
+
+    Prisoner.hasMany(models.CellPlacement, {
+      foreignKey: 'prisoner_id',
+      as: 'cellPlacements'
+    });
+
+    Prisoner.hasMany(models.ApprovedVisitor, {
+      foreignKey: 'prisoner_id',
+      as: 'approvedVisitors'
+    });
+
+    Prisoner.hasMany(models.PrisonerVisitRestriction, {
+      foreignKey: 'prisoner_id',
+      as: 'visitRestrictions'
+    });
   };
 
   return Prisoner;
@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PrisonerAccountEntry = sequelize.define('PrisonerAccountEntry', {
+    entry_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      }
+    },
+    entry_type: {
+      type: DataTypes.ENUM('Work Payment', 'Family Deposit', 'Canteen Purchase', 'Fine', 'Restitution', 'Reversal'),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Positive value credits the account, negative value debits it'
+    },
+    balance_after: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      comment: 'Running balance once this entry is posted'
+    },
+    entry_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    work_record_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'prisoner_work_records',
+        key: 'work_record_id'
+      }
+    },
+    payment_sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Nth credit of a work record\'s payment; unique so one payment cannot be credited twice'
+    },
+    reverses_entry_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'prisoner_account_entries',
+        key: 'entry_id'
+      }
+    },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Receipt, canteen order or court order number'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    recorded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'prisoner_account_entries',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['work_record_id', 'payment_sequence'] },
+      { unique: true, fields: ['reverses_entry_id'] }
+    ],
+    hooks: {
+      // Ledger entries are append-only; corrections are made with a Reversal entry
+      beforeUpdate: () => {
+        throw new Error('Account ledger entries cannot be modified');
+      },
+      beforeDestroy: () => {
+        throw new Error('Account ledger entries cannot be deleted');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Account ledger entries cannot be modified');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('Account ledger entries cannot be deleted');
+      }
+    }
+  });
+
+  PrisonerAccountEntry.associate = (models) => {
+    PrisonerAccountEntry.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+
+    PrisonerAccountEntry.belongsTo(models.PrisonerWorkRecord, {
+      foreignKey: 'work_record_id',
+      as: 'workRecord'
+    });
+
+    PrisonerAccountEntry.belongsTo(models.PrisonerAccountEntry, {
+      foreignKey: 'reverses_entry_id',
+      as: 'reversedEntry'
+    });
+
+    PrisonerAccountEntry.belongsTo(models.User, {
+      foreignKey: 'recorded_by',
+      as: 'recorder'
+    });
+  };
+
+  return PrisonerAccountEntry;
+};
@@ -43,7 +43,7 @@ module.exports = (sequelize) => {
       comment: 'Positive value extends sentence, negative value reduces it'
     },
     adjustment_status: {
-      type: DataTypes.ENUM('Pending', 'Approved', 'Rejected'),
+      type: DataTypes.ENUM('Pending', 'Approved', 'Rejected', 'Reversed'),
       allowNull: false,
       defaultValue: 'Pending'
     },
@@ -87,6 +87,16 @@ module.exports = (sequelize) => {
       foreignKey: 'adjustment_approved_by',
       as: 'approver'
     });
+
+    PrisonerBehaviourRecord.hasMany(models.SentenceAdjustment, {
+      foreignKey: 'behaviour_id',
+      as: 'sentenceAdjustments'
+    });
+
+    PrisonerBehaviourRecord.hasMany(models.PrisonerVisitRestriction, {
+      foreignKey: 'behaviour_id',
+      as: 'visitRestrictions'
+    });
   };
 
   return PrisonerBehaviourRecord;
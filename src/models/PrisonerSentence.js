@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PrisonerSentence = sequelize.define('PrisonerSentence', {
+    sentence_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      }
+    },
+    case_reference: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    offence: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    term_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    sentence_type: {
+      type: DataTypes.ENUM('Concurrent', 'Consecutive'),
+      allowNull: false,
+      defaultValue: 'Concurrent'
+    },
+    consecutive_to: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'prisoner_sentences',
+        key: 'sentence_id'
+      },
+      comment: 'Sentence this one follows; defaults to the latest-ending earlier sentence'
+    },
+    remand_credit_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    remission_eligible: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    recorded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'prisoner_sentences',
+    timestamps: true
+  });
+
+  PrisonerSentence.associate = (models) => {
+    PrisonerSentence.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+
+    PrisonerSentence.belongsTo(models.PrisonerSentence, {
+      foreignKey: 'consecutive_to',
+      as: 'precedingSentence'
+    });
+
+    PrisonerSentence.belongsTo(models.User, {
+      foreignKey: 'recorded_by',
+      as: 'recorder'
+    });
+  };
+
+  return PrisonerSentence;
+};
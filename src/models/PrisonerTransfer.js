@@ -0,0 +1,144 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PrisonerTransfer = sequelize.define('PrisonerTransfer', {
+    transfer_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      }
+    },
+    source_prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    destination_prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    transfer_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('Requested', 'Approved', 'Dispatched', 'Received', 'Rejected', 'Cancelled'),
+      allowNull: false,
+      defaultValue: 'Requested'
+    },
+    requested_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    requested_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    approved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    approved_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    dispatched_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    dispatched_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    received_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    closed_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Reason given when the transfer is rejected or cancelled'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'prisoner_transfers',
+    timestamps: true
+  });
+
+  PrisonerTransfer.associate = (models) => {
+    PrisonerTransfer.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+
+    PrisonerTransfer.belongsTo(models.Prison, {
+      foreignKey: 'source_prison_id',
+      as: 'sourcePrison'
+    });
+
+    PrisonerTransfer.belongsTo(models.Prison, {
+      foreignKey: 'destination_prison_id',
+      as: 'destinationPrison'
+    });
+
+    PrisonerTransfer.belongsTo(models.User, {
+      foreignKey: 'requested_by',
+      as: 'requester'
+    });
+
+    PrisonerTransfer.belongsTo(models.User, {
+      foreignKey: 'approved_by',
+      as: 'approver'
+    });
+
+    PrisonerTransfer.belongsTo(models.User, {
+      foreignKey: 'dispatched_by',
+      as: 'dispatcher'
+    });
+
+    PrisonerTransfer.belongsTo(models.User, {
+      foreignKey: 'received_by',
+      as: 'receiver'
+    });
+  };
+
+  return PrisonerTransfer;
+};
@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const PrisonerVisitRestriction = sequelize.define('PrisonerVisitRestriction', {
+    restriction_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      }
+    },
+    behaviour_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoner_behaviour_records',
+        key: 'behaviour_id'
+      },
+      comment: 'Behaviour record whose sanction imposed the restriction'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    starts_on: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    ends_on: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Last day of the restriction'
+    },
+    imposed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    lifted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lifted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    lift_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'prisoner_visit_restrictions',
+    timestamps: true,
+    indexes: [
+      { fields: ['prisoner_id', 'ends_on'] },
+      { fields: ['behaviour_id'] }
+    ]
+  });
+
+  PrisonerVisitRestriction.associate = (models) => {
+    PrisonerVisitRestriction.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+
+    PrisonerVisitRestriction.belongsTo(models.PrisonerBehaviourRecord, {
+      foreignKey: 'behaviour_id',
+      as: 'behaviourRecord'
+    });
+
+    PrisonerVisitRestriction.belongsTo(models.User, {
+      foreignKey: 'imposed_by',
+      as: 'imposer'
+    });
+
+    PrisonerVisitRestriction.belongsTo(models.User, {
+      foreignKey: 'lifted_by',
+      as: 'lifter'
+    });
+  };
+
+  return PrisonerVisitRestriction;
+};
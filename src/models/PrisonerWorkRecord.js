@@ -15,6 +15,15 @@ module.exports = (sequelize) => {
         key: 'prisoner_id'
       }
     },
+    assignment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'work_assignments',
+        key: 'assignment_id'
+      },
+      comment: 'Null for records entered before the job catalogue'
+    },
     task_description: {
       type: DataTypes.TEXT,
       allowNull: false
@@ -24,16 +33,46 @@ module.exports = (sequelize) => {
       allowNull: false,
       defaultValue: DataTypes.NOW
     },
+    start_time: {
+      type: DataTypes.TIME,
+      allowNull: true,
+      comment: 'Clock-in time; null for records entered as hours only'
+    },
+    end_time: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    break_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
     hours_worked: {
       type: DataTypes.DECIMAL(5, 2),
       allowNull: false,
-      defaultValue: 0.00
+      defaultValue: 0.00,
+      comment: 'Clock time less breaks when start and end times are recorded'
+    },
+    hourly_rate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Job pay rate in effect on the work date'
     },
     payment_amount: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false,
       defaultValue: 0.00
     },
+    payment_overridden: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Payment amount set by hand instead of hours times rate'
+    },
+    override_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
     payment_status: {
       type: DataTypes.ENUM('Pending', 'Paid'),
       allowNull: false,
@@ -43,6 +82,15 @@ module.exports = (sequelize) => {
       type: DataTypes.DATEONLY,
       allowNull: true
     },
+    payroll_run_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Payroll run holding or having paid this record',
+      references: {
+        model: 'payroll_runs',
+        key: 'run_id'
+      }
+    },
     recorded_by: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -66,6 +114,16 @@ module.exports = (sequelize) => {
       foreignKey: 'recorded_by',
       as: 'recorder'
     });
+
+    PrisonerWorkRecord.belongsTo(models.WorkAssignment, {
+      foreignKey: 'assignment_id',
+      as: 'assignment'
+    });
+
+    PrisonerWorkRecord.belongsTo(models.PayrollRun, {
+      foreignKey: 'payroll_run_id',
+      as: 'payrollRun'
+    });
   };
 
   return PrisonerWorkRecord;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const RefreshToken = sequelize.define('RefreshToken', {
+    token_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    session_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'user_sessions',
+        key: 'session_id'
+      },
+      comment: 'Token family: every token issued by rotation within one login'
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'SHA-256 of the refresh token, the token itself is never stored'
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    rotated_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set once the token has been exchanged; presenting it again is reuse'
+    },
+    replaced_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'refresh_tokens',
+        key: 'token_id'
+      }
+    }
+  }, {
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    updatedAt: false
+  });
+
+  RefreshToken.associate = (models) => {
+    RefreshToken.belongsTo(models.UserSession, {
+      foreignKey: 'session_id',
+      as: 'session'
+    });
+  };
+
+  return RefreshToken;
+};
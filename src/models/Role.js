@@ -15,6 +15,12 @@ module.exports = (sequelize) => {
     description: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    requires_two_factor: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Users in this role must enrol in TOTP before using the system'
     }
   }, {
     tableName: 'roles',
@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SentenceAdjustment = sequelize.define('SentenceAdjustment', {
+    adjustment_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      }
+    },
+    adjustment_days: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Positive value extends sentence, negative value reduces it'
+    },
+    entry_type: {
+      type: DataTypes.ENUM('Behaviour', 'Reversal'),
+      allowNull: false
+    },
+    behaviour_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'prisoner_behaviour_records',
+        key: 'behaviour_id'
+      }
+    },
+    reverses_adjustment_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'sentence_adjustments',
+        key: 'adjustment_id'
+      }
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    recorded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'sentence_adjustments',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      // One approval and one reversal per behaviour record
+      { unique: true, fields: ['behaviour_id', 'entry_type'] },
+      { unique: true, fields: ['reverses_adjustment_id'] }
+    ],
+    hooks: {
+      // Ledger entries are append-only; corrections are made with a Reversal entry
+      beforeUpdate: () => {
+        throw new Error('Sentence adjustment ledger entries cannot be modified');
+      },
+      beforeDestroy: () => {
+        throw new Error('Sentence adjustment ledger entries cannot be deleted');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Sentence adjustment ledger entries cannot be modified');
+      },
+      beforeBulkDestroy: () => {
+        throw new Error('Sentence adjustment ledger entries cannot be deleted');
+      }
+    }
+  });
+
+  SentenceAdjustment.associate = (models) => {
+    SentenceAdjustment.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+
+    SentenceAdjustment.belongsTo(models.PrisonerBehaviourRecord, {
+      foreignKey: 'behaviour_id',
+      as: 'behaviourRecord'
+    });
+
+    SentenceAdjustment.belongsTo(models.SentenceAdjustment, {
+      foreignKey: 'reverses_adjustment_id',
+      as: 'reversedAdjustment'
+    });
+
+    SentenceAdjustment.belongsTo(models.User, {
+      foreignKey: 'recorded_by',
+      as: 'recorder'
+    });
+  };
+
+  return SentenceAdjustment;
+};
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
+const { PASSWORD_POLICY } = require('../config/constants');
 
 module.exports = (sequelize) => {
   const User = sequelize.define('User', {
@@ -49,6 +50,16 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING(255),
       allowNull: false
     },
+    password_changed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    must_change_password: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Set for temporary passwords issued by an administrator'
+    },
     role_id: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -68,6 +79,40 @@ module.exports = (sequelize) => {
     is_active: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
+    },
+    failed_login_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Consecutive failed logins, reset on success or unlock'
+    },
+    last_failed_login_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    locked_until: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    totp_secret: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: 'Base32 TOTP secret, pending until totp_enabled is set'
+    },
+    totp_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    totp_last_used_step: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Time step of the last accepted code, so a code cannot be replayed'
+    },
+    totp_recovery_codes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'SHA-256 hashes of unused recovery codes'
     }
   }, {
     tableName: 'users',
@@ -76,16 +121,53 @@ module.exports = (sequelize) => {
       beforeCreate: async (user) => {
         if (user.password_hash) {
           user.password_hash = await bcrypt.hash(user.password_hash, 10);
+          user.password_changed_at = new Date();
         }
       },
       beforeUpdate: async (user) => {
         if (user.changed('password_hash')) {
           user.password_hash = await bcrypt.hash(user.password_hash, 10);
+          user.password_changed_at = new Date();
+        }
+      },
+      afterCreate: async (user, options) => {
+        await recordPasswordHistory(user, options.transaction);
+      },
+      afterUpdate: async (user, options) => {
+        if (user.changed('password_hash')) {
+          await recordPasswordHistory(user, options.transaction);
         }
       }
     }
   });
 
+  /**
+   * Keep the last PASSWORD_POLICY.HISTORY_COUNT hashes so they cannot be reused
+   */
+  const recordPasswordHistory = async (user, transaction) => {
+    const { PasswordHistory } = sequelize.models;
+
+    await PasswordHistory.create({
+      user_id: user.user_id,
+      password_hash: user.password_hash
+    }, { transaction });
+
+    const expired = await PasswordHistory.findAll({
+      where: { user_id: user.user_id },
+      attributes: ['history_id'],
+      order: [['history_id', 'DESC']],
+      offset: PASSWORD_POLICY.HISTORY_COUNT,
+      transaction
+    });
+
+    if (expired.length > 0) {
+      await PasswordHistory.destroy({
+        where: { history_id: expired.map(entry => entry.history_id) },
+        transaction
+      });
+    }
+  };
+
   User.associate = (models) => {
     User.belongsTo(models.Role, {
       foreignKey: 'role_id',
@@ -116,6 +198,31 @@ module.exports = (sequelize) => {
       foreignKey: 'user_id',
       as: 'auditLogs'
     });
+
+    User.hasMany(models.UserSession, {
+      foreignKey: 'user_id',
+      as: 'sessions'
+    });
+
+    User.hasMany(models.AccessDelegation, {
+      foreignKey: 'user_id',
+      as: 'delegations'
+    });
+
+    User.hasMany(models.UserPrisonAssignment, {
+      foreignKey: 'user_id',
+      as: 'prisonAssignments'
+    });
+
+    User.hasMany(models.LoginAttempt, {
+      foreignKey: 'user_id',
+      as: 'loginAttempts'
+    });
+
+    User.hasMany(models.PasswordHistory, {
+      foreignKey: 'user_id',
+      as: 'passwordHistory'
+    });
   };
 
   // Instance method to compare password
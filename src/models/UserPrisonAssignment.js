@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UserPrisonAssignment = sequelize.define('UserPrisonAssignment', {
+    assignment_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    role_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'roles',
+        key: 'role_id'
+      },
+      comment: 'Role held at this prison; null means the user\'s own role'
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Null means effective immediately'
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Null means open-ended'
+    },
+    notes: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    assigned_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'user_prison_assignments',
+    timestamps: true,
+    indexes: [
+      { fields: ['user_id', 'ends_at'] },
+      { fields: ['prison_id'] }
+    ]
+  });
+
+  UserPrisonAssignment.associate = (models) => {
+    UserPrisonAssignment.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    UserPrisonAssignment.belongsTo(models.Prison, {
+      foreignKey: 'prison_id',
+      as: 'prison'
+    });
+
+    UserPrisonAssignment.belongsTo(models.Role, {
+      foreignKey: 'role_id',
+      as: 'role'
+    });
+
+    UserPrisonAssignment.belongsTo(models.User, {
+      foreignKey: 'assigned_by',
+      as: 'assigner'
+    });
+  };
+
+  return UserPrisonAssignment;
+};
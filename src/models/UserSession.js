@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UserSession = sequelize.define('UserSession', {
+    session_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    ip_address: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Expiry of the newest refresh token in the session'
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Null while the session is active'
+    },
+    revoked_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    revoke_reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'user_sessions',
+    timestamps: true,
+    indexes: [
+      { fields: ['user_id', 'revoked_at'] }
+    ]
+  });
+
+  UserSession.associate = (models) => {
+    UserSession.belongsTo(models.User, {
+      foreignKey: 'user_id',
+      as: 'user'
+    });
+
+    UserSession.belongsTo(models.User, {
+      foreignKey: 'revoked_by',
+      as: 'revoker'
+    });
+
+    UserSession.hasMany(models.RefreshToken, {
+      foreignKey: 'session_id',
+      as: 'refreshTokens'
+    });
+  };
+
+  return UserSession;
+};
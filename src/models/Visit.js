@@ -23,6 +23,29 @@ module.exports = (sequelize) => {
         key: 'visitor_id'
       }
     },
+    slot_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'visit_slots',
+        key: 'slot_id'
+      },
+      comment: 'Visiting room slot holding a seat for this visit'
+    },
+    series_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'visit_series',
+        key: 'series_id'
+      },
+      comment: 'Recurring series this visit was created by'
+    },
+    visit_type: {
+      type: DataTypes.ENUM('Social', 'Legal', 'Religious', 'Consular'),
+      allowNull: false,
+      defaultValue: 'Social'
+    },
     relationship: {
       type: DataTypes.STRING(50),
       allowNull: false
@@ -44,10 +67,48 @@ module.exports = (sequelize) => {
       allowNull: true
     },
     status: {
-      type: DataTypes.ENUM('Scheduled', 'Completed', 'Cancelled'),
+      type: DataTypes.ENUM('Scheduled', 'Checked In', 'Completed', 'Cancelled', 'No Show', 'Denied', 'Terminated'),
       allowNull: false,
       defaultValue: 'Scheduled'
     },
+    checked_in_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    checked_in_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    checked_out_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    checked_out_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    visitor_searched: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      comment: 'Whether the visitor was searched at check-in; null until checked in'
+    },
+    search_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    outcome_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Why the visit was a no-show, denied or terminated'
+    },
     approved_by: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -80,6 +141,31 @@ module.exports = (sequelize) => {
       foreignKey: 'approved_by',
       as: 'approver'
     });
+
+    Visit.belongsTo(models.VisitSlot, {
+      foreignKey: 'slot_id',
+      as: 'slot'
+    });
+
+    Visit.belongsTo(models.User, {
+      foreignKey: 'checked_in_by',
+      as: 'checkInOfficer'
+    });
+
+    Visit.belongsTo(models.User, {
+      foreignKey: 'checked_out_by',
+      as: 'checkOutOfficer'
+    });
+
+    Visit.belongsTo(models.VisitSeries, {
+      foreignKey: 'series_id',
+      as: 'series'
+    });
+
+    Visit.hasMany(models.VisitItem, {
+      foreignKey: 'visit_id',
+      as: 'items'
+    });
   };
 
   return Visit;
@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VisitBlackout = sequelize.define('VisitBlackout', {
+    blackout_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    room_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'visiting_rooms',
+        key: 'room_id'
+      },
+      comment: 'Null closes every room of the prison'
+    },
+    blackout_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    blackout_type: {
+      type: DataTypes.ENUM('Holiday', 'Blackout'),
+      allowNull: false,
+      defaultValue: 'Blackout'
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'visit_blackouts',
+    timestamps: true,
+    indexes: [
+      { fields: ['prison_id', 'blackout_date'] }
+    ]
+  });
+
+  VisitBlackout.associate = (models) => {
+    VisitBlackout.belongsTo(models.Prison, {
+      foreignKey: 'prison_id',
+      as: 'prison'
+    });
+
+    VisitBlackout.belongsTo(models.VisitingRoom, {
+      foreignKey: 'room_id',
+      as: 'room'
+    });
+
+    VisitBlackout.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return VisitBlackout;
+};
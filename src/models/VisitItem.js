@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VisitItem = sequelize.define('VisitItem', {
+    item_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    visit_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'visits',
+        key: 'visit_id'
+      }
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    returned_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Null while the item is held or when it was retained'
+    },
+    returned_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'visit_items',
+    timestamps: true
+  });
+
+  VisitItem.associate = (models) => {
+    VisitItem.belongsTo(models.Visit, {
+      foreignKey: 'visit_id',
+      as: 'visit'
+    });
+
+    VisitItem.belongsTo(models.User, {
+      foreignKey: 'returned_by',
+      as: 'returner'
+    });
+  };
+
+  return VisitItem;
+};
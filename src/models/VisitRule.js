@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VisitRule = sequelize.define('VisitRule', {
+    rule_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    behaviour_rating: {
+      type: DataTypes.ENUM('Excellent', 'Good', 'Fair', 'Poor'),
+      allowNull: true,
+      comment: 'Rating from the behaviour score, null for the prison default'
+    },
+    visits_per_week: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Null means no weekly limit'
+    },
+    visits_per_month: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Null means no monthly limit'
+    },
+    max_visitors_per_session: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+    min_days_between_visits: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    updated_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'visit_rules',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['prison_id', 'behaviour_rating'] }
+    ]
+  });
+
+  VisitRule.associate = (models) => {
+    VisitRule.belongsTo(models.Prison, {
+      foreignKey: 'prison_id',
+      as: 'prison'
+    });
+
+    VisitRule.belongsTo(models.User, {
+      foreignKey: 'updated_by',
+      as: 'updater'
+    });
+  };
+
+  return VisitRule;
+};
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VisitSeries = sequelize.define('VisitSeries', {
+    series_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      }
+    },
+    visitor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'visitors',
+        key: 'visitor_id'
+      }
+    },
+    relationship: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    frequency: {
+      type: DataTypes.ENUM('Weekly', 'Fortnightly', 'Monthly'),
+      allowNull: false
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Last date an occurrence may fall on; null when bounded by occurrence_count'
+    },
+    occurrence_count: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    visit_time_start: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    visit_time_end: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    slot_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'visit_slots',
+        key: 'slot_id'
+      }
+    },
+    purpose: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when every occurrence was cancelled from the first one on'
+    },
+    cancelled_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'visit_series',
+    timestamps: true
+  });
+
+  VisitSeries.associate = (models) => {
+    VisitSeries.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+
+    VisitSeries.belongsTo(models.Visitor, {
+      foreignKey: 'visitor_id',
+      as: 'visitor'
+    });
+
+    VisitSeries.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+
+    VisitSeries.hasMany(models.Visit, {
+      foreignKey: 'series_id',
+      as: 'visits'
+    });
+  };
+
+  return VisitSeries;
+};
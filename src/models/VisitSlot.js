@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VisitSlot = sequelize.define('VisitSlot', {
+    slot_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    room_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'visiting_rooms',
+        key: 'room_id'
+      }
+    },
+    day_of_week: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: 6
+      },
+      comment: '0 = Sunday to 6 = Saturday'
+    },
+    start_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    end_time: {
+      type: DataTypes.TIME,
+      allowNull: false
+    },
+    capacity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      },
+      comment: 'Visitor seats per booking date'
+    },
+    slot_type: {
+      type: DataTypes.ENUM('Social', 'Professional'),
+      allowNull: false,
+      defaultValue: 'Social',
+      comment: 'Professional slots are booked by legal, religious and consular visits'
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'visit_slots',
+    timestamps: true,
+    indexes: [
+      { fields: ['room_id', 'day_of_week'] }
+    ]
+  });
+
+  VisitSlot.associate = (models) => {
+    VisitSlot.belongsTo(models.VisitingRoom, {
+      foreignKey: 'room_id',
+      as: 'room'
+    });
+
+    VisitSlot.hasMany(models.Visit, {
+      foreignKey: 'slot_id',
+      as: 'visits'
+    });
+  };
+
+  return VisitSlot;
+};
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VisitingRoom = sequelize.define('VisitingRoom', {
+    room_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    room_name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'visiting_rooms',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['prison_id', 'room_name'] }
+    ]
+  });
+
+  VisitingRoom.associate = (models) => {
+    VisitingRoom.belongsTo(models.Prison, {
+      foreignKey: 'prison_id',
+      as: 'prison'
+    });
+
+    VisitingRoom.hasMany(models.VisitSlot, {
+      foreignKey: 'room_id',
+      as: 'slots'
+    });
+  };
+
+  return VisitingRoom;
+};
@@ -26,6 +26,51 @@ module.exports = (sequelize) => {
     address: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    verification_status: {
+      type: DataTypes.ENUM('Pending', 'Verified', 'Rejected'),
+      allowNull: false,
+      defaultValue: 'Pending',
+      comment: 'Identity checked against the photo and ID document scans'
+    },
+    verified_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    verification_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    is_archived: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    archived_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    archived_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      },
+      comment: 'Null when archived by the retention policy'
+    },
+    pseudonymised_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Contact details removed under the retention policy'
     }
   }, {
     tableName: 'visitors',
@@ -37,6 +82,36 @@ module.exports = (sequelize) => {
       foreignKey: 'visitor_id',
       as: 'visits'
     });
+
+    Visitor.hasMany(models.ApprovedVisitor, {
+      foreignKey: 'visitor_id',
+      as: 'approvals'
+    });
+
+    Visitor.hasMany(models.VisitorBan, {
+      foreignKey: 'visitor_id',
+      as: 'bans'
+    });
+
+    Visitor.hasOne(models.VisitorCredential, {
+      foreignKey: 'visitor_id',
+      as: 'credential'
+    });
+
+    Visitor.hasMany(models.VisitorDocument, {
+      foreignKey: 'visitor_id',
+      as: 'documents'
+    });
+
+    Visitor.belongsTo(models.User, {
+      foreignKey: 'verified_by',
+      as: 'verifier'
+    });
+
+    Visitor.belongsTo(models.User, {
+      foreignKey: 'archived_by',
+      as: 'archiver'
+    });
   };
 
   return Visitor;
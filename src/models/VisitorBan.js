@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VisitorBan = sequelize.define('VisitorBan', {
+    ban_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    visitor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'visitors',
+        key: 'visitor_id'
+      }
+    },
+    scope: {
+      type: DataTypes.ENUM('Prisoner', 'Prison', 'System'),
+      allowNull: false
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      },
+      comment: 'Set for Prisoner scope'
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      },
+      comment: 'Set for Prison scope'
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    starts_on: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    ends_on: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Last day of the ban, null for an indefinite ban'
+    },
+    imposed_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    lifted_at: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when the ban is lifted before it ends'
+    },
+    lifted_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    lift_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'visitor_bans',
+    timestamps: true,
+    indexes: [
+      { fields: ['visitor_id', 'ends_on'] }
+    ]
+  });
+
+  VisitorBan.associate = (models) => {
+    VisitorBan.belongsTo(models.Visitor, {
+      foreignKey: 'visitor_id',
+      as: 'visitor'
+    });
+
+    VisitorBan.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+
+    VisitorBan.belongsTo(models.Prison, {
+      foreignKey: 'prison_id',
+      as: 'prison'
+    });
+
+    VisitorBan.belongsTo(models.User, {
+      foreignKey: 'imposed_by',
+      as: 'imposer'
+    });
+
+    VisitorBan.belongsTo(models.User, {
+      foreignKey: 'lifted_by',
+      as: 'lifter'
+    });
+  };
+
+  return VisitorBan;
+};
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VisitorCredential = sequelize.define('VisitorCredential', {
+    credential_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    visitor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'visitors',
+        key: 'visitor_id'
+      }
+    },
+    credential_type: {
+      type: DataTypes.ENUM('Legal', 'Religious', 'Consular'),
+      allowNull: false,
+      comment: 'Professional visit type the credential allows'
+    },
+    organisation: {
+      type: DataTypes.STRING(200),
+      allowNull: false
+    },
+    registration_number: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Bar number or other professional registration'
+    },
+    expires_on: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    verification_status: {
+      type: DataTypes.ENUM('Pending', 'Verified', 'Rejected'),
+      allowNull: false,
+      defaultValue: 'Pending'
+    },
+    verified_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    verified_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    verification_notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'visitor_credentials',
+    timestamps: true
+  });
+
+  VisitorCredential.associate = (models) => {
+    VisitorCredential.belongsTo(models.Visitor, {
+      foreignKey: 'visitor_id',
+      as: 'visitor'
+    });
+
+    VisitorCredential.belongsTo(models.User, {
+      foreignKey: 'verified_by',
+      as: 'verifier'
+    });
+  };
+
+  return VisitorCredential;
+};
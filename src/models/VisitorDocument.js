@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const VisitorDocument = sequelize.define('VisitorDocument', {
+    document_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    visitor_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'visitors',
+        key: 'visitor_id'
+      }
+    },
+    document_url: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    document_type: {
+      type: DataTypes.ENUM('Photo', 'ID Front', 'ID Back'),
+      allowNull: false
+    },
+    uploaded_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    },
+    upload_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'visitor_documents',
+    timestamps: true,
+    updatedAt: false
+  });
+
+  VisitorDocument.associate = (models) => {
+    VisitorDocument.belongsTo(models.Visitor, {
+      foreignKey: 'visitor_id',
+      as: 'visitor'
+    });
+
+    VisitorDocument.belongsTo(models.User, {
+      foreignKey: 'uploaded_by',
+      as: 'uploader'
+    });
+  };
+
+  return VisitorDocument;
+};
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WorkAssignment = sequelize.define('WorkAssignment', {
+    assignment_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prisoner_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisoners',
+        key: 'prisoner_id'
+      }
+    },
+    job_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'work_jobs',
+        key: 'job_id'
+      }
+    },
+    start_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    end_date: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'Last working day; null while the assignment is open'
+    },
+    end_reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    assigned_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'work_assignments',
+    timestamps: true
+  });
+
+  WorkAssignment.associate = (models) => {
+    WorkAssignment.belongsTo(models.Prisoner, {
+      foreignKey: 'prisoner_id',
+      as: 'prisoner'
+    });
+
+    WorkAssignment.belongsTo(models.WorkJob, {
+      foreignKey: 'job_id',
+      as: 'job'
+    });
+
+    WorkAssignment.belongsTo(models.User, {
+      foreignKey: 'assigned_by',
+      as: 'assigner'
+    });
+
+    WorkAssignment.hasMany(models.PrisonerWorkRecord, {
+      foreignKey: 'assignment_id',
+      as: 'workRecords'
+    });
+  };
+
+  return WorkAssignment;
+};
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WorkJob = sequelize.define('WorkJob', {
+    job_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    prison_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'prisons',
+        key: 'prison_id'
+      }
+    },
+    job_name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    category: {
+      type: DataTypes.ENUM('Kitchen', 'Laundry', 'Workshop', 'Farm', 'Cleaning', 'Maintenance', 'Other'),
+      allowNull: false
+    },
+    skill_level: {
+      type: DataTypes.ENUM('Unskilled', 'Semi-skilled', 'Skilled'),
+      allowNull: false,
+      defaultValue: 'Unskilled'
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'work_jobs',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['prison_id', 'job_name'] }
+    ]
+  });
+
+  WorkJob.associate = (models) => {
+    WorkJob.belongsTo(models.Prison, {
+      foreignKey: 'prison_id',
+      as: 'prison'
+    });
+
+    WorkJob.hasMany(models.WorkPayRate, {
+      foreignKey: 'job_id',
+      as: 'rates'
+    });
+
+    WorkJob.hasMany(models.WorkAssignment, {
+      foreignKey: 'job_id',
+      as: 'assignments'
+    });
+  };
+
+  return WorkJob;
+};
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WorkPayRate = sequelize.define('WorkPayRate', {
+    rate_id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    job_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'work_jobs',
+        key: 'job_id'
+      }
+    },
+    hourly_rate: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false
+    },
+    effective_from: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Rate applies to work on or after this date until the next rate'
+    },
+    created_by: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'user_id'
+      }
+    }
+  }, {
+    tableName: 'work_pay_rates',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['job_id', 'effective_from'] }
+    ]
+  });
+
+  WorkPayRate.associate = (models) => {
+    WorkPayRate.belongsTo(models.WorkJob, {
+      foreignKey: 'job_id',
+      as: 'job'
+    });
+
+    WorkPayRate.belongsTo(models.User, {
+      foreignKey: 'created_by',
+      as: 'creator'
+    });
+  };
+
+  return WorkPayRate;
+};
@@ -2,6 +2,7 @@ const { sequelize } = require('../config/database');
 const { Sequelize } = require('sequelize');   // <-- Add this
 const fs = require('fs');
 const path = require('path');
+const { registerAuditHooks } = require('../utils/auditTrail');
 
 const db = {};
 
@@ -29,6 +30,9 @@ Object.keys(db).forEach(modelName => {
   }
 });
 
+// Record every change to audited models
+registerAuditHooks(db);
+
 db.sequelize = sequelize;
 db.Sequelize = Sequelize;    // <-- FIX added here
 
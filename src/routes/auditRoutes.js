@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { hasAnyPermission } = require('../middleware/permissionMiddleware');
+const { hasAnyRole, isSuperAdmin } = require('../middleware/roleMiddleware');
+const { handleValidationErrors } = require('../middleware/validationMiddleware');
+const { PERMISSIONS, USER_ROLES } = require('../config/constants');
+const { auditLogQueryValidation } = require('../utils/validators/auditValidation');
+
+/**
+ * @route   GET /api/audit-logs
+ * @desc    Get audit log entries (filter by table, record, user, date range)
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.get(
+  '/',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.VIEW_AUDIT_LOGS]),
+  auditLogQueryValidation,
+  handleValidationErrors,
+  auditController.getAuditLogs
+);
+
+/**
+ * @route   GET /api/audit-logs/verify
+ * @desc    Verify the audit log hash chain
+ * @access  Private (Super Admin only)
+ */
+router.get(
+  '/verify',
+  authenticate,
+  isSuperAdmin,
+  auditController.verifyAuditChain
+);
+
+/**
+ * @route   GET /api/audit-logs/:id
+ * @desc    Get audit log entry by ID
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.VIEW_AUDIT_LOGS]),
+  auditController.getAuditLogById
+);
+
+module.exports = router;
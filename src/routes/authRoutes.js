@@ -7,7 +7,12 @@ const { auditLog } = require('../middleware/auditMiddleware');
 const {
   loginValidation,
   refreshTokenValidation,
-  changePasswordValidation
+  changePasswordValidation,
+  sessionQueryValidation,
+  revokeSessionValidation,
+  twoFactorLoginValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation
 } = require('../utils/validators/authValidation');
 
 /**
@@ -23,6 +28,18 @@ router.post(
   authController.login
 );
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with a two-factor code or recovery code
+ * @access  Public
+ */
+router.post(
+  '/login/2fa',
+  twoFactorLoginValidation,
+  handleValidationErrors,
+  authController.verifyTwoFactorLogin
+);
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token
@@ -72,4 +89,95 @@ router.post(
   authController.logout
 );
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    Get active sessions (admins may pass user_id)
+ * @access  Private
+ */
+router.get(
+  '/sessions',
+  authenticate,
+  sessionQueryValidation,
+  handleValidationErrors,
+  authController.getSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a session
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  revokeSessionValidation,
+  handleValidationErrors,
+  auditLog('REVOKE_SESSION'),
+  authController.revokeSession
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor status
+ * @access  Private
+ */
+router.get(
+  '/2fa',
+  authenticate,
+  authController.getTwoFactorStatus
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start two-factor enrolment (returns secret and otpauth URL for the QR code)
+ * @access  Private
+ */
+router.post(
+  '/2fa/setup',
+  authenticate,
+  authController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrolment with a code and receive recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/enable',
+  authenticate,
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  auditLog('ENABLE_TWO_FACTOR'),
+  authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  authenticate,
+  disableTwoFactorValidation,
+  handleValidationErrors,
+  auditLog('DISABLE_TWO_FACTOR'),
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  twoFactorCodeValidation,
+  handleValidationErrors,
+  auditLog('REGENERATE_RECOVERY_CODES'),
+  authController.regenerateRecoveryCodes
+);
+
 module.exports = router;
\ No newline at end of file
@@ -10,7 +10,8 @@ const { PERMISSIONS, USER_ROLES } = require('../config/constants');
 const {
   createBehaviourRecordValidation,
   updateBehaviourRecordValidation,
-  approveSentenceAdjustmentValidation
+  approveSentenceAdjustmentValidation,
+  reverseSentenceAdjustmentValidation
 } = require('../utils/validators/behaviourValidation');
 
 /**
@@ -148,6 +149,22 @@ router.post(
   behaviourController.rejectSentenceAdjustment
 );
 
+/**
+ * @route   POST /api/behaviour-records/:id/reverse-adjustment
+ * @desc    Reverse an approved sentence adjustment
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/reverse-adjustment',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.ADJUST_SENTENCE]),
+  reverseSentenceAdjustmentValidation,
+  handleValidationErrors,
+  auditLog('REVERSE_SENTENCE_ADJUSTMENT'),
+  behaviourController.reverseSentenceAdjustment
+);
+
 /**
  * @route   GET /api/behaviour-records/prisoner/:prisonerId/score
  * @desc    Calculate behaviour score for a prisoner
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const housingController = require('../controllers/housingController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { hasAnyPermission } = require('../middleware/permissionMiddleware');
+const { hasAnyRole } = require('../middleware/roleMiddleware');
+const { handleValidationErrors } = require('../middleware/validationMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { PERMISSIONS, USER_ROLES } = require('../config/constants');
+const {
+  createHousingUnitValidation,
+  updateHousingUnitValidation,
+  createCellValidation,
+  updateCellValidation
+} = require('../utils/validators/housingValidation');
+
+/**
+ * @route   GET /api/housing/prisons/:prisonId
+ * @desc    Get blocks, wings and cells of a prison with occupancy
+ * @access  Private
+ */
+router.get(
+  '/prisons/:prisonId',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_HOUSING, PERMISSIONS.VIEW_PRISONERS, PERMISSIONS.MANAGE_PRISONERS]),
+  housingController.getHousingUnits
+);
+
+/**
+ * @route   POST /api/housing/units
+ * @desc    Create block or wing
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/units',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.MANAGE_HOUSING]),
+  createHousingUnitValidation,
+  handleValidationErrors,
+  auditLog('CREATE_HOUSING_UNIT'),
+  housingController.createHousingUnit
+);
+
+/**
+ * @route   PUT /api/housing/units/:id
+ * @desc    Update block or wing
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.put(
+  '/units/:id',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.MANAGE_HOUSING]),
+  updateHousingUnitValidation,
+  handleValidationErrors,
+  auditLog('UPDATE_HOUSING_UNIT'),
+  housingController.updateHousingUnit
+);
+
+/**
+ * @route   POST /api/housing/cells
+ * @desc    Create cell
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/cells',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.MANAGE_HOUSING]),
+  createCellValidation,
+  handleValidationErrors,
+  auditLog('CREATE_CELL'),
+  housingController.createCell
+);
+
+/**
+ * @route   PUT /api/housing/cells/:id
+ * @desc    Update cell
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.put(
+  '/cells/:id',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.MANAGE_HOUSING]),
+  updateCellValidation,
+  handleValidationErrors,
+  auditLog('UPDATE_CELL'),
+  housingController.updateCell
+);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const payrollController = require('../controllers/payrollController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { hasAnyPermission } = require('../middleware/permissionMiddleware');
+const { hasAnyRole } = require('../middleware/roleMiddleware');
+const { handleValidationErrors } = require('../middleware/validationMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { PERMISSIONS, USER_ROLES } = require('../config/constants');
+const {
+  createPayrollRunValidation,
+  postPayrollRunValidation,
+  closePayrollRunValidation,
+  exportPayrollRunValidation
+} = require('../utils/validators/payrollValidation');
+
+/**
+ * @route   POST /api/payroll-runs
+ * @desc    Open a draft payroll run of a prison's pending work records for a period
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.APPROVE_PAYMENT, PERMISSIONS.MANAGE_WORK_RECORDS]),
+  createPayrollRunValidation,
+  handleValidationErrors,
+  auditLog('CREATE_PAYROLL_RUN'),
+  payrollController.createPayrollRun
+);
+
+/**
+ * @route   GET /api/payroll-runs/:id
+ * @desc    Get payroll run with totals per prisoner
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.APPROVE_PAYMENT, PERMISSIONS.MANAGE_WORK_RECORDS]),
+  payrollController.getPayrollRunById
+);
+
+/**
+ * @route   GET /api/payroll-runs/:id/export
+ * @desc    Download payroll run summary as CSV or PDF
+ * @access  Private
+ */
+router.get(
+  '/:id/export',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.APPROVE_PAYMENT, PERMISSIONS.MANAGE_WORK_RECORDS]),
+  exportPayrollRunValidation,
+  handleValidationErrors,
+  payrollController.exportPayrollRun
+);
+
+/**
+ * @route   POST /api/payroll-runs/:id/approve
+ * @desc    Approve draft payroll run
+ * @access  Private
+ */
+router.post(
+  '/:id/approve',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.APPROVE_PAYMENT]),
+  auditLog('APPROVE_PAYROLL_RUN'),
+  payrollController.approvePayrollRun
+);
+
+/**
+ * @route   POST /api/payroll-runs/:id/post
+ * @desc    Post approved payroll run to payments and prisoner accounts
+ * @access  Private
+ */
+router.post(
+  '/:id/post',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.APPROVE_PAYMENT]),
+  postPayrollRunValidation,
+  handleValidationErrors,
+  auditLog('POST_PAYROLL_RUN'),
+  payrollController.postPayrollRun
+);
+
+/**
+ * @route   POST /api/payroll-runs/:id/cancel
+ * @desc    Cancel payroll run before it is posted
+ * @access  Private
+ */
+router.post(
+  '/:id/cancel',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.APPROVE_PAYMENT, PERMISSIONS.MANAGE_WORK_RECORDS]),
+  closePayrollRunValidation,
+  handleValidationErrors,
+  auditLog('CANCEL_PAYROLL_RUN'),
+  payrollController.cancelPayrollRun
+);
+
+/**
+ * @route   POST /api/payroll-runs/:id/reverse
+ * @desc    Reverse posted payroll run
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/reverse',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.APPROVE_PAYMENT]),
+  closePayrollRunValidation,
+  handleValidationErrors,
+  auditLog('REVERSE_PAYROLL_RUN'),
+  payrollController.reversePayrollRun
+);
+
+module.exports = router;
@@ -2,15 +2,29 @@ const express = require('express');
 const router = express.Router();
 const prisonController = require('../controllers/prisonController');
 const { authenticate } = require('../middleware/authMiddleware');
-const { isSuperAdmin } = require('../middleware/roleMiddleware');
+const { isSuperAdmin, isPrisonAdmin } = require('../middleware/roleMiddleware');
 const { hasAnyPermission } = require('../middleware/permissionMiddleware');
 const { handleValidationErrors } = require('../middleware/validationMiddleware');
 const { auditLog } = require('../middleware/auditMiddleware');
 const { PERMISSIONS } = require('../config/constants');
 const {
   createPrisonValidation,
-  updatePrisonValidation
+  updatePrisonValidation,
+  visitRuleValidation,
+  createVisitingRoomValidation,
+  updateVisitingRoomValidation,
+  createVisitSlotValidation,
+  updateVisitSlotValidation,
+  createBlackoutValidation,
+  blackoutListValidation
 } = require('../utils/validators/prisonValidation');
+const { transferQueueValidation } = require('../utils/validators/transferValidation');
+const {
+  createJobValidation,
+  updateJobValidation,
+  payRateValidation
+} = require('../utils/validators/workRecordValidation');
+const { payrollRunListValidation } = require('../utils/validators/payrollValidation');
 
 /**
  * @route   GET /api/prisons
@@ -48,6 +62,256 @@ router.get(
   prisonController.getPrisonStatistics
 );
 
+/**
+ * @route   GET /api/prisons/:id/transfers
+ * @desc    Get inbound or outbound transfer queue of prison
+ * @access  Private
+ */
+router.get(
+  '/:id/transfers',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_PRISONERS, PERMISSIONS.MANAGE_PRISONERS]),
+  transferQueueValidation,
+  handleValidationErrors,
+  prisonController.getPrisonTransfers
+);
+
+/**
+ * @route   GET /api/prisons/:id/visit-rules
+ * @desc    Get visit quota and frequency rules of prison
+ * @access  Private
+ */
+router.get(
+  '/:id/visit-rules',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  prisonController.getVisitRules
+);
+
+/**
+ * @route   PUT /api/prisons/:id/visit-rules
+ * @desc    Create or replace the visit rule for a behaviour rating or the prison default
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.put(
+  '/:id/visit-rules',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  visitRuleValidation,
+  handleValidationErrors,
+  auditLog('SAVE_VISIT_RULE'),
+  prisonController.saveVisitRule
+);
+
+/**
+ * @route   DELETE /api/prisons/:id/visit-rules/:ruleId
+ * @desc    Delete a visit rule
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.delete(
+  '/:id/visit-rules/:ruleId',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  auditLog('DELETE_VISIT_RULE'),
+  prisonController.deleteVisitRule
+);
+
+/**
+ * @route   GET /api/prisons/:id/visiting-rooms
+ * @desc    Get visiting rooms of prison with their slot timetables
+ * @access  Private
+ */
+router.get(
+  '/:id/visiting-rooms',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  prisonController.getVisitingRooms
+);
+
+/**
+ * @route   POST /api/prisons/:id/visiting-rooms
+ * @desc    Create visiting room
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/visiting-rooms',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  createVisitingRoomValidation,
+  handleValidationErrors,
+  auditLog('CREATE_VISITING_ROOM'),
+  prisonController.createVisitingRoom
+);
+
+/**
+ * @route   PUT /api/prisons/:id/visiting-rooms/:roomId
+ * @desc    Update or deactivate visiting room
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.put(
+  '/:id/visiting-rooms/:roomId',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  updateVisitingRoomValidation,
+  handleValidationErrors,
+  auditLog('UPDATE_VISITING_ROOM'),
+  prisonController.updateVisitingRoom
+);
+
+/**
+ * @route   POST /api/prisons/:id/visiting-rooms/:roomId/slots
+ * @desc    Add a weekly bookable slot with seat capacity to a visiting room
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/visiting-rooms/:roomId/slots',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  createVisitSlotValidation,
+  handleValidationErrors,
+  auditLog('CREATE_VISIT_SLOT'),
+  prisonController.createVisitSlot
+);
+
+/**
+ * @route   PUT /api/prisons/:id/visiting-rooms/:roomId/slots/:slotId
+ * @desc    Update capacity of a visit slot or take it out of the timetable
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.put(
+  '/:id/visiting-rooms/:roomId/slots/:slotId',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  updateVisitSlotValidation,
+  handleValidationErrors,
+  auditLog('UPDATE_VISIT_SLOT'),
+  prisonController.updateVisitSlot
+);
+
+/**
+ * @route   GET /api/prisons/:id/visit-blackouts
+ * @desc    Get blackout dates and holidays of prison
+ * @access  Private
+ */
+router.get(
+  '/:id/visit-blackouts',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  blackoutListValidation,
+  handleValidationErrors,
+  prisonController.getVisitBlackouts
+);
+
+/**
+ * @route   POST /api/prisons/:id/visit-blackouts
+ * @desc    Close prison or one of its visiting rooms to visits on a date
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/visit-blackouts',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  createBlackoutValidation,
+  handleValidationErrors,
+  auditLog('CREATE_VISIT_BLACKOUT'),
+  prisonController.createVisitBlackout
+);
+
+/**
+ * @route   DELETE /api/prisons/:id/visit-blackouts/:blackoutId
+ * @desc    Remove a blackout date
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.delete(
+  '/:id/visit-blackouts/:blackoutId',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.MANAGE_PRISONS]),
+  auditLog('DELETE_VISIT_BLACKOUT'),
+  prisonController.deleteVisitBlackout
+);
+
+/**
+ * @route   GET /api/prisons/:id/jobs
+ * @desc    Get job catalogue of prison with pay rate schedules
+ * @access  Private
+ */
+router.get(
+  '/:id/jobs',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_WORK_RECORDS, PERMISSIONS.MANAGE_WORK_RECORDS, PERMISSIONS.MANAGE_PRISONS]),
+  prisonController.getJobs
+);
+
+/**
+ * @route   POST /api/prisons/:id/jobs
+ * @desc    Add job with skill level and hourly rate to prison's catalogue
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/jobs',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_WORK_RECORDS, PERMISSIONS.MANAGE_PRISONS]),
+  createJobValidation,
+  handleValidationErrors,
+  auditLog('CREATE_WORK_JOB'),
+  prisonController.createJob
+);
+
+/**
+ * @route   PUT /api/prisons/:id/jobs/:jobId
+ * @desc    Update job or withdraw it from the catalogue
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.put(
+  '/:id/jobs/:jobId',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_WORK_RECORDS, PERMISSIONS.MANAGE_PRISONS]),
+  updateJobValidation,
+  handleValidationErrors,
+  auditLog('UPDATE_WORK_JOB'),
+  prisonController.updateJob
+);
+
+/**
+ * @route   POST /api/prisons/:id/jobs/:jobId/rates
+ * @desc    Add an hourly rate to a job's pay-rate schedule from a date
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/jobs/:jobId/rates',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_WORK_RECORDS, PERMISSIONS.MANAGE_PRISONS]),
+  payRateValidation,
+  handleValidationErrors,
+  auditLog('ADD_WORK_PAY_RATE'),
+  prisonController.addJobPayRate
+);
+
+/**
+ * @route   GET /api/prisons/:id/payroll-runs
+ * @desc    Get payroll runs of prison
+ * @access  Private
+ */
+router.get(
+  '/:id/payroll-runs',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.APPROVE_PAYMENT, PERMISSIONS.MANAGE_WORK_RECORDS]),
+  payrollRunListValidation,
+  handleValidationErrors,
+  prisonController.getPayrollRuns
+);
+
 /**
  * @route   POST /api/prisons
  * @desc    Create new prison
@@ -10,11 +10,30 @@ const { PERMISSIONS, USER_ROLES } = require('../config/constants');
 const {
   registerPrisonerValidation,
   updatePrisonerValidation,
+  sentenceValidation,
   familyDetailsValidation,
   bodyMarkValidation,
   transferPrisonerValidation,
   releasePrisonerValidation
 } = require('../utils/validators/prisonerValidation');
+const {
+  assignCellValidation,
+  vacateCellValidation
+} = require('../utils/validators/housingValidation');
+const {
+  assignJobValidation,
+  endAssignmentValidation
+} = require('../utils/validators/workRecordValidation');
+const {
+  accountStatementValidation,
+  accountEntryValidation,
+  reverseAccountEntryValidation
+} = require('../utils/validators/accountValidation');
+const {
+  addApprovedVisitorValidation,
+  reviewApprovedVisitorValidation,
+  liftValidation
+} = require('../utils/validators/visitorValidation');
 const multer = require('multer');
 const path = require('path');
 
@@ -125,6 +144,22 @@ router.delete(
   prisonerController.deletePrisoner
 );
 
+/**
+ * @route   POST /api/prisoners/:id/sentences
+ * @desc    Add sentence to prisoner and recompute release date
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/sentences',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.ADJUST_SENTENCE, PERMISSIONS.MANAGE_PRISONERS]),
+  sentenceValidation,
+  handleValidationErrors,
+  auditLog('ADD_SENTENCE'),
+  prisonerController.addSentence
+);
+
 /**
  * @route   POST /api/prisoners/:id/family
  * @desc    Add family details to prisoner
@@ -238,9 +273,218 @@ router.delete(
   prisonerController.deleteBodyMark
 );
 
+/**
+ * @route   GET /api/prisoners/:id/placements
+ * @desc    Get cell placement history of prisoner
+ * @access  Private
+ */
+router.get(
+  '/:id/placements',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_PRISONERS, PERMISSIONS.MANAGE_PRISONERS]),
+  prisonerController.getPlacementHistory
+);
+
+/**
+ * @route   PUT /api/prisoners/:id/cell
+ * @desc    Assign or move prisoner to a cell
+ * @access  Private
+ */
+router.put(
+  '/:id/cell',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_PRISONERS, PERMISSIONS.UPDATE_PRISONER]),
+  assignCellValidation,
+  handleValidationErrors,
+  auditLog('ASSIGN_CELL'),
+  prisonerController.assignCell
+);
+
+/**
+ * @route   DELETE /api/prisoners/:id/cell
+ * @desc    Vacate prisoner's current cell
+ * @access  Private
+ */
+router.delete(
+  '/:id/cell',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_PRISONERS, PERMISSIONS.UPDATE_PRISONER]),
+  vacateCellValidation,
+  handleValidationErrors,
+  auditLog('VACATE_CELL'),
+  prisonerController.vacateCell
+);
+
+/**
+ * @route   GET /api/prisoners/:id/approved-visitors
+ * @desc    Get prisoner's approved visitor list
+ * @access  Private
+ */
+router.get(
+  '/:id/approved-visitors',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.VIEW_PRISONERS]),
+  prisonerController.getApprovedVisitors
+);
+
+/**
+ * @route   POST /api/prisoners/:id/approved-visitors
+ * @desc    Request a visitor be added to prisoner's approved list
+ * @access  Private
+ */
+router.post(
+  '/:id/approved-visitors',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.SCHEDULE_VISIT]),
+  addApprovedVisitorValidation,
+  handleValidationErrors,
+  auditLog('REQUEST_APPROVED_VISITOR'),
+  prisonerController.addApprovedVisitor
+);
+
+/**
+ * @route   PUT /api/prisoners/:id/approved-visitors/:approvalId
+ * @desc    Approve, reject or remove a visitor on prisoner's approved list
+ * @access  Private
+ */
+router.put(
+  '/:id/approved-visitors/:approvalId',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.APPROVE_VISIT]),
+  reviewApprovedVisitorValidation,
+  handleValidationErrors,
+  auditLog('REVIEW_APPROVED_VISITOR'),
+  prisonerController.reviewApprovedVisitor
+);
+
+/**
+ * @route   GET /api/prisoners/:id/visit-restrictions
+ * @desc    Get prisoner's visit restrictions from behaviour sanctions
+ * @access  Private
+ */
+router.get(
+  '/:id/visit-restrictions',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS, PERMISSIONS.VIEW_BEHAVIOUR]),
+  prisonerController.getVisitRestrictions
+);
+
+/**
+ * @route   POST /api/prisoners/:id/visit-restrictions/:restrictionId/lift
+ * @desc    Lift a visit restriction before it ends
+ * @access  Private
+ */
+router.post(
+  '/:id/visit-restrictions/:restrictionId/lift',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_BEHAVIOUR]),
+  liftValidation,
+  handleValidationErrors,
+  auditLog('LIFT_VISIT_RESTRICTION'),
+  prisonerController.liftVisitRestriction
+);
+
+/**
+ * @route   GET /api/prisoners/:id/work-assignments
+ * @desc    Get prisoner's job assignments
+ * @access  Private
+ */
+router.get(
+  '/:id/work-assignments',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_WORK_RECORDS, PERMISSIONS.MANAGE_WORK_RECORDS]),
+  prisonerController.getWorkAssignments
+);
+
+/**
+ * @route   POST /api/prisoners/:id/work-assignments
+ * @desc    Assign prisoner to a job from the prison's catalogue
+ * @access  Private
+ */
+router.post(
+  '/:id/work-assignments',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_WORK_RECORDS]),
+  assignJobValidation,
+  handleValidationErrors,
+  auditLog('ASSIGN_WORK_JOB'),
+  prisonerController.assignJob
+);
+
+/**
+ * @route   POST /api/prisoners/:id/work-assignments/:assignmentId/end
+ * @desc    End prisoner's work assignment
+ * @access  Private
+ */
+router.post(
+  '/:id/work-assignments/:assignmentId/end',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_WORK_RECORDS]),
+  endAssignmentValidation,
+  handleValidationErrors,
+  auditLog('END_WORK_ASSIGNMENT'),
+  prisonerController.endWorkAssignment
+);
+
+/**
+ * @route   GET /api/prisoners/:id/account
+ * @desc    Get prisoner's account statement for a date range
+ * @access  Private
+ */
+router.get(
+  '/:id/account',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_ACCOUNTS, PERMISSIONS.MANAGE_ACCOUNTS]),
+  accountStatementValidation,
+  handleValidationErrors,
+  prisonerController.getAccount
+);
+
+/**
+ * @route   POST /api/prisoners/:id/account/entries
+ * @desc    Post a deposit, canteen purchase, fine or restitution to prisoner's account
+ * @access  Private
+ */
+router.post(
+  '/:id/account/entries',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_ACCOUNTS]),
+  accountEntryValidation,
+  handleValidationErrors,
+  auditLog('RECORD_ACCOUNT_ENTRY'),
+  prisonerController.recordAccountEntry
+);
+
+/**
+ * @route   POST /api/prisoners/:id/account/entries/:entryId/reverse
+ * @desc    Reverse an account entry with a compensating entry
+ * @access  Private
+ */
+router.post(
+  '/:id/account/entries/:entryId/reverse',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_ACCOUNTS]),
+  reverseAccountEntryValidation,
+  handleValidationErrors,
+  auditLog('REVERSE_ACCOUNT_ENTRY'),
+  prisonerController.reverseAccountEntry
+);
+
+/**
+ * @route   GET /api/prisoners/:id/transfers
+ * @desc    Get transfer history of prisoner
+ * @access  Private
+ */
+router.get(
+  '/:id/transfers',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_PRISONERS, PERMISSIONS.MANAGE_PRISONERS]),
+  prisonerController.getPrisonerTransfers
+);
+
 /**
  * @route   POST /api/prisoners/:id/transfer
- * @desc    Transfer prisoner to another prison
+ * @desc    Request transfer of prisoner to another prison
  * @access  Private (Prison Admin or Super Admin only)
  */
 router.post(
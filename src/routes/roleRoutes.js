@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { isSuperAdmin } = require('../middleware/roleMiddleware');
+const { hasAnyPermission } = require('../middleware/permissionMiddleware');
+const { handleValidationErrors } = require('../middleware/validationMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { PERMISSIONS } = require('../config/constants');
+const {
+  createRoleValidation,
+  updateRoleValidation,
+  attachPermissionsValidation,
+  detachPermissionValidation
+} = require('../utils/validators/roleValidation');
+
+/**
+ * @route   GET /api/roles
+ * @desc    Get all roles with their permissions
+ * @access  Private (Super Admin only)
+ */
+router.get(
+  '/',
+  authenticate,
+  isSuperAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_ROLES]),
+  roleController.getAllRoles
+);
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    Get all permissions
+ * @access  Private (Super Admin only)
+ */
+router.get(
+  '/permissions',
+  authenticate,
+  isSuperAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_ROLES]),
+  roleController.getAllPermissions
+);
+
+/**
+ * @route   GET /api/roles/:id
+ * @desc    Get role by ID
+ * @access  Private (Super Admin only)
+ */
+router.get(
+  '/:id',
+  authenticate,
+  isSuperAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_ROLES]),
+  roleController.getRoleById
+);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create role
+ * @access  Private (Super Admin only)
+ */
+router.post(
+  '/',
+  authenticate,
+  isSuperAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_ROLES]),
+  createRoleValidation,
+  handleValidationErrors,
+  auditLog('CREATE_ROLE'),
+  roleController.createRole
+);
+
+/**
+ * @route   PUT /api/roles/:id
+ * @desc    Update role
+ * @access  Private (Super Admin only)
+ */
+router.put(
+  '/:id',
+  authenticate,
+  isSuperAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_ROLES]),
+  updateRoleValidation,
+  handleValidationErrors,
+  auditLog('UPDATE_ROLE'),
+  roleController.updateRole
+);
+
+/**
+ * @route   DELETE /api/roles/:id
+ * @desc    Delete role (built-in roles and roles in use cannot be deleted)
+ * @access  Private (Super Admin only)
+ */
+router.delete(
+  '/:id',
+  authenticate,
+  isSuperAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_ROLES]),
+  auditLog('DELETE_ROLE'),
+  roleController.deleteRole
+);
+
+/**
+ * @route   POST /api/roles/:id/permissions
+ * @desc    Grant permissions to a role
+ * @access  Private (Super Admin only)
+ */
+router.post(
+  '/:id/permissions',
+  authenticate,
+  isSuperAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_ROLES]),
+  attachPermissionsValidation,
+  handleValidationErrors,
+  auditLog('GRANT_PERMISSIONS'),
+  roleController.attachPermissions
+);
+
+/**
+ * @route   DELETE /api/roles/:id/permissions/:permissionId
+ * @desc    Revoke a permission from a role
+ * @access  Private (Super Admin only)
+ */
+router.delete(
+  '/:id/permissions/:permissionId',
+  authenticate,
+  isSuperAdmin,
+  hasAnyPermission([PERMISSIONS.MANAGE_ROLES]),
+  detachPermissionValidation,
+  handleValidationErrors,
+  auditLog('REVOKE_PERMISSION'),
+  roleController.detachPermission
+);
+
+module.exports = router;
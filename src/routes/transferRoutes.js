@@ -0,0 +1,108 @@
+const express = require('express');
+const router = express.Router();
+const transferController = require('../controllers/transferController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { hasAnyPermission } = require('../middleware/permissionMiddleware');
+const { hasAnyRole } = require('../middleware/roleMiddleware');
+const { handleValidationErrors } = require('../middleware/validationMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { PERMISSIONS, USER_ROLES } = require('../config/constants');
+const {
+  transferStepValidation,
+  approveTransferValidation,
+  closeTransferValidation
+} = require('../utils/validators/transferValidation');
+
+/**
+ * @route   GET /api/transfers/:id
+ * @desc    Get transfer by ID
+ * @access  Private
+ */
+router.get(
+  '/:id',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_PRISONERS, PERMISSIONS.MANAGE_PRISONERS]),
+  transferController.getTransferById
+);
+
+/**
+ * @route   POST /api/transfers/:id/approve
+ * @desc    Approve transfer request (destination prison)
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/approve',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.MANAGE_PRISONERS]),
+  approveTransferValidation,
+  handleValidationErrors,
+  auditLog('APPROVE_TRANSFER'),
+  transferController.approveTransfer
+);
+
+/**
+ * @route   POST /api/transfers/:id/reject
+ * @desc    Reject transfer request (destination prison)
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/reject',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.MANAGE_PRISONERS]),
+  closeTransferValidation,
+  handleValidationErrors,
+  auditLog('REJECT_TRANSFER'),
+  transferController.rejectTransfer
+);
+
+/**
+ * @route   POST /api/transfers/:id/cancel
+ * @desc    Cancel transfer request (source prison)
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/cancel',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.MANAGE_PRISONERS]),
+  closeTransferValidation,
+  handleValidationErrors,
+  auditLog('CANCEL_TRANSFER'),
+  transferController.cancelTransfer
+);
+
+/**
+ * @route   POST /api/transfers/:id/dispatch
+ * @desc    Dispatch prisoner to destination prison (source prison)
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/dispatch',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.MANAGE_PRISONERS]),
+  transferStepValidation,
+  handleValidationErrors,
+  auditLog('DISPATCH_TRANSFER'),
+  transferController.dispatchTransfer
+);
+
+/**
+ * @route   POST /api/transfers/:id/receive
+ * @desc    Receive prisoner at destination prison
+ * @access  Private (Prison Admin or Super Admin only)
+ */
+router.post(
+  '/:id/receive',
+  authenticate,
+  hasAnyRole([USER_ROLES.PRISON_ADMIN, USER_ROLES.SUPER_ADMIN]),
+  hasAnyPermission([PERMISSIONS.MANAGE_PRISONERS]),
+  transferStepValidation,
+  handleValidationErrors,
+  auditLog('RECEIVE_TRANSFER'),
+  transferController.receiveTransfer
+);
+
+module.exports = router;
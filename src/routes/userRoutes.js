@@ -10,7 +10,10 @@ const { PERMISSIONS } = require('../config/constants');
 const {
   createUserValidation,
   updateUserValidation,
-  resetPasswordValidation
+  resetPasswordValidation,
+  loginAttemptQueryValidation,
+  createDelegationValidation,
+  assignPrisonValidation
 } = require('../utils/validators/userValidation');
 const { body } = require('express-validator');
 
@@ -26,6 +29,21 @@ router.get(
   userController.getAllUsers
 );
 
+/**
+ * @route   GET /api/users/login-attempts
+ * @desc    Get login attempts for review
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/login-attempts',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.VIEW_USERS, PERMISSIONS.MANAGE_USERS]),
+  loginAttemptQueryValidation,
+  handleValidationErrors,
+  userController.getLoginAttempts
+);
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
@@ -100,6 +118,121 @@ router.post(
   userController.resetUserPassword
 );
 
+/**
+ * @route   POST /api/users/:id/unlock
+ * @desc    Unlock user account locked by failed logins
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/:id/unlock',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.UPDATE_USER, PERMISSIONS.MANAGE_USERS]),
+  auditLog('UNLOCK_USER'),
+  userController.unlockUser
+);
+
+/**
+ * @route   GET /api/users/:id/login-attempts
+ * @desc    Get login attempts for a user
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/:id/login-attempts',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.VIEW_USERS, PERMISSIONS.MANAGE_USERS]),
+  loginAttemptQueryValidation,
+  handleValidationErrors,
+  userController.getLoginAttempts
+);
+
+/**
+ * @route   GET /api/users/:id/delegations
+ * @desc    Get prison access delegated to a user
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/:id/delegations',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.VIEW_USERS, PERMISSIONS.MANAGE_USERS]),
+  userController.getUserDelegations
+);
+
+/**
+ * @route   POST /api/users/:id/delegations
+ * @desc    Delegate time-bounded access to another prison
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/:id/delegations',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.UPDATE_USER, PERMISSIONS.MANAGE_USERS]),
+  createDelegationValidation,
+  handleValidationErrors,
+  auditLog('DELEGATE_ACCESS'),
+  userController.grantDelegation
+);
+
+/**
+ * @route   DELETE /api/users/:id/delegations/:delegationId
+ * @desc    Revoke a delegation before it ends
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/:id/delegations/:delegationId',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.UPDATE_USER, PERMISSIONS.MANAGE_USERS]),
+  auditLog('REVOKE_DELEGATION'),
+  userController.revokeDelegation
+);
+
+/**
+ * @route   GET /api/users/:id/prisons
+ * @desc    Get a user's home prison and prison assignments
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/:id/prisons',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.VIEW_USERS, PERMISSIONS.MANAGE_USERS]),
+  userController.getUserPrisons
+);
+
+/**
+ * @route   POST /api/users/:id/prisons
+ * @desc    Assign a user to a further prison, optionally with another role or for a period
+ * @access  Private (Admin only)
+ */
+router.post(
+  '/:id/prisons',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.UPDATE_USER, PERMISSIONS.MANAGE_USERS]),
+  assignPrisonValidation,
+  handleValidationErrors,
+  auditLog('ASSIGN_PRISON'),
+  userController.assignPrison
+);
+
+/**
+ * @route   DELETE /api/users/:id/prisons/:assignmentId
+ * @desc    End a prison assignment
+ * @access  Private (Admin only)
+ */
+router.delete(
+  '/:id/prisons/:assignmentId',
+  authenticate,
+  isPrisonAdmin,
+  hasAnyPermission([PERMISSIONS.UPDATE_USER, PERMISSIONS.MANAGE_USERS]),
+  auditLog('END_PRISON_ASSIGNMENT'),
+  userController.endAssignment
+);
+
 /** 
  * @route   GET /api/users/roles/dropdown
  * @desc    Get all roles for dropdown
@@ -9,7 +9,14 @@ const { PERMISSIONS } = require('../config/constants');
 const {
   createVisitValidation,
   updateVisitValidation,
-  updateVisitStatusValidation
+  updateVisitStatusValidation,
+  checkInVisitValidation,
+  checkOutVisitValidation,
+  createVisitSeriesValidation,
+  updateVisitSeriesValidation,
+  cancelVisitSeriesValidation,
+  visitAvailabilityValidation,
+  visitAllowanceValidation
 } = require('../utils/validators/visitValidation');
 
 /**
@@ -48,6 +55,34 @@ router.get(
   visitController.getVisitsByPrisoner
 );
 
+/**
+ * @route   GET /api/visits/availability
+ * @desc    Get visiting slots of a prison on a date with seats booked and available
+ * @access  Private
+ */
+router.get(
+  '/availability',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS]),
+  visitAvailabilityValidation,
+  handleValidationErrors,
+  visitController.getVisitAvailability
+);
+
+/**
+ * @route   GET /api/visits/prisoner/:prisonerId/allowance
+ * @desc    Get remaining visit allowance for the week and month of a date
+ * @access  Private
+ */
+router.get(
+  '/prisoner/:prisonerId/allowance',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS]),
+  visitAllowanceValidation,
+  handleValidationErrors,
+  visitController.getVisitAllowance
+);
+
 /**
  * @route   GET /api/visits/upcoming
  * @desc    Get upcoming scheduled visits
@@ -60,6 +95,63 @@ router.get(
   visitController.getUpcomingVisits
 );
 
+/**
+ * @route   POST /api/visits/series
+ * @desc    Create a weekly, fortnightly or monthly visit series
+ * @access  Private (Visitor Manager or higher)
+ */
+router.post(
+  '/series',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  createVisitSeriesValidation,
+  handleValidationErrors,
+  auditLog('CREATE_VISIT_SERIES'),
+  visitController.createVisitSeries
+);
+
+/**
+ * @route   GET /api/visits/series/:seriesId
+ * @desc    Get visit series with its occurrences
+ * @access  Private
+ */
+router.get(
+  '/series/:seriesId',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS]),
+  visitController.getVisitSeries
+);
+
+/**
+ * @route   PUT /api/visits/series/:seriesId/occurrences/:visitId
+ * @desc    Update this and following occurrences of a visit series
+ * @access  Private (Visitor Manager or higher)
+ */
+router.put(
+  '/series/:seriesId/occurrences/:visitId',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  updateVisitSeriesValidation,
+  handleValidationErrors,
+  auditLog('UPDATE_VISIT_SERIES'),
+  visitController.updateVisitSeries
+);
+
+/**
+ * @route   POST /api/visits/series/:seriesId/occurrences/:visitId/cancel
+ * @desc    Cancel this and following occurrences of a visit series
+ * @access  Private (Visitor Manager or higher)
+ */
+router.post(
+  '/series/:seriesId/occurrences/:visitId/cancel',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  cancelVisitSeriesValidation,
+  handleValidationErrors,
+  auditLog('CANCEL_VISIT_SERIES'),
+  visitController.cancelVisitSeries
+);
+
 /**
  * @route   GET /api/visits/:id
  * @desc    Get visit by ID
@@ -104,7 +196,7 @@ router.put(
 
 /**
  * @route   PATCH /api/visits/:id/status
- * @desc    Update visit status (complete/cancel)
+ * @desc    Cancel a visit or mark it as a no-show or denied entry
  * @access  Private (Visitor Manager or higher)
  */
 router.patch(
@@ -117,6 +209,36 @@ router.patch(
   visitController.updateVisitStatus
 );
 
+/**
+ * @route   POST /api/visits/:id/check-in
+ * @desc    Check visitor in with search result and items deposited
+ * @access  Private (Visitor Manager or higher)
+ */
+router.post(
+  '/:id/check-in',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  checkInVisitValidation,
+  handleValidationErrors,
+  auditLog('CHECK_IN_VISIT'),
+  visitController.checkInVisit
+);
+
+/**
+ * @route   POST /api/visits/:id/check-out
+ * @desc    Check visitor out, returning deposited items, as completed or terminated
+ * @access  Private (Visitor Manager or higher)
+ */
+router.post(
+  '/:id/check-out',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  checkOutVisitValidation,
+  handleValidationErrors,
+  auditLog('CHECK_OUT_VISIT'),
+  visitController.checkOutVisit
+);
+
 /**
  * @route   DELETE /api/visits/:id
  * @desc    Delete visit
@@ -9,8 +9,58 @@ const { PERMISSIONS } = require('../config/constants');
 const {
   createVisitorValidation,
   updateVisitorValidation,
-  searchVisitorValidation
+  searchVisitorValidation,
+  banVisitorValidation,
+  liftValidation,
+  credentialValidation,
+  verifyCredentialValidation,
+  documentUploadValidation,
+  verifyVisitorValidation,
+  restoreVisitorValidation
 } = require('../utils/validators/visitorValidation');
+const { validationResult } = require('express-validator');
+const { DOCUMENT_DIR, removeUploadedFile } = require('../utils/visitorDocumentStorage');
+const multer = require('multer');
+const path = require('path');
+
+// Multer configuration for visitor photos and ID document scans, stored
+// outside the public uploads directory
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, DOCUMENT_DIR);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'visitor-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  // Accept images only
+  if (!file.originalname.match(/\.(jpg|jpeg|png|gif|webp)$/)) {
+    return cb(new Error('Only image files are allowed!'), false);
+  }
+  cb(null, true);
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB max file size
+  }
+});
+
+/**
+ * Validation runs after multer has stored the file, so drop the file when
+ * the request is about to be rejected
+ */
+const discardRejectedUpload = async (req, res, next) => {
+  if (req.file && !validationResult(req).isEmpty()) {
+    await removeUploadedFile(req.file);
+  }
+  next();
+};
 
 /**
  * @route   GET /api/visitors/statistics
@@ -105,6 +155,91 @@ router.delete(
   visitorController.deleteVisitor
 );
 
+/**
+ * @route   POST /api/visitors/:id/archive
+ * @desc    Archive visitor, keeping their visit history
+ * @access  Private (Visitor Manager or higher)
+ */
+router.post(
+  '/:id/archive',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  auditLog('ARCHIVE_VISITOR'),
+  visitorController.archiveVisitor
+);
+
+/**
+ * @route   POST /api/visitors/:id/restore
+ * @desc    Restore archived visitor, with new contact details if they were pseudonymised
+ * @access  Private (Visitor Manager or higher)
+ */
+router.post(
+  '/:id/restore',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  restoreVisitorValidation,
+  handleValidationErrors,
+  auditLog('RESTORE_VISITOR'),
+  visitorController.restoreVisitor
+);
+
+/**
+ * @route   POST /api/visitors/:id/documents
+ * @desc    Upload visitor photo or ID document scan
+ * @access  Private (Visitor Manager or higher)
+ */
+router.post(
+  '/:id/documents',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  upload.single('document'),
+  documentUploadValidation,
+  discardRejectedUpload,
+  handleValidationErrors,
+  auditLog('UPLOAD_VISITOR_DOCUMENT'),
+  visitorController.uploadDocument
+);
+
+/**
+ * @route   GET /api/visitors/:id/documents/:documentId/file
+ * @desc    Download visitor photo or ID document scan
+ * @access  Private (staff of a prison the visitor is known at)
+ */
+router.get(
+  '/:id/documents/:documentId/file',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS]),
+  visitorController.getDocumentFile
+);
+
+/**
+ * @route   DELETE /api/visitors/:id/documents/:documentId
+ * @desc    Delete visitor photo or ID document scan
+ * @access  Private (Visitor Manager or higher)
+ */
+router.delete(
+  '/:id/documents/:documentId',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  auditLog('DELETE_VISITOR_DOCUMENT'),
+  visitorController.deleteDocument
+);
+
+/**
+ * @route   POST /api/visitors/:id/verify
+ * @desc    Verify or reject a visitor's identity against their photo and ID documents
+ * @access  Private (Prison Admin or higher)
+ */
+router.post(
+  '/:id/verify',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.APPROVE_VISIT]),
+  verifyVisitorValidation,
+  handleValidationErrors,
+  auditLog('VERIFY_VISITOR'),
+  visitorController.verifyVisitor
+);
+
 /**
  * @route   GET /api/visitors/:id/history
  * @desc    Get visitor's visit history
@@ -117,4 +252,88 @@ router.get(
   visitorController.getVisitorHistory
 );
 
+/**
+ * @route   GET /api/visitors/:id/bans
+ * @desc    Get a visitor's bans
+ * @access  Private
+ */
+router.get(
+  '/:id/bans',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS]),
+  visitorController.getVisitorBans
+);
+
+/**
+ * @route   POST /api/visitors/:id/bans
+ * @desc    Ban a visitor from a prisoner, a prison or every prison
+ * @access  Private (Visitor Manager or higher)
+ */
+router.post(
+  '/:id/bans',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  banVisitorValidation,
+  handleValidationErrors,
+  auditLog('BAN_VISITOR'),
+  visitorController.banVisitor
+);
+
+/**
+ * @route   POST /api/visitors/:id/bans/:banId/lift
+ * @desc    Lift a visitor ban before it ends
+ * @access  Private (Visitor Manager or higher)
+ */
+router.post(
+  '/:id/bans/:banId/lift',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  liftValidation,
+  handleValidationErrors,
+  auditLog('LIFT_VISITOR_BAN'),
+  visitorController.liftVisitorBan
+);
+
+/**
+ * @route   GET /api/visitors/:id/credential
+ * @desc    Get a visitor's professional credential
+ * @access  Private
+ */
+router.get(
+  '/:id/credential',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.VIEW_VISITORS, PERMISSIONS.MANAGE_VISITORS]),
+  visitorController.getVisitorCredential
+);
+
+/**
+ * @route   PUT /api/visitors/:id/credential
+ * @desc    Record or replace a lawyer's, clergy member's or consular official's credential
+ * @access  Private (Visitor Manager or higher)
+ */
+router.put(
+  '/:id/credential',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.MANAGE_VISITORS]),
+  credentialValidation,
+  handleValidationErrors,
+  auditLog('SAVE_VISITOR_CREDENTIAL'),
+  visitorController.saveVisitorCredential
+);
+
+/**
+ * @route   POST /api/visitors/:id/credential/verify
+ * @desc    Verify or reject a visitor's professional credential
+ * @access  Private (Prison Admin or higher)
+ */
+router.post(
+  '/:id/credential/verify',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.APPROVE_VISIT]),
+  verifyCredentialValidation,
+  handleValidationErrors,
+  auditLog('VERIFY_VISITOR_CREDENTIAL'),
+  visitorController.verifyVisitorCredential
+);
+
 module.exports = router;
\ No newline at end of file
@@ -9,6 +9,7 @@ const { PERMISSIONS } = require('../config/constants');
 const {
   createWorkRecordValidation,
   updateWorkRecordValidation,
+  timesheetValidation,
   approvePaymentValidation
 } = require('../utils/validators/workRecordValidation');
 
@@ -75,6 +76,21 @@ router.post(
   workRecordController.createWorkRecord
 );
 
+/**
+ * @route   POST /api/work-records/timesheet
+ * @desc    Enter a week of work for a gang of prisoners with per-row results
+ * @access  Private (Records Keeper or higher)
+ */
+router.post(
+  '/timesheet',
+  authenticate,
+  hasAnyPermission([PERMISSIONS.RECORD_WORK, PERMISSIONS.MANAGE_WORK_RECORDS]),
+  timesheetValidation,
+  handleValidationErrors,
+  auditLog('SUBMIT_TIMESHEET'),
+  workRecordController.submitTimesheet
+);
+
 /**
  * @route   PUT /api/work-records/:id
  * @desc    Update work record
@@ -0,0 +1,34 @@
+require('dotenv').config();
+const { testConnection } = require('../config/database');
+const { applyRetentionPolicy } = require('../services/visitorRetentionService');
+
+// Run from cron, e.g. nightly: npm run visitors:retention
+// Pass --dry-run to list the visitors that would be pseudonymised
+const runRetention = async () => {
+  try {
+    await testConnection();
+
+    const dryRun = process.argv.includes('--dry-run');
+
+    console.log(`Applying visitor retention policy${dryRun ? ' (dry run)' : ''}...`);
+    const report = await applyRetentionPolicy({ dryRun });
+
+    console.log(`ℹ️  Retention period ${report.retentionDays} days, no visits since ${report.cutoffDate}`);
+
+    report.visitors.forEach(visitor => {
+      const lastVisit = visitor.lastVisitDate ? `last visit ${visitor.lastVisitDate}` : 'never visited';
+      const documents = visitor.documentsRemoved > 0 ? `, ${visitor.documentsRemoved} documents` : '';
+      console.log(`   Visitor ${visitor.visitorId}: ${lastVisit}${documents}${visitor.archived ? ', archived' : ''}`);
+    });
+
+    const verb = dryRun ? 'would be' : 'were';
+    console.log(`✅ ${report.pseudonymised} visitors ${verb} pseudonymised, ${report.archived} of them newly archived`);
+    console.log(`   ${report.documentsRemoved} photo and ID document scans ${verb} deleted`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error applying visitor retention policy:', error);
+    process.exit(1);
+  }
+};
+
+runRetention();
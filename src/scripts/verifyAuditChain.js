@@ -0,0 +1,41 @@
+require('dotenv').config();
+const { testConnection } = require('../config/database');
+const db = require('../models');
+const { sealPendingEntries, verifyChain } = require('../utils/auditChain');
+
+const runVerification = async () => {
+  try {
+    await testConnection();
+
+    const sealed = await sealPendingEntries(db);
+    if (sealed > 0) {
+      console.log(`ℹ️  Chained ${sealed} pending entries`);
+    }
+
+    console.log('Verifying audit log chain...');
+    const result = await verifyChain(db);
+
+    if (result.pending > 0) {
+      console.log(`ℹ️  ${result.pending} entries are still waiting to be chained and were skipped`);
+    }
+
+    if (result.valid) {
+      console.log(`✅ Audit log chain is intact (${result.checked} entries checked)`);
+      process.exit(0);
+    }
+
+    const { brokenAt } = result;
+    console.error(`❌ Audit log chain is broken at ${brokenAt.logId ? `entry ${brokenAt.logId}` : 'the chain head'}`);
+    console.error(`   Reason: ${brokenAt.reason}`);
+    console.error(`   Expected previous hash: ${brokenAt.expectedPreviousHash}`);
+    console.error(`   Stored previous hash:   ${brokenAt.storedPreviousHash}`);
+    console.error(`   Stored entry hash:      ${brokenAt.storedHash}`);
+    console.error(`   ${result.checked} entries verified before the break`);
+    process.exit(1);
+  } catch (error) {
+    console.error('❌ Error verifying audit log chain:', error);
+    process.exit(2);
+  }
+};
+
+runVerification();
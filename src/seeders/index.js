@@ -75,7 +75,8 @@ const seedRolePermissions = async () => {
 
   // Prison Admin - Most permissions except super admin functions
   const prisonAdminPerms = allPermissions.filter(p => 
-    p.permission_name !== PERMISSIONS.MANAGE_PRISONS
+    p.permission_name !== PERMISSIONS.MANAGE_PRISONS &&
+    p.permission_name !== PERMISSIONS.MANAGE_ROLES
   );
   await prisonAdmin.setPermissions(prisonAdminPerms);
 
@@ -88,9 +89,10 @@ const seedRolePermissions = async () => {
   );
   await officer.setPermissions(officerPerms);
 
-  // Records Keeper - Work and behaviour records
+  // Records Keeper - Work, account and behaviour records
   const recordsKeeperPerms = allPermissions.filter(p =>
     p.permission_name.includes('work') ||
+    p.permission_name.includes('account') ||
     p.permission_name.includes('behaviour') ||
     p.permission_name === PERMISSIONS.VIEW_PRISONERS ||
     p.permission_name === PERMISSIONS.VIEW_REPORTS
@@ -180,6 +182,7 @@ const seedSuperAdmin = async () => {
       address: 'System Administrator',
       username: 'superadmin',
       password_hash: 'Admin@123', // Will be hashed by the model hook
+      must_change_password: true,
       role_id: superAdminRole.role_id,
       prison_id: null,
       is_active: true
@@ -188,7 +191,7 @@ const seedSuperAdmin = async () => {
     console.log('✅ Super admin created successfully');
     console.log('   Username: superadmin');
     console.log('   Password: Admin@123');
-    console.log('   ⚠️  Please change this password after first login!');
+    console.log('   ⚠️  This password must be changed at first login');
   } else {
     console.log('ℹ️  Super admin already exists');
   }
@@ -0,0 +1,364 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const { ACCOUNT_ENTRY_TYPE, PAYMENT_STATUS } = require('../config/constants');
+const { addDays, today } = require('../utils/dates');
+const accessPolicy = require('../utils/accessPolicy');
+
+const CREDIT_TYPES = [ACCOUNT_ENTRY_TYPE.WORK_PAYMENT, ACCOUNT_ENTRY_TYPE.FAMILY_DEPOSIT];
+
+// Entry types staff can post directly; work payments are credited on approval
+const MANUAL_TYPES = [
+  ACCOUNT_ENTRY_TYPE.FAMILY_DEPOSIT,
+  ACCOUNT_ENTRY_TYPE.CANTEEN_PURCHASE,
+  ACCOUNT_ENTRY_TYPE.FINE,
+  ACCOUNT_ENTRY_TYPE.RESTITUTION
+];
+
+const toMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Format ledger entry for API response
+ */
+const formatEntry = (entry, reversedBy = null) => ({
+  entryId: entry.entry_id,
+  entryType: entry.entry_type,
+  amount: parseFloat(entry.amount),
+  balanceAfter: parseFloat(entry.balance_after),
+  entryDate: entry.entry_date,
+  reference: entry.reference,
+  description: entry.description,
+  workRecordId: entry.work_record_id,
+  reversesEntryId: entry.reverses_entry_id,
+  reversedByEntryId: reversedBy,
+  recordedBy: entry.recorder ? {
+    userId: entry.recorder.user_id,
+    fullName: entry.recorder.employee_full_name
+  } : null,
+  createdAt: entry.created_at
+});
+
+const entryIncludes = () => [
+  { model: db.User, as: 'recorder', attributes: ['user_id', 'employee_full_name'] }
+];
+
+const findPrisoner = async (prisonerId, actor) => {
+  const prisoner = await db.Prisoner.findByPk(prisonerId);
+
+  if (!prisoner) {
+    throw new Error('Prisoner not found');
+  }
+
+  accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+  return prisoner;
+};
+
+/**
+ * Lock a prisoner's account so entries are posted one at a time
+ */
+const lockAccount = async (prisonerId, transaction) => {
+  await db.Prisoner.findByPk(prisonerId, {
+    attributes: ['prisoner_id'],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+};
+
+const getBalance = async (prisonerId, transaction = null) => {
+  // Inside a transaction the read locks, so it sees the latest committed entry
+  // rather than the transaction's snapshot
+  const last = await db.PrisonerAccountEntry.findOne({
+    where: { prisoner_id: prisonerId },
+    order: [['entry_id', 'DESC']],
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE })
+  });
+
+  return last ? parseFloat(last.balance_after) : 0;
+};
+
+/**
+ * Append an entry to a prisoner's ledger with the running balance.
+ * Entries that would take the account below zero are refused.
+ */
+const postEntry = async (prisonerId, entry, transaction) => {
+  await lockAccount(prisonerId, transaction);
+
+  const balance = await getBalance(prisonerId, transaction);
+  const balanceAfter = toMoney(balance + entry.amount);
+
+  if (balanceAfter < 0) {
+    throw new Error(`Insufficient funds: account balance is ${balance.toFixed(2)}`);
+  }
+
+  return await db.PrisonerAccountEntry.create({
+    prisoner_id: prisonerId,
+    entry_type: entry.entry_type,
+    amount: toMoney(entry.amount),
+    balance_after: balanceAfter,
+    entry_date: today(),
+    work_record_id: entry.work_record_id || null,
+    payment_sequence: entry.payment_sequence || null,
+    reverses_entry_id: entry.reverses_entry_id || null,
+    reference: entry.reference || null,
+    description: entry.description || null,
+    recorded_by: entry.recorded_by
+  }, { transaction });
+};
+
+/**
+ * Credit an approved work payment to the prisoner's account, referenced by
+ * the payroll run number when paid through a run
+ */
+const creditWorkPayment = async (workRecord, paymentDate, userId, transaction, reference = null) => {
+  const amount = parseFloat(workRecord.payment_amount);
+
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  await lockAccount(workRecord.prisoner_id, transaction);
+
+  const previous = await db.PrisonerAccountEntry.findOne({
+    where: {
+      work_record_id: workRecord.work_record_id,
+      entry_type: ACCOUNT_ENTRY_TYPE.WORK_PAYMENT
+    },
+    order: [['entry_id', 'DESC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (previous) {
+    const reversal = await db.PrisonerAccountEntry.findOne({
+      where: { reverses_entry_id: previous.entry_id },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!reversal) {
+      throw new Error('Work payment has already been credited to the prisoner account');
+    }
+  }
+
+  try {
+    return await postEntry(workRecord.prisoner_id, {
+      entry_type: ACCOUNT_ENTRY_TYPE.WORK_PAYMENT,
+      amount,
+      work_record_id: workRecord.work_record_id,
+      payment_sequence: previous ? previous.payment_sequence + 1 : 1,
+      reference,
+      description: `Work on ${workRecord.work_date}, paid ${addDays(paymentDate || new Date(), 0)}`,
+      recorded_by: userId
+    }, transaction);
+  } catch (error) {
+    // A concurrent approval credited the same payment first
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw new Error('Work payment has already been credited to the prisoner account');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Account statement for a date range: opening balance, the entries posted
+ * in the range and the closing balance. Defaults to the current month.
+ */
+const getAccountStatement = async (prisonerId, actor, startDate = null, endDate = null) => {
+  try {
+    const prisoner = await findPrisoner(prisonerId, actor);
+
+    const end = endDate || today();
+    const start = startDate || `${end.slice(0, 7)}-01`;
+
+    if (start > end) {
+      throw new Error('Start date cannot be after end date');
+    }
+
+    const opening = await db.PrisonerAccountEntry.sum('amount', {
+      where: {
+        prisoner_id: prisoner.prisoner_id,
+        entry_date: { [Op.lt]: start }
+      }
+    });
+
+    const entries = await db.PrisonerAccountEntry.findAll({
+      where: {
+        prisoner_id: prisoner.prisoner_id,
+        entry_date: { [Op.between]: [start, end] }
+      },
+      include: entryIncludes(),
+      order: [['entry_id', 'ASC']]
+    });
+
+    const reversals = entries.length > 0 ? await db.PrisonerAccountEntry.findAll({
+      where: { reverses_entry_id: { [Op.in]: entries.map(entry => entry.entry_id) } },
+      attributes: ['entry_id', 'reverses_entry_id']
+    }) : [];
+
+    const reversedBy = new Map(reversals.map(r => [r.reverses_entry_id, r.entry_id]));
+
+    const openingBalance = toMoney(parseFloat(opening) || 0);
+    const totalCredits = toMoney(entries
+      .filter(entry => parseFloat(entry.amount) > 0)
+      .reduce((sum, entry) => sum + parseFloat(entry.amount), 0));
+    const totalDebits = toMoney(entries
+      .filter(entry => parseFloat(entry.amount) < 0)
+      .reduce((sum, entry) => sum - parseFloat(entry.amount), 0));
+
+    return {
+      prisoner: {
+        prisonerId: prisoner.prisoner_id,
+        fullName: prisoner.full_name,
+        caseNumber: prisoner.case_number
+      },
+      period: { startDate: start, endDate: end },
+      openingBalance,
+      totalCredits,
+      totalDebits,
+      closingBalance: toMoney(openingBalance + totalCredits - totalDebits),
+      currentBalance: await getBalance(prisoner.prisoner_id),
+      entries: entries.map(entry => formatEntry(entry, reversedBy.get(entry.entry_id) || null))
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Post a deposit or debit to a prisoner's account. The amount is given as
+ * a positive value; debit types are posted as negative amounts.
+ */
+const recordEntry = async (prisonerId, entryData, actor) => {
+  try {
+    const prisoner = await findPrisoner(prisonerId, actor);
+
+    if (!MANUAL_TYPES.includes(entryData.entry_type)) {
+      throw new Error(`Entry type must be one of: ${MANUAL_TYPES.join(', ')}`);
+    }
+
+    const amount = Math.abs(parseFloat(entryData.amount));
+
+    const entry = await db.sequelize.transaction(async (t) => {
+      return await postEntry(prisoner.prisoner_id, {
+        entry_type: entryData.entry_type,
+        amount: CREDIT_TYPES.includes(entryData.entry_type) ? amount : -amount,
+        reference: entryData.reference,
+        description: entryData.description,
+        recorded_by: actor.userId
+      }, t);
+    });
+
+    const created = await db.PrisonerAccountEntry.findByPk(entry.entry_id, {
+      include: entryIncludes()
+    });
+
+    return formatEntry(created);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Append the compensating Reversal entry for a ledger entry
+ */
+const postReversal = async (original, reason, userId, transaction) => {
+  await lockAccount(original.prisoner_id, transaction);
+
+  const existingReversal = await db.PrisonerAccountEntry.findOne({
+    where: { reverses_entry_id: original.entry_id },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (existingReversal) {
+    throw new Error('This account entry has already been reversed');
+  }
+
+  return await postEntry(original.prisoner_id, {
+    entry_type: ACCOUNT_ENTRY_TYPE.REVERSAL,
+    amount: -parseFloat(original.amount),
+    work_record_id: original.work_record_id,
+    reverses_entry_id: original.entry_id,
+    reference: original.reference,
+    description: reason,
+    recorded_by: userId
+  }, transaction);
+};
+
+/**
+ * Reverse the account credit of a work record's payment. Payments of no
+ * amount were never credited, so there is nothing to reverse.
+ */
+const reverseWorkPayment = async (workRecordId, reason, userId, transaction) => {
+  const credit = await db.PrisonerAccountEntry.findOne({
+    where: {
+      work_record_id: workRecordId,
+      entry_type: ACCOUNT_ENTRY_TYPE.WORK_PAYMENT
+    },
+    order: [['entry_id', 'DESC']],
+    transaction
+  });
+
+  return credit ? await postReversal(credit, reason, userId, transaction) : null;
+};
+
+/**
+ * Cancel an entry with a compensating Reversal entry. Reversing a work
+ * payment returns its work record to Pending so it can be approved again.
+ */
+const reverseEntry = async (prisonerId, entryId, reason, actor) => {
+  try {
+    const prisoner = await findPrisoner(prisonerId, actor);
+
+    const original = await db.PrisonerAccountEntry.findOne({
+      where: { entry_id: entryId, prisoner_id: prisoner.prisoner_id },
+      include: [{ model: db.PrisonerWorkRecord, as: 'workRecord', attributes: ['work_record_id', 'payroll_run_id'] }]
+    });
+
+    if (!original) {
+      throw new Error('Account entry not found');
+    }
+
+    if (original.entry_type === ACCOUNT_ENTRY_TYPE.REVERSAL) {
+      throw new Error('Reversal entries cannot be reversed');
+    }
+
+    // Payroll runs are reversed as a whole
+    if (original.workRecord && original.workRecord.payroll_run_id) {
+      throw new Error('This work payment was posted by a payroll run; reverse the run instead');
+    }
+
+    const reversal = await db.sequelize.transaction(async (t) => {
+      const entry = await postReversal(original, reason, actor.userId, t);
+
+      if (original.entry_type === ACCOUNT_ENTRY_TYPE.WORK_PAYMENT) {
+        await db.PrisonerWorkRecord.update({
+          payment_status: PAYMENT_STATUS.PENDING,
+          payment_date: null
+        }, {
+          where: { work_record_id: original.work_record_id },
+          transaction: t
+        });
+      }
+
+      return entry;
+    });
+
+    const created = await db.PrisonerAccountEntry.findByPk(reversal.entry_id, {
+      include: entryIncludes()
+    });
+
+    return formatEntry(created);
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  creditWorkPayment,
+  reverseWorkPayment,
+  getAccountStatement,
+  recordEntry,
+  reverseEntry
+};
@@ -0,0 +1,122 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const { sealPendingEntries, verifyChain } = require('../utils/auditChain');
+const accessPolicy = require('../utils/accessPolicy');
+
+const actorInclude = () => ({
+  model: db.User,
+  as: 'user',
+  attributes: ['user_id', 'username', 'employee_full_name']
+});
+
+/**
+ * Get audit log entries with filters and pagination.
+ * Prison Admins only see entries for their own prisons.
+ */
+const getAuditLogs = async (filters = {}, page = 1, limit = 20, actor) => {
+  try {
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+    const prisonScope = accessPolicy.prisonScope(actor);
+
+    if (prisonScope !== undefined) {
+      whereClause.prison_id = prisonScope;
+    } else if (filters.prison_id) {
+      whereClause.prison_id = filters.prison_id;
+    }
+
+    if (filters.table_name) {
+      whereClause.table_name = filters.table_name;
+    }
+
+    if (filters.record_id) {
+      whereClause.record_id = filters.record_id;
+    }
+
+    if (filters.user_id) {
+      whereClause.user_id = filters.user_id;
+    }
+
+    if (filters.action_type) {
+      whereClause.action_type = filters.action_type;
+    }
+
+    if (filters.operation) {
+      whereClause.operation = filters.operation;
+    }
+
+    if (filters.correlation_id) {
+      whereClause.correlation_id = filters.correlation_id;
+    }
+
+    if (filters.start_date || filters.end_date) {
+      whereClause.timestamp = {};
+      if (filters.start_date) {
+        whereClause.timestamp[Op.gte] = new Date(filters.start_date);
+      }
+      if (filters.end_date) {
+        whereClause.timestamp[Op.lte] = new Date(filters.end_date);
+      }
+    }
+
+    const { count, rows: logs } = await db.AuditLog.findAndCountAll({
+      where: whereClause,
+      include: [actorInclude()],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['timestamp', 'DESC'], ['log_id', 'DESC']]
+    });
+
+    return {
+      logs,
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get a single audit log entry
+ */
+const getAuditLogById = async (logId, actor) => {
+  try {
+    const log = await db.AuditLog.findByPk(logId, {
+      include: [actorInclude()]
+    });
+
+    if (!log) {
+      throw new Error('Audit log entry not found');
+    }
+
+    accessPolicy.authorize(actor, 'auditLog:view', log);
+
+    return log;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Chain any committed entries still pending, then walk the hash chain and
+ * report the first broken link
+ */
+const verifyAuditChain = async () => {
+  try {
+    await sealPendingEntries(db);
+    return await verifyChain(db);
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  getAuditLogById,
+  verifyAuditChain
+};
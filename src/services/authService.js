@@ -1,123 +1,407 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { jwtSecret, jwtExpiresIn, jwtRefreshSecret, jwtRefreshExpiresIn } = require('../config/auth');
 const db = require('../models');
+const { LOGIN_SECURITY, TWO_FACTOR } = require('../config/constants');
+const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
+const passwordService = require('./passwordService');
 
 /**
- * Generate JWT access token
+ * Generate JWT access token bound to a session
  */
-const generateAccessToken = (userId) => {
-  return jwt.sign({ userId }, jwtSecret, { expiresIn: jwtExpiresIn });
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, jwtSecret, { expiresIn: jwtExpiresIn });
 };
 
 /**
- * Generate JWT refresh token
+ * Generate JWT refresh token bound to a session.
+ * The jti makes every rotated token unique.
  */
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, jwtRefreshSecret, { expiresIn: jwtRefreshExpiresIn });
+const generateRefreshToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sid: sessionId, jti: crypto.randomUUID() },
+    jwtRefreshSecret,
+    { expiresIn: jwtRefreshExpiresIn }
+  );
 };
 
 /**
- * Login user with username/email and password
+ * Expiry of a signed token as a Date
  */
-const login = async (username, password) => {
+const getTokenExpiry = (token) => {
+  return new Date(jwt.decode(token).exp * 1000);
+};
+
+/**
+ * Issue an access/refresh token pair for a session and store the refresh token
+ */
+const issueTokens = async (userId, session, transaction = null) => {
+  const accessToken = generateAccessToken(userId, session.session_id);
+  const refreshToken = generateRefreshToken(userId, session.session_id);
+
+  const storedToken = await sessionService.storeRefreshToken(
+    session,
+    refreshToken,
+    getTokenExpiry(refreshToken),
+    transaction
+  );
+
+  return { accessToken, refreshToken, storedToken };
+};
+
+/**
+ * Record a login attempt for later review.
+ * Written outside any transaction so failures are kept when login is refused.
+ */
+const recordLoginAttempt = async (user, username, succeeded, failureReason, meta = {}) => {
   try {
-    // Find user by username or email
-    const user = await db.User.findOne({
-      where: {
-        [db.Sequelize.Op.or]: [
-          { username: username },
-          { email: username }
+    await db.LoginAttempt.create({
+      user_id: user ? user.user_id : null,
+      prison_id: user ? user.prison_id : null,
+      username_attempted: String(username).substring(0, 100),
+      succeeded,
+      failure_reason: failureReason,
+      ip_address: meta.ipAddress || null,
+      user_agent: meta.userAgent ? meta.userAgent.substring(0, 255) : null
+    });
+  } catch (error) {
+    console.error('Login attempt log error:', error);
+  }
+};
+
+/**
+ * Earliest time the account may try again after its recent failures.
+ * The wait doubles with every consecutive failure.
+ */
+const getNextAttemptTime = (user) => {
+  if (!user.failed_login_attempts || !user.last_failed_login_at) {
+    return null;
+  }
+
+  const delaySeconds = Math.min(
+    LOGIN_SECURITY.BASE_DELAY_SECONDS * Math.pow(2, user.failed_login_attempts - 1),
+    LOGIN_SECURITY.MAX_DELAY_SECONDS
+  );
+
+  return new Date(new Date(user.last_failed_login_at).getTime() + delaySeconds * 1000);
+};
+
+/**
+ * Count a failed password and lock the account once the limit is reached
+ */
+const registerFailedLogin = async (userId) => {
+  return await db.sequelize.transaction(async (t) => {
+    const user = await db.User.findByPk(userId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    const failures = user.failed_login_attempts + 1;
+    const updates = {
+      failed_login_attempts: failures,
+      last_failed_login_at: new Date()
+    };
+
+    if (failures >= LOGIN_SECURITY.MAX_FAILED_ATTEMPTS) {
+      updates.locked_until = new Date(Date.now() + LOGIN_SECURITY.LOCKOUT_MINUTES * 60 * 1000);
+    }
+
+    return await user.update(updates, { transaction: t });
+  });
+};
+
+/**
+ * Clear failure counters after a successful login, an expired lock or an admin unlock
+ */
+const resetLoginFailures = async (user) => {
+  if (!user.failed_login_attempts && !user.locked_until) {
+    return user;
+  }
+
+  return await user.update({
+    failed_login_attempts: 0,
+    last_failed_login_at: null,
+    locked_until: null
+  });
+};
+
+/**
+ * Load a user with role, permissions and prison for login
+ */
+const findLoginUser = async (where) => {
+  return await db.User.findOne({
+    where,
+    include: [
+      {
+        model: db.Role,
+        as: 'role',
+        include: [
+          {
+            model: db.Permission,
+            as: 'permissions',
+            through: { attributes: [] }
+          }
         ]
       },
-      include: [
-        {
-          model: db.Role,
-          as: 'role',
-          include: [
-            {
-              model: db.Permission,
-              as: 'permissions',
-              through: { attributes: [] }
-            }
-          ]
-        },
-        {
-          model: db.Prison,
-          as: 'prison',
-          attributes: ['prison_id', 'prison_name', 'location']
-        }
+      {
+        model: db.Prison,
+        as: 'prison',
+        attributes: ['prison_id', 'prison_name', 'location']
+      }
+    ]
+  });
+};
+
+/**
+ * Refuse locked, throttled or deactivated accounts before any credential check
+ */
+const assertLoginAllowed = async (user, username, meta) => {
+  const now = new Date();
+
+  // A lock that has run out starts the account afresh
+  if (user.locked_until && user.locked_until <= now) {
+    await resetLoginFailures(user);
+  }
+
+  if (user.locked_until) {
+    await recordLoginAttempt(user, username, false, 'Account locked', meta);
+    throw new Error(`Account is temporarily locked. Try again after ${user.locked_until.toISOString()}`);
+  }
+
+  const nextAttemptAt = getNextAttemptTime(user);
+  if (nextAttemptAt && nextAttemptAt > now) {
+    await recordLoginAttempt(user, username, false, 'Throttled', meta);
+    const waitSeconds = Math.ceil((nextAttemptAt - now) / 1000);
+    throw new Error(`Too many failed attempts. Try again in ${waitSeconds} seconds`);
+  }
+
+  // Check if account is active
+  if (!user.is_active) {
+    await recordLoginAttempt(user, username, false, 'Account deactivated', meta);
+    throw new Error('Account is deactivated');
+  }
+};
+
+/**
+ * Count a failed credential and refuse the login
+ */
+const failLogin = async (user, username, reason, message, meta) => {
+  const updatedUser = await registerFailedLogin(user.user_id);
+  await recordLoginAttempt(user, username, false, reason, meta);
+
+  if (updatedUser.locked_until) {
+    throw new Error(`${message}. Account is temporarily locked for ${LOGIN_SECURITY.LOCKOUT_MINUTES} minutes`);
+  }
+  throw new Error(message);
+};
+
+/**
+ * Open a session for a fully authenticated user and build the login response
+ */
+const completeLogin = async (user, username, meta) => {
+  await resetLoginFailures(user);
+
+  // Open a session and generate tokens
+  const { accessToken, refreshToken, sessionId } = await db.sequelize.transaction(async (t) => {
+    const session = await sessionService.createSession(user.user_id, meta, t);
+    const tokens = await issueTokens(user.user_id, session, t);
+    return { ...tokens, sessionId: session.session_id };
+  });
+
+  await recordLoginAttempt(user, username, true, null, meta);
+
+  // Return user data and tokens
+  return {
+    user: {
+      userId: user.user_id,
+      username: user.username,
+      email: user.email,
+      fullName: user.employee_full_name,
+      role: {
+        roleId: user.role.role_id,
+        roleName: user.role.role_name,
+        description: user.role.description
+      },
+      prison: user.prison ? {
+        prisonId: user.prison.prison_id,
+        prisonName: user.prison.prison_name,
+        location: user.prison.location
+      } : null,
+      permissions: user.role.permissions.map(p => p.permission_name)
+    },
+    passwordChangeRequired: passwordService.isPasswordChangeRequired(user),
+    twoFactorEnrolmentRequired: twoFactorService.isEnrolmentRequired(user, user.role.requires_two_factor),
+    sessionId,
+    accessToken,
+    refreshToken
+  };
+};
+
+/**
+ * Login user with username/email and password.
+ * Users enrolled in two-factor authentication get a short-lived challenge
+ * token instead of a session, to be exchanged in verifyTwoFactorLogin.
+ */
+const login = async (username, password, meta = {}) => {
+  try {
+    // Find user by username or email
+    const user = await findLoginUser({
+      [db.Sequelize.Op.or]: [
+        { username: username },
+        { email: username }
       ]
     });
 
     if (!user) {
+      await recordLoginAttempt(null, username, false, 'Unknown username', meta);
       throw new Error('Invalid credentials');
     }
 
-    // Check if account is active
-    if (!user.is_active) {
-      throw new Error('Account is deactivated');
-    }
+    await assertLoginAllowed(user, username, meta);
 
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     
     if (!isPasswordValid) {
-      throw new Error('Invalid credentials');
+      await failLogin(user, username, 'Invalid password', 'Invalid credentials', meta);
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user.user_id);
-    const refreshToken = generateRefreshToken(user.user_id);
+    if (user.totp_enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: jwt.sign(
+          { userId: user.user_id, purpose: 'two_factor' },
+          jwtSecret,
+          { expiresIn: TWO_FACTOR.CHALLENGE_EXPIRES_IN }
+        )
+      };
+    }
 
-    // Return user data and tokens
-    return {
-      user: {
-        userId: user.user_id,
-        username: user.username,
-        email: user.email,
-        fullName: user.employee_full_name,
-        role: {
-          roleId: user.role.role_id,
-          roleName: user.role.role_name,
-          description: user.role.description
-        },
-        prison: user.prison ? {
-          prisonId: user.prison.prison_id,
-          prisonName: user.prison.prison_name,
-          location: user.prison.location
-        } : null,
-        permissions: user.role.permissions.map(p => p.permission_name)
-      },
-      accessToken,
-      refreshToken
-    };
+    return await completeLogin(user, username, meta);
   } catch (error) {
     throw error;
   }
 };
 
 /**
- * Refresh access token using refresh token
+ * Second login step: exchange a challenge token and a TOTP or recovery code
+ * for a session
+ */
+const verifyTwoFactorLogin = async (challengeToken, code, recoveryCode, meta = {}) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, jwtSecret);
+    } catch (error) {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    if (decoded.purpose !== 'two_factor') {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    const user = await findLoginUser({ user_id: decoded.userId });
+
+    if (!user || !user.totp_enabled) {
+      throw new Error('Invalid or expired two-factor challenge');
+    }
+
+    await assertLoginAllowed(user, user.username, meta);
+
+    const verified = await twoFactorService.verifySecondFactor(user.user_id, { code, recoveryCode });
+
+    if (!verified) {
+      await failLogin(user, user.username, 'Invalid two-factor code', 'Invalid two-factor code', meta);
+    }
+
+    return await completeLogin(user, user.username, meta);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Refresh access token using refresh token.
+ * Every call rotates the refresh token. Presenting a token that was already
+ * rotated means it was copied, so the whole session (token family) is revoked.
  */
 const refreshAccessToken = async (refreshToken) => {
+  let decoded;
   try {
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, jwtRefreshSecret);
+    decoded = jwt.verify(refreshToken, jwtRefreshSecret);
+  } catch (error) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const result = await db.sequelize.transaction(async (t) => {
+    const stored = await db.RefreshToken.findOne({
+      where: { token_hash: sessionService.hashToken(refreshToken) },
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!stored) {
+      return { error: 'Invalid refresh token' };
+    }
 
-    // Get user
-    const user = await db.User.findByPk(decoded.userId);
+    const session = await db.UserSession.findByPk(stored.session_id, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!session || session.revoked_at || session.user_id !== decoded.userId) {
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (stored.rotated_at) {
+      await sessionService.revokeSession(session, 'Refresh token reuse detected', null, t);
+      return { error: 'Refresh token has already been used. The session has been revoked.' };
+    }
+
+    const user = await db.User.findByPk(session.user_id, { transaction: t });
 
     if (!user || !user.is_active) {
-      throw new Error('Invalid refresh token');
+      await sessionService.revokeSession(session, 'User is no longer active', null, t);
+      return { error: 'Invalid refresh token' };
     }
 
-    // Generate new access token
-    const accessToken = generateAccessToken(user.user_id);
+    const tokens = await issueTokens(user.user_id, session, t);
+
+    await stored.update({
+      rotated_at: new Date(),
+      replaced_by: tokens.storedToken.token_id
+    }, { transaction: t });
+
+    return {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    };
+  });
+
+  // Revocations above are committed before the caller is refused
+  if (result.error) {
+    throw new Error(result.error);
+  }
 
-    return { accessToken };
+  return result;
+};
+
+/**
+ * Log out by revoking the current session
+ */
+const logout = async (sessionId, userId) => {
+  try {
+    const session = await db.UserSession.findByPk(sessionId);
+
+    if (session && session.user_id === userId) {
+      await sessionService.revokeSession(session, 'Logged out', userId);
+    }
+
+    return { message: 'Logout successful' };
   } catch (error) {
-    throw new Error('Invalid refresh token');
+    throw error;
   }
 };
 
@@ -127,7 +411,7 @@ const refreshAccessToken = async (refreshToken) => {
 const getCurrentUser = async (userId) => {
   try {
     const user = await db.User.findByPk(userId, {
-      attributes: { exclude: ['password_hash'] },
+      attributes: { exclude: ['password_hash', 'totp_secret', 'totp_recovery_codes'] },
       include: [
         {
           model: db.Role,
@@ -174,6 +458,12 @@ const getCurrentUser = async (userId) => {
       } : null,
       permissions: user.role.permissions.map(p => p.permission_name),
       isActive: user.is_active,
+      twoFactor: {
+        enabled: user.totp_enabled,
+        required: !!user.role.requires_two_factor
+      },
+      passwordChangeRequired: passwordService.isPasswordChangeRequired(user),
+      passwordChangedAt: user.password_changed_at,
       createdAt: user.created_at
     };
   } catch (error) {
@@ -199,11 +489,13 @@ const changePassword = async (userId, currentPassword, newPassword) => {
       throw new Error('Current password is incorrect');
     }
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await passwordService.assertPasswordAllowed(user, newPassword);
 
-    // Update password
-    await user.update({ password_hash: hashedPassword });
+    // Update password **Password is hashed via model hook**
+    await user.update({
+      password_hash: newPassword,
+      must_change_password: false
+    });
 
     return { message: 'Password changed successfully' };
   } catch (error) {
@@ -213,9 +505,12 @@ const changePassword = async (userId, currentPassword, newPassword) => {
 
 module.exports = {
   login,
+  verifyTwoFactorLogin,
   refreshAccessToken,
   getCurrentUser,
   changePassword,
+  logout,
+  resetLoginFailures,
   generateAccessToken,
   generateRefreshToken
 };
\ No newline at end of file
@@ -1,16 +1,9 @@
 const db = require('../models');
-const { USER_ROLES, BEHAVIOUR_TYPE, SEVERITY_LEVEL, PRISONER_STATUS } = require('../config/constants');
+const { BEHAVIOUR_TYPE, SEVERITY_LEVEL, BEHAVIOUR_RATING, PRISONER_STATUS } = require('../config/constants');
 const { Op, DATEONLY } = require('sequelize');
-
-/**
- * Check if user has access to prisoner's prison
- */
-const checkPrisonAccess = (userPrisonId, prisonerPrisonId, userRole) => {
-  if (userRole === USER_ROLES.SUPER_ADMIN) {
-    return true;
-  }
-  return userPrisonId === prisonerPrisonId;
-};
+const sentenceService = require('./sentenceService');
+const accessPolicy = require('../utils/accessPolicy');
+const visitorEligibilityService = require('./visitorEligibilityService');
 
 /**
  * Get all behaviour records with filtering and pagination
@@ -150,7 +143,7 @@ const getAllBehaviourRecords = async (filters = {}, page = 1, limit = 10) => {
 /**
  * Get behaviour records for a specific prisoner
  */
-const getBehaviourRecordsByPrisoner = async (prisonerId, userPrisonId, userRole, page = 1, limit = 10) => {
+const getBehaviourRecordsByPrisoner = async (prisonerId, actor, page = 1, limit = 10) => {
   try {
     // Check if prisoner exists
     const prisoner = await db.Prisoner.findByPk(prisonerId, {
@@ -168,9 +161,7 @@ const getBehaviourRecordsByPrisoner = async (prisonerId, userPrisonId, userRole,
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     const offset = (page - 1) * limit;
 
@@ -267,7 +258,7 @@ const getBehaviourRecordsByPrisoner = async (prisonerId, userPrisonId, userRole,
 /**
  * Get behaviour record by ID
  */
-const getBehaviourRecordById = async (behaviourRecordId, userPrisonId, userRole) => {
+const getBehaviourRecordById = async (behaviourRecordId, actor) => {
   try {
     const behaviourRecord = await db.PrisonerBehaviourRecord.findByPk(behaviourRecordId, {
       include: [
@@ -296,9 +287,7 @@ const getBehaviourRecordById = async (behaviourRecordId, userPrisonId, userRole)
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, behaviourRecord.prisoner.prison.prison_id, userRole)) {
-      throw new Error('You do not have access to this behaviour record');
-    }
+    accessPolicy.authorize(actor, 'behaviour:access', behaviourRecord);
 
     return {
       behaviourRecordId: behaviourRecord.behaviour_record_id,
@@ -341,7 +330,7 @@ const getBehaviourRecordById = async (behaviourRecordId, userPrisonId, userRole)
 /**
  * Create new behaviour record
  */
-const createBehaviourRecord = async (behaviourData, userId, userPrisonId, userRole) => {
+const createBehaviourRecord = async (behaviourData, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
@@ -365,9 +354,7 @@ const createBehaviourRecord = async (behaviourData, userId, userPrisonId, userRo
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     // Determine adjustment status
     let adjustmentStatus = 'N/A';
@@ -387,13 +374,23 @@ const createBehaviourRecord = async (behaviourData, userId, userPrisonId, userRo
       sentence_adjustment_days: behaviourData.sentence_adjustment_days || 0,
       adjustment_status: adjustmentStatus,
       notes: behaviourData.notes,
-      recorded_by: userId
+      recorded_by: actor.userId
     }, { transaction });
 
+    // Sanction: no visits for the given number of days
+    if (behaviourData.visit_restriction_days) {
+      await visitorEligibilityService.imposeRestriction(
+        newBehaviourRecord,
+        behaviourData.visit_restriction_days,
+        actor,
+        transaction
+      );
+    }
+
     await transaction.commit();
 
     // Fetch created behaviour record with details
-    return await getBehaviourRecordById(newBehaviourRecord.behaviour_id, userPrisonId, userRole);
+    return await getBehaviourRecordById(newBehaviourRecord.behaviour_id, actor);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -403,7 +400,7 @@ const createBehaviourRecord = async (behaviourData, userId, userPrisonId, userRo
 /**
  * Update behaviour record
  */
-const updateBehaviourRecord = async (behaviourRecordId, updateData, userPrisonId, userRole) => {
+const updateBehaviourRecord = async (behaviourRecordId, updateData, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
@@ -422,9 +419,7 @@ const updateBehaviourRecord = async (behaviourRecordId, updateData, userPrisonId
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, behaviourRecord.prisoner.prison.prison_id, userRole)) {
-      throw new Error('You do not have access to this behaviour record');
-    }
+    accessPolicy.authorize(actor, 'behaviour:access', behaviourRecord);
 
     // Cannot update already approved records
     if (behaviourRecord.adjustment_status === 'Approved') {
@@ -462,7 +457,7 @@ const updateBehaviourRecord = async (behaviourRecordId, updateData, userPrisonId
     await transaction.commit();
 
     // Return updated behaviour record
-    return await getBehaviourRecordById(behaviourRecordId, userPrisonId, userRole);
+    return await getBehaviourRecordById(behaviourRecordId, actor);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -472,7 +467,7 @@ const updateBehaviourRecord = async (behaviourRecordId, updateData, userPrisonId
 /**
  * Delete behaviour record
  */
-const deleteBehaviourRecord = async (behaviourRecordId, userPrisonId, userRole) => {
+const deleteBehaviourRecord = async (behaviourRecordId, actor) => {
   try {
     const behaviourRecord = await db.PrisonerBehaviourRecord.findByPk(behaviourRecordId, {
       include: [
@@ -489,16 +484,17 @@ const deleteBehaviourRecord = async (behaviourRecordId, userPrisonId, userRole)
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, behaviourRecord.prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this behaviour record');
-    }
+    accessPolicy.authorize(actor, 'behaviour:access', behaviourRecord);
 
     // Cannot delete already approved records
     if (behaviourRecord.adjustment_status === 'Approved') {
       throw new Error('Cannot delete behaviour record with approved sentence adjustment');
     }
 
-    await behaviourRecord.destroy();
+    await db.sequelize.transaction(async (t) => {
+      await visitorEligibilityService.removeRestrictionsForBehaviour(behaviourRecord.behaviour_id, t);
+      await behaviourRecord.destroy({ transaction: t });
+    });
   } catch (error) {
     throw error;
   }
@@ -507,7 +503,7 @@ const deleteBehaviourRecord = async (behaviourRecordId, userPrisonId, userRole)
 /**
  * Approve sentence adjustment
  */
-const approveSentenceAdjustment = async (behaviourRecordId, notes, userPrisonId, userRole) => {
+const approveSentenceAdjustment = async (behaviourRecordId, notes, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
@@ -516,21 +512,19 @@ const approveSentenceAdjustment = async (behaviourRecordId, notes, userPrisonId,
         {
           model: db.Prisoner,
           as: 'prisoner',
-          attributes: ['prisoner_id', 'prison_id', 'full_name', 'expected_release_date']
+          attributes: ['prisoner_id', 'prison_id', 'full_name', 'case_number', 'admission_date', 'expected_release_date']
         }
-      ]
+      ],
+      transaction,
+      lock: transaction.LOCK.UPDATE
     });
 
     if (!behaviourRecord) {
       throw new Error('Behaviour record not found');
     }
 
-    console.log(behaviourRecord)
-
     // Check access
-    if (!checkPrisonAccess(userPrisonId, behaviourRecord.prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this behaviour record');
-    }
+    accessPolicy.authorize(actor, 'behaviour:access', behaviourRecord);
 
     // Check if adjustment is pending
     if (behaviourRecord.adjustment_status !== 'Pending') {
@@ -542,41 +536,98 @@ const approveSentenceAdjustment = async (behaviourRecordId, notes, userPrisonId,
       throw new Error('No sentence adjustment to approve');
     }
 
-    // Update prisoner's sentence end date
+    // Append to the adjustment ledger and derive the new release date from it.
+    // The prisoner is locked so concurrent ledger changes do not both create
+    // the sentence basis.
     const prisoner = behaviourRecord.prisoner;
-    let previousReleaseDate;
-    if (prisoner.expected_release_date) {
-      const currentEndDate = new Date(prisoner.expected_release_date);
-      previousReleaseDate = new Date(currentEndDate);
-      previousReleaseDate.setDate(previousReleaseDate.getDate());
-      const adjustmentDays = behaviourRecord.sentence_adjustment_days;
-      
-      // Add the adjustment (negative for reduction, positive for increase)
-      currentEndDate.setDate(currentEndDate.getDate() + adjustmentDays);
-      
-      await prisoner.update({
-        expected_release_date: currentEndDate
-      }, { transaction });
-    }
+    const previousReleaseDate = prisoner.expected_release_date;
+
+    await db.Prisoner.findByPk(prisoner.prisoner_id, {
+      attributes: ['prisoner_id'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    await sentenceService.ensureSentenceBasis(prisoner, actor.userId, transaction);
+    await sentenceService.recordBehaviourAdjustment(behaviourRecord, actor.userId, notes, transaction);
+    const computation = await sentenceService.recalculateReleaseDate(prisoner.prisoner_id, transaction);
 
     // Update behaviour record
     await behaviourRecord.update({
       adjustment_status: 'Approved',
       adjustment_approved_at: new Date(),
+      adjustment_approved_by: actor.userId,
       notes: notes || behaviourRecord.notes
     }, { transaction });
 
     await transaction.commit();
 
     // Return updated behaviour record with prisoner info
-    const updatedRecord = await getBehaviourRecordById(behaviourRecordId, userPrisonId, userRole);
+    const updatedRecord = await getBehaviourRecordById(behaviourRecordId, actor);
     
     return {
       ...updatedRecord,
       adjustmentApplied: {
         adjustmentDays: behaviourRecord.sentence_adjustment_days,
         previousEndDate: previousReleaseDate,
-        newEndDate: prisoner.expected_release_date
+        newEndDate: computation.expectedReleaseDate
+      }
+    };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Reverse an approved sentence adjustment with a compensating ledger entry
+ */
+const reverseSentenceAdjustment = async (behaviourRecordId, reason, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const behaviourRecord = await db.PrisonerBehaviourRecord.findByPk(behaviourRecordId, {
+      include: [
+        {
+          model: db.Prisoner,
+          as: 'prisoner',
+          attributes: ['prisoner_id', 'prison_id', 'expected_release_date']
+        }
+      ],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!behaviourRecord) {
+      throw new Error('Behaviour record not found');
+    }
+
+    // Check access
+    accessPolicy.authorize(actor, 'behaviour:access', behaviourRecord);
+
+    if (behaviourRecord.adjustment_status !== 'Approved') {
+      throw new Error('Only approved sentence adjustments can be reversed');
+    }
+
+    const previousReleaseDate = behaviourRecord.prisoner.expected_release_date;
+
+    await sentenceService.reverseBehaviourAdjustment(behaviourRecord, actor.userId, reason, transaction);
+    const computation = await sentenceService.recalculateReleaseDate(behaviourRecord.prisoner_id, transaction);
+
+    await behaviourRecord.update({
+      adjustment_status: 'Reversed',
+      notes: reason ? `REVERSAL REASON: ${reason}${behaviourRecord.notes ? '\n\n' + behaviourRecord.notes : ''}` : behaviourRecord.notes
+    }, { transaction });
+
+    await transaction.commit();
+
+    const updatedRecord = await getBehaviourRecordById(behaviourRecordId, actor);
+
+    return {
+      ...updatedRecord,
+      adjustmentReversed: {
+        adjustmentDays: -behaviourRecord.sentence_adjustment_days,
+        previousEndDate: previousReleaseDate,
+        newEndDate: computation.expectedReleaseDate
       }
     };
   } catch (error) {
@@ -588,7 +639,7 @@ const approveSentenceAdjustment = async (behaviourRecordId, notes, userPrisonId,
 /**
  * Reject sentence adjustment
  */
-const rejectSentenceAdjustment = async (behaviourRecordId, reason, userPrisonId, userRole) => {
+const rejectSentenceAdjustment = async (behaviourRecordId, reason, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
@@ -607,9 +658,7 @@ const rejectSentenceAdjustment = async (behaviourRecordId, reason, userPrisonId,
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, behaviourRecord.prisoner.prison.prison_id, userRole)) {
-      throw new Error('You do not have access to this behaviour record');
-    }
+    accessPolicy.authorize(actor, 'behaviour:access', behaviourRecord);
 
     // Check if adjustment is pending
     if (behaviourRecord.adjustment_status !== 'Pending') {
@@ -625,7 +674,7 @@ const rejectSentenceAdjustment = async (behaviourRecordId, reason, userPrisonId,
     await transaction.commit();
 
     // Return updated behaviour record
-    return await getBehaviourRecordById(behaviourRecordId, userPrisonId, userRole);
+    return await getBehaviourRecordById(behaviourRecordId, actor);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -738,7 +787,7 @@ const getPendingAdjustments = async (prisonId = null, page = 1, limit = 10) => {
 /**
  * Calculate behaviour score for a prisoner
  */
-const calculateBehaviourScore = async (prisonerId, userPrisonId, userRole, months = 6) => {
+const calculateBehaviourScore = async (prisonerId, actor, months = 6) => {
   try {
     // Check if prisoner exists
     const prisoner = await db.Prisoner.findByPk(prisonerId, {
@@ -756,9 +805,7 @@ const calculateBehaviourScore = async (prisonerId, userPrisonId, userRole, month
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     // Calculate date range
     const endDate = new Date();
@@ -810,10 +857,10 @@ const calculateBehaviourScore = async (prisonerId, userPrisonId, userRole, month
     totalScore = Math.max(0, Math.min(150, totalScore));
 
     // Determine behaviour rating
-    let rating = 'Poor';
-    if (totalScore >= 120) rating = 'Excellent';
-    else if (totalScore >= 100) rating = 'Good';
-    else if (totalScore >= 80) rating = 'Fair';
+    let rating = BEHAVIOUR_RATING.POOR;
+    if (totalScore >= 120) rating = BEHAVIOUR_RATING.EXCELLENT;
+    else if (totalScore >= 100) rating = BEHAVIOUR_RATING.GOOD;
+    else if (totalScore >= 80) rating = BEHAVIOUR_RATING.FAIR;
 
     return {
       prisonerId: prisoner.prisoner_id,
@@ -970,6 +1017,7 @@ module.exports = {
   deleteBehaviourRecord,
   approveSentenceAdjustment,
   rejectSentenceAdjustment,
+  reverseSentenceAdjustment,
   getPendingAdjustments,
   calculateBehaviourScore,
   getBehaviourStatistics
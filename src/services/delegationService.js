@@ -0,0 +1,187 @@
+const db = require('../models');
+const { ACCESS_DELEGATION } = require('../config/constants');
+const { Op } = require('sequelize');
+const accessPolicy = require('../utils/accessPolicy');
+
+/**
+ * Format delegation for API response
+ */
+const formatDelegation = (delegation) => ({
+  delegationId: delegation.delegation_id,
+  userId: delegation.user_id,
+  prison: delegation.prison ? {
+    prisonId: delegation.prison.prison_id,
+    prisonName: delegation.prison.prison_name
+  } : { prisonId: delegation.prison_id },
+  reason: delegation.reason,
+  startsAt: delegation.starts_at,
+  endsAt: delegation.ends_at,
+  revokedAt: delegation.revoked_at,
+  isActive: !delegation.revoked_at && accessPolicy.isWithinPeriod({
+    startsAt: delegation.starts_at,
+    endsAt: delegation.ends_at
+  }),
+  grantedBy: delegation.granter ? {
+    userId: delegation.granter.user_id,
+    fullName: delegation.granter.employee_full_name
+  } : null,
+  createdAt: delegation.created_at
+});
+
+const delegationIncludes = () => [
+  { model: db.Prison, as: 'prison', attributes: ['prison_id', 'prison_name'] },
+  { model: db.User, as: 'granter', attributes: ['user_id', 'employee_full_name'] }
+];
+
+/**
+ * Unrevoked delegations that have not ended, in the shape the access
+ * policy expects. Delegations starting later are included; the policy
+ * checks the window on every decision.
+ */
+const getCurrentDelegations = async (userId) => {
+  const delegations = await db.AccessDelegation.findAll({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      ends_at: { [Op.gt]: new Date() }
+    },
+    attributes: ['prison_id', 'starts_at', 'ends_at']
+  });
+
+  return delegations.map(d => ({
+    prisonId: d.prison_id,
+    startsAt: d.starts_at,
+    endsAt: d.ends_at
+  }));
+};
+
+/**
+ * List a user's delegations, newest first. Administrators who cannot
+ * manage the user only see delegations into their own prisons.
+ */
+const getUserDelegations = async (userId, actor) => {
+  try {
+    const user = await db.User.findByPk(userId, {
+      include: [{ model: db.Role, as: 'role' }]
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const whereClause = { user_id: userId };
+
+    if (user.user_id !== actor.userId && !accessPolicy.can(actor, 'user:manage', user)) {
+      whereClause.prison_id = accessPolicy.prisonScope(actor);
+    }
+
+    const delegations = await db.AccessDelegation.findAll({
+      where: whereClause,
+      include: delegationIncludes(),
+      order: [['starts_at', 'DESC']]
+    });
+
+    return delegations.map(formatDelegation);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Grant a user time-bounded access to a prison.
+ * The granter must administer that prison.
+ */
+const grantDelegation = async (userId, delegationData, actor) => {
+  try {
+    const user = await db.User.findByPk(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.is_active) {
+      throw new Error('Cannot delegate access to an inactive user');
+    }
+
+    if (user.user_id === actor.userId) {
+      throw new Error('You cannot delegate access to yourself');
+    }
+
+    const prison = await db.Prison.findByPk(delegationData.prison_id);
+    if (!prison) {
+      throw new Error('Prison not found');
+    }
+
+    accessPolicy.authorize(actor, 'prison:delegate', prison);
+
+    if (user.prison_id === prison.prison_id) {
+      throw new Error('User is already assigned to this prison');
+    }
+
+    const startsAt = delegationData.starts_at ? new Date(delegationData.starts_at) : new Date();
+    const endsAt = new Date(delegationData.ends_at);
+
+    if (endsAt <= startsAt || endsAt <= new Date()) {
+      throw new Error('Delegation must end after it starts and in the future');
+    }
+
+    const maxEnd = new Date(startsAt.getTime() + ACCESS_DELEGATION.MAX_DAYS * 24 * 60 * 60 * 1000);
+    if (endsAt > maxEnd) {
+      throw new Error(`Delegation cannot last longer than ${ACCESS_DELEGATION.MAX_DAYS} days`);
+    }
+
+    const delegation = await db.AccessDelegation.create({
+      user_id: user.user_id,
+      prison_id: prison.prison_id,
+      granted_by: actor.userId,
+      reason: delegationData.reason,
+      starts_at: startsAt,
+      ends_at: endsAt
+    });
+
+    const created = await db.AccessDelegation.findByPk(delegation.delegation_id, {
+      include: delegationIncludes()
+    });
+
+    return formatDelegation(created);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Withdraw a delegation before it ends
+ */
+const revokeDelegation = async (userId, delegationId, actor) => {
+  try {
+    const delegation = await db.AccessDelegation.findOne({
+      where: { delegation_id: delegationId, user_id: userId }
+    });
+
+    if (!delegation) {
+      throw new Error('Delegation not found');
+    }
+
+    accessPolicy.authorize(actor, 'prison:delegate', delegation);
+
+    if (delegation.revoked_at) {
+      throw new Error('Delegation is already revoked');
+    }
+
+    await delegation.update({
+      revoked_at: new Date(),
+      revoked_by: actor.userId
+    });
+
+    return { message: 'Delegation revoked successfully' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getCurrentDelegations,
+  getUserDelegations,
+  grantDelegation,
+  revokeDelegation
+};
@@ -0,0 +1,593 @@
+const db = require('../models');
+const { PRISONER_STATUS, HOUSING_UNIT_TYPE, CELL_DESIGNATION } = require('../config/constants');
+const { Op } = require('sequelize');
+const accessPolicy = require('../utils/accessPolicy');
+
+/**
+ * Check a designation allows a prisoner of the given gender
+ */
+const designationAllows = (designation, gender) => {
+  return !designation || designation === CELL_DESIGNATION.ANY || designation === gender;
+};
+
+/**
+ * Count current occupants per cell
+ */
+const getCellOccupancy = async (cellIds, transaction = null) => {
+  if (cellIds.length === 0) {
+    return {};
+  }
+
+  const rows = await db.CellPlacement.findAll({
+    where: {
+      cell_id: { [Op.in]: cellIds },
+      vacated_at: null
+    },
+    attributes: [
+      'cell_id',
+      [db.sequelize.fn('COUNT', db.sequelize.col('placement_id')), 'occupants']
+    ],
+    group: ['cell_id'],
+    raw: true,
+    transaction
+  });
+
+  return rows.reduce((map, row) => {
+    map[row.cell_id] = parseInt(row.occupants);
+    return map;
+  }, {});
+};
+
+/**
+ * Format cell for API response
+ */
+const formatCell = (cell, occupants = 0) => ({
+  cellId: cell.cell_id,
+  unitId: cell.unit_id,
+  cellNumber: cell.cell_number,
+  capacity: cell.capacity,
+  occupants,
+  available: Math.max(0, cell.capacity - occupants),
+  securityLevel: cell.security_level,
+  genderDesignation: cell.gender_designation,
+  isActive: cell.is_active
+});
+
+/**
+ * Format housing unit for API response
+ */
+const formatUnit = (unit) => ({
+  unitId: unit.unit_id,
+  prisonId: unit.prison_id,
+  parentUnitId: unit.parent_unit_id,
+  unitType: unit.unit_type,
+  unitName: unit.unit_name,
+  securityLevel: unit.security_level,
+  genderDesignation: unit.gender_designation,
+  isActive: unit.is_active
+});
+
+/**
+ * Get blocks, wings and cells of a prison with occupancy
+ */
+const getHousingUnits = async (prisonId, actor) => {
+  try {
+    const prison = await db.Prison.findByPk(prisonId);
+
+    if (!prison) {
+      throw new Error('Prison not found');
+    }
+
+    accessPolicy.authorize(actor, 'prison:view', prison);
+
+    const units = await db.HousingUnit.findAll({
+      where: { prison_id: prisonId },
+      order: [['unit_name', 'ASC']]
+    });
+
+    const cells = await db.Cell.findAll({
+      where: { prison_id: prisonId },
+      order: [['cell_number', 'ASC']]
+    });
+
+    const occupancy = await getCellOccupancy(cells.map(cell => cell.cell_id));
+
+    const cellsForUnit = (unitId) => cells
+      .filter(cell => cell.unit_id === unitId)
+      .map(cell => formatCell(cell, occupancy[cell.cell_id] || 0));
+
+    const summarise = (unitCells) => ({
+      capacity: unitCells.reduce((sum, cell) => sum + cell.capacity, 0),
+      occupants: unitCells.reduce((sum, cell) => sum + cell.occupants, 0)
+    });
+
+    return units
+      .filter(unit => unit.unit_type === HOUSING_UNIT_TYPE.BLOCK)
+      .map(block => {
+        const wings = units
+          .filter(unit => unit.parent_unit_id === block.unit_id)
+          .map(wing => {
+            const wingCells = cellsForUnit(wing.unit_id);
+            return {
+              ...formatUnit(wing),
+              ...summarise(wingCells),
+              cells: wingCells
+            };
+          });
+
+        const blockCells = cellsForUnit(block.unit_id);
+        const allCells = blockCells.concat(...wings.map(wing => wing.cells));
+
+        return {
+          ...formatUnit(block),
+          ...summarise(allCells),
+          wings,
+          cells: blockCells
+        };
+      });
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Create block or wing
+ */
+const createHousingUnit = async (unitData, actor) => {
+  try {
+    const prisonId = unitData.prison_id || actor.prisonId;
+    accessPolicy.authorize(actor, 'prison:manageHousing', { prison_id: prisonId });
+
+    const prison = await db.Prison.findByPk(prisonId);
+    if (!prison) {
+      throw new Error('Prison not found');
+    }
+
+    let parentUnitId = null;
+    if (unitData.unit_type === HOUSING_UNIT_TYPE.WING) {
+      const block = await db.HousingUnit.findOne({
+        where: {
+          unit_id: unitData.parent_unit_id,
+          prison_id: prisonId,
+          unit_type: HOUSING_UNIT_TYPE.BLOCK
+        }
+      });
+
+      if (!block) {
+        throw new Error('Parent block not found in this prison');
+      }
+      parentUnitId = block.unit_id;
+    }
+
+    const existingUnit = await db.HousingUnit.findOne({
+      where: {
+        prison_id: prisonId,
+        parent_unit_id: parentUnitId,
+        unit_name: unitData.unit_name
+      }
+    });
+
+    if (existingUnit) {
+      throw new Error(`${unitData.unit_type} with this name already exists`);
+    }
+
+    const unit = await db.HousingUnit.create({
+      prison_id: prisonId,
+      parent_unit_id: parentUnitId,
+      unit_type: unitData.unit_type,
+      unit_name: unitData.unit_name,
+      security_level: unitData.security_level,
+      gender_designation: unitData.gender_designation || CELL_DESIGNATION.ANY
+    });
+
+    return formatUnit(unit);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Update block or wing
+ */
+const updateHousingUnit = async (unitId, updateData, actor) => {
+  try {
+    const unit = await db.HousingUnit.findByPk(unitId);
+
+    if (!unit) {
+      throw new Error('Housing unit not found');
+    }
+
+    accessPolicy.authorize(actor, 'housingUnit:access', unit);
+
+    const allowedUpdates = {
+      unit_name: updateData.unit_name,
+      security_level: updateData.security_level,
+      gender_designation: updateData.gender_designation,
+      is_active: updateData.is_active
+    };
+
+    Object.keys(allowedUpdates).forEach(key =>
+      allowedUpdates[key] === undefined && delete allowedUpdates[key]
+    );
+
+    await unit.update(allowedUpdates);
+
+    return formatUnit(unit);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Create cell in a block or wing
+ */
+const createCell = async (cellData, actor) => {
+  try {
+    const unit = await db.HousingUnit.findByPk(cellData.unit_id);
+
+    if (!unit) {
+      throw new Error('Housing unit not found');
+    }
+
+    accessPolicy.authorize(actor, 'housingUnit:access', unit);
+
+    const existingCell = await db.Cell.findOne({
+      where: {
+        prison_id: unit.prison_id,
+        cell_number: cellData.cell_number
+      }
+    });
+
+    if (existingCell) {
+      throw new Error('Cell with this number already exists in this prison');
+    }
+
+    const cell = await db.Cell.create({
+      prison_id: unit.prison_id,
+      unit_id: unit.unit_id,
+      cell_number: cellData.cell_number,
+      capacity: cellData.capacity || 1,
+      security_level: cellData.security_level || unit.security_level || undefined,
+      gender_designation: cellData.gender_designation || unit.gender_designation
+    });
+
+    return formatCell(cell, 0);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Update cell
+ */
+const updateCell = async (cellId, updateData, actor) => {
+  try {
+    const cell = await db.Cell.findByPk(cellId);
+
+    if (!cell) {
+      throw new Error('Cell not found');
+    }
+
+    accessPolicy.authorize(actor, 'cell:access', cell);
+
+    const occupants = await db.CellPlacement.findAll({
+      where: { cell_id: cellId, vacated_at: null },
+      include: [{ model: db.Prisoner, as: 'prisoner', attributes: ['gender'] }]
+    });
+
+    if (updateData.capacity !== undefined && updateData.capacity < occupants.length) {
+      throw new Error(`Cannot reduce cell capacity below current occupancy of ${occupants.length}`);
+    }
+
+    if (updateData.gender_designation &&
+        occupants.some(placement => !designationAllows(updateData.gender_designation, placement.prisoner.gender))) {
+      throw new Error('Cannot change gender designation while the cell holds prisoners of another gender');
+    }
+
+    if (updateData.is_active === false && occupants.length > 0) {
+      throw new Error('Cannot deactivate an occupied cell');
+    }
+
+    const allowedUpdates = {
+      capacity: updateData.capacity,
+      security_level: updateData.security_level,
+      gender_designation: updateData.gender_designation,
+      is_active: updateData.is_active
+    };
+
+    Object.keys(allowedUpdates).forEach(key =>
+      allowedUpdates[key] === undefined && delete allowedUpdates[key]
+    );
+
+    await cell.update(allowedUpdates);
+
+    return formatCell(cell, occupants.length);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Close the prisoner's current placement, if any.
+ * Used by the vacate endpoint and by release and transfer dispatch.
+ */
+const vacateCurrentCell = async (prisonerId, userId, reason, transaction = null) => {
+  const placement = await db.CellPlacement.findOne({
+    where: { prisoner_id: prisonerId, vacated_at: null },
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE })
+  });
+
+  if (placement) {
+    await placement.update({
+      vacated_at: new Date(),
+      vacated_by: userId,
+      vacate_reason: reason
+    }, { transaction });
+  }
+
+  await db.Prisoner.update(
+    { cell_id: null, cell_number: null },
+    { where: { prisoner_id: prisonerId }, transaction }
+  );
+
+  return placement;
+};
+
+/**
+ * Place prisoner in a cell inside the caller's transaction
+ */
+const placePrisoner = async (prisoner, cellId, reason, userId, transaction) => {
+  // Lock the cell row so concurrent assignments cannot overfill it
+  const cell = await db.Cell.findByPk(cellId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!cell) {
+    throw new Error('Cell not found');
+  }
+
+  const unit = await db.HousingUnit.findByPk(cell.unit_id, {
+    include: [{ model: db.HousingUnit, as: 'parentUnit' }],
+    transaction
+  });
+
+  if (cell.prison_id !== prisoner.prison_id) {
+    throw new Error('Cell does not belong to the prisoner\'s prison');
+  }
+
+  if (!cell.is_active) {
+    throw new Error('Cell is not active');
+  }
+
+  if (prisoner.cell_id === cell.cell_id) {
+    throw new Error('Prisoner is already assigned to this cell');
+  }
+
+  const designations = [
+    cell.gender_designation,
+    unit && unit.gender_designation,
+    unit && unit.parentUnit && unit.parentUnit.gender_designation
+  ];
+
+  if (!designations.every(designation => designationAllows(designation, prisoner.gender))) {
+    throw new Error(`Cell ${cell.cell_number} is not designated for ${prisoner.gender.toLowerCase()} prisoners`);
+  }
+
+  // Locking read: a plain read would use the transaction's snapshot, which
+  // may predate placements committed while waiting for the cell lock
+  const occupants = await db.CellPlacement.findAll({
+    where: { cell_id: cell.cell_id, vacated_at: null },
+    attributes: ['placement_id'],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (occupants.length >= cell.capacity) {
+    throw new Error(`Cell ${cell.cell_number} is full (capacity ${cell.capacity})`);
+  }
+
+  await vacateCurrentCell(prisoner.prisoner_id, userId, reason || 'Moved to another cell', transaction);
+
+  const placement = await db.CellPlacement.create({
+    prisoner_id: prisoner.prisoner_id,
+    cell_id: cell.cell_id,
+    assigned_at: new Date(),
+    assigned_by: userId,
+    assignment_reason: reason
+  }, { transaction });
+
+  await db.Prisoner.update(
+    { cell_id: cell.cell_id, cell_number: cell.cell_number },
+    { where: { prisoner_id: prisoner.prisoner_id }, transaction }
+  );
+
+  return placement;
+};
+
+/**
+ * Assign or move prisoner to a cell
+ */
+const assignCell = async (prisonerId, cellId, reason, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const prisoner = await db.Prisoner.findByPk(prisonerId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!prisoner) {
+      throw new Error('Prisoner not found');
+    }
+
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+    if (prisoner.status !== PRISONER_STATUS.ACTIVE) {
+      throw new Error('Only active prisoners can be assigned to a cell');
+    }
+
+    await placePrisoner(prisoner, cellId, reason, actor.userId, transaction);
+
+    await transaction.commit();
+
+    return await getPlacementHistory(prisonerId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Vacate prisoner's current cell
+ */
+const vacateCell = async (prisonerId, reason, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const prisoner = await db.Prisoner.findByPk(prisonerId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!prisoner) {
+      throw new Error('Prisoner not found');
+    }
+
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+    const placement = await vacateCurrentCell(prisonerId, actor.userId, reason, transaction);
+
+    if (!placement) {
+      throw new Error('Prisoner is not assigned to a cell');
+    }
+
+    await transaction.commit();
+
+    return await getPlacementHistory(prisonerId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Get cell placement history of prisoner
+ */
+const getPlacementHistory = async (prisonerId, actor) => {
+  try {
+    const prisoner = await db.Prisoner.findByPk(prisonerId);
+
+    if (!prisoner) {
+      throw new Error('Prisoner not found');
+    }
+
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+    const placements = await db.CellPlacement.findAll({
+      where: { prisoner_id: prisonerId },
+      include: [
+        {
+          model: db.Cell,
+          as: 'cell',
+          attributes: ['cell_id', 'cell_number', 'prison_id'],
+          include: [
+            {
+              model: db.HousingUnit,
+              as: 'unit',
+              attributes: ['unit_id', 'unit_name', 'unit_type'],
+              include: [{ model: db.HousingUnit, as: 'parentUnit', attributes: ['unit_id', 'unit_name'] }]
+            }
+          ]
+        },
+        { model: db.User, as: 'assigner', attributes: ['user_id', 'employee_full_name'] },
+        { model: db.User, as: 'vacater', attributes: ['user_id', 'employee_full_name'] }
+      ],
+      order: [['assigned_at', 'DESC']]
+    });
+
+    return {
+      prisonerId: prisoner.prisoner_id,
+      currentCellId: prisoner.cell_id,
+      currentCellNumber: prisoner.cell_number,
+      placements: placements.map(placement => ({
+        placementId: placement.placement_id,
+        cell: placement.cell ? {
+          cellId: placement.cell.cell_id,
+          cellNumber: placement.cell.cell_number,
+          prisonId: placement.cell.prison_id,
+          unit: placement.cell.unit ? placement.cell.unit.unit_name : null,
+          block: placement.cell.unit && placement.cell.unit.parentUnit
+            ? placement.cell.unit.parentUnit.unit_name
+            : placement.cell.unit ? placement.cell.unit.unit_name : null
+        } : null,
+        assignedAt: placement.assigned_at,
+        assignedBy: placement.assigner ? {
+          userId: placement.assigner.user_id,
+          fullName: placement.assigner.employee_full_name
+        } : null,
+        assignmentReason: placement.assignment_reason,
+        vacatedAt: placement.vacated_at,
+        vacatedBy: placement.vacater ? {
+          userId: placement.vacater.user_id,
+          fullName: placement.vacater.employee_full_name
+        } : null,
+        vacateReason: placement.vacate_reason
+      }))
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Occupancy per block for prison statistics
+ */
+const getBlockOccupancy = async (prisonId) => {
+  const units = await db.HousingUnit.findAll({
+    where: { prison_id: prisonId },
+    attributes: ['unit_id', 'parent_unit_id', 'unit_type', 'unit_name']
+  });
+
+  const cells = await db.Cell.findAll({
+    where: { prison_id: prisonId, is_active: true },
+    attributes: ['cell_id', 'unit_id', 'capacity']
+  });
+
+  const occupancy = await getCellOccupancy(cells.map(cell => cell.cell_id));
+
+  return units
+    .filter(unit => unit.unit_type === HOUSING_UNIT_TYPE.BLOCK)
+    .map(block => {
+      const unitIds = [block.unit_id].concat(
+        units.filter(unit => unit.parent_unit_id === block.unit_id).map(unit => unit.unit_id)
+      );
+      const blockCells = cells.filter(cell => unitIds.includes(cell.unit_id));
+      const capacity = blockCells.reduce((sum, cell) => sum + cell.capacity, 0);
+      const occupants = blockCells.reduce((sum, cell) => sum + (occupancy[cell.cell_id] || 0), 0);
+
+      return {
+        unitId: block.unit_id,
+        blockName: block.unit_name,
+        cells: blockCells.length,
+        capacity,
+        occupants,
+        occupancyRate: capacity > 0 ? parseFloat(((occupants / capacity) * 100).toFixed(2)) : 0
+      };
+    });
+};
+
+module.exports = {
+  getHousingUnits,
+  createHousingUnit,
+  updateHousingUnit,
+  createCell,
+  updateCell,
+  assignCell,
+  vacateCell,
+  placePrisoner,
+  vacateCurrentCell,
+  getPlacementHistory,
+  getBlockOccupancy
+};
@@ -0,0 +1,60 @@
+const bcrypt = require('bcryptjs');
+const db = require('../models');
+const { PASSWORD_POLICY } = require('../config/constants');
+const { getPasswordPolicyErrors } = require('../utils/passwordPolicy');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reject a new password that breaks the policy or repeats a recent one
+ */
+const assertPasswordAllowed = async (user, newPassword) => {
+  const errors = getPasswordPolicyErrors(newPassword);
+  if (errors.length > 0) {
+    throw new Error(errors.join('. '));
+  }
+
+  const history = await db.PasswordHistory.findAll({
+    where: { user_id: user.user_id },
+    attributes: ['password_hash'],
+    order: [['history_id', 'DESC']],
+    limit: PASSWORD_POLICY.HISTORY_COUNT
+  });
+
+  const recentHashes = [user.password_hash, ...history.map(entry => entry.password_hash)];
+
+  for (const hash of recentHashes) {
+    if (hash && await bcrypt.compare(newPassword, hash)) {
+      throw new Error(`Password cannot be the same as any of your last ${PASSWORD_POLICY.HISTORY_COUNT} passwords`);
+    }
+  }
+};
+
+/**
+ * Whether the password is older than the maximum age
+ */
+const isPasswordExpired = (user) => {
+  if (!PASSWORD_POLICY.MAX_AGE_DAYS) {
+    return false;
+  }
+
+  const changedAt = user.password_changed_at || user.created_at;
+  if (!changedAt) {
+    return false;
+  }
+
+  return new Date(changedAt).getTime() + PASSWORD_POLICY.MAX_AGE_DAYS * MS_PER_DAY < Date.now();
+};
+
+/**
+ * Whether the user must change password before using the system
+ */
+const isPasswordChangeRequired = (user) => {
+  return !!user.must_change_password || isPasswordExpired(user);
+};
+
+module.exports = {
+  assertPasswordAllowed,
+  isPasswordExpired,
+  isPasswordChangeRequired
+};
@@ -0,0 +1,473 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const { PAYMENT_STATUS, PAYROLL_RUN_STATUS } = require('../config/constants');
+const { addDays, today } = require('../utils/dates');
+const accountService = require('./accountService');
+const accessPolicy = require('../utils/accessPolicy');
+const payrollExport = require('../utils/payrollExport');
+
+const toMoney = (value) => Math.round(value * 100) / 100;
+
+const OPEN_RUN_STATUSES = [PAYROLL_RUN_STATUS.DRAFT, PAYROLL_RUN_STATUS.APPROVED];
+
+/**
+ * Include options shared by payroll run queries
+ */
+const runIncludes = () => [
+  { model: db.Prison, as: 'prison', attributes: ['prison_id', 'prison_name', 'location'] },
+  { model: db.User, as: 'creator', attributes: ['user_id', 'employee_full_name'] },
+  { model: db.User, as: 'approver', attributes: ['user_id', 'employee_full_name'] },
+  { model: db.User, as: 'poster', attributes: ['user_id', 'employee_full_name'] },
+  { model: db.User, as: 'closer', attributes: ['user_id', 'employee_full_name'] }
+];
+
+/**
+ * Format officer reference
+ */
+const formatOfficer = (user) => user ? {
+  userId: user.user_id,
+  fullName: user.employee_full_name
+} : null;
+
+/**
+ * Totals per prisoner of a run's items, by prisoner name
+ */
+const summarisePrisoners = (items) => {
+  const byPrisoner = new Map();
+
+  items.forEach(item => {
+    const summary = byPrisoner.get(item.prisoner_id) || {
+      prisonerId: item.prisoner_id,
+      fullName: item.prisoner ? item.prisoner.full_name : null,
+      caseNumber: item.prisoner ? item.prisoner.case_number : null,
+      records: 0,
+      hours: 0,
+      amount: 0
+    };
+
+    summary.records++;
+    summary.hours = toMoney(summary.hours + parseFloat(item.hours_worked));
+    summary.amount = toMoney(summary.amount + parseFloat(item.payment_amount));
+    byPrisoner.set(item.prisoner_id, summary);
+  });
+
+  return [...byPrisoner.values()]
+    .sort((a, b) => (a.fullName || '').localeCompare(b.fullName || ''));
+};
+
+/**
+ * Format payroll run for API response, with per-prisoner totals when its
+ * items are loaded
+ */
+const formatRun = (run, items = null) => ({
+  runId: run.run_id,
+  runNumber: run.run_number,
+  prison: run.prison ? {
+    prisonId: run.prison.prison_id,
+    prisonName: run.prison.prison_name,
+    location: run.prison.location
+  } : { prisonId: run.prison_id },
+  periodStart: run.period_start,
+  periodEnd: run.period_end,
+  status: run.status,
+  recordCount: run.record_count,
+  totalHours: parseFloat(run.total_hours),
+  totalAmount: parseFloat(run.total_amount),
+  paymentDate: run.payment_date,
+  createdBy: formatOfficer(run.creator),
+  createdAt: run.created_at,
+  approvedBy: formatOfficer(run.approver),
+  approvedAt: run.approved_at,
+  postedBy: formatOfficer(run.poster),
+  postedAt: run.posted_at,
+  closedBy: formatOfficer(run.closer),
+  closedAt: run.closed_at,
+  closedReason: run.closed_reason,
+  ...(items && { prisoners: summarisePrisoners(items) })
+});
+
+/**
+ * Load a payroll run row for a workflow step
+ */
+const findRunForUpdate = async (runId, transaction) => {
+  const run = await db.PayrollRun.findByPk(runId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!run) {
+    throw new Error('Payroll run not found');
+  }
+
+  return run;
+};
+
+const findItems = async (runId, transaction = null) => {
+  return db.PayrollRunItem.findAll({
+    where: { run_id: runId },
+    include: [{ model: db.Prisoner, as: 'prisoner', attributes: ['prisoner_id', 'full_name', 'case_number'] }],
+    order: [['work_date', 'ASC'], ['item_id', 'ASC']],
+    transaction
+  });
+};
+
+/**
+ * Next run number of a prison for a year: PAY-<prison>-<year>-<sequence>
+ */
+const nextRunNumber = async (prisonId, paymentDate, transaction) => {
+  // Serialise numbering within the prison
+  await db.Prison.findByPk(prisonId, {
+    attributes: ['prison_id'],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  const prefix = `PAY-${prisonId}-${paymentDate.slice(0, 4)}-`;
+  const posted = await db.PayrollRun.count({
+    where: { run_number: { [Op.like]: `${prefix}%` } },
+    transaction
+  });
+
+  return `${prefix}${String(posted + 1).padStart(4, '0')}`;
+};
+
+/**
+ * Get payroll run by ID with its per-prisoner totals
+ */
+const getPayrollRunById = async (runId, actor) => {
+  try {
+    const run = await db.PayrollRun.findByPk(runId, {
+      include: runIncludes()
+    });
+
+    if (!run) {
+      throw new Error('Payroll run not found');
+    }
+
+    accessPolicy.authorize(actor, 'payrollRun:access', run);
+
+    return formatRun(run, await findItems(run.run_id));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get a prison's payroll runs, latest period first
+ */
+const getPrisonPayrollRuns = async (prisonId, actor, filters = {}, page = 1, limit = 10) => {
+  try {
+    const offset = (page - 1) * limit;
+
+    const prison = await db.Prison.findByPk(prisonId);
+    if (!prison) {
+      throw new Error('Prison not found');
+    }
+
+    accessPolicy.authorize(actor, 'prison:view', prison);
+
+    const { count, rows: runs } = await db.PayrollRun.findAndCountAll({
+      where: {
+        prison_id: prisonId,
+        ...(filters.status && { status: filters.status })
+      },
+      include: runIncludes(),
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['period_end', 'DESC'], ['run_id', 'DESC']],
+      distinct: true
+    });
+
+    return {
+      payrollRuns: runs.map(run => formatRun(run)),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Open a draft payroll run holding a prison's pending work records for a
+ * period. Held records cannot be edited or approved on their own.
+ */
+const createPayrollRun = async (runData, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const prison = await db.Prison.findByPk(runData.prison_id, { transaction });
+
+    if (!prison) {
+      throw new Error('Prison not found');
+    }
+
+    accessPolicy.authorize(actor, 'payrollRun:access', prison);
+
+    const records = await db.PrisonerWorkRecord.findAll({
+      where: {
+        payment_status: PAYMENT_STATUS.PENDING,
+        payroll_run_id: null,
+        work_date: { [Op.between]: [runData.period_start, runData.period_end] }
+      },
+      include: [{
+        model: db.Prisoner,
+        as: 'prisoner',
+        attributes: ['prisoner_id'],
+        where: { prison_id: prison.prison_id },
+        required: true
+      }],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (records.length === 0) {
+      throw new Error('No pending work records for this prison and period');
+    }
+
+    const run = await db.PayrollRun.create({
+      prison_id: prison.prison_id,
+      period_start: runData.period_start,
+      period_end: runData.period_end,
+      status: PAYROLL_RUN_STATUS.DRAFT,
+      record_count: records.length,
+      total_hours: toMoney(records.reduce((sum, record) => sum + parseFloat(record.hours_worked), 0)),
+      total_amount: toMoney(records.reduce((sum, record) => sum + parseFloat(record.payment_amount), 0)),
+      created_by: actor.userId
+    }, { transaction });
+
+    await db.PayrollRunItem.bulkCreate(records.map(record => ({
+      run_id: run.run_id,
+      work_record_id: record.work_record_id,
+      prisoner_id: record.prisoner_id,
+      work_date: record.work_date,
+      hours_worked: record.hours_worked,
+      payment_amount: record.payment_amount
+    })), { transaction });
+
+    await db.PrisonerWorkRecord.update(
+      { payroll_run_id: run.run_id },
+      { where: { work_record_id: { [Op.in]: records.map(record => record.work_record_id) } }, transaction }
+    );
+
+    await transaction.commit();
+
+    return await getPayrollRunById(run.run_id, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Approve a draft payroll run as a whole
+ */
+const approvePayrollRun = async (runId, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const run = await findRunForUpdate(runId, transaction);
+
+    accessPolicy.authorize(actor, 'payrollRun:access', run);
+
+    if (run.status !== PAYROLL_RUN_STATUS.DRAFT) {
+      throw new Error(`Payroll run cannot be approved while ${run.status.toLowerCase()}`);
+    }
+
+    await run.update({
+      status: PAYROLL_RUN_STATUS.APPROVED,
+      approved_by: actor.userId,
+      approved_at: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getPayrollRunById(runId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Post an approved payroll run: number it, mark its work records Paid and
+ * credit each payment to the prisoner's account. Any failure posts nothing.
+ */
+const postPayrollRun = async (runId, paymentDate, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const run = await findRunForUpdate(runId, transaction);
+
+    accessPolicy.authorize(actor, 'payrollRun:access', run);
+
+    if (run.status !== PAYROLL_RUN_STATUS.APPROVED) {
+      throw new Error(`Payroll run cannot be posted while ${run.status.toLowerCase()}`);
+    }
+
+    const paidOn = paymentDate ? addDays(paymentDate, 0) : today();
+    const runNumber = await nextRunNumber(run.prison_id, paidOn, transaction);
+
+    const records = await db.PrisonerWorkRecord.findAll({
+      where: { payroll_run_id: run.run_id },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    for (const record of records) {
+      await accountService.creditWorkPayment(record, paidOn, actor.userId, transaction, runNumber);
+    }
+
+    await db.PrisonerWorkRecord.update({
+      payment_status: PAYMENT_STATUS.PAID,
+      payment_date: paidOn
+    }, { where: { payroll_run_id: run.run_id }, transaction });
+
+    await run.update({
+      status: PAYROLL_RUN_STATUS.POSTED,
+      run_number: runNumber,
+      payment_date: paidOn,
+      posted_by: actor.userId,
+      posted_at: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getPayrollRunById(runId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Cancel a payroll run before it is posted, releasing its work records
+ */
+const cancelPayrollRun = async (runId, reason, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const run = await findRunForUpdate(runId, transaction);
+
+    accessPolicy.authorize(actor, 'payrollRun:access', run);
+
+    if (!OPEN_RUN_STATUSES.includes(run.status)) {
+      throw new Error(`Payroll run cannot be cancelled while ${run.status.toLowerCase()}`);
+    }
+
+    await db.PrisonerWorkRecord.update(
+      { payroll_run_id: null },
+      { where: { payroll_run_id: run.run_id }, transaction }
+    );
+
+    await run.update({
+      status: PAYROLL_RUN_STATUS.CANCELLED,
+      closed_by: actor.userId,
+      closed_at: new Date(),
+      closed_reason: reason
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getPayrollRunById(runId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Reverse a posted payroll run: each account credit gets a compensating
+ * entry and the work records return to Pending for a later run. Fails as a
+ * whole when a prisoner has already spent the money.
+ */
+const reversePayrollRun = async (runId, reason, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const run = await findRunForUpdate(runId, transaction);
+
+    accessPolicy.authorize(actor, 'payrollRun:reverse', run);
+
+    if (run.status !== PAYROLL_RUN_STATUS.POSTED) {
+      throw new Error(`Payroll run cannot be reversed while ${run.status.toLowerCase()}`);
+    }
+
+    const items = await findItems(run.run_id, transaction);
+
+    for (const item of items) {
+      try {
+        await accountService.reverseWorkPayment(
+          item.work_record_id,
+          `Payroll run ${run.run_number} reversed: ${reason}`,
+          actor.userId,
+          transaction
+        );
+      } catch (error) {
+        const name = item.prisoner ? item.prisoner.full_name : `prisoner ${item.prisoner_id}`;
+        throw new Error(`${error.message} (${name})`);
+      }
+    }
+
+    await db.PrisonerWorkRecord.update({
+      payment_status: PAYMENT_STATUS.PENDING,
+      payment_date: null,
+      payroll_run_id: null
+    }, { where: { payroll_run_id: run.run_id }, transaction });
+
+    await run.update({
+      status: PAYROLL_RUN_STATUS.REVERSED,
+      closed_by: actor.userId,
+      closed_at: new Date(),
+      closed_reason: reason
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getPayrollRunById(runId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Payroll run summary as a CSV or PDF download
+ */
+const exportPayrollRun = async (runId, format, actor) => {
+  try {
+    const summary = await getPayrollRunById(runId, actor);
+    const baseName = summary.runNumber || `payroll-run-${summary.runId}`;
+
+    if (format === 'pdf') {
+      return {
+        filename: `${baseName}.pdf`,
+        contentType: 'application/pdf',
+        content: await payrollExport.toPdf(summary)
+      };
+    }
+
+    return {
+      filename: `${baseName}.csv`,
+      contentType: 'text/csv',
+      content: payrollExport.toCsv(summary)
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getPayrollRunById,
+  getPrisonPayrollRuns,
+  createPayrollRun,
+  approvePayrollRun,
+  postPayrollRun,
+  cancelPayrollRun,
+  reversePayrollRun,
+  exportPayrollRun
+};
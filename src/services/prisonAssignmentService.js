@@ -0,0 +1,229 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const accessPolicy = require('../utils/accessPolicy');
+
+/**
+ * Format assignment for API response
+ */
+const formatAssignment = (assignment) => ({
+  assignmentId: assignment.assignment_id,
+  userId: assignment.user_id,
+  prison: assignment.prison ? {
+    prisonId: assignment.prison.prison_id,
+    prisonName: assignment.prison.prison_name
+  } : { prisonId: assignment.prison_id },
+  role: assignment.role ? {
+    roleId: assignment.role.role_id,
+    roleName: assignment.role.role_name
+  } : null,
+  startsAt: assignment.starts_at,
+  endsAt: assignment.ends_at,
+  notes: assignment.notes,
+  isActive: accessPolicy.isWithinPeriod({
+    startsAt: assignment.starts_at,
+    endsAt: assignment.ends_at
+  }),
+  assignedBy: assignment.assigner ? {
+    userId: assignment.assigner.user_id,
+    fullName: assignment.assigner.employee_full_name
+  } : null,
+  createdAt: assignment.created_at
+});
+
+const assignmentIncludes = () => [
+  { model: db.Prison, as: 'prison', attributes: ['prison_id', 'prison_name'] },
+  { model: db.Role, as: 'role', attributes: ['role_id', 'role_name'] },
+  { model: db.User, as: 'assigner', attributes: ['user_id', 'employee_full_name'] }
+];
+
+/**
+ * Where clause for assignments that have not ended
+ */
+const notEnded = () => ({
+  [Op.or]: [
+    { ends_at: null },
+    { ends_at: { [Op.gt]: new Date() } }
+  ]
+});
+
+/**
+ * Assignments that have not ended, in the shape the access policy expects.
+ * Assignments starting later are included; the policy checks the period
+ * on every decision.
+ */
+const getCurrentAssignments = async (userId) => {
+  const assignments = await db.UserPrisonAssignment.findAll({
+    where: {
+      user_id: userId,
+      ...notEnded()
+    },
+    include: [{ model: db.Role, as: 'role', attributes: ['role_name'] }]
+  });
+
+  return assignments.map(a => ({
+    prisonId: a.prison_id,
+    roleName: a.role ? a.role.role_name : null,
+    startsAt: a.starts_at,
+    endsAt: a.ends_at
+  }));
+};
+
+/**
+ * List a user's home prison and prison assignments
+ */
+const getUserPrisons = async (userId, actor) => {
+  try {
+    const user = await db.User.findByPk(userId, {
+      include: [
+        { model: db.Role, as: 'role' },
+        { model: db.Prison, as: 'prison', attributes: ['prison_id', 'prison_name'] }
+      ]
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const whereClause = { user_id: userId };
+
+    // Administrators who cannot manage the user only see their own prisons
+    if (user.user_id !== actor.userId && !accessPolicy.can(actor, 'user:manage', user)) {
+      whereClause.prison_id = accessPolicy.prisonScope(actor);
+    }
+
+    const assignments = await db.UserPrisonAssignment.findAll({
+      where: whereClause,
+      include: assignmentIncludes(),
+      order: [['created_at', 'DESC']]
+    });
+
+    return {
+      homePrison: user.prison ? {
+        prisonId: user.prison.prison_id,
+        prisonName: user.prison.prison_name
+      } : null,
+      role: {
+        roleId: user.role.role_id,
+        roleName: user.role.role_name
+      },
+      assignments: assignments.map(formatAssignment)
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Assign a user to a further prison, optionally with a different role there
+ * and for a limited period (secondment)
+ */
+const assignPrison = async (userId, assignmentData, actor) => {
+  try {
+    const user = await db.User.findByPk(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.is_active) {
+      throw new Error('Cannot assign an inactive user');
+    }
+
+    const prison = await db.Prison.findByPk(assignmentData.prison_id);
+    if (!prison) {
+      throw new Error('Prison not found');
+    }
+
+    accessPolicy.authorize(actor, 'prison:assignStaff', prison);
+
+    if (user.prison_id === prison.prison_id) {
+      throw new Error('User is already assigned to this prison');
+    }
+
+    let role = null;
+    if (assignmentData.role_id) {
+      role = await db.Role.findByPk(assignmentData.role_id);
+      if (!role) {
+        throw new Error('Role not found');
+      }
+      accessPolicy.authorize(actor, 'role:assign', role);
+    }
+
+    const startsAt = assignmentData.starts_at ? new Date(assignmentData.starts_at) : null;
+    const endsAt = assignmentData.ends_at ? new Date(assignmentData.ends_at) : null;
+
+    if (endsAt && (endsAt <= (startsAt || new Date()))) {
+      throw new Error('Assignment must end after it starts and in the future');
+    }
+
+    const existing = await db.UserPrisonAssignment.findOne({
+      where: {
+        user_id: user.user_id,
+        prison_id: prison.prison_id,
+        ...notEnded()
+      }
+    });
+
+    if (existing) {
+      throw new Error('User is already assigned to this prison');
+    }
+
+    const assignment = await db.UserPrisonAssignment.create({
+      user_id: user.user_id,
+      prison_id: prison.prison_id,
+      role_id: role ? role.role_id : null,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      notes: assignmentData.notes || null,
+      assigned_by: actor.userId
+    });
+
+    const created = await db.UserPrisonAssignment.findByPk(assignment.assignment_id, {
+      include: assignmentIncludes()
+    });
+
+    return formatAssignment(created);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * End an assignment now. One that has not started yet is removed.
+ */
+const endAssignment = async (userId, assignmentId, actor) => {
+  try {
+    const assignment = await db.UserPrisonAssignment.findOne({
+      where: { assignment_id: assignmentId, user_id: userId }
+    });
+
+    if (!assignment) {
+      throw new Error('Assignment not found');
+    }
+
+    accessPolicy.authorize(actor, 'prison:assignStaff', assignment);
+
+    const now = new Date();
+
+    if (assignment.ends_at && assignment.ends_at <= now) {
+      throw new Error('Assignment has already ended');
+    }
+
+    if (assignment.starts_at && assignment.starts_at > now) {
+      await assignment.destroy();
+    } else {
+      await assignment.update({ ends_at: now });
+    }
+
+    return { message: 'Assignment ended successfully' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getCurrentAssignments,
+  getUserPrisons,
+  assignPrison,
+  endAssignment
+};
@@ -1,6 +1,8 @@
 const db = require('../models');
-const { USER_ROLES } = require('../config/constants');
 const { Op } = require('sequelize');
+const capacityService = require('./capacityService');
+const housingService = require('./housingService');
+const accessPolicy = require('../utils/accessPolicy');
 
 /**
  * Get all prisons with filtering and pagination
@@ -66,6 +68,9 @@ const getAllPrisons = async (filters = {}, page = 1, limit = 10) => {
         email: prison.email,
         establishedDate: prison.established_date,
         isActive: prison.is_active,
+        requireVerifiedVisitors: prison.require_verified_visitors,
+        maxDailyWorkHours: parseFloat(prison.max_daily_work_hours),
+        maxWeeklyWorkHours: parseFloat(prison.max_weekly_work_hours),
         staffCount: prison.users ? prison.users.length : 0,
         createdAt: prison.created_at,
         updatedAt: prison.updated_at
@@ -129,6 +134,9 @@ const getPrisonById = async (prisonId) => {
       email: prison.email,
       establishedDate: prison.established_date,
       isActive: prison.is_active,
+      requireVerifiedVisitors: prison.require_verified_visitors,
+      maxDailyWorkHours: parseFloat(prison.max_daily_work_hours),
+      maxWeeklyWorkHours: parseFloat(prison.max_weekly_work_hours),
       staff: prison.users ? prison.users.map(user => ({
         userId: user.user_id,
         fullName: user.employee_full_name,
@@ -152,12 +160,10 @@ const getPrisonById = async (prisonId) => {
 /**
  * Create new prison
  */
-const createPrison = async (prisonData, userRole) => {
+const createPrison = async (prisonData, actor) => {
   try {
     // Only Super Admin can create prisons
-    if (userRole !== USER_ROLES.SUPER_ADMIN) {
-      throw new Error('Only Super Admin can create prisons');
-    }
+    accessPolicy.authorize(actor, 'prison:manage');
 
     // Check if prison name already exists
     const existingPrison = await db.Prison.findOne({
@@ -185,7 +191,10 @@ const createPrison = async (prisonData, userRole) => {
       contact_number: prisonData.contact_number,
       email: prisonData.email,
       established_date: prisonData.established_date,
-      is_active: prisonData.is_active !== undefined ? prisonData.is_active : true
+      is_active: prisonData.is_active !== undefined ? prisonData.is_active : true,
+      require_verified_visitors: prisonData.require_verified_visitors || false,
+      max_daily_work_hours: prisonData.max_daily_work_hours,
+      max_weekly_work_hours: prisonData.max_weekly_work_hours
     });
 
     // Fetch created prison
@@ -198,12 +207,10 @@ const createPrison = async (prisonData, userRole) => {
 /**
  * Update prison
  */
-const updatePrison = async (prisonId, updateData, userRole) => {
+const updatePrison = async (prisonId, updateData, actor) => {
   try {
     // Only Super Admin can update prisons
-    if (userRole !== USER_ROLES.SUPER_ADMIN) {
-      throw new Error('Only Super Admin can update prisons');
-    }
+    accessPolicy.authorize(actor, 'prison:manage');
 
     const prison = await db.Prison.findByPk(prisonId);
 
@@ -232,18 +239,22 @@ const updatePrison = async (prisonId, updateData, userRole) => {
 
     // Check if capacity is being reduced below current occupancy
     if (updateData.capacity !== undefined) {
-      const currentOccupancy = await db.Prisoner.count({
-        where: {
-          prison_id: prisonId,
-          status: 'Active'
-        }
-      });
+      const { occupied, reserved } = await capacityService.getCapacitySnapshot(prisonId);
 
-      if (updateData.capacity < currentOccupancy) {
-        throw new Error(`Cannot reduce capacity below current occupancy of ${currentOccupancy} prisoners`);
+      if (updateData.capacity < occupied + reserved) {
+        throw new Error(`Cannot reduce capacity below current occupancy of ${occupied} prisoners and ${reserved} reserved places`);
       }
     }
 
+    const dailyCap = updateData.max_daily_work_hours !== undefined
+      ? updateData.max_daily_work_hours : parseFloat(prison.max_daily_work_hours);
+    const weeklyCap = updateData.max_weekly_work_hours !== undefined
+      ? updateData.max_weekly_work_hours : parseFloat(prison.max_weekly_work_hours);
+
+    if (dailyCap > weeklyCap) {
+      throw new Error('Daily work hour limit cannot exceed the weekly limit');
+    }
+
     // Update prison
     await prison.update(updateData);
 
@@ -257,12 +268,10 @@ const updatePrison = async (prisonId, updateData, userRole) => {
 /**
  * Delete prison (soft delete by setting is_active to false)
  */
-const deletePrison = async (prisonId, userRole) => {
+const deletePrison = async (prisonId, actor) => {
   try {
     // Only Super Admin can delete prisons
-    if (userRole !== USER_ROLES.SUPER_ADMIN) {
-      throw new Error('Only Super Admin can delete prisons');
-    }
+    accessPolicy.authorize(actor, 'prison:manage');
 
     const prison = await db.Prison.findByPk(prisonId);
 
@@ -347,6 +356,8 @@ const getPrisonStatistics = async (prisonId) => {
     const activePrisoners = prisonerStats.find(s => s.status === 'Active');
     const currentOccupancy = activePrisoners ? parseInt(activePrisoners.dataValues.count) : 0;
     const occupancyRate = prison.capacity > 0 ? ((currentOccupancy / prison.capacity) * 100).toFixed(2) : 0;
+    const { reserved } = await capacityService.getCapacitySnapshot(prisonId);
+    const blockOccupancy = await housingService.getBlockOccupancy(prisonId);
 
     return {
       prisonId: prison.prison_id,
@@ -354,7 +365,8 @@ const getPrisonStatistics = async (prisonId) => {
       capacity: prison.capacity,
       currentOccupancy,
       occupancyRate: parseFloat(occupancyRate),
-      availableSpace: Math.max(0, prison.capacity - currentOccupancy),
+      reservedPlaces: reserved,
+      availableSpace: Math.max(0, prison.capacity - currentOccupancy - reserved),
       prisoners: prisonerStats.map(stat => ({
         status: stat.status,
         count: parseInt(stat.dataValues.count)
@@ -363,7 +375,8 @@ const getPrisonStatistics = async (prisonId) => {
         role: stat.role.role_name,
         count: parseInt(stat.dataValues.count)
       })),
-      totalStaff: staffStats.reduce((sum, stat) => sum + parseInt(stat.dataValues.count), 0)
+      totalStaff: staffStats.reduce((sum, stat) => sum + parseInt(stat.dataValues.count), 0),
+      blocks: blockOccupancy
     };
   } catch (error) {
     throw error;
@@ -1,19 +1,13 @@
 const db = require('../models');
-const { USER_ROLES, PRISONER_STATUS } = require('../config/constants');
+const { PRISONER_STATUS } = require('../config/constants');
 const { Op } = require('sequelize');
+const sentenceService = require('./sentenceService');
+const capacityService = require('./capacityService');
+const housingService = require('./housingService');
+const accessPolicy = require('../utils/accessPolicy');
 const fs = require('fs').promises;
 const path = require('path');
 
-/**
- * Check if user has access to prisoner's prison
- */
-const checkPrisonAccess = (userPrisonId, prisonerPrisonId, userRole) => {
-  if (userRole === USER_ROLES.SUPER_ADMIN) {
-    return true;
-  }
-  return userPrisonId === prisonerPrisonId;
-};
-
 /**
  * Get all prisoners with filtering and pagination
  */
@@ -110,7 +104,7 @@ const getAllPrisoners = async (filters = {}, page = 1, limit = 10) => {
 /**
  * Get prisoner by ID with full details
  */
-const getPrisonerById = async (prisonerId, userPrisonId, userRole) => {
+const getPrisonerById = async (prisonerId, actor) => {
   try {
     const prisoner = await db.Prisoner.findByPk(prisonerId, {
       include: [
@@ -142,9 +136,9 @@ const getPrisonerById = async (prisonerId, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+    const sentenceComputation = await sentenceService.getSentenceComputation(prisoner.prisoner_id);
 
     return {
       prisonerId: prisoner.prisoner_id,
@@ -186,6 +180,7 @@ const getPrisonerById = async (prisonerId, userPrisonId, userRole) => {
         description: mark.mark_description,
         location: mark.mark_location
       })) : [],
+      sentenceComputation,
       createdAt: prisoner.created_at,
       updatedAt: prisoner.updated_at
     };
@@ -197,39 +192,34 @@ const getPrisonerById = async (prisonerId, userPrisonId, userRole) => {
 /**
  * Register new prisoner
  */
-const registerPrisoner = async (prisonerData, userPrisonId, userRole, userId) => {
+const registerPrisoner = async (prisonerData, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
-    // Determine prison ID
+    // Determine prison ID: the requested prison if the user works there,
+    // otherwise the user's own prison
     let prisonId;
-    if (userRole === USER_ROLES.SUPER_ADMIN && prisonerData.prison_id) {
+    if (prisonerData.prison_id) {
+      accessPolicy.authorize(actor, 'prison:view', { prison_id: prisonerData.prison_id });
       prisonId = prisonerData.prison_id;
     } else {
-      prisonId = userPrisonId;
+      prisonId = actor.prisonId;
     }
 
     if (!prisonId) {
       throw new Error('Prison ID is required');
     }
 
-    // Check if prison exists and has capacity
-    const prison = await db.Prison.findByPk(prisonId);
-    if (!prison) {
-      throw new Error('Prison not found');
-    }
-
-    const activePrisoners = await db.Prisoner.count({
-      where: {
-        prison_id: prisonId,
-        status: PRISONER_STATUS.ACTIVE
-      }
+    // Lock the prison row and claim a place for the new prisoner
+    await capacityService.reserveCapacity(prisonId, {
+      transaction,
+      override: prisonerData.capacity_override
+        ? { enabled: true, reason: prisonerData.capacity_override_reason }
+        : null,
+      actor,
+      context: 'REGISTER_PRISONER'
     });
 
-    if (activePrisoners >= prison.capacity) {
-      throw new Error(`Prison has reached maximum capacity of ${prison.capacity}`);
-    }
-
     // Check if NIC or case number already exists
     const existingPrisoner = await db.Prisoner.findOne({
       where: {
@@ -237,7 +227,8 @@ const registerPrisoner = async (prisonerData, userPrisonId, userRole, userId) =>
           { nic: prisonerData.nic },
           { case_number: prisonerData.case_number }
         ]
-      }
+      },
+      transaction
     });
 
     if (existingPrisoner) {
@@ -261,14 +252,26 @@ const registerPrisoner = async (prisonerData, userPrisonId, userRole, userId) =>
       expected_release_date: prisonerData.expected_release_date,
       status: PRISONER_STATUS.ACTIVE,
       prison_id: prisonId,
-      cell_number: prisonerData.cell_number,
+      cell_number: prisonerData.cell_id ? null : prisonerData.cell_number,
       social_status: prisonerData.social_status
     }, { transaction });
 
+    if (prisonerData.cell_id) {
+      await housingService.placePrisoner(newPrisoner, prisonerData.cell_id, 'Admission', actor.userId, transaction);
+    }
+
+    // Derive the release date from sentences when they are supplied
+    if (Array.isArray(prisonerData.sentences) && prisonerData.sentences.length > 0) {
+      for (const sentenceData of prisonerData.sentences) {
+        await sentenceService.addSentence(newPrisoner, sentenceData, actor.userId, transaction);
+      }
+      await sentenceService.recalculateReleaseDate(newPrisoner.prisoner_id, transaction);
+    }
+
     await transaction.commit();
 
     // Fetch created prisoner with details
-    return await getPrisonerById(newPrisoner.prisoner_id, userPrisonId, userRole);
+    return await getPrisonerById(newPrisoner.prisoner_id, actor);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -278,7 +281,7 @@ const registerPrisoner = async (prisonerData, userPrisonId, userRole, userId) =>
 /**
  * Update prisoner
  */
-const updatePrisoner = async (prisonerId, updateData, userPrisonId, userRole, userId) => {
+const updatePrisoner = async (prisonerId, updateData, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
@@ -289,9 +292,7 @@ const updatePrisoner = async (prisonerId, updateData, userPrisonId, userRole, us
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     // Check for duplicate NIC or case number if being updated
     if (updateData.nic && updateData.nic !== prisoner.nic) {
@@ -307,6 +308,23 @@ const updatePrisoner = async (prisonerId, updateData, userPrisonId, userRole, us
       }
     }
 
+    // Cells are changed through the placement endpoints so history is kept
+    if (updateData.cell_id !== undefined ||
+        (updateData.cell_number !== undefined && updateData.cell_number !== prisoner.cell_number)) {
+      throw new Error('Cell assignment must be changed through the cell placement endpoint');
+    }
+
+    // Once sentences are recorded the release date can only change through the ledger
+    if (updateData.expected_release_date !== undefined) {
+      const sentenceCount = await db.PrisonerSentence.count({
+        where: { prisoner_id: prisonerId }
+      });
+
+      if (sentenceCount > 0) {
+        throw new Error('Expected release date is computed from sentence records and cannot be edited directly');
+      }
+    }
+
     if (updateData.case_number && updateData.case_number !== prisoner.case_number) {
       const existingCase = await db.Prisoner.findOne({
         where: {
@@ -326,7 +344,7 @@ const updatePrisoner = async (prisonerId, updateData, userPrisonId, userRole, us
     await transaction.commit();
 
     // Return updated prisoner
-    return await getPrisonerById(prisonerId, userPrisonId, userRole);
+    return await getPrisonerById(prisonerId, actor);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -336,26 +354,20 @@ const updatePrisoner = async (prisonerId, updateData, userPrisonId, userRole, us
 /**
  * Delete prisoner (change status based on reason)
  */
-const deletePrisoner = async (prisonerId, reason, userPrisonId, userRole, userId) => {
+const deletePrisoner = async (prisonerId, reason, actor) => {
   try {
-    // Only Prison Admin or Super Admin can delete
-    if (userRole !== USER_ROLES.PRISON_ADMIN && userRole !== USER_ROLES.SUPER_ADMIN) {
-      throw new Error('Only Prison Admin or Super Admin can delete prisoners');
-    }
-
     const prisoner = await db.Prisoner.findByPk(prisonerId);
 
     if (!prisoner) {
       throw new Error('Prisoner not found');
     }
 
-    // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    // Only Prison Admin or Super Admin of the prisoner's prison can delete
+    accessPolicy.authorize(actor, 'prisoner:delete', prisoner);
 
     // Update status based on reason
     const newStatus = reason === 'deceased' ? PRISONER_STATUS.DECEASED : PRISONER_STATUS.RELEASED;
+    await housingService.vacateCurrentCell(prisoner.prisoner_id, actor.userId, newStatus);
     await prisoner.update({
       status: newStatus,
       actual_release_date: new Date()
@@ -367,10 +379,48 @@ const deletePrisoner = async (prisonerId, reason, userPrisonId, userRole, userId
   }
 };
 
+/**
+ * Add sentence to prisoner and recompute release date
+ */
+const addSentence = async (prisonerId, sentenceData, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    // Locked so concurrent sentence changes do not both create the sentence basis
+    const prisoner = await db.Prisoner.findByPk(prisonerId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!prisoner) {
+      throw new Error('Prisoner not found');
+    }
+
+    // Check access
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+    if (prisoner.status !== PRISONER_STATUS.ACTIVE) {
+      throw new Error('Sentences can only be added to active prisoners');
+    }
+
+    // Keep any manually entered release date as the first sentence
+    await sentenceService.ensureSentenceBasis(prisoner, actor.userId, transaction);
+    await sentenceService.addSentence(prisoner, sentenceData, actor.userId, transaction);
+    const computation = await sentenceService.recalculateReleaseDate(prisoner.prisoner_id, transaction);
+
+    await transaction.commit();
+
+    return computation;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
 /**
  * Add family details
  */
-const addFamilyDetails = async (prisonerId, familyData, userPrisonId, userRole) => {
+const addFamilyDetails = async (prisonerId, familyData, actor) => {
   try {
     const prisoner = await db.Prisoner.findByPk(prisonerId);
 
@@ -379,9 +429,7 @@ const addFamilyDetails = async (prisonerId, familyData, userPrisonId, userRole)
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     const familyMember = await db.PrisonerFamilyDetail.create({
       prisoner_id: prisonerId,
@@ -410,7 +458,7 @@ const addFamilyDetails = async (prisonerId, familyData, userPrisonId, userRole)
 /**
  * Update family details
  */
-const updateFamilyDetails = async (prisonerId, familyId, updateData, userPrisonId, userRole) => {
+const updateFamilyDetails = async (prisonerId, familyId, updateData, actor) => {
   try {
     const prisoner = await db.Prisoner.findByPk(prisonerId);
 
@@ -419,9 +467,7 @@ const updateFamilyDetails = async (prisonerId, familyId, updateData, userPrisonI
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     const familyMember = await db.PrisonerFamilyDetail.findOne({
       where: {
@@ -453,7 +499,7 @@ const updateFamilyDetails = async (prisonerId, familyId, updateData, userPrisonI
 /**
  * Delete family member
  */
-const deleteFamilyMember = async (prisonerId, familyId, userPrisonId, userRole) => {
+const deleteFamilyMember = async (prisonerId, familyId, actor) => {
   try {
     const prisoner = await db.Prisoner.findByPk(prisonerId);
 
@@ -462,9 +508,7 @@ const deleteFamilyMember = async (prisonerId, familyId, userPrisonId, userRole)
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     const familyMember = await db.PrisonerFamilyDetail.findOne({
       where: {
@@ -486,7 +530,7 @@ const deleteFamilyMember = async (prisonerId, familyId, userPrisonId, userRole)
 /**
  * Upload prisoner photo
  */
-const uploadPhoto = async (prisonerId, file, photoType, userPrisonId, userRole) => {
+const uploadPhoto = async (prisonerId, file, photoType, actor) => {
   try {
     const prisoner = await db.Prisoner.findByPk(prisonerId);
 
@@ -495,9 +539,7 @@ const uploadPhoto = async (prisonerId, file, photoType, userPrisonId, userRole)
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     // Generate photo URL
     const photoUrl = `/uploads/prisoner-photos/${file.filename}`;
@@ -523,7 +565,7 @@ const uploadPhoto = async (prisonerId, file, photoType, userPrisonId, userRole)
 /**
  * Delete prisoner photo
  */
-const deletePhoto = async (prisonerId, photoId, userPrisonId, userRole) => {
+const deletePhoto = async (prisonerId, photoId, actor) => {
   try {
     const prisoner = await db.Prisoner.findByPk(prisonerId);
 
@@ -532,9 +574,7 @@ const deletePhoto = async (prisonerId, photoId, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     const photo = await db.PrisonerPhoto.findOne({
       where: {
@@ -564,7 +604,7 @@ const deletePhoto = async (prisonerId, photoId, userPrisonId, userRole) => {
 /**
  * Add body mark
  */
-const addBodyMark = async (prisonerId, markData, userPrisonId, userRole) => {
+const addBodyMark = async (prisonerId, markData, actor) => {
   try {
     const prisoner = await db.Prisoner.findByPk(prisonerId);
 
@@ -573,9 +613,7 @@ const addBodyMark = async (prisonerId, markData, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     const bodyMark = await db.PrisonerBodyMark.create({
       prisoner_id: prisonerId,
@@ -596,7 +634,7 @@ const addBodyMark = async (prisonerId, markData, userPrisonId, userRole) => {
 /**
  * Update body mark
  */
-const updateBodyMark = async (prisonerId, markId, updateData, userPrisonId, userRole) => {
+const updateBodyMark = async (prisonerId, markId, updateData, actor) => {
   try {
     const prisoner = await db.Prisoner.findByPk(prisonerId);
 
@@ -605,9 +643,7 @@ const updateBodyMark = async (prisonerId, markId, updateData, userPrisonId, user
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     const bodyMark = await db.PrisonerBodyMark.findOne({
       where: {
@@ -635,7 +671,7 @@ const updateBodyMark = async (prisonerId, markId, updateData, userPrisonId, user
 /**
  * Delete body mark
  */
-const deleteBodyMark = async (prisonerId, markId, userPrisonId, userRole) => {
+const deleteBodyMark = async (prisonerId, markId, actor) => {
   try {
     const prisoner = await db.Prisoner.findByPk(prisonerId);
 
@@ -644,9 +680,7 @@ const deleteBodyMark = async (prisonerId, markId, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     const bodyMark = await db.PrisonerBodyMark.findOne({
       where: {
@@ -665,94 +699,28 @@ const deleteBodyMark = async (prisonerId, markId, userPrisonId, userRole) => {
   }
 };
 
-/**
- * Transfer prisoner to another prison
- */
-const transferPrisoner = async (prisonerId, targetPrisonId, transferReason, userPrisonId, userRole, userId) => {
-  const transaction = await db.sequelize.transaction();
-  
-  try {
-    // Only Prison Admin or Super Admin can transfer
-    if (userRole !== USER_ROLES.PRISON_ADMIN && userRole !== USER_ROLES.SUPER_ADMIN) {
-      throw new Error('Only Prison Admin or Super Admin can transfer prisoners');
-    }
-
-    const prisoner = await db.Prisoner.findByPk(prisonerId);
-
-    if (!prisoner) {
-      throw new Error('Prisoner not found');
-    }
-
-    // Check access to source prison
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
-
-    // Check if target prison exists and has capacity
-    const targetPrison = await db.Prison.findByPk(targetPrisonId);
-    if (!targetPrison) {
-      throw new Error('Target prison not found');
-    }
-
-    const activePrisoners = await db.Prisoner.count({
-      where: {
-        prison_id: targetPrisonId,
-        status: PRISONER_STATUS.ACTIVE
-      }
-    });
-
-    if (activePrisoners >= targetPrison.capacity) {
-      throw new Error(`Target prison has reached maximum capacity of ${targetPrison.capacity}`);
-    }
-
-    // Update prisoner
-    await prisoner.update({
-      prison_id: targetPrisonId,
-      status: PRISONER_STATUS.ACTIVE
-    }, { transaction });
-
-    await transaction.commit();
-
-    return {
-      prisonerId: prisoner.prisoner_id,
-      fullName: prisoner.full_name,
-      previousPrison: prisoner.prison_id,
-      newPrison: targetPrisonId,
-      transferReason: transferReason
-    };
-  } catch (error) {
-    await transaction.rollback();
-    throw error;
-  }
-};
-
 /**
  * Release prisoner
  */
-const releasePrisoner = async (prisonerId, userPrisonId, userRole, userId) => {
+const releasePrisoner = async (prisonerId, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
-    // Only Prison Admin or Super Admin can release
-    if (userRole !== USER_ROLES.PRISON_ADMIN && userRole !== USER_ROLES.SUPER_ADMIN) {
-      throw new Error('Only Prison Admin or Super Admin can release prisoners');
-    }
-
     const prisoner = await db.Prisoner.findByPk(prisonerId);
 
     if (!prisoner) {
       throw new Error('Prisoner not found');
     }
 
-    // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    // Only Prison Admin or Super Admin of the prisoner's prison can release
+    accessPolicy.authorize(actor, 'prisoner:release', prisoner);
 
     if (prisoner.status === PRISONER_STATUS.RELEASED) {
       throw new Error('Prisoner is already released');
     }
 
+    await housingService.vacateCurrentCell(prisoner.prisoner_id, actor.userId, 'Released', transaction);
+
     // Update prisoner
     await prisoner.update({
       status: PRISONER_STATUS.RELEASED,
@@ -840,6 +808,7 @@ module.exports = {
   registerPrisoner,
   updatePrisoner,
   deletePrisoner,
+  addSentence,
   addFamilyDetails,
   updateFamilyDetails,
   deleteFamilyMember,
@@ -848,7 +817,6 @@ module.exports = {
   addBodyMark,
   updateBodyMark,
   deleteBodyMark,
-  transferPrisoner,
   releasePrisoner,
   getPrisonerStatistics
 };
\ No newline at end of file
@@ -0,0 +1,307 @@
+const db = require('../models');
+const { USER_ROLES } = require('../config/constants');
+const { Op } = require('sequelize');
+const permissionCache = require('../utils/permissionCache');
+
+// Roles referenced by name in code; they can be edited but not renamed or deleted
+const BUILT_IN_ROLES = Object.values(USER_ROLES);
+
+const permissionInclude = () => ({
+  model: db.Permission,
+  as: 'permissions',
+  through: { attributes: [] }
+});
+
+/**
+ * Format role for API response
+ */
+const formatRole = (role, userCount = undefined) => ({
+  roleId: role.role_id,
+  roleName: role.role_name,
+  description: role.description,
+  requiresTwoFactor: role.requires_two_factor,
+  isBuiltIn: BUILT_IN_ROLES.includes(role.role_name),
+  permissions: (role.permissions || [])
+    .map(p => ({
+      permissionId: p.permission_id,
+      permissionName: p.permission_name,
+      description: p.description
+    }))
+    .sort((a, b) => a.permissionName.localeCompare(b.permissionName)),
+  ...(userCount !== undefined && { userCount })
+});
+
+/**
+ * Load a role with its permissions or fail
+ */
+const findRole = async (roleId, transaction = null) => {
+  const role = await db.Role.findByPk(roleId, {
+    include: [permissionInclude()],
+    transaction
+  });
+
+  if (!role) {
+    throw new Error('Role not found');
+  }
+
+  return role;
+};
+
+/**
+ * Get all roles with permissions and number of users
+ */
+const getAllRoles = async () => {
+  try {
+    const roles = await db.Role.findAll({
+      include: [permissionInclude()],
+      order: [['role_name', 'ASC']]
+    });
+
+    const counts = await db.User.findAll({
+      attributes: ['role_id', [db.sequelize.fn('COUNT', db.sequelize.col('user_id')), 'count']],
+      group: ['role_id'],
+      raw: true
+    });
+
+    const countByRole = {};
+    counts.forEach(row => {
+      countByRole[row.role_id] = parseInt(row.count);
+    });
+
+    return roles.map(role => formatRole(role, countByRole[role.role_id] || 0));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get role by ID
+ */
+const getRoleById = async (roleId) => {
+  try {
+    const role = await findRole(roleId);
+    const userCount = await db.User.count({ where: { role_id: roleId } });
+    return formatRole(role, userCount);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Check that every permission ID exists
+ */
+const findPermissions = async (permissionIds, transaction = null) => {
+  const ids = [...new Set(permissionIds.map(id => parseInt(id)))];
+  const permissions = await db.Permission.findAll({
+    where: { permission_id: { [Op.in]: ids } },
+    transaction
+  });
+
+  if (permissions.length !== ids.length) {
+    throw new Error('One or more permissions not found');
+  }
+
+  return permissions;
+};
+
+/**
+ * Create role, optionally with permissions
+ */
+const createRole = async (roleData) => {
+  try {
+    const existing = await db.Role.findOne({ where: { role_name: roleData.role_name } });
+    if (existing) {
+      throw new Error('Role name already exists');
+    }
+
+    const roleId = await db.sequelize.transaction(async (t) => {
+      const role = await db.Role.create({
+        role_name: roleData.role_name,
+        description: roleData.description || null,
+        requires_two_factor: !!roleData.requires_two_factor
+      }, { transaction: t });
+
+      if (roleData.permission_ids && roleData.permission_ids.length > 0) {
+        const permissions = await findPermissions(roleData.permission_ids, t);
+        for (const permission of permissions) {
+          await db.RolePermission.create({
+            role_id: role.role_id,
+            permission_id: permission.permission_id
+          }, { transaction: t });
+        }
+      }
+
+      return role.role_id;
+    });
+
+    return await getRoleById(roleId);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Update role details
+ */
+const updateRole = async (roleId, roleData) => {
+  try {
+    const role = await findRole(roleId);
+    const updates = {};
+
+    if (roleData.role_name !== undefined && roleData.role_name !== role.role_name) {
+      if (BUILT_IN_ROLES.includes(role.role_name)) {
+        throw new Error('Built-in roles cannot be renamed');
+      }
+
+      const existing = await db.Role.findOne({
+        where: {
+          role_name: roleData.role_name,
+          role_id: { [Op.ne]: roleId }
+        }
+      });
+      if (existing) {
+        throw new Error('Role name already exists');
+      }
+
+      updates.role_name = roleData.role_name;
+    }
+
+    if (roleData.description !== undefined) {
+      updates.description = roleData.description;
+    }
+
+    if (roleData.requires_two_factor !== undefined) {
+      updates.requires_two_factor = roleData.requires_two_factor;
+    }
+
+    await role.update(updates);
+    permissionCache.invalidate(role.role_id);
+
+    return await getRoleById(roleId);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Delete a custom role that no user holds
+ */
+const deleteRole = async (roleId) => {
+  try {
+    const role = await findRole(roleId);
+
+    if (BUILT_IN_ROLES.includes(role.role_name)) {
+      throw new Error('Built-in roles cannot be deleted');
+    }
+
+    const userCount = await db.User.count({ where: { role_id: roleId } });
+    if (userCount > 0) {
+      throw new Error(`Cannot delete role assigned to ${userCount} user(s)`);
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      await db.RolePermission.destroy({ where: { role_id: roleId }, transaction: t });
+      await role.destroy({ transaction: t });
+    });
+
+    permissionCache.invalidate(role.role_id);
+
+    return { message: 'Role deleted successfully' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get all permissions
+ */
+const getAllPermissions = async () => {
+  try {
+    const permissions = await db.Permission.findAll({
+      order: [['permission_name', 'ASC']]
+    });
+
+    return permissions.map(p => ({
+      permissionId: p.permission_id,
+      permissionName: p.permission_name,
+      description: p.description
+    }));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Grant permissions to a role. Already granted permissions are skipped.
+ */
+const attachPermissions = async (roleId, permissionIds) => {
+  try {
+    await db.sequelize.transaction(async (t) => {
+      const role = await findRole(roleId, t);
+      const permissions = await findPermissions(permissionIds, t);
+      const granted = role.permissions.map(p => p.permission_id);
+
+      for (const permission of permissions) {
+        if (!granted.includes(permission.permission_id)) {
+          await db.RolePermission.create({
+            role_id: role.role_id,
+            permission_id: permission.permission_id
+          }, { transaction: t });
+        }
+      }
+    });
+
+    permissionCache.invalidate(roleId);
+
+    return await getRoleById(roleId);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Revoke a permission from a role.
+ * Nobody can strip their own role, and the Super Admin role always keeps
+ * every permission so the system cannot be locked out.
+ */
+const detachPermission = async (roleId, permissionId, actor) => {
+  try {
+    const role = await findRole(roleId);
+
+    if (role.role_id === actor.roleId) {
+      throw new Error('You cannot remove permissions from your own role');
+    }
+
+    if (role.role_name === USER_ROLES.SUPER_ADMIN) {
+      throw new Error('Permissions cannot be removed from the Super Admin role');
+    }
+
+    if (!role.permissions.some(p => p.permission_id === parseInt(permissionId))) {
+      throw new Error('Permission not found on this role');
+    }
+
+    await db.RolePermission.destroy({
+      where: {
+        role_id: roleId,
+        permission_id: permissionId
+      }
+    });
+
+    permissionCache.invalidate(role.role_id);
+
+    return await getRoleById(roleId);
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getAllRoles,
+  getRoleById,
+  createRole,
+  updateRole,
+  deleteRole,
+  getAllPermissions,
+  attachPermissions,
+  detachPermission
+};
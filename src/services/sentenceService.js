@@ -0,0 +1,303 @@
+const db = require('../models');
+const {
+  SENTENCE_TYPE,
+  SENTENCE_ADJUSTMENT_TYPE,
+  SENTENCE_REMISSION
+} = require('../config/constants');
+const { addDays, daysBetween } = require('../utils/dates');
+
+/**
+ * Statutory remission for a single sentence
+ */
+const calculateRemission = (sentence) => {
+  if (!sentence.remission_eligible || sentence.term_days <= SENTENCE_REMISSION.MIN_TERM_DAYS) {
+    return 0;
+  }
+  return Math.floor(sentence.term_days * SENTENCE_REMISSION.FRACTION);
+};
+
+/**
+ * Order sentences by start date, moving each sentence a consecutive sentence
+ * follows ahead of it even when it starts later
+ */
+const orderSentences = (sentences) => {
+  const byStart = [...sentences].sort((a, b) =>
+    a.start_date === b.start_date
+      ? a.sentence_id - b.sentence_id
+      : daysBetween(b.start_date, a.start_date)
+  );
+  const byId = new Map(byStart.map(sentence => [sentence.sentence_id, sentence]));
+  const placed = new Set();
+  const ordered = [];
+
+  const place = (sentence) => {
+    if (placed.has(sentence.sentence_id)) {
+      return;
+    }
+    placed.add(sentence.sentence_id);
+
+    const preceding = sentence.sentence_type === SENTENCE_TYPE.CONSECUTIVE && byId.get(sentence.consecutive_to);
+    if (preceding) {
+      place(preceding);
+    }
+    ordered.push(sentence);
+  };
+
+  byStart.forEach(place);
+  return ordered;
+};
+
+/**
+ * Compute the release date from sentences and the adjustment ledger.
+ * Pure function so the same calculation can be replayed for any ledger state.
+ */
+const computeSentence = (sentences, adjustments) => {
+  const ordered = orderSentences(sentences);
+
+  const endDates = {};
+  let latestEnd = null;
+
+  const breakdown = ordered.map(sentence => {
+    let startDate = addDays(sentence.start_date, 0);
+
+    // Consecutive sentences only begin once the preceding sentence has ended
+    if (sentence.sentence_type === SENTENCE_TYPE.CONSECUTIVE) {
+      const precedingEnd = sentence.consecutive_to ? endDates[sentence.consecutive_to] : latestEnd;
+      if (precedingEnd && daysBetween(startDate, precedingEnd) >= 0) {
+        startDate = addDays(precedingEnd, 1);
+      }
+    }
+
+    const remissionDays = calculateRemission(sentence);
+    const remandCreditDays = sentence.remand_credit_days || 0;
+    const effectiveDays = Math.max(0, sentence.term_days - remissionDays - remandCreditDays);
+    const endDate = addDays(startDate, effectiveDays);
+
+    endDates[sentence.sentence_id] = endDate;
+    if (!latestEnd || daysBetween(latestEnd, endDate) > 0) {
+      latestEnd = endDate;
+    }
+
+    return {
+      sentenceId: sentence.sentence_id,
+      caseReference: sentence.case_reference,
+      offence: sentence.offence,
+      sentenceType: sentence.sentence_type,
+      consecutiveTo: sentence.consecutive_to,
+      termDays: sentence.term_days,
+      remissionDays,
+      remandCreditDays,
+      effectiveDays,
+      startDate,
+      endDate
+    };
+  });
+
+  const netAdjustmentDays = adjustments.reduce((sum, entry) => sum + entry.adjustment_days, 0);
+
+  return {
+    sentences: breakdown,
+    baseReleaseDate: latestEnd,
+    netAdjustmentDays,
+    expectedReleaseDate: latestEnd ? addDays(latestEnd, netAdjustmentDays) : null,
+    ledger: adjustments.map(entry => ({
+      adjustmentId: entry.adjustment_id,
+      adjustmentDays: entry.adjustment_days,
+      entryType: entry.entry_type,
+      behaviourRecordId: entry.behaviour_id,
+      reversesAdjustmentId: entry.reverses_adjustment_id,
+      reason: entry.reason,
+      recordedBy: entry.recorded_by,
+      createdAt: entry.created_at
+    }))
+  };
+};
+
+/**
+ * Load sentences and ledger for a prisoner and compute the release date
+ */
+const getSentenceComputation = async (prisonerId, transaction = null) => {
+  const sentences = await db.PrisonerSentence.findAll({
+    where: { prisoner_id: prisonerId },
+    transaction
+  });
+
+  const adjustments = await db.SentenceAdjustment.findAll({
+    where: { prisoner_id: prisonerId },
+    order: [['adjustment_id', 'ASC']],
+    transaction
+  });
+
+  return computeSentence(
+    sentences.map(s => s.get({ plain: true })),
+    adjustments.map(a => a.get({ plain: true }))
+  );
+};
+
+/**
+ * Recompute the prisoner's expected release date and store it on the prisoner.
+ * The stored value is a cache of the computation, never edited directly.
+ */
+const recalculateReleaseDate = async (prisonerId, transaction = null) => {
+  const computation = await getSentenceComputation(prisonerId, transaction);
+
+  if (computation.expectedReleaseDate) {
+    await db.Prisoner.update(
+      { expected_release_date: computation.expectedReleaseDate },
+      { where: { prisoner_id: prisonerId }, transaction }
+    );
+  }
+
+  return computation;
+};
+
+/**
+ * Prisoners registered before sentences were recorded only carry an
+ * expected release date. Convert that date into a single sentence so the
+ * ledger can be replayed on top of it.
+ */
+const ensureSentenceBasis = async (prisoner, userId = null, transaction = null) => {
+  // Callers lock the prisoner first; the read is locking so it sees a basis
+  // committed while they waited rather than the transaction's snapshot
+  const existing = await db.PrisonerSentence.findOne({
+    where: { prisoner_id: prisoner.prisoner_id },
+    attributes: ['sentence_id'],
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE })
+  });
+
+  if (existing || !prisoner.expected_release_date || !prisoner.admission_date) {
+    return;
+  }
+
+  const termDays = daysBetween(prisoner.admission_date, prisoner.expected_release_date);
+  if (termDays <= 0) {
+    return;
+  }
+
+  await db.PrisonerSentence.create({
+    prisoner_id: prisoner.prisoner_id,
+    case_reference: prisoner.case_number,
+    offence: 'Migrated from expected release date',
+    term_days: termDays,
+    start_date: prisoner.admission_date,
+    sentence_type: SENTENCE_TYPE.CONCURRENT,
+    remand_credit_days: 0,
+    remission_eligible: false,
+    recorded_by: userId
+  }, { transaction });
+};
+
+/**
+ * Add a sentence to a prisoner and recompute the release date
+ */
+const addSentence = async (prisoner, sentenceData, userId, transaction = null) => {
+  if (sentenceData.consecutive_to) {
+    const preceding = await db.PrisonerSentence.findOne({
+      where: {
+        sentence_id: sentenceData.consecutive_to,
+        prisoner_id: prisoner.prisoner_id
+      },
+      transaction
+    });
+
+    if (!preceding) {
+      throw new Error('Preceding sentence not found for this prisoner');
+    }
+  }
+
+  const sentence = await db.PrisonerSentence.create({
+    prisoner_id: prisoner.prisoner_id,
+    case_reference: sentenceData.case_reference || prisoner.case_number,
+    offence: sentenceData.offence,
+    term_days: sentenceData.term_days,
+    start_date: sentenceData.start_date || prisoner.admission_date,
+    sentence_type: sentenceData.sentence_type || SENTENCE_TYPE.CONCURRENT,
+    consecutive_to: sentenceData.sentence_type === SENTENCE_TYPE.CONSECUTIVE
+      ? sentenceData.consecutive_to || null
+      : null,
+    remand_credit_days: sentenceData.remand_credit_days || 0,
+    remission_eligible: sentenceData.remission_eligible !== undefined ? sentenceData.remission_eligible : true,
+    recorded_by: userId
+  }, { transaction });
+
+  return sentence;
+};
+
+/**
+ * Append an approved behaviour adjustment to the ledger
+ */
+const recordBehaviourAdjustment = async (behaviourRecord, userId, reason, transaction = null) => {
+  try {
+    return await db.SentenceAdjustment.create({
+      prisoner_id: behaviourRecord.prisoner_id,
+      adjustment_days: behaviourRecord.sentence_adjustment_days,
+      entry_type: SENTENCE_ADJUSTMENT_TYPE.BEHAVIOUR,
+      behaviour_id: behaviourRecord.behaviour_id,
+      reason,
+      recorded_by: userId
+    }, { transaction });
+  } catch (error) {
+    // A concurrent approval recorded the same adjustment first
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw new Error('This sentence adjustment has already been recorded');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Append a compensating entry that cancels a behaviour adjustment
+ */
+const reverseBehaviourAdjustment = async (behaviourRecord, userId, reason, transaction = null) => {
+  const original = await db.SentenceAdjustment.findOne({
+    where: {
+      behaviour_id: behaviourRecord.behaviour_id,
+      entry_type: SENTENCE_ADJUSTMENT_TYPE.BEHAVIOUR
+    },
+    order: [['adjustment_id', 'DESC']],
+    transaction
+  });
+
+  if (!original) {
+    throw new Error('No ledger entry found for this sentence adjustment');
+  }
+
+  const existingReversal = await db.SentenceAdjustment.findOne({
+    where: { reverses_adjustment_id: original.adjustment_id },
+    transaction,
+    ...(transaction && { lock: transaction.LOCK.UPDATE })
+  });
+
+  if (existingReversal) {
+    throw new Error('This sentence adjustment has already been reversed');
+  }
+
+  try {
+    return await db.SentenceAdjustment.create({
+      prisoner_id: original.prisoner_id,
+      adjustment_days: -original.adjustment_days,
+      entry_type: SENTENCE_ADJUSTMENT_TYPE.REVERSAL,
+      behaviour_id: original.behaviour_id,
+      reverses_adjustment_id: original.adjustment_id,
+      reason,
+      recorded_by: userId
+    }, { transaction });
+  } catch (error) {
+    // A concurrent reversal was recorded first
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      throw new Error('This sentence adjustment has already been reversed');
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  computeSentence,
+  getSentenceComputation,
+  recalculateReleaseDate,
+  ensureSentenceBasis,
+  addSentence,
+  recordBehaviourAdjustment,
+  reverseBehaviourAdjustment
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const db = require('../models');
+const { Op } = require('sequelize');
+const accessPolicy = require('../utils/accessPolicy');
+
+/**
+ * Refresh tokens are stored as SHA-256 hashes only
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Open a session for a successful login.
+ * expires_at is set when the first refresh token is stored.
+ */
+const createSession = async (userId, meta = {}, transaction = null) => {
+  return await db.UserSession.create({
+    user_id: userId,
+    ip_address: meta.ipAddress || null,
+    user_agent: meta.userAgent ? meta.userAgent.substring(0, 255) : null,
+    last_used_at: new Date(),
+    expires_at: new Date()
+  }, { transaction });
+};
+
+/**
+ * Store a newly issued refresh token against its session
+ */
+const storeRefreshToken = async (session, token, expiresAt, transaction = null) => {
+  const stored = await db.RefreshToken.create({
+    session_id: session.session_id,
+    token_hash: hashToken(token),
+    expires_at: expiresAt
+  }, { transaction });
+
+  await session.update({
+    last_used_at: new Date(),
+    expires_at: expiresAt
+  }, { transaction });
+
+  return stored;
+};
+
+/**
+ * Check that a session has not been revoked or expired
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const session = await db.UserSession.findOne({
+    where: {
+      session_id: sessionId,
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { [Op.gt]: new Date() }
+    },
+    attributes: ['session_id']
+  });
+
+  return !!session;
+};
+
+/**
+ * Revoke a session, which invalidates its access token and every refresh
+ * token in its family
+ */
+const revokeSession = async (session, reason, revokedBy = null, transaction = null) => {
+  if (session.revoked_at) {
+    return session;
+  }
+
+  return await session.update({
+    revoked_at: new Date(),
+    revoked_by: revokedBy,
+    revoke_reason: reason
+  }, { transaction });
+};
+
+/**
+ * Revoke every active session of a user
+ */
+const revokeUserSessions = async (userId, reason, revokedBy = null, transaction = null) => {
+  const [count] = await db.UserSession.update({
+    revoked_at: new Date(),
+    revoked_by: revokedBy,
+    revoke_reason: reason
+  }, {
+    where: {
+      user_id: userId,
+      revoked_at: null
+    },
+    transaction
+  });
+
+  return count;
+};
+
+/**
+ * Users manage their own sessions; admins manage those of users they administer
+ */
+const checkSessionAccess = async (targetUserId, actor) => {
+  if (parseInt(targetUserId) === actor.userId || accessPolicy.isSuperAdmin(actor)) {
+    return;
+  }
+
+  const user = await db.User.findByPk(targetUserId, {
+    include: [{ model: db.Role, as: 'role' }]
+  });
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (accessPolicy.can(actor, 'user:manage', user)) {
+    return;
+  }
+
+  throw new Error('You do not have access to these sessions');
+};
+
+/**
+ * Format session for API response
+ */
+const formatSession = (session, currentSessionId) => ({
+  sessionId: session.session_id,
+  userId: session.user_id,
+  ipAddress: session.ip_address,
+  userAgent: session.user_agent,
+  createdAt: session.created_at,
+  lastUsedAt: session.last_used_at,
+  expiresAt: session.expires_at,
+  isCurrent: session.session_id === currentSessionId
+});
+
+/**
+ * Get the active sessions of a user
+ */
+const getActiveSessions = async (targetUserId, actor) => {
+  try {
+    await checkSessionAccess(targetUserId, actor);
+
+    const sessions = await db.UserSession.findAll({
+      where: {
+        user_id: targetUserId,
+        revoked_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      },
+      order: [['last_used_at', 'DESC']]
+    });
+
+    return sessions.map(session => formatSession(session, actor.sessionId));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Revoke one session on behalf of its owner or an admin
+ */
+const revokeSessionById = async (sessionId, actor) => {
+  try {
+    const session = await db.UserSession.findByPk(sessionId);
+
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    await checkSessionAccess(session.user_id, actor);
+
+    if (session.revoked_at) {
+      throw new Error('Session has already been revoked');
+    }
+
+    const reason = session.user_id === actor.userId ? 'Revoked by user' : 'Revoked by administrator';
+    await revokeSession(session, reason, actor.userId);
+
+    return { message: 'Session revoked successfully' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  hashToken,
+  createSession,
+  storeRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  getActiveSessions,
+  revokeSessionById
+};
@@ -0,0 +1,458 @@
+const db = require('../models');
+const { PRISONER_STATUS, TRANSFER_STATUS } = require('../config/constants');
+const { Op } = require('sequelize');
+const capacityService = require('./capacityService');
+const housingService = require('./housingService');
+const accessPolicy = require('../utils/accessPolicy');
+
+const OPEN_TRANSFER_STATUSES = [
+  TRANSFER_STATUS.REQUESTED,
+  TRANSFER_STATUS.APPROVED,
+  TRANSFER_STATUS.DISPATCHED
+];
+
+/**
+ * Include options shared by transfer queries
+ */
+const transferIncludes = () => [
+  {
+    model: db.Prisoner,
+    as: 'prisoner',
+    attributes: ['prisoner_id', 'full_name', 'nic', 'case_number', 'status']
+  },
+  {
+    model: db.Prison,
+    as: 'sourcePrison',
+    attributes: ['prison_id', 'prison_name', 'location']
+  },
+  {
+    model: db.Prison,
+    as: 'destinationPrison',
+    attributes: ['prison_id', 'prison_name', 'location']
+  },
+  { model: db.User, as: 'requester', attributes: ['user_id', 'employee_full_name'] },
+  { model: db.User, as: 'approver', attributes: ['user_id', 'employee_full_name'] },
+  { model: db.User, as: 'dispatcher', attributes: ['user_id', 'employee_full_name'] },
+  { model: db.User, as: 'receiver', attributes: ['user_id', 'employee_full_name'] }
+];
+
+/**
+ * Format officer reference
+ */
+const formatOfficer = (user) => user ? {
+  userId: user.user_id,
+  fullName: user.employee_full_name
+} : null;
+
+/**
+ * Format prison reference
+ */
+const formatPrison = (prison) => prison ? {
+  prisonId: prison.prison_id,
+  prisonName: prison.prison_name,
+  location: prison.location
+} : null;
+
+/**
+ * Format transfer for API response
+ */
+const formatTransfer = (transfer) => ({
+  transferId: transfer.transfer_id,
+  prisonerId: transfer.prisoner_id,
+  prisoner: transfer.prisoner ? {
+    prisonerId: transfer.prisoner.prisoner_id,
+    fullName: transfer.prisoner.full_name,
+    nic: transfer.prisoner.nic,
+    caseNumber: transfer.prisoner.case_number,
+    status: transfer.prisoner.status
+  } : null,
+  sourcePrison: formatPrison(transfer.sourcePrison),
+  destinationPrison: formatPrison(transfer.destinationPrison),
+  transferReason: transfer.transfer_reason,
+  status: transfer.status,
+  requestedAt: transfer.requested_at,
+  requestedBy: formatOfficer(transfer.requester),
+  approvedAt: transfer.approved_at,
+  approvedBy: formatOfficer(transfer.approver),
+  dispatchedAt: transfer.dispatched_at,
+  dispatchedBy: formatOfficer(transfer.dispatcher),
+  receivedAt: transfer.received_at,
+  receivedBy: formatOfficer(transfer.receiver),
+  closedReason: transfer.closed_reason,
+  notes: transfer.notes,
+  createdAt: transfer.created_at,
+  updatedAt: transfer.updated_at
+});
+
+/**
+ * Load a transfer row for a workflow step
+ */
+const findTransferForUpdate = async (transferId, transaction) => {
+  const transfer = await db.PrisonerTransfer.findByPk(transferId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!transfer) {
+    throw new Error('Transfer not found');
+  }
+
+  return transfer;
+};
+
+/**
+ * Get transfer by ID
+ */
+const getTransferById = async (transferId, actor) => {
+  try {
+    const transfer = await db.PrisonerTransfer.findByPk(transferId, {
+      include: transferIncludes()
+    });
+
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+
+    accessPolicy.authorize(actor, 'transfer:view', transfer);
+
+    return formatTransfer(transfer);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Request transfer of a prisoner (source prison)
+ */
+const requestTransfer = async (prisonerId, targetPrisonId, transferReason, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    // Locked so concurrent requests for the prisoner queue here and the
+    // open-transfer check below sees a transfer committed meanwhile
+    const prisoner = await db.Prisoner.findByPk(prisonerId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!prisoner) {
+      throw new Error('Prisoner not found');
+    }
+
+    // Check access to source prison
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+    if (prisoner.status !== PRISONER_STATUS.ACTIVE) {
+      throw new Error('Only active prisoners can be transferred');
+    }
+
+    if (prisoner.prison_id === targetPrisonId) {
+      throw new Error('Prisoner is already held in the target prison');
+    }
+
+    const targetPrison = await db.Prison.findByPk(targetPrisonId, { transaction });
+    if (!targetPrison) {
+      throw new Error('Target prison not found');
+    }
+
+    if (!targetPrison.is_active) {
+      throw new Error('Target prison is not active');
+    }
+
+    const openTransfer = await db.PrisonerTransfer.findOne({
+      where: {
+        prisoner_id: prisonerId,
+        status: { [Op.in]: OPEN_TRANSFER_STATUSES }
+      },
+      transaction
+    });
+
+    if (openTransfer) {
+      throw new Error('Prisoner already has a transfer in progress');
+    }
+
+    const transfer = await db.PrisonerTransfer.create({
+      prisoner_id: prisonerId,
+      source_prison_id: prisoner.prison_id,
+      destination_prison_id: targetPrisonId,
+      transfer_reason: transferReason,
+      status: TRANSFER_STATUS.REQUESTED,
+      requested_at: new Date(),
+      requested_by: actor.userId
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getTransferById(transfer.transfer_id, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Approve transfer request (destination prison).
+ * Approval reserves a place in the destination until the prisoner is received.
+ */
+const approveTransfer = async (transferId, notes, actor, capacityOverride = null) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const transfer = await findTransferForUpdate(transferId, transaction);
+
+    accessPolicy.authorize(actor, 'transfer:approve', transfer);
+
+    if (transfer.status !== TRANSFER_STATUS.REQUESTED) {
+      throw new Error(`Transfer cannot be approved while ${transfer.status.toLowerCase()}`);
+    }
+
+    await capacityService.reserveCapacity(transfer.destination_prison_id, {
+      transaction,
+      excludeTransferId: transfer.transfer_id,
+      override: capacityOverride,
+      actor,
+      context: `APPROVE_TRANSFER:${transfer.transfer_id}`
+    });
+
+    await transfer.update({
+      status: TRANSFER_STATUS.APPROVED,
+      approved_at: new Date(),
+      approved_by: actor.userId,
+      notes: notes || transfer.notes
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getTransferById(transferId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Reject transfer request (destination prison)
+ */
+const rejectTransfer = async (transferId, reason, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const transfer = await findTransferForUpdate(transferId, transaction);
+
+    accessPolicy.authorize(actor, 'transfer:reject', transfer);
+
+    if (transfer.status !== TRANSFER_STATUS.REQUESTED) {
+      throw new Error(`Transfer cannot be rejected while ${transfer.status.toLowerCase()}`);
+    }
+
+    await transfer.update({
+      status: TRANSFER_STATUS.REJECTED,
+      approved_at: new Date(),
+      approved_by: actor.userId,
+      closed_reason: reason
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getTransferById(transferId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Cancel transfer before dispatch (source prison)
+ */
+const cancelTransfer = async (transferId, reason, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const transfer = await findTransferForUpdate(transferId, transaction);
+
+    accessPolicy.authorize(actor, 'transfer:cancel', transfer);
+
+    if (![TRANSFER_STATUS.REQUESTED, TRANSFER_STATUS.APPROVED].includes(transfer.status)) {
+      throw new Error(`Transfer cannot be cancelled while ${transfer.status.toLowerCase()}`);
+    }
+
+    await transfer.update({
+      status: TRANSFER_STATUS.CANCELLED,
+      closed_reason: reason
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getTransferById(transferId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Dispatch prisoner to destination (source prison)
+ */
+const dispatchTransfer = async (transferId, notes, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const transfer = await findTransferForUpdate(transferId, transaction);
+
+    accessPolicy.authorize(actor, 'transfer:dispatch', transfer);
+
+    if (transfer.status !== TRANSFER_STATUS.APPROVED) {
+      throw new Error('Transfer must be approved by the destination prison before dispatch');
+    }
+
+    const prisoner = await db.Prisoner.findByPk(transfer.prisoner_id, { transaction });
+
+    if (prisoner.status !== PRISONER_STATUS.ACTIVE || prisoner.prison_id !== transfer.source_prison_id) {
+      throw new Error('Prisoner is no longer active in the source prison');
+    }
+
+    // Prisoner leaves source occupancy and their cell while in transit
+    await housingService.vacateCurrentCell(prisoner.prisoner_id, actor.userId, 'Transferred', transaction);
+    await prisoner.update({ status: PRISONER_STATUS.TRANSFERRED }, { transaction });
+
+    await transfer.update({
+      status: TRANSFER_STATUS.DISPATCHED,
+      dispatched_at: new Date(),
+      dispatched_by: actor.userId,
+      notes: notes || transfer.notes
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getTransferById(transferId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Receive prisoner at destination (destination prison)
+ */
+const receiveTransfer = async (transferId, notes, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const transfer = await findTransferForUpdate(transferId, transaction);
+
+    accessPolicy.authorize(actor, 'transfer:receive', transfer);
+
+    if (transfer.status !== TRANSFER_STATUS.DISPATCHED) {
+      throw new Error('Transfer must be dispatched before it can be received');
+    }
+
+    // The place was reserved when the destination approved the transfer;
+    // taking the prison lock keeps occupancy counts consistent
+    await capacityService.getCapacitySnapshot(transfer.destination_prison_id, { transaction });
+
+    const prisoner = await db.Prisoner.findByPk(transfer.prisoner_id, { transaction });
+
+    await prisoner.update({
+      prison_id: transfer.destination_prison_id,
+      status: PRISONER_STATUS.ACTIVE
+    }, { transaction });
+
+    await transfer.update({
+      status: TRANSFER_STATUS.RECEIVED,
+      received_at: new Date(),
+      received_by: actor.userId,
+      notes: notes || transfer.notes
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getTransferById(transferId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Get transfer history for a prisoner
+ */
+const getPrisonerTransfers = async (prisonerId, actor) => {
+  try {
+    const prisoner = await db.Prisoner.findByPk(prisonerId);
+
+    if (!prisoner) {
+      throw new Error('Prisoner not found');
+    }
+
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+    const transfers = await db.PrisonerTransfer.findAll({
+      where: { prisoner_id: prisonerId },
+      include: transferIncludes(),
+      order: [['requested_at', 'DESC']]
+    });
+
+    return transfers.map(formatTransfer);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get inbound or outbound transfer queue for a prison
+ */
+const getPrisonTransferQueue = async (prisonId, direction, actor, filters = {}, page = 1, limit = 10) => {
+  try {
+    const offset = (page - 1) * limit;
+
+    const prison = await db.Prison.findByPk(prisonId);
+    if (!prison) {
+      throw new Error('Prison not found');
+    }
+
+    // Staff can only see the queues of their own prisons
+    accessPolicy.authorize(actor, 'prison:view', prison);
+
+    const whereClause = {
+      [direction === 'inbound' ? 'destination_prison_id' : 'source_prison_id']: prisonId
+    };
+
+    // Queue shows open transfers unless a status is asked for
+    whereClause.status = filters.status
+      ? filters.status
+      : { [Op.in]: OPEN_TRANSFER_STATUSES };
+
+    const { count, rows: transfers } = await db.PrisonerTransfer.findAndCountAll({
+      where: whereClause,
+      include: transferIncludes(),
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['requested_at', 'ASC']],
+      distinct: true
+    });
+
+    return {
+      transfers: transfers.map(formatTransfer),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getTransferById,
+  requestTransfer,
+  approveTransfer,
+  rejectTransfer,
+  cancelTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  getPrisonerTransfers,
+  getPrisonTransferQueue
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../models');
+const { TWO_FACTOR } = require('../config/constants');
+const totp = require('../utils/totp');
+
+/**
+ * Recovery codes are stored as SHA-256 hashes only
+ */
+const hashRecoveryCode = (code) => {
+  const normalised = String(code).replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalised).digest('hex');
+};
+
+/**
+ * Generate a fresh set of recovery codes (xxxxx-xxxxx)
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < TWO_FACTOR.RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+/**
+ * Whether the user's role forces enrolment and the user has not enrolled yet
+ */
+const isEnrolmentRequired = (user, roleRequiresTwoFactor) => {
+  return !!(roleRequiresTwoFactor && !user.totp_enabled);
+};
+
+/**
+ * Accept a TOTP code once per time step
+ */
+const acceptCode = async (user, code, transaction = null) => {
+  const step = totp.verifyCode(user.totp_secret, code);
+
+  if (step === null || (user.totp_last_used_step !== null && step <= user.totp_last_used_step)) {
+    return false;
+  }
+
+  await user.update({ totp_last_used_step: step }, { transaction });
+  return true;
+};
+
+/**
+ * Accept an unused recovery code, consuming it
+ */
+const acceptRecoveryCode = async (user, recoveryCode, transaction = null) => {
+  const hashes = user.totp_recovery_codes || [];
+  const hash = hashRecoveryCode(recoveryCode);
+
+  if (!hashes.includes(hash)) {
+    return false;
+  }
+
+  await user.update({
+    totp_recovery_codes: hashes.filter(h => h !== hash)
+  }, { transaction });
+  return true;
+};
+
+/**
+ * Check a second factor (TOTP code or recovery code) for an enrolled user.
+ * The user row is locked so a code cannot be used twice concurrently.
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  return await db.sequelize.transaction(async (t) => {
+    const user = await db.User.findByPk(userId, {
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    });
+
+    if (!user || !user.totp_enabled) {
+      return false;
+    }
+
+    if (code) {
+      return await acceptCode(user, code, t);
+    }
+
+    if (recoveryCode) {
+      return await acceptRecoveryCode(user, recoveryCode, t);
+    }
+
+    return false;
+  });
+};
+
+/**
+ * Start enrolment: generate a secret and the otpauth URL for the QR code.
+ * The secret stays pending until confirmed with a valid code.
+ */
+const beginEnrolment = async (userId) => {
+  try {
+    const user = await db.User.findByPk(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.totp_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+
+    await user.update({
+      totp_secret: secret,
+      totp_last_used_step: null,
+      totp_recovery_codes: null
+    });
+
+    return {
+      secret,
+      otpauthUrl: totp.buildOtpauthUrl(TWO_FACTOR.ISSUER, user.username, secret)
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app.
+ * Recovery codes are returned once and never shown again.
+ */
+const confirmEnrolment = async (userId, code) => {
+  try {
+    const user = await db.User.findByPk(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.totp_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    if (!user.totp_secret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    if (!(await acceptCode(user, code))) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await user.update({
+      totp_enabled: true,
+      totp_recovery_codes: recoveryCodes.map(hashRecoveryCode)
+    });
+
+    return { recoveryCodes };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Replace all recovery codes
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  try {
+    const user = await db.User.findByPk(userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.totp_enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (!(await acceptCode(user, code))) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await user.update({ totp_recovery_codes: recoveryCodes.map(hashRecoveryCode) });
+
+    return { recoveryCodes };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Turn off two-factor authentication (self service).
+ * Not allowed while the user's role requires it.
+ */
+const disable = async (userId, password, code) => {
+  try {
+    const user = await db.User.findByPk(userId, {
+      include: [{ model: db.Role, as: 'role' }]
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (!user.totp_enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (user.role.requires_two_factor) {
+      throw new Error('Two-factor authentication is required for your role');
+    }
+
+    if (!(await bcrypt.compare(password, user.password_hash))) {
+      throw new Error('Password is incorrect');
+    }
+
+    if (!(await acceptCode(user, code))) {
+      throw new Error('Invalid two-factor code');
+    }
+
+    await reset(user);
+
+    return { message: 'Two-factor authentication disabled' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Clear a user's enrolment (used by disable and by admin reset)
+ */
+const reset = async (user, transaction = null) => {
+  return await user.update({
+    totp_secret: null,
+    totp_enabled: false,
+    totp_last_used_step: null,
+    totp_recovery_codes: null
+  }, { transaction });
+};
+
+/**
+ * Enrolment status for the current user
+ */
+const getStatus = async (userId) => {
+  try {
+    const user = await db.User.findByPk(userId, {
+      include: [{ model: db.Role, as: 'role' }]
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return {
+      enabled: user.totp_enabled,
+      required: !!user.role.requires_two_factor,
+      recoveryCodesRemaining: user.totp_enabled ? (user.totp_recovery_codes || []).length : 0
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  isEnrolmentRequired,
+  verifySecondFactor,
+  beginEnrolment,
+  confirmEnrolment,
+  regenerateRecoveryCodes,
+  disable,
+  reset,
+  getStatus
+};
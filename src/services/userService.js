@@ -2,6 +2,27 @@ const bcrypt = require('bcryptjs');
 const db = require('../models');
 const { USER_ROLES } = require('../config/constants');
 const { Op } = require('sequelize');
+const sessionService = require('./sessionService');
+const authService = require('./authService');
+const twoFactorService = require('./twoFactorService');
+const passwordService = require('./passwordService');
+const { getPasswordPolicyErrors } = require('../utils/passwordPolicy');
+const accessPolicy = require('../utils/accessPolicy');
+
+// Columns that only dedicated flows (password reset, unlock, two-factor) may change
+const PROTECTED_USER_FIELDS = [
+  'password',
+  'password_hash',
+  'password_changed_at',
+  'must_change_password',
+  'failed_login_attempts',
+  'last_failed_login_at',
+  'locked_until',
+  'totp_secret',
+  'totp_enabled',
+  'totp_last_used_step',
+  'totp_recovery_codes'
+];
 
 /**
  * Get all users with filtering and pagination
@@ -136,6 +157,10 @@ const getUserById = async (userId) => {
         contactNumber: user.prison.contact_number
       } : null,
       isActive: user.is_active,
+      failedLoginAttempts: user.failed_login_attempts,
+      lockedUntil: user.locked_until,
+      mustChangePassword: user.must_change_password,
+      passwordExpired: passwordService.isPasswordExpired(user),
       createdAt: user.created_at,
       updatedAt: user.updated_at
     };
@@ -147,26 +172,21 @@ const getUserById = async (userId) => {
 /**
  * Create new user
  */
-const createUser = async (userData, creatorRole, creatorPrisonId) => {
+const createUser = async (userData, actor) => {
   try {
-    // Validate permissions based on creator's role
-    if (creatorRole !== USER_ROLES.SUPER_ADMIN) {
-      // Prison Admin can only create users for their prison
-      if (!userData.prison_id || userData.prison_id !== creatorPrisonId) {
-        throw new Error('You can only create users for your assigned prison');
-      }
-      
-      // Prison Admin cannot create Super Admin or Prison Admin
-      const targetRole = await db.Role.findByPk(userData.role_id);
-      if (!targetRole) {
-        throw new Error('Invalid role');
-      }
-      
-      if (targetRole.role_name === USER_ROLES.SUPER_ADMIN || 
-          targetRole.role_name === USER_ROLES.PRISON_ADMIN) {
-        throw new Error('You do not have permission to create this role');
-      }
+    // Prison Admin can only create users for their prison, and cannot
+    // create Super Admin or Prison Admin accounts
+    if (!accessPolicy.isSuperAdmin(actor) && !userData.prison_id) {
+      throw new Error('You can only create users for your assigned prison');
     }
+    accessPolicy.authorize(actor, 'user:manage', { prison_id: userData.prison_id });
+
+    const targetRole = await db.Role.findByPk(userData.role_id);
+    if (!targetRole) {
+      throw new Error('Invalid role');
+    }
+
+    accessPolicy.authorize(actor, 'role:assign', targetRole);
 
     // Check if username already exists
     const existingUser = await db.User.findOne({
@@ -191,7 +211,12 @@ const createUser = async (userData, creatorRole, creatorPrisonId) => {
       }
     }
 
-    // Create user
+    const passwordErrors = getPasswordPolicyErrors(userData.password);
+    if (passwordErrors.length > 0) {
+      throw new Error(passwordErrors.join('. '));
+    }
+
+    // Create user with a temporary password that must be changed on first login
     const newUser = await db.User.create({
       employee_full_name: userData.employee_full_name,
       nic: userData.nic,
@@ -201,6 +226,7 @@ const createUser = async (userData, creatorRole, creatorPrisonId) => {
       address: userData.address,
       username: userData.username,
       password_hash: userData.password, // **Password is hashed via model hook**
+      must_change_password: true,
       role_id: userData.role_id,
       prison_id: userData.prison_id || null,
       is_active: userData.is_active !== undefined ? userData.is_active : true
@@ -213,10 +239,32 @@ const createUser = async (userData, creatorRole, creatorPrisonId) => {
   }
 };
 
+/**
+ * Refuse to take away the last active Super Admin, which would leave
+ * nobody able to manage roles and prisons
+ */
+const assertNotLastSuperAdmin = async (user) => {
+  if (user.role.role_name !== USER_ROLES.SUPER_ADMIN || !user.is_active) {
+    return;
+  }
+
+  const otherSuperAdmins = await db.User.count({
+    where: {
+      user_id: { [Op.ne]: user.user_id },
+      role_id: user.role_id,
+      is_active: true
+    }
+  });
+
+  if (otherSuperAdmins === 0) {
+    throw new Error('Cannot remove the last active Super Admin');
+  }
+};
+
 /**
  * Update user
  */
-const updateUser = async (userId, updateData, updaterRole, updaterPrisonId) => {
+const updateUser = async (userId, updateData, actor) => {
   try {
     const user = await db.User.findByPk(userId, {
       include: [{ model: db.Role, as: 'role' }]
@@ -226,29 +274,32 @@ const updateUser = async (userId, updateData, updaterRole, updaterPrisonId) => {
       throw new Error('User not found');
     }
 
-    // Validate permissions based on updater's role
-    if (updaterRole !== USER_ROLES.SUPER_ADMIN) {
-      // Prison Admin can only update users in their prison
-      if (user.prison_id !== updaterPrisonId) {
-        throw new Error('You can only update users in your assigned prison');
-      }
-      
-      // Prison Admin cannot modify Super Admin or Prison Admin
-      if (user.role.role_name === USER_ROLES.SUPER_ADMIN || 
-          user.role.role_name === USER_ROLES.PRISON_ADMIN) {
-        throw new Error('You do not have permission to update this user');
-      }
-      
-      // If changing role, validate new role
-      if (updateData.role_id) {
-        const targetRole = await db.Role.findByPk(updateData.role_id);
-        if (targetRole && (targetRole.role_name === USER_ROLES.SUPER_ADMIN || 
-                          targetRole.role_name === USER_ROLES.PRISON_ADMIN)) {
-          throw new Error('You do not have permission to assign this role');
-        }
+    // Prison Admin can only update non-admin users in their prison
+    accessPolicy.authorize(actor, 'user:manage', user);
+
+    // If changing role, validate new role
+    if (updateData.role_id) {
+      const targetRole = await db.Role.findByPk(updateData.role_id);
+      if (targetRole) {
+        accessPolicy.authorize(actor, 'role:assign', targetRole);
       }
     }
 
+    const roleChanged = updateData.role_id !== undefined &&
+                        parseInt(updateData.role_id) !== user.role_id;
+
+    // Nobody may change their own role, and with it their own permissions
+    if (roleChanged && user.user_id === actor.userId) {
+      throw new Error('You cannot change your own role');
+    }
+
+    const deactivating = updateData.is_active !== undefined &&
+                         ['false', '0'].includes(String(updateData.is_active));
+
+    if (roleChanged || deactivating) {
+      await assertNotLastSuperAdmin(user);
+    }
+
     // Check for duplicate username/email if being updated
     if (updateData.username || updateData.email || updateData.nic) {
       const duplicateCheck = {};
@@ -276,11 +327,23 @@ const updateUser = async (userId, updateData, updaterRole, updaterPrisonId) => {
       }
     }
 
+    const wasActive = user.is_active;
+
+    const safeData = { ...updateData };
+    PROTECTED_USER_FIELDS.forEach(field => delete safeData[field]);
+
     // Update user
-    await user.update(updateData);
+    await user.update(safeData);
+
+    const updatedUser = await getUserById(userId);
+
+    // A deactivated user must not keep working on existing tokens
+    if (wasActive && !updatedUser.isActive) {
+      await sessionService.revokeUserSessions(userId, 'User deactivated');
+    }
 
     // Return updated user
-    return await getUserById(userId);
+    return updatedUser;
   } catch (error) {
     throw error;
   }
@@ -289,7 +352,7 @@ const updateUser = async (userId, updateData, updaterRole, updaterPrisonId) => {
 /**
  * Delete user (soft delete by setting is_active to false)
  */
-const deleteUser = async (userId, deleterRole, deleterPrisonId) => {
+const deleteUser = async (userId, actor) => {
   try {
     const user = await db.User.findByPk(userId, {
       include: [{ model: db.Role, as: 'role' }]
@@ -300,19 +363,13 @@ const deleteUser = async (userId, deleterRole, deleterPrisonId) => {
     }
 
     // Validate permissions
-    if (deleterRole !== USER_ROLES.SUPER_ADMIN) {
-      if (user.prison_id !== deleterPrisonId) {
-        throw new Error('You can only delete users in your assigned prison');
-      }
-      
-      if (user.role.role_name === USER_ROLES.SUPER_ADMIN || 
-          user.role.role_name === USER_ROLES.PRISON_ADMIN) {
-        throw new Error('You do not have permission to delete this user');
-      }
-    }
+    accessPolicy.authorize(actor, 'user:manage', user);
+
+    await assertNotLastSuperAdmin(user);
 
     // Soft delete
     await user.update({ is_active: false });
+    await sessionService.revokeUserSessions(userId, 'User deactivated');
 
     return { message: 'User deactivated successfully' };
   } catch (error) {
@@ -321,9 +378,12 @@ const deleteUser = async (userId, deleterRole, deleterPrisonId) => {
 };
 
 /**
- * Reset user password (Admin function)
+ * Reset user password (Admin function).
+ * With resetTwoFactor the user's two-factor enrolment is cleared as well,
+ * for staff who lost their authenticator and recovery codes. Either way the
+ * user's existing sessions are revoked.
  */
-const resetUserPassword = async (userId, newPassword, resetterRole, resetterPrisonId) => {
+const resetUserPassword = async (userId, newPassword, actor, options = {}) => {
   try {
     const user = await db.User.findByPk(userId, {
       include: [{ model: db.Role, as: 'role' }]
@@ -334,21 +394,137 @@ const resetUserPassword = async (userId, newPassword, resetterRole, resetterPris
     }
 
     // Validate permissions
-    if (resetterRole !== USER_ROLES.SUPER_ADMIN) {
-      if (user.prison_id !== resetterPrisonId) {
-        throw new Error('You can only reset passwords for users in your assigned prison');
+    accessPolicy.authorize(actor, 'user:manage', user);
+
+    await passwordService.assertPasswordAllowed(user, newPassword);
+
+    // Temporary password: the user must choose their own on next login
+    // Update password **Password is hashed via model hook** 
+    await user.update({
+      password_hash: newPassword,
+      must_change_password: true
+    });
+
+    if (options.resetTwoFactor) {
+      await twoFactorService.reset(user);
+    }
+
+    // Sessions opened with the old credentials must not outlive the reset
+    await sessionService.revokeUserSessions(
+      userId,
+      options.resetTwoFactor
+        ? 'Two-factor authentication reset by administrator'
+        : 'Password reset by administrator'
+    );
+
+    if (options.resetTwoFactor) {
+      return { message: 'Password and two-factor authentication reset successfully' };
+    }
+
+    return { message: 'Password reset successfully' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Unlock an account locked by failed logins (Admin function)
+ */
+const unlockUser = async (userId, actor) => {
+  try {
+    const user = await db.User.findByPk(userId, {
+      include: [{ model: db.Role, as: 'role' }]
+    });
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Validate permissions
+    accessPolicy.authorize(actor, 'user:manage', user);
+
+    if (!user.locked_until && !user.failed_login_attempts) {
+      throw new Error('User account is not locked');
+    }
+
+    await authService.resetLoginFailures(user);
+
+    return { message: 'User account unlocked successfully' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get recorded login attempts with filtering and pagination.
+ * Prison Admins only see attempts against accounts in their prisons.
+ */
+const getLoginAttempts = async (filters = {}, page = 1, limit = 20, actor) => {
+  try {
+    const offset = (page - 1) * limit;
+    const whereClause = {};
+    const prisonScope = accessPolicy.prisonScope(actor);
+
+    if (prisonScope !== undefined) {
+      whereClause.prison_id = prisonScope;
+    } else if (filters.prisonId) {
+      whereClause.prison_id = filters.prisonId;
+    }
+
+    if (filters.userId) {
+      whereClause.user_id = filters.userId;
+    }
+
+    if (filters.succeeded !== undefined) {
+      whereClause.succeeded = filters.succeeded;
+    }
+
+    if (filters.ipAddress) {
+      whereClause.ip_address = filters.ipAddress;
+    }
+
+    if (filters.startDate || filters.endDate) {
+      whereClause.attempted_at = {};
+      if (filters.startDate) {
+        whereClause.attempted_at[Op.gte] = new Date(filters.startDate);
       }
-      
-      if (user.role.role_name === USER_ROLES.SUPER_ADMIN || 
-          user.role.role_name === USER_ROLES.PRISON_ADMIN) {
-        throw new Error('You do not have permission to reset this user\'s password');
+      if (filters.endDate) {
+        whereClause.attempted_at[Op.lte] = new Date(filters.endDate);
       }
     }
 
-    // Update password **Password is hashed via model hook** 
-    await user.update({ password_hash: newPassword });
+    const { count, rows: attempts } = await db.LoginAttempt.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: db.User,
+          as: 'user',
+          attributes: ['user_id', 'username', 'employee_full_name']
+        }
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['attempted_at', 'DESC']]
+    });
 
-    return { message: 'Password reset successfully' };
+    return {
+      attempts: attempts.map(attempt => ({
+        attemptId: attempt.attempt_id,
+        user: attempt.user,
+        usernameAttempted: attempt.username_attempted,
+        succeeded: attempt.succeeded,
+        failureReason: attempt.failure_reason,
+        ipAddress: attempt.ip_address,
+        userAgent: attempt.user_agent,
+        attemptedAt: attempt.attempted_at
+      })),
+      pagination: {
+        total: count,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(count / limit)
+      }
+    };
   } catch (error) {
     throw error;
   }
@@ -416,6 +592,8 @@ module.exports = {
   updateUser,
   deleteUser,
   resetUserPassword,
+  unlockUser,
+  getLoginAttempts,
   getAllRolesDropdown,
   getUserDashboardStats
 };
\ No newline at end of file
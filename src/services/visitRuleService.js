@@ -0,0 +1,328 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const { VISIT_STATUS, VISIT_TYPE } = require('../config/constants');
+const { addDays, daysBetween, weekOf, monthOf } = require('../utils/dates');
+const behaviourService = require('./behaviourService');
+const accessPolicy = require('../utils/accessPolicy');
+
+// Without a rule a session holds one visitor and nothing else is limited
+const NO_RULE = {
+  visits_per_week: null,
+  visits_per_month: null,
+  max_visitors_per_session: 1,
+  min_days_between_visits: 0
+};
+
+/**
+ * Format visit rule for API response
+ */
+const formatRule = (rule) => ({
+  ruleId: rule.rule_id,
+  prisonId: rule.prison_id,
+  behaviourRating: rule.behaviour_rating,
+  visitsPerWeek: rule.visits_per_week,
+  visitsPerMonth: rule.visits_per_month,
+  maxVisitorsPerSession: rule.max_visitors_per_session,
+  minDaysBetweenVisits: rule.min_days_between_visits,
+  updatedBy: rule.updater ? {
+    userId: rule.updater.user_id,
+    fullName: rule.updater.employee_full_name
+  } : null,
+  updatedAt: rule.updated_at
+});
+
+const findPrison = async (prisonId) => {
+  const prison = await db.Prison.findByPk(prisonId);
+
+  if (!prison) {
+    throw new Error('Prison not found');
+  }
+
+  return prison;
+};
+
+/**
+ * Get a prison's visit rules
+ */
+const getVisitRules = async (prisonId, actor) => {
+  try {
+    const prison = await findPrison(prisonId);
+    accessPolicy.authorize(actor, 'prison:view', prison);
+
+    const rules = await db.VisitRule.findAll({
+      where: { prison_id: prisonId },
+      include: [{ model: db.User, as: 'updater', attributes: ['user_id', 'employee_full_name'] }],
+      order: [['behaviour_rating', 'ASC']]
+    });
+
+    return rules.map(formatRule);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Create or replace the rule for a behaviour rating, or the prison default
+ * when no rating is given
+ */
+const saveVisitRule = async (prisonId, ruleData, actor) => {
+  try {
+    const prison = await findPrison(prisonId);
+    accessPolicy.authorize(actor, 'prison:manageVisiting', prison);
+
+    const valueOr = (value, fallback) => value === undefined || value === null ? fallback : value;
+    const behaviourRating = ruleData.behaviour_rating || null;
+    const fields = {
+      visits_per_week: valueOr(ruleData.visits_per_week, null),
+      visits_per_month: valueOr(ruleData.visits_per_month, null),
+      max_visitors_per_session: valueOr(ruleData.max_visitors_per_session, NO_RULE.max_visitors_per_session),
+      min_days_between_visits: valueOr(ruleData.min_days_between_visits, NO_RULE.min_days_between_visits),
+      updated_by: actor.userId
+    };
+
+    if (fields.visits_per_week !== null && fields.visits_per_month !== null &&
+        fields.visits_per_week > fields.visits_per_month) {
+      throw new Error('Weekly allowance cannot exceed monthly allowance');
+    }
+
+    let rule = await db.VisitRule.findOne({
+      where: { prison_id: prison.prison_id, behaviour_rating: behaviourRating }
+    });
+
+    if (rule) {
+      await rule.update(fields);
+    } else {
+      rule = await db.VisitRule.create({
+        prison_id: prison.prison_id,
+        behaviour_rating: behaviourRating,
+        ...fields
+      });
+    }
+
+    const saved = await db.VisitRule.findByPk(rule.rule_id, {
+      include: [{ model: db.User, as: 'updater', attributes: ['user_id', 'employee_full_name'] }]
+    });
+
+    return formatRule(saved);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Delete a visit rule
+ */
+const deleteVisitRule = async (prisonId, ruleId, actor) => {
+  try {
+    const prison = await findPrison(prisonId);
+    accessPolicy.authorize(actor, 'prison:manageVisiting', prison);
+
+    const rule = await db.VisitRule.findOne({
+      where: { rule_id: ruleId, prison_id: prisonId }
+    });
+
+    if (!rule) {
+      throw new Error('Visit rule not found');
+    }
+
+    await rule.destroy();
+
+    return { message: 'Visit rule deleted successfully' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Rule that applies to a prisoner: the prison's rule for the prisoner's
+ * behaviour rating, else the prison default, else no limits
+ */
+const resolveRule = async (prisoner, actor) => {
+  const { rating } = await behaviourService.calculateBehaviourScore(prisoner.prisoner_id, actor);
+
+  const rules = await db.VisitRule.findAll({
+    where: {
+      prison_id: prisoner.prison_id,
+      [Op.or]: [{ behaviour_rating: rating }, { behaviour_rating: null }]
+    }
+  });
+
+  const rule = rules.find(r => r.behaviour_rating === rating) ||
+               rules.find(r => r.behaviour_rating === null) ||
+               null;
+
+  return { rating, rule };
+};
+
+/**
+ * Distinct sessions (date and start time) of a prisoner's social visits that
+ * are not cancelled, between two dates inclusive. Professional visits do not
+ * count towards the allowance.
+ */
+const findSessions = async (prisonerId, startDate, endDate, excludeVisitId = null, transaction = null) => {
+  const whereClause = {
+    prisoner_id: prisonerId,
+    visit_type: VISIT_TYPE.SOCIAL,
+    status: { [Op.ne]: VISIT_STATUS.CANCELLED },
+    visit_date: { [Op.between]: [startDate, endDate] }
+  };
+
+  if (excludeVisitId) {
+    whereClause.visit_id = { [Op.ne]: excludeVisitId };
+  }
+
+  const visits = await db.Visit.findAll({
+    where: whereClause,
+    attributes: ['visit_date', 'visit_time_start', 'visit_time_end'],
+    order: [['visit_date', 'ASC'], ['visit_time_start', 'ASC']],
+    transaction
+  });
+
+  const sessions = new Map();
+  visits.forEach(visit => {
+    const key = `${visit.visit_date} ${visit.visit_time_start}`;
+    if (!sessions.has(key)) {
+      sessions.set(key, { visitDate: visit.visit_date, timeStart: visit.visit_time_start, timeEnd: visit.visit_time_end });
+    }
+  });
+
+  return [...sessions.values()];
+};
+
+/**
+ * Check a social visit against the prisoner's allowance. A visit with the same
+ * date and times as an existing one joins that session and only counts
+ * towards its visitors; any other visit is a new session and counts towards
+ * the weekly and monthly allowance and the minimum gap.
+ */
+const assertWithinAllowance = async (prisoner, visit, actor, options = {}) => {
+  const { excludeVisitId = null, transaction = null } = options;
+  const { rule } = await resolveRule(prisoner, actor);
+  const limits = rule || NO_RULE;
+
+  const sameSession = {
+    prisoner_id: prisoner.prisoner_id,
+    visit_date: visit.visitDate,
+    visit_time_start: visit.timeStart,
+    visit_time_end: visit.timeEnd,
+    visit_type: VISIT_TYPE.SOCIAL,
+    status: [VISIT_STATUS.SCHEDULED, VISIT_STATUS.CHECKED_IN]
+  };
+  if (excludeVisitId) {
+    sameSession.visit_id = { [Op.ne]: excludeVisitId };
+  }
+
+  const sessionVisitors = await db.Visit.count({ where: sameSession, transaction });
+
+  if (sessionVisitors > 0) {
+    if (sessionVisitors + 1 > limits.max_visitors_per_session) {
+      throw new Error(`Visit session is full: at most ${limits.max_visitors_per_session} visitor(s) per session`);
+    }
+    return;
+  }
+
+  const week = weekOf(visit.visitDate);
+  const month = monthOf(visit.visitDate);
+
+  if (limits.visits_per_week !== null) {
+    const used = await findSessions(prisoner.prisoner_id, week.startDate, week.endDate, excludeVisitId, transaction);
+    if (used.length >= limits.visits_per_week) {
+      throw new Error(`Weekly visit allowance reached: ${limits.visits_per_week} visit(s) per week`);
+    }
+  }
+
+  if (limits.visits_per_month !== null) {
+    const used = await findSessions(prisoner.prisoner_id, month.startDate, month.endDate, excludeVisitId, transaction);
+    if (used.length >= limits.visits_per_month) {
+      throw new Error(`Monthly visit allowance reached: ${limits.visits_per_month} visit(s) per month`);
+    }
+  }
+
+  if (limits.min_days_between_visits > 0) {
+    const gap = limits.min_days_between_visits;
+    const nearby = await findSessions(
+      prisoner.prisoner_id,
+      addDays(visit.visitDate, -(gap - 1)),
+      addDays(visit.visitDate, gap - 1),
+      excludeVisitId,
+      transaction
+    );
+    if (nearby.length > 0) {
+      throw new Error(`Visits must be at least ${gap} day(s) apart; another visit is on ${nearby[0].visitDate}`);
+    }
+  }
+};
+
+/**
+ * Usage of an allowance over a period
+ */
+const periodAllowance = (period, used, limit) => ({
+  startDate: period.startDate,
+  endDate: period.endDate,
+  used,
+  limit,
+  remaining: limit === null ? null : Math.max(0, limit - used)
+});
+
+/**
+ * Remaining visit allowance of a prisoner for the week and month
+ * containing a date
+ */
+const getVisitAllowance = async (prisonerId, date, actor) => {
+  try {
+    const prisoner = await db.Prisoner.findByPk(prisonerId);
+
+    if (!prisoner) {
+      throw new Error('Prisoner not found');
+    }
+
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+    const { rating, rule } = await resolveRule(prisoner, actor);
+    const limits = rule || NO_RULE;
+    const week = weekOf(date);
+    const month = monthOf(date);
+
+    const [weekSessions, monthSessions] = await Promise.all([
+      findSessions(prisoner.prisoner_id, week.startDate, week.endDate),
+      findSessions(prisoner.prisoner_id, month.startDate, month.endDate)
+    ]);
+
+    // Earliest day on or after the date that is far enough from the last visit
+    let nextEligibleDate = date;
+    if (limits.min_days_between_visits > 0) {
+      const previous = await findSessions(
+        prisoner.prisoner_id,
+        addDays(date, -(limits.min_days_between_visits - 1)),
+        date
+      );
+      if (previous.length > 0) {
+        const last = previous[previous.length - 1].visitDate;
+        nextEligibleDate = addDays(last, limits.min_days_between_visits);
+      }
+    }
+
+    return {
+      prisonerId: prisoner.prisoner_id,
+      date,
+      behaviourRating: rating,
+      rule: rule ? formatRule(rule) : null,
+      week: periodAllowance(week, weekSessions.length, limits.visits_per_week),
+      month: periodAllowance(month, monthSessions.length, limits.visits_per_month),
+      maxVisitorsPerSession: limits.max_visitors_per_session,
+      minDaysBetweenVisits: limits.min_days_between_visits,
+      nextEligibleDate,
+      daysUntilEligible: Math.max(0, daysBetween(date, nextEligibleDate))
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getVisitRules,
+  saveVisitRule,
+  deleteVisitRule,
+  assertWithinAllowance,
+  getVisitAllowance
+};
@@ -0,0 +1,347 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const { VISIT_STATUS, VISIT_RECURRENCE, PRISONER_STATUS } = require('../config/constants');
+const { addDays } = require('../utils/dates');
+const visitService = require('./visitService');
+const accessPolicy = require('../utils/accessPolicy');
+
+const MAX_OCCURRENCES = 26;
+
+/**
+ * Format visit series for API response
+ */
+const formatSeries = (series) => ({
+  seriesId: series.series_id,
+  prisoner: series.prisoner ? {
+    prisonerId: series.prisoner.prisoner_id,
+    fullName: series.prisoner.full_name
+  } : { prisonerId: series.prisoner_id },
+  visitor: series.visitor ? {
+    visitorId: series.visitor.visitor_id,
+    visitorName: series.visitor.visitor_name
+  } : { visitorId: series.visitor_id },
+  relationship: series.relationship,
+  frequency: series.frequency,
+  startDate: series.start_date,
+  endDate: series.end_date,
+  occurrenceCount: series.occurrence_count,
+  visitTimeStart: series.visit_time_start,
+  visitTimeEnd: series.visit_time_end,
+  slotId: series.slot_id,
+  purpose: series.purpose,
+  cancelledAt: series.cancelled_at,
+  createdBy: series.creator ? {
+    userId: series.creator.user_id,
+    fullName: series.creator.employee_full_name
+  } : null,
+  occurrences: series.visits ? series.visits.map(visit => ({
+    visitId: visit.visit_id,
+    visitDate: visit.visit_date,
+    visitTimeStart: visit.visit_time_start,
+    visitTimeEnd: visit.visit_time_end,
+    status: visit.status
+  })) : undefined,
+  createdAt: series.created_at
+});
+
+const seriesIncludes = () => [
+  { model: db.Prisoner, as: 'prisoner', attributes: ['prisoner_id', 'prison_id', 'full_name'] },
+  { model: db.Visitor, as: 'visitor', attributes: ['visitor_id', 'visitor_name'] },
+  { model: db.User, as: 'creator', attributes: ['user_id', 'employee_full_name'] },
+  { model: db.Visit, as: 'visits', attributes: ['visit_id', 'visit_date', 'visit_time_start', 'visit_time_end', 'status'] }
+];
+
+/**
+ * Date of the nth occurrence (0 is the start date). Monthly occurrences keep
+ * the day of the month, falling back to the last day of shorter months.
+ */
+const occurrenceDate = (startDate, frequency, index) => {
+  if (frequency === VISIT_RECURRENCE.WEEKLY) {
+    return addDays(startDate, 7 * index);
+  }
+  if (frequency === VISIT_RECURRENCE.FORTNIGHTLY) {
+    return addDays(startDate, 14 * index);
+  }
+
+  const [year, month, day] = startDate.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month + index, 0)).getUTCDate();
+  const date = new Date(Date.UTC(year, month - 1 + index, Math.min(day, lastDay)));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Dates of a series, bounded by an end date or an occurrence count
+ */
+const occurrenceDates = (startDate, frequency, endDate, count) => {
+  const dates = [];
+
+  for (let index = 0; ; index++) {
+    const date = occurrenceDate(startDate, frequency, index);
+
+    if (count ? index >= count : date > endDate) {
+      break;
+    }
+
+    if (dates.length === MAX_OCCURRENCES) {
+      throw new Error(`A visit series can have at most ${MAX_OCCURRENCES} occurrences`);
+    }
+
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+const summarise = (series, results) => ({
+  series,
+  results,
+  succeeded: results.filter(r => r.result !== 'Failed').length,
+  failed: results.filter(r => r.result === 'Failed').length
+});
+
+const findSeries = async (seriesId, actor) => {
+  const series = await db.VisitSeries.findByPk(seriesId, {
+    include: seriesIncludes(),
+    order: [[{ model: db.Visit, as: 'visits' }, 'visit_date', 'ASC']]
+  });
+
+  if (!series) {
+    throw new Error('Visit series not found');
+  }
+
+  accessPolicy.authorize(actor, 'visit:access', series);
+
+  return series;
+};
+
+/**
+ * Scheduled occurrences of a series from one of its visits onwards
+ */
+const findFollowing = async (series, visitId) => {
+  const anchor = await db.Visit.findOne({
+    where: { visit_id: visitId, series_id: series.series_id }
+  });
+
+  if (!anchor) {
+    throw new Error('Visit not found in this series');
+  }
+
+  const visits = await db.Visit.findAll({
+    where: {
+      series_id: series.series_id,
+      visit_date: { [Op.gte]: anchor.visit_date },
+      status: VISIT_STATUS.SCHEDULED
+    },
+    order: [['visit_date', 'ASC']]
+  });
+
+  return { anchor, visits };
+};
+
+/**
+ * Get a visit series with its occurrences
+ */
+const getVisitSeries = async (seriesId, actor) => {
+  try {
+    const series = await findSeries(seriesId, actor);
+    return formatSeries(series);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Create a recurring series and schedule each occurrence through the same
+ * checks as a single visit. Occurrences that fail are reported and skipped.
+ * The series and its visits are written in one transaction, each occurrence
+ * in a savepoint, so nothing is written when no occurrence can be scheduled.
+ */
+const createVisitSeries = async (seriesData, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const prisoner = await db.Prisoner.findByPk(seriesData.prisoner_id);
+
+    if (!prisoner) {
+      throw new Error('Prisoner not found');
+    }
+
+    if (prisoner.status !== PRISONER_STATUS.ACTIVE) {
+      throw new Error('Visits can only be scheduled for active prisoners');
+    }
+
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+    const visitor = await db.Visitor.findByPk(seriesData.visitor_id);
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    const dates = occurrenceDates(
+      seriesData.start_date,
+      seriesData.frequency,
+      seriesData.end_date,
+      seriesData.occurrences
+    );
+
+    const series = await db.VisitSeries.create({
+      prisoner_id: prisoner.prisoner_id,
+      visitor_id: visitor.visitor_id,
+      relationship: seriesData.relationship,
+      frequency: seriesData.frequency,
+      start_date: seriesData.start_date,
+      end_date: seriesData.end_date || null,
+      occurrence_count: seriesData.occurrences || null,
+      visit_time_start: seriesData.visit_time_start || null,
+      visit_time_end: seriesData.visit_time_end || null,
+      slot_id: seriesData.slot_id || null,
+      purpose: seriesData.purpose || null,
+      created_by: actor.userId
+    }, { transaction });
+
+    const results = [];
+    for (const visitDate of dates) {
+      try {
+        const visit = await visitService.scheduleVisit({
+          prisoner_id: prisoner.prisoner_id,
+          visitor_id: visitor.visitor_id,
+          relationship: seriesData.relationship,
+          visit_date: visitDate,
+          visit_time_start: seriesData.visit_time_start,
+          visit_time_end: seriesData.visit_time_end,
+          slot_id: seriesData.slot_id,
+          purpose: seriesData.purpose,
+          notes: seriesData.notes
+        }, actor, { seriesId: series.series_id, transaction });
+
+        results.push({ visitDate, visitId: visit.visitId, result: 'Scheduled' });
+      } catch (error) {
+        results.push({ visitDate, visitId: null, result: 'Failed', error: error.message });
+      }
+    }
+
+    if (!results.some(r => r.result === 'Scheduled')) {
+      await transaction.rollback();
+      return summarise(null, results);
+    }
+
+    await transaction.commit();
+
+    return summarise(formatSeries(await findSeries(series.series_id, actor)), results);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Change times, slot or details of a visit and the scheduled occurrences
+ * after it. Each occurrence is rechecked like a single visit update.
+ */
+const updateFollowing = async (seriesId, visitId, updateData, actor) => {
+  try {
+    const series = await findSeries(seriesId, actor);
+
+    if (series.cancelled_at) {
+      throw new Error('Visit series is already cancelled');
+    }
+
+    const { anchor, visits } = await findFollowing(series, visitId);
+
+    if (anchor.status !== VISIT_STATUS.SCHEDULED) {
+      throw new Error('Cannot update visit with status: ' + anchor.status);
+    }
+
+    const changes = {
+      relationship: updateData.relationship,
+      visit_time_start: updateData.visit_time_start,
+      visit_time_end: updateData.visit_time_end,
+      slot_id: updateData.slot_id,
+      purpose: updateData.purpose,
+      notes: updateData.notes
+    };
+
+    // Remove undefined values
+    Object.keys(changes).forEach(key =>
+      changes[key] === undefined && delete changes[key]
+    );
+
+    const results = [];
+    for (const visit of visits) {
+      try {
+        await visitService.updateVisit(visit.visit_id, changes, actor);
+        results.push({ visitDate: visit.visit_date, visitId: visit.visit_id, result: 'Updated' });
+      } catch (error) {
+        results.push({ visitDate: visit.visit_date, visitId: visit.visit_id, result: 'Failed', error: error.message });
+      }
+    }
+
+    // Later occurrences follow the new details
+    if (results.some(r => r.result === 'Updated')) {
+      delete changes.notes;
+      await series.update(changes);
+    }
+
+    return summarise(formatSeries(await findSeries(series.series_id, actor)), results);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Cancel a visit and the scheduled occurrences after it, ending the series
+ * the day before. From the first occurrence on, the whole series is cancelled.
+ */
+const cancelFollowing = async (seriesId, visitId, cancelData, actor) => {
+  try {
+    const series = await findSeries(seriesId, actor);
+
+    if (series.cancelled_at) {
+      throw new Error('Visit series is already cancelled');
+    }
+
+    const { anchor, visits } = await findFollowing(series, visitId);
+
+    const results = [];
+    for (const visit of visits) {
+      try {
+        await visitService.updateVisitStatus(visit.visit_id, {
+          status: VISIT_STATUS.CANCELLED,
+          notes: cancelData.notes
+        }, actor);
+        results.push({ visitDate: visit.visit_date, visitId: visit.visit_id, result: 'Cancelled' });
+      } catch (error) {
+        results.push({ visitDate: visit.visit_date, visitId: visit.visit_id, result: 'Failed', error: error.message });
+      }
+    }
+
+    const earlierOccurrences = await db.Visit.count({
+      where: {
+        series_id: series.series_id,
+        visit_date: { [Op.lt]: anchor.visit_date }
+      }
+    });
+
+    // Ending the series before its first occurrence would leave an end date
+    // earlier than its start date
+    if (earlierOccurrences === 0) {
+      await series.update({ cancelled_at: new Date(), cancelled_by: actor.userId });
+    } else {
+      const endDate = addDays(anchor.visit_date, -1);
+      if (!series.end_date || series.end_date > endDate) {
+        await series.update({ end_date: endDate });
+      }
+    }
+
+    return summarise(formatSeries(await findSeries(series.series_id, actor)), results);
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getVisitSeries,
+  createVisitSeries,
+  updateFollowing,
+  cancelFollowing
+};
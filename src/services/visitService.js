@@ -1,21 +1,54 @@
 const db = require('../models');
-const { USER_ROLES, VISIT_STATUS, PRISONER_STATUS } = require('../config/constants');
+const { VISIT_STATUS, VISIT_TYPE, PRISONER_STATUS } = require('../config/constants');
 const { Op } = require('sequelize');
+const accessPolicy = require('../utils/accessPolicy');
+const visitorEligibilityService = require('./visitorEligibilityService');
+const visitRuleService = require('./visitRuleService');
+const visitSlotService = require('./visitSlotService');
+const { addDays, today } = require('../utils/dates');
+
+// Statuses the status endpoint may set on a scheduled visit. Check-in and
+// check-out have their own endpoints, which record times, search and items.
+const STATUS_CHANGES = [VISIT_STATUS.CANCELLED, VISIT_STATUS.NO_SHOW, VISIT_STATUS.DENIED];
+
+// Outcomes that must say why
+const REASON_REQUIRED = [VISIT_STATUS.NO_SHOW, VISIT_STATUS.DENIED, VISIT_STATUS.TERMINATED];
+
+// Keys of the per-status counts in visit statistics
+const STATUS_KEYS = {
+  [VISIT_STATUS.SCHEDULED]: 'scheduled',
+  [VISIT_STATUS.CHECKED_IN]: 'checkedIn',
+  [VISIT_STATUS.COMPLETED]: 'completed',
+  [VISIT_STATUS.CANCELLED]: 'cancelled',
+  [VISIT_STATUS.NO_SHOW]: 'noShow',
+  [VISIT_STATUS.DENIED]: 'denied',
+  [VISIT_STATUS.TERMINATED]: 'terminated'
+};
+
+// Visits still holding their time; a checked-in visit is in progress
+const OPEN_STATUSES = [VISIT_STATUS.SCHEDULED, VISIT_STATUS.CHECKED_IN];
 
 /**
- * Check if user has access to prisoner's prison
+ * Purpose and notes of professional visits are privileged and only shown to
+ * actors with the legal privilege permission
  */
-const checkPrisonAccess = (userPrisonId, prisonerPrisonId, userRole) => {
-  if (userRole === USER_ROLES.SUPER_ADMIN) {
-    return true;
-  }
-  return userPrisonId === prisonerPrisonId;
+const canViewDetails = (visit, actor) => {
+  return visit.visit_type === VISIT_TYPE.SOCIAL || accessPolicy.can(actor, 'visit:viewPrivileged');
+};
+
+const visitDetails = (visit, actor) => {
+  const visible = canViewDetails(visit, actor);
+  return {
+    purpose: visible ? visit.purpose : null,
+    notes: visible ? visit.notes : null,
+    confidential: !visible
+  };
 };
 
 /**
  * Get all visits with filtering and pagination
  */
-const getAllVisits = async (filters = {}, page = 1, limit = 10) => {
+const getAllVisits = async (filters = {}, page = 1, limit = 10, actor = null) => {
   try {
     const offset = (page - 1) * limit;
     
@@ -29,6 +62,10 @@ const getAllVisits = async (filters = {}, page = 1, limit = 10) => {
     if (filters.status) {
       visitWhereClause.status = filters.status;
     }
+
+    if (filters.visitType) {
+      visitWhereClause.visit_type = filters.visitType;
+    }
     
     if (filters.startDate && filters.endDate) {
       visitWhereClause.visit_date = {
@@ -123,17 +160,17 @@ const getAllVisits = async (filters = {}, page = 1, limit = 10) => {
           nic: visit.visitor.nic,
           mobileNumber: visit.visitor.mobile_number
         } : null,
+        visitType: visit.visit_type,
         relationship: visit.relationship,
         visitDate: visit.visit_date,
         visitTimeStart: visit.visit_time_start,
         visitTimeEnd: visit.visit_time_end,
-        purpose: visit.purpose,
         status: visit.status,
         approvedBy: visit.approver ? {
           userId: visit.approver.user_id,
           fullName: visit.approver.employee_full_name
         } : null,
-        notes: visit.notes,
+        ...visitDetails(visit, actor),
         createdAt: visit.created_at
       })),
       pagination: {
@@ -151,7 +188,7 @@ const getAllVisits = async (filters = {}, page = 1, limit = 10) => {
 /**
  * Get visits for a specific prisoner
  */
-const getVisitsByPrisoner = async (prisonerId, userPrisonId, userRole, page = 1, limit = 10) => {
+const getVisitsByPrisoner = async (prisonerId, actor, page = 1, limit = 10) => {
   try {
     // Check if prisoner exists
     const prisoner = await db.Prisoner.findByPk(prisonerId, {
@@ -169,9 +206,7 @@ const getVisitsByPrisoner = async (prisonerId, userPrisonId, userRole, page = 1,
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     const offset = (page - 1) * limit;
 
@@ -214,17 +249,17 @@ const getVisitsByPrisoner = async (prisonerId, userPrisonId, userRole, page = 1,
           nic: visit.visitor.nic,
           mobileNumber: visit.visitor.mobile_number
         } : null,
+        visitType: visit.visit_type,
         relationship: visit.relationship,
         visitDate: visit.visit_date,
         visitTimeStart: visit.visit_time_start,
         visitTimeEnd: visit.visit_time_end,
-        purpose: visit.purpose,
         status: visit.status,
         approvedBy: visit.approver ? {
           userId: visit.approver.user_id,
           fullName: visit.approver.employee_full_name
         } : null,
-        notes: visit.notes,
+        ...visitDetails(visit, actor),
         createdAt: visit.created_at
       })),
       summary: summary.reduce((acc, stat) => {
@@ -246,7 +281,7 @@ const getVisitsByPrisoner = async (prisonerId, userPrisonId, userRole, page = 1,
 /**
  * Get upcoming scheduled visits
  */
-const getUpcomingVisits = async (prisonId = null, page = 1, limit = 10) => {
+const getUpcomingVisits = async (prisonId = null, page = 1, limit = 10, actor = null) => {
   try {
     const offset = (page - 1) * limit;
     
@@ -316,7 +351,8 @@ const getUpcomingVisits = async (prisonId = null, page = 1, limit = 10) => {
         visitDate: visit.visit_date,
         visitTimeStart: visit.visit_time_start,
         visitTimeEnd: visit.visit_time_end,
-        purpose: visit.purpose,
+        visitType: visit.visit_type,
+        purpose: canViewDetails(visit, actor) ? visit.purpose : null,
         status: visit.status
       })),
       pagination: {
@@ -334,7 +370,7 @@ const getUpcomingVisits = async (prisonId = null, page = 1, limit = 10) => {
 /**
  * Get visit by ID
  */
-const getVisitById = async (visitId, userPrisonId, userRole) => {
+const getVisitById = async (visitId, actor, transaction = null) => {
   try {
     const visit = await db.Visit.findByPk(visitId, {
       include: [
@@ -359,8 +395,35 @@ const getVisitById = async (visitId, userPrisonId, userRole) => {
           model: db.User,
           as: 'approver',
           attributes: ['user_id', 'employee_full_name', 'username', 'email']
+        },
+        {
+          model: db.User,
+          as: 'checkInOfficer',
+          attributes: ['user_id', 'employee_full_name']
+        },
+        {
+          model: db.User,
+          as: 'checkOutOfficer',
+          attributes: ['user_id', 'employee_full_name']
+        },
+        {
+          model: db.VisitItem,
+          as: 'items'
+        },
+        {
+          model: db.VisitSlot,
+          as: 'slot',
+          attributes: ['slot_id', 'start_time', 'end_time', 'capacity'],
+          include: [
+            {
+              model: db.VisitingRoom,
+              as: 'room',
+              attributes: ['room_id', 'room_name']
+            }
+          ]
         }
-      ]
+      ],
+      transaction
     });
 
     if (!visit) {
@@ -368,12 +431,11 @@ const getVisitById = async (visitId, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, visit.prisoner.prison.prison_id, userRole)) {
-      throw new Error('You do not have access to this visit');
-    }
+    accessPolicy.authorize(actor, 'visit:access', visit);
 
     return {
       visitId: visit.visit_id,
+      seriesId: visit.series_id,
       prisoner: visit.prisoner ? {
         prisonerId: visit.prisoner.prisoner_id,
         fullName: visit.prisoner.full_name,
@@ -392,11 +454,19 @@ const getVisitById = async (visitId, userPrisonId, userRole) => {
         mobileNumber: visit.visitor.mobile_number,
         address: visit.visitor.address
       } : null,
+      visitType: visit.visit_type,
       relationship: visit.relationship,
       visitDate: visit.visit_date,
       visitTimeStart: visit.visit_time_start,
       visitTimeEnd: visit.visit_time_end,
-      purpose: visit.purpose,
+      slot: visit.slot ? {
+        slotId: visit.slot.slot_id,
+        capacity: visit.slot.capacity,
+        room: visit.slot.room ? {
+          roomId: visit.slot.room.room_id,
+          roomName: visit.slot.room.room_name
+        } : null
+      } : null,
       status: visit.status,
       approvedBy: visit.approver ? {
         userId: visit.approver.user_id,
@@ -404,7 +474,31 @@ const getVisitById = async (visitId, userPrisonId, userRole) => {
         username: visit.approver.username,
         email: visit.approver.email
       } : null,
-      notes: visit.notes,
+      checkIn: visit.checked_in_at ? {
+        at: visit.checked_in_at,
+        officer: visit.checkInOfficer ? {
+          userId: visit.checkInOfficer.user_id,
+          fullName: visit.checkInOfficer.employee_full_name
+        } : null,
+        visitorSearched: visit.visitor_searched,
+        searchNotes: visit.search_notes
+      } : null,
+      checkOut: visit.checked_out_at ? {
+        at: visit.checked_out_at,
+        officer: visit.checkOutOfficer ? {
+          userId: visit.checkOutOfficer.user_id,
+          fullName: visit.checkOutOfficer.employee_full_name
+        } : null
+      } : null,
+      outcomeReason: visit.outcome_reason,
+      items: (visit.items || []).map(item => ({
+        itemId: item.item_id,
+        description: item.description,
+        quantity: item.quantity,
+        returned: !!item.returned_at,
+        returnedAt: item.returned_at
+      })),
+      ...visitDetails(visit, actor),
       createdAt: visit.created_at,
       updatedAt: visit.updated_at
     };
@@ -414,21 +508,21 @@ const getVisitById = async (visitId, userPrisonId, userRole) => {
 };
 
 /**
- * Schedule new visit
+ * Schedule new visit. options.seriesId links the visit to the recurring
+ * series creating it, and with options.transaction the visit is booked in a
+ * savepoint of the caller's transaction.
  */
-const scheduleVisit = async (visitData, userId, userPrisonId, userRole) => {
-  const transaction = await db.sequelize.transaction();
+const scheduleVisit = async (visitData, actor, options = {}) => {
+  const transaction = await db.sequelize.transaction(
+    options.transaction ? { transaction: options.transaction } : {}
+  );
   
   try {
-    // Check if prisoner exists and is active
+    // Locked so bookings for the prisoner queue here and the allowance and
+    // conflict checks below see visits committed while waiting
     const prisoner = await db.Prisoner.findByPk(visitData.prisoner_id, {
-      include: [
-        {
-          model: db.Prison,
-          as: 'prison',
-          attributes: ['prison_id', 'prison_name']
-        }
-      ]
+      transaction,
+      lock: transaction.LOCK.UPDATE
     });
 
     if (!prisoner) {
@@ -440,9 +534,7 @@ const scheduleVisit = async (visitData, userId, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     // Check if visitor exists
     const visitor = await db.Visitor.findByPk(visitData.visitor_id);
@@ -450,55 +542,100 @@ const scheduleVisit = async (visitData, userId, userPrisonId, userRole) => {
       throw new Error('Visitor not found');
     }
 
-    // Check for visit time conflicts
+    const visitType = visitData.visit_type || VISIT_TYPE.SOCIAL;
+
+    // Approved list or professional credential, bans and prisoner restrictions
+    await visitorEligibilityService.assertEligible(prisoner, visitor.visitor_id, visitData.visit_date, transaction, visitType);
+
+    // A seat in a visiting slot; the slot sets the visit times
+    const slot = await visitSlotService.claimSeat(prisoner.prison_id, visitData.slot_id, visitData.visit_date, {
+      visitType,
+      transaction
+    });
+    const timeStart = slot ? slot.start_time : visitData.visit_time_start;
+    const timeEnd = slot ? slot.end_time : visitData.visit_time_end;
+
+    // Check for visit time conflicts; visits with the same times form one session
     const conflictingVisit = await db.Visit.findOne({
       where: {
         prisoner_id: visitData.prisoner_id,
         visit_date: visitData.visit_date,
-        status: VISIT_STATUS.SCHEDULED,
+        status: OPEN_STATUSES,
+        [Op.not]: {
+          visit_time_start: timeStart,
+          visit_time_end: timeEnd
+        },
         [Op.or]: [
           {
             visit_time_start: {
-              [Op.between]: [visitData.visit_time_start, visitData.visit_time_end]
+              [Op.between]: [timeStart, timeEnd]
             }
           },
           {
             visit_time_end: {
-              [Op.between]: [visitData.visit_time_start, visitData.visit_time_end]
+              [Op.between]: [timeStart, timeEnd]
             }
           },
           {
             [Op.and]: [
-              { visit_time_start: { [Op.lte]: visitData.visit_time_start } },
-              { visit_time_end: { [Op.gte]: visitData.visit_time_end } }
+              { visit_time_start: { [Op.lte]: timeStart } },
+              { visit_time_end: { [Op.gte]: timeEnd } }
             ]
           }
         ]
-      }
+      },
+      transaction
     });
 
     if (conflictingVisit) {
       throw new Error('Visit time conflict: Another visit is already scheduled during this time');
     }
 
+    const alreadyBooked = await db.Visit.findOne({
+      where: {
+        prisoner_id: visitData.prisoner_id,
+        visitor_id: visitData.visitor_id,
+        visit_date: visitData.visit_date,
+        visit_time_start: timeStart,
+        status: VISIT_STATUS.SCHEDULED
+      },
+      transaction
+    });
+
+    if (alreadyBooked) {
+      throw new Error('Visit time conflict: Visitor is already booked for this session');
+    }
+
+    // Weekly and monthly allowance, minimum gap and session size
+    if (visitType === VISIT_TYPE.SOCIAL) {
+      await visitRuleService.assertWithinAllowance(prisoner, {
+        visitDate: visitData.visit_date,
+        timeStart,
+        timeEnd
+      }, actor, { transaction });
+    }
+
     // Create visit
     const newVisit = await db.Visit.create({
       prisoner_id: visitData.prisoner_id,
       visitor_id: visitData.visitor_id,
+      visit_type: visitType,
       relationship: visitData.relationship,
       visit_date: visitData.visit_date,
-      visit_time_start: visitData.visit_time_start,
-      visit_time_end: visitData.visit_time_end,
+      visit_time_start: timeStart,
+      visit_time_end: timeEnd,
+      slot_id: slot ? slot.slot_id : null,
+      series_id: options.seriesId || null,
       purpose: visitData.purpose,
       status: VISIT_STATUS.SCHEDULED,
       notes: visitData.notes || null,
-      approved_by: userId
+      approved_by: actor.userId
     }, { transaction });
 
     await transaction.commit();
 
     // Fetch created visit with details
-    return await getVisitById(newVisit.visit_id, userPrisonId, userRole);
+    return await getVisitById(newVisit.visit_id, actor, options.transaction);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -508,7 +645,7 @@ const scheduleVisit = async (visitData, userId, userPrisonId, userRole) => {
 /**
  * Update visit
  */
-const updateVisit = async (visitId, updateData, userPrisonId, userRole) => {
+const updateVisit = async (visitId, updateData, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
@@ -517,7 +654,7 @@ const updateVisit = async (visitId, updateData, userPrisonId, userRole) => {
         {
           model: db.Prisoner,
           as: 'prisoner',
-          attributes: ['prison_id']
+          attributes: ['prisoner_id', 'prison_id']
         }
       ]
     });
@@ -527,27 +664,48 @@ const updateVisit = async (visitId, updateData, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, visit.prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this visit');
-    }
+    accessPolicy.authorize(actor, 'visit:access', visit);
 
     // Cannot update completed or cancelled visits
     if (visit.status !== VISIT_STATUS.SCHEDULED) {
       throw new Error('Cannot update visit with status: ' + visit.status);
     }
 
-    // If updating time, check for conflicts
-    if (updateData.visit_date || updateData.visit_time_start || updateData.visit_time_end) {
+    // A new date must also be one the visitor may visit on
+    if (updateData.visit_date && updateData.visit_date !== visit.visit_date) {
+      await visitorEligibilityService.assertEligible(visit.prisoner, visit.visitor_id, updateData.visit_date, transaction, visit.visit_type);
+    }
+
+    const rescheduled = updateData.visit_date || updateData.slot_id !== undefined ||
+      updateData.visit_time_start || updateData.visit_time_end;
+    const slotId = updateData.slot_id !== undefined ? updateData.slot_id : visit.slot_id;
+    let timeStart = updateData.visit_time_start || visit.visit_time_start;
+    let timeEnd = updateData.visit_time_end || visit.visit_time_end;
+
+    // If updating time, claim a seat again and check for conflicts
+    if (rescheduled) {
       const visitDate = updateData.visit_date || visit.visit_date;
-      const timeStart = updateData.visit_time_start || visit.visit_time_start;
-      const timeEnd = updateData.visit_time_end || visit.visit_time_end;
+
+      const slot = await visitSlotService.claimSeat(visit.prisoner.prison_id, slotId, visitDate, {
+        excludeVisitId: visit.visit_id,
+        visitType: visit.visit_type,
+        transaction
+      });
+      if (slot) {
+        timeStart = slot.start_time;
+        timeEnd = slot.end_time;
+      }
 
       const conflictingVisit = await db.Visit.findOne({
         where: {
           visit_id: { [Op.ne]: visitId },
           prisoner_id: visit.prisoner_id,
           visit_date: visitDate,
-          status: VISIT_STATUS.SCHEDULED,
+          status: OPEN_STATUSES,
+          [Op.not]: {
+            visit_time_start: timeStart,
+            visit_time_end: timeEnd
+          },
           [Op.or]: [
             {
               visit_time_start: {
@@ -572,14 +730,23 @@ const updateVisit = async (visitId, updateData, userPrisonId, userRole) => {
       if (conflictingVisit) {
         throw new Error('Visit time conflict: Another visit is already scheduled during this time');
       }
+
+      if (visit.visit_type === VISIT_TYPE.SOCIAL) {
+        await visitRuleService.assertWithinAllowance(visit.prisoner, {
+          visitDate,
+          timeStart,
+          timeEnd
+        }, actor, { excludeVisitId: visit.visit_id, transaction });
+      }
     }
 
     // Update visit
     const allowedUpdates = {
       relationship: updateData.relationship,
       visit_date: updateData.visit_date,
-      visit_time_start: updateData.visit_time_start,
-      visit_time_end: updateData.visit_time_end,
+      visit_time_start: rescheduled ? timeStart : undefined,
+      visit_time_end: rescheduled ? timeEnd : undefined,
+      slot_id: rescheduled ? slotId || null : undefined,
       purpose: updateData.purpose,
       notes: updateData.notes
     };
@@ -594,7 +761,7 @@ const updateVisit = async (visitId, updateData, userPrisonId, userRole) => {
     await transaction.commit();
 
     // Return updated visit
-    return await getVisitById(visitId, userPrisonId, userRole);
+    return await getVisitById(visitId, actor);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -602,46 +769,183 @@ const updateVisit = async (visitId, updateData, userPrisonId, userRole) => {
 };
 
 /**
- * Update visit status
+ * Find a visit for a lifecycle change, locked for the transaction
  */
-const updateVisitStatus = async (visitId, status, notes, userPrisonId, userRole) => {
+const findVisitForChange = async (visitId, actor, transaction) => {
+  const visit = await db.Visit.findByPk(visitId, {
+    include: [
+      {
+        model: db.Prisoner,
+        as: 'prisoner',
+        attributes: ['prisoner_id', 'prison_id']
+      }
+    ],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  if (!visit) {
+    throw new Error('Visit not found');
+  }
+
+  // Check access
+  accessPolicy.authorize(actor, 'visit:access', visit);
+
+  return visit;
+};
+
+const assertReason = (status, reason) => {
+  if (REASON_REQUIRED.includes(status) && !(reason && reason.trim())) {
+    throw new Error(`A reason is required when a visit is marked ${status}`);
+  }
+};
+
+/**
+ * Update visit status: cancel a scheduled visit, or record that the visitor
+ * did not come or was denied entry
+ */
+const updateVisitStatus = async (visitId, statusData, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
-    const visit = await db.Visit.findByPk(visitId, {
-      include: [
-        {
-          model: db.Prisoner,
-          as: 'prisoner',
-          attributes: ['prison_id']
-        }
-      ]
-    });
+    const { status, reason, notes } = statusData;
+    const visit = await findVisitForChange(visitId, actor, transaction);
 
-    if (!visit) {
-      throw new Error('Visit not found');
+    // Validate status transition
+    if (!Object.values(VISIT_STATUS).includes(status)) {
+      throw new Error('Invalid visit status');
     }
 
-    // Check access
-    if (!checkPrisonAccess(userPrisonId, visit.prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this visit');
+    if (!STATUS_CHANGES.includes(status)) {
+      throw new Error(`Visit status cannot be set to ${status} directly; use check-in or check-out`);
     }
 
-    // Validate status transition
-    if (!Object.values(VISIT_STATUS).includes(status)) {
-      throw new Error('Invalid visit status');
+    if (visit.status !== VISIT_STATUS.SCHEDULED) {
+      throw new Error(`Cannot change status of visit with status: ${visit.status}`);
+    }
+
+    assertReason(status, reason);
+
+    if (status !== VISIT_STATUS.CANCELLED && visit.visit_date > today()) {
+      throw new Error(`A visit can only be marked ${status} on or after its visit date`);
     }
 
     // Update visit status
     await visit.update({
       status: status,
+      outcome_reason: reason || null,
       notes: notes || visit.notes
     }, { transaction });
 
     await transaction.commit();
 
     // Return updated visit
-    return await getVisitById(visitId, userPrisonId, userRole);
+    return await getVisitById(visitId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Check a visitor in on the visit date: record the arrival time, the
+ * officer on duty, the search and any items deposited. The visitor must
+ * still be eligible, so bans or restrictions imposed since booking apply.
+ */
+const checkInVisit = async (visitId, checkInData, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const visit = await findVisitForChange(visitId, actor, transaction);
+
+    if (visit.status !== VISIT_STATUS.SCHEDULED) {
+      throw new Error(`Cannot check in visit with status: ${visit.status}`);
+    }
+
+    if (visit.visit_date !== today()) {
+      throw new Error('Visits can only be checked in on the visit date');
+    }
+
+    await visitorEligibilityService.assertEligible(visit.prisoner, visit.visitor_id, visit.visit_date, transaction, visit.visit_type);
+
+    await visit.update({
+      status: VISIT_STATUS.CHECKED_IN,
+      checked_in_at: new Date(),
+      checked_in_by: actor.userId,
+      visitor_searched: checkInData.visitor_searched,
+      search_notes: checkInData.search_notes || null,
+      notes: checkInData.notes || visit.notes
+    }, { transaction });
+
+    for (const item of checkInData.items || []) {
+      await db.VisitItem.create({
+        visit_id: visit.visit_id,
+        description: item.description,
+        quantity: item.quantity || 1
+      }, { transaction });
+    }
+
+    await transaction.commit();
+
+    return await getVisitById(visitId, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Check a visitor out, ending the visit as Completed, or as Terminated when
+ * staff stop it early. Deposited items are handed back except those listed
+ * as retained.
+ */
+const checkOutVisit = async (visitId, checkOutData, actor) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const outcome = checkOutData.outcome || VISIT_STATUS.COMPLETED;
+    const visit = await findVisitForChange(visitId, actor, transaction);
+
+    if (![VISIT_STATUS.COMPLETED, VISIT_STATUS.TERMINATED].includes(outcome)) {
+      throw new Error(`Invalid check-out outcome: ${outcome}`);
+    }
+
+    if (visit.status !== VISIT_STATUS.CHECKED_IN) {
+      throw new Error(`Cannot check out visit with status: ${visit.status}`);
+    }
+
+    assertReason(outcome, checkOutData.reason);
+
+    const retained = (checkOutData.retained_item_ids || []).map(id => parseInt(id));
+    const items = await db.VisitItem.findAll({
+      where: { visit_id: visit.visit_id },
+      transaction
+    });
+
+    const unknown = retained.filter(id => !items.some(item => item.item_id === id));
+    if (unknown.length > 0) {
+      throw new Error(`Visit item not found: ${unknown.join(', ')}`);
+    }
+
+    const now = new Date();
+
+    for (const item of items) {
+      if (!retained.includes(item.item_id) && !item.returned_at) {
+        await item.update({ returned_at: now, returned_by: actor.userId }, { transaction });
+      }
+    }
+
+    await visit.update({
+      status: outcome,
+      checked_out_at: now,
+      checked_out_by: actor.userId,
+      outcome_reason: checkOutData.reason || null,
+      notes: checkOutData.notes || visit.notes
+    }, { transaction });
+
+    await transaction.commit();
+
+    return await getVisitById(visitId, actor);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -651,7 +955,7 @@ const updateVisitStatus = async (visitId, status, notes, userPrisonId, userRole)
 /**
  * Delete visit
  */
-const deleteVisit = async (visitId, userPrisonId, userRole) => {
+const deleteVisit = async (visitId, actor) => {
   try {
     const visit = await db.Visit.findByPk(visitId, {
       include: [
@@ -668,13 +972,11 @@ const deleteVisit = async (visitId, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, visit.prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this visit');
-    }
+    accessPolicy.authorize(actor, 'visit:access', visit);
 
-    // Cannot delete completed visits
-    if (visit.status === VISIT_STATUS.COMPLETED) {
-      throw new Error('Cannot delete completed visit');
+    // Only visits that never took place can be deleted
+    if (![VISIT_STATUS.SCHEDULED, VISIT_STATUS.CANCELLED].includes(visit.status)) {
+      throw new Error('Cannot delete visit with status: ' + visit.status);
     }
 
     await visit.destroy();
@@ -686,7 +988,7 @@ const deleteVisit = async (visitId, userPrisonId, userRole) => {
 /**
  * Approve visit
  */
-const approveVisit = async (visitId, userId, userPrisonId, userRole) => {
+const approveVisit = async (visitId, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
@@ -705,9 +1007,7 @@ const approveVisit = async (visitId, userId, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, visit.prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this visit');
-    }
+    accessPolicy.authorize(actor, 'visit:access', visit);
 
     // Check if already approved
     if (visit.approved_by) {
@@ -716,13 +1016,13 @@ const approveVisit = async (visitId, userId, userPrisonId, userRole) => {
 
     // Approve visit
     await visit.update({
-      approved_by: userId
+      approved_by: actor.userId
     }, { transaction });
 
     await transaction.commit();
 
     // Return updated visit
-    return await getVisitById(visitId, userPrisonId, userRole);
+    return await getVisitById(visitId, actor);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -820,14 +1120,24 @@ const getVisitStatistics = async (prisonId = null, startDate = null, endDate = n
       limit: 10
     });
 
+    const byStatus = statusStats.reduce((acc, stat) => {
+      acc[STATUS_KEYS[stat.status]] = parseInt(stat.dataValues.count);
+      return acc;
+    }, Object.values(STATUS_KEYS).reduce((acc, key) => ({ ...acc, [key]: 0 }), {}));
+
+    // No-shows out of visits that were due; terminations out of visits that started
+    const due = byStatus.checkedIn + byStatus.completed + byStatus.terminated + byStatus.noShow + byStatus.denied;
+    const started = byStatus.checkedIn + byStatus.completed + byStatus.terminated;
+    const rate = (count, total) => total > 0 ? parseFloat(((count / total) * 100).toFixed(2)) : 0;
+
     return {
       overall: {
-        totalVisits: parseInt(overallStats.totalVisits) || 0
+        totalVisits: parseInt(overallStats.totalVisits) || 0,
+        noShowRate: rate(byStatus.noShow, due),
+        deniedRate: rate(byStatus.denied, due),
+        terminationRate: rate(byStatus.terminated, started)
       },
-      byStatus: statusStats.reduce((acc, stat) => {
-        acc[stat.status.toLowerCase()] = parseInt(stat.dataValues.count);
-        return acc;
-      }, { scheduled: 0, completed: 0, cancelled: 0 }),
+      byStatus,
       mostVisitedPrisoners: mostVisited.map(v => ({
         prisonerId: v.prisoner_id,
         fullName: v.prisoner?.full_name,
@@ -848,7 +1158,10 @@ module.exports = {
   scheduleVisit,
   updateVisit,
   updateVisitStatus,
+  checkInVisit,
+  checkOutVisit,
   deleteVisit,
   approveVisit,
-  getVisitStatistics
+  getVisitStatistics,
+  visitDetails
 };
\ No newline at end of file
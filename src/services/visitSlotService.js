@@ -0,0 +1,575 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const { VISIT_STATUS, VISIT_TYPE, VISIT_SLOT_TYPE } = require('../config/constants');
+const accessPolicy = require('../utils/accessPolicy');
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Social visits book social slots; every other visit type books professional ones
+const slotTypeFor = (visitType) => !visitType || visitType === VISIT_TYPE.SOCIAL
+  ? VISIT_SLOT_TYPE.SOCIAL
+  : VISIT_SLOT_TYPE.PROFESSIONAL;
+
+/**
+ * Format visit slot for API response
+ */
+const formatSlot = (slot) => ({
+  slotId: slot.slot_id,
+  roomId: slot.room_id,
+  dayOfWeek: slot.day_of_week,
+  dayName: DAY_NAMES[slot.day_of_week],
+  startTime: slot.start_time,
+  endTime: slot.end_time,
+  capacity: slot.capacity,
+  slotType: slot.slot_type,
+  isActive: slot.is_active
+});
+
+/**
+ * Format visiting room for API response
+ */
+const formatRoom = (room) => ({
+  roomId: room.room_id,
+  prisonId: room.prison_id,
+  roomName: room.room_name,
+  description: room.description,
+  isActive: room.is_active,
+  slots: (room.slots || [])
+    .map(formatSlot)
+    .sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.startTime.localeCompare(b.startTime))
+});
+
+/**
+ * Format blackout for API response
+ */
+const formatBlackout = (blackout) => ({
+  blackoutId: blackout.blackout_id,
+  prisonId: blackout.prison_id,
+  room: blackout.room ? {
+    roomId: blackout.room.room_id,
+    roomName: blackout.room.room_name
+  } : null,
+  blackoutDate: blackout.blackout_date,
+  blackoutType: blackout.blackout_type,
+  reason: blackout.reason,
+  createdBy: blackout.creator ? {
+    userId: blackout.creator.user_id,
+    fullName: blackout.creator.employee_full_name
+  } : null,
+  createdAt: blackout.created_at
+});
+
+const findPrison = async (prisonId, actor, action) => {
+  const prison = await db.Prison.findByPk(prisonId);
+
+  if (!prison) {
+    throw new Error('Prison not found');
+  }
+
+  accessPolicy.authorize(actor, action, prison);
+
+  return prison;
+};
+
+const findRoom = async (prisonId, roomId) => {
+  const room = await db.VisitingRoom.findOne({
+    where: { room_id: roomId, prison_id: prisonId }
+  });
+
+  if (!room) {
+    throw new Error('Visiting room not found');
+  }
+
+  return room;
+};
+
+/**
+ * Get a prison's visiting rooms and their timetables
+ */
+const getVisitingRooms = async (prisonId, actor) => {
+  try {
+    await findPrison(prisonId, actor, 'prison:view');
+
+    const rooms = await db.VisitingRoom.findAll({
+      where: { prison_id: prisonId },
+      include: [{ model: db.VisitSlot, as: 'slots' }],
+      order: [['room_name', 'ASC']]
+    });
+
+    return rooms.map(formatRoom);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Create visiting room
+ */
+const createVisitingRoom = async (prisonId, roomData, actor) => {
+  try {
+    const prison = await findPrison(prisonId, actor, 'prison:manageVisiting');
+
+    const existing = await db.VisitingRoom.findOne({
+      where: { prison_id: prison.prison_id, room_name: roomData.room_name }
+    });
+
+    if (existing) {
+      throw new Error('Visiting room with this name already exists');
+    }
+
+    const room = await db.VisitingRoom.create({
+      prison_id: prison.prison_id,
+      room_name: roomData.room_name,
+      description: roomData.description || null
+    });
+
+    return formatRoom(room);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Update visiting room. Deactivating a room stops new bookings in its
+ * slots; existing bookings are kept.
+ */
+const updateVisitingRoom = async (prisonId, roomId, updateData, actor) => {
+  try {
+    await findPrison(prisonId, actor, 'prison:manageVisiting');
+    const room = await findRoom(prisonId, roomId);
+
+    if (updateData.room_name && updateData.room_name !== room.room_name) {
+      const existing = await db.VisitingRoom.findOne({
+        where: {
+          prison_id: prisonId,
+          room_name: updateData.room_name,
+          room_id: { [Op.ne]: roomId }
+        }
+      });
+
+      if (existing) {
+        throw new Error('Visiting room with this name already exists');
+      }
+    }
+
+    const allowedUpdates = {
+      room_name: updateData.room_name,
+      description: updateData.description,
+      is_active: updateData.is_active
+    };
+
+    // Remove undefined values
+    Object.keys(allowedUpdates).forEach(key =>
+      allowedUpdates[key] === undefined && delete allowedUpdates[key]
+    );
+
+    await room.update(allowedUpdates);
+
+    const updated = await db.VisitingRoom.findByPk(roomId, {
+      include: [{ model: db.VisitSlot, as: 'slots' }]
+    });
+
+    return formatRoom(updated);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Active slot of the same room that overlaps the given times on a day
+ */
+const findOverlappingSlot = async (roomId, day, startTime, endTime, excludeSlotId = null) => {
+  const whereClause = {
+    room_id: roomId,
+    day_of_week: day,
+    is_active: true,
+    start_time: { [Op.lt]: endTime },
+    end_time: { [Op.gt]: startTime }
+  };
+
+  if (excludeSlotId) {
+    whereClause.slot_id = { [Op.ne]: excludeSlotId };
+  }
+
+  return db.VisitSlot.findOne({ where: whereClause });
+};
+
+/**
+ * Add a weekly slot to a visiting room's timetable
+ */
+const createVisitSlot = async (prisonId, roomId, slotData, actor) => {
+  try {
+    await findPrison(prisonId, actor, 'prison:manageVisiting');
+    const room = await findRoom(prisonId, roomId);
+
+    const overlapping = await findOverlappingSlot(
+      room.room_id,
+      slotData.day_of_week,
+      slotData.start_time,
+      slotData.end_time
+    );
+
+    if (overlapping) {
+      throw new Error('Slot overlaps another slot in this room');
+    }
+
+    const slot = await db.VisitSlot.create({
+      room_id: room.room_id,
+      day_of_week: slotData.day_of_week,
+      start_time: slotData.start_time,
+      end_time: slotData.end_time,
+      capacity: slotData.capacity,
+      slot_type: slotData.slot_type || VISIT_SLOT_TYPE.SOCIAL
+    });
+
+    return formatSlot(slot);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Change a slot's seat capacity or take it out of the timetable.
+ * Times are fixed once created so existing bookings keep their meaning.
+ */
+const updateVisitSlot = async (prisonId, roomId, slotId, updateData, actor) => {
+  try {
+    await findPrison(prisonId, actor, 'prison:manageVisiting');
+    await findRoom(prisonId, roomId);
+
+    const slot = await db.VisitSlot.findOne({
+      where: { slot_id: slotId, room_id: roomId }
+    });
+
+    if (!slot) {
+      throw new Error('Visit slot not found');
+    }
+
+    if (updateData.is_active === true && !slot.is_active) {
+      const overlapping = await findOverlappingSlot(
+        slot.room_id,
+        slot.day_of_week,
+        slot.start_time,
+        slot.end_time,
+        slot.slot_id
+      );
+
+      if (overlapping) {
+        throw new Error('Slot overlaps another slot in this room');
+      }
+    }
+
+    const allowedUpdates = {
+      capacity: updateData.capacity,
+      is_active: updateData.is_active
+    };
+
+    // Remove undefined values
+    Object.keys(allowedUpdates).forEach(key =>
+      allowedUpdates[key] === undefined && delete allowedUpdates[key]
+    );
+
+    await slot.update(allowedUpdates);
+
+    return formatSlot(slot);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get a prison's blackout dates and holidays between two dates
+ */
+const getBlackouts = async (prisonId, startDate, endDate, actor) => {
+  try {
+    await findPrison(prisonId, actor, 'prison:view');
+
+    const whereClause = { prison_id: prisonId };
+    if (startDate && endDate) {
+      whereClause.blackout_date = { [Op.between]: [startDate, endDate] };
+    } else if (startDate) {
+      whereClause.blackout_date = { [Op.gte]: startDate };
+    } else if (endDate) {
+      whereClause.blackout_date = { [Op.lte]: endDate };
+    }
+
+    const blackouts = await db.VisitBlackout.findAll({
+      where: whereClause,
+      include: [
+        { model: db.VisitingRoom, as: 'room', attributes: ['room_id', 'room_name'] },
+        { model: db.User, as: 'creator', attributes: ['user_id', 'employee_full_name'] }
+      ],
+      order: [['blackout_date', 'ASC']]
+    });
+
+    return blackouts.map(formatBlackout);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Close a prison, or one of its rooms, to visits on a date.
+ * Visits already booked for that day are not cancelled automatically.
+ */
+const createBlackout = async (prisonId, blackoutData, actor) => {
+  try {
+    const prison = await findPrison(prisonId, actor, 'prison:manageVisiting');
+
+    let room = null;
+    if (blackoutData.room_id) {
+      room = await findRoom(prison.prison_id, blackoutData.room_id);
+    }
+
+    const blackout = await db.VisitBlackout.create({
+      prison_id: prison.prison_id,
+      room_id: room ? room.room_id : null,
+      blackout_date: blackoutData.blackout_date,
+      blackout_type: blackoutData.blackout_type,
+      reason: blackoutData.reason,
+      created_by: actor.userId
+    });
+
+    const created = await db.VisitBlackout.findByPk(blackout.blackout_id, {
+      include: [
+        { model: db.VisitingRoom, as: 'room', attributes: ['room_id', 'room_name'] },
+        { model: db.User, as: 'creator', attributes: ['user_id', 'employee_full_name'] }
+      ]
+    });
+
+    return formatBlackout(created);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Remove a blackout date
+ */
+const deleteBlackout = async (prisonId, blackoutId, actor) => {
+  try {
+    await findPrison(prisonId, actor, 'prison:manageVisiting');
+
+    const blackout = await db.VisitBlackout.findOne({
+      where: { blackout_id: blackoutId, prison_id: prisonId }
+    });
+
+    if (!blackout) {
+      throw new Error('Blackout not found');
+    }
+
+    await blackout.destroy();
+
+    return { message: 'Blackout removed successfully' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Blackouts of a prison on a date; prison-wide ones first
+ */
+const findBlackouts = async (prisonId, date, transaction = null) => {
+  return db.VisitBlackout.findAll({
+    where: { prison_id: prisonId, blackout_date: date },
+    order: [['room_id', 'ASC']],
+    transaction
+  });
+};
+
+/**
+ * Seats taken in a slot on a date
+ */
+const countBookedSeats = async (slotId, date, excludeVisitId = null, transaction = null) => {
+  const whereClause = {
+    slot_id: slotId,
+    visit_date: date,
+    status: { [Op.ne]: VISIT_STATUS.CANCELLED }
+  };
+
+  if (excludeVisitId) {
+    whereClause.visit_id = { [Op.ne]: excludeVisitId };
+  }
+
+  if (!transaction) {
+    return db.Visit.count({ where: whereClause });
+  }
+
+  // A locking read sees bookings committed after the transaction's snapshot
+  const booked = await db.Visit.findAll({
+    where: whereClause,
+    attributes: ['visit_id'],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  return booked.length;
+};
+
+/**
+ * Open slots of a prison on a date, grouped by room, optionally only the
+ * slots a visit type can book
+ */
+const getAvailability = async (prisonId, date, actor, visitType = null) => {
+  try {
+    const prison = await findPrison(prisonId, actor, 'prison:view');
+
+    const blackouts = await findBlackouts(prison.prison_id, date);
+    const prisonClosed = blackouts.find(b => b.room_id === null);
+
+    const rooms = await db.VisitingRoom.findAll({
+      where: { prison_id: prison.prison_id, is_active: true },
+      include: [{
+        model: db.VisitSlot,
+        as: 'slots',
+        where: {
+          day_of_week: dayOfWeek(date),
+          is_active: true,
+          ...(visitType && { slot_type: slotTypeFor(visitType) })
+        },
+        required: false
+      }],
+      order: [['room_name', 'ASC']]
+    });
+
+    const result = [];
+    for (const room of rooms) {
+      const closure = prisonClosed || blackouts.find(b => b.room_id === room.room_id);
+      const slots = [];
+
+      for (const slot of room.slots.sort((a, b) => a.start_time.localeCompare(b.start_time))) {
+        const booked = await countBookedSeats(slot.slot_id, date);
+        slots.push({
+          ...formatSlot(slot),
+          booked,
+          available: closure ? 0 : Math.max(0, slot.capacity - booked)
+        });
+      }
+
+      result.push({
+        roomId: room.room_id,
+        roomName: room.room_name,
+        closed: !!closure,
+        closureReason: closure ? `${closure.blackout_type}: ${closure.reason}` : null,
+        slots
+      });
+    }
+
+    return {
+      prisonId: prison.prison_id,
+      prisonName: prison.prison_name,
+      date,
+      dayName: DAY_NAMES[dayOfWeek(date)],
+      closed: !!prisonClosed,
+      closureReason: prisonClosed ? `${prisonClosed.blackout_type}: ${prisonClosed.reason}` : null,
+      rooms: result
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Check the prison is open for visits on a date
+ */
+const assertPrisonOpen = async (prisonId, date, transaction = null) => {
+  const blackouts = await findBlackouts(prisonId, date, transaction);
+  const closure = blackouts.find(b => b.room_id === null);
+
+  if (closure) {
+    throw new Error(`No visits on ${date} (${closure.blackout_type}): ${closure.reason}`);
+  }
+};
+
+/**
+ * Claim a seat in a slot for a visit inside the caller's transaction.
+ * The slot row stays locked until the transaction ends, so concurrent
+ * bookings of the same slot are serialised, and the bookings are counted
+ * with a locking read, so a booking committed while waiting for the lock
+ * is counted and the slot cannot be oversubscribed.
+ *
+ * Prisons without a timetable keep free-time booking; once a prison has
+ * active slots of the visit's slot type every such visit must book one.
+ */
+const claimSeat = async (prisonId, slotId, date, options = {}) => {
+  const { transaction, excludeVisitId = null, visitType = VISIT_TYPE.SOCIAL } = options;
+  const slotType = slotTypeFor(visitType);
+
+  if (!transaction) {
+    throw new Error('Seat booking requires a transaction');
+  }
+
+  await assertPrisonOpen(prisonId, date, transaction);
+
+  if (!slotId) {
+    const timetabled = await db.VisitSlot.count({
+      where: { is_active: true, slot_type: slotType },
+      include: [{
+        model: db.VisitingRoom,
+        as: 'room',
+        where: { prison_id: prisonId, is_active: true }
+      }],
+      transaction
+    });
+
+    if (timetabled > 0) {
+      throw new Error(`A ${slotType.toLowerCase()} visiting slot is required for this visit`);
+    }
+
+    return null;
+  }
+
+  const slot = await db.VisitSlot.findByPk(slotId, {
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+  const room = slot ? await db.VisitingRoom.findByPk(slot.room_id, { transaction }) : null;
+
+  if (!slot || room.prison_id !== parseInt(prisonId)) {
+    throw new Error('Visit slot not found');
+  }
+
+  if (!slot.is_active || !room.is_active) {
+    throw new Error('Visit slot is not open for booking');
+  }
+
+  if (slot.slot_type !== slotType) {
+    throw new Error(`${visitType} visits must book a ${slotType.toLowerCase()} visiting slot`);
+  }
+
+  if (slot.day_of_week !== dayOfWeek(date)) {
+    throw new Error(`Visit slot runs on ${DAY_NAMES[slot.day_of_week]}s only`);
+  }
+
+  const roomClosure = await db.VisitBlackout.findOne({
+    where: { prison_id: prisonId, room_id: slot.room_id, blackout_date: date },
+    transaction
+  });
+
+  if (roomClosure) {
+    throw new Error(`${room.room_name} is closed on ${date} (${roomClosure.blackout_type}): ${roomClosure.reason}`);
+  }
+
+  const booked = await countBookedSeats(slot.slot_id, date, excludeVisitId, transaction);
+
+  if (booked >= slot.capacity) {
+    throw new Error(`Visit slot is fully booked: all ${slot.capacity} seat(s) taken`);
+  }
+
+  return slot;
+};
+
+module.exports = {
+  getVisitingRooms,
+  createVisitingRoom,
+  updateVisitingRoom,
+  createVisitSlot,
+  updateVisitSlot,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout,
+  getAvailability,
+  claimSeat
+};
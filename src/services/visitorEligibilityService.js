@@ -0,0 +1,802 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const {
+  APPROVED_VISITOR_STATUS,
+  VISITOR_BAN_SCOPE,
+  BEHAVIOUR_TYPE,
+  VISIT_TYPE,
+  CREDENTIAL_STATUS
+} = require('../config/constants');
+const { addDays, today } = require('../utils/dates');
+const accessPolicy = require('../utils/accessPolicy');
+
+const userSummary = (user) => user ? {
+  userId: user.user_id,
+  fullName: user.employee_full_name
+} : null;
+
+/**
+ * Format approved visitor entry for API response
+ */
+const formatApproval = (approval) => ({
+  approvalId: approval.approval_id,
+  prisoner: approval.prisoner ? {
+    prisonerId: approval.prisoner.prisoner_id,
+    fullName: approval.prisoner.full_name,
+    prisonId: approval.prisoner.prison_id
+  } : { prisonerId: approval.prisoner_id },
+  visitor: approval.visitor ? {
+    visitorId: approval.visitor.visitor_id,
+    visitorName: approval.visitor.visitor_name,
+    nic: approval.visitor.nic
+  } : { visitorId: approval.visitor_id },
+  relationship: approval.relationship,
+  status: approval.status,
+  requestedBy: userSummary(approval.requester),
+  reviewedBy: userSummary(approval.reviewer),
+  reviewedAt: approval.reviewed_at,
+  notes: approval.notes,
+  createdAt: approval.created_at
+});
+
+/**
+ * Format visitor ban for API response
+ */
+const formatBan = (ban) => ({
+  banId: ban.ban_id,
+  visitorId: ban.visitor_id,
+  scope: ban.scope,
+  prisoner: ban.prisoner ? {
+    prisonerId: ban.prisoner.prisoner_id,
+    fullName: ban.prisoner.full_name
+  } : null,
+  prison: ban.prison ? {
+    prisonId: ban.prison.prison_id,
+    prisonName: ban.prison.prison_name
+  } : null,
+  reason: ban.reason,
+  startsOn: ban.starts_on,
+  endsOn: ban.ends_on,
+  isActive: isInForce(ban, today()),
+  imposedBy: userSummary(ban.imposer),
+  liftedAt: ban.lifted_at,
+  liftedBy: userSummary(ban.lifter),
+  liftReason: ban.lift_reason,
+  createdAt: ban.created_at
+});
+
+/**
+ * Format prisoner visit restriction for API response
+ */
+const formatRestriction = (restriction) => ({
+  restrictionId: restriction.restriction_id,
+  prisonerId: restriction.prisoner_id,
+  behaviourId: restriction.behaviour_id,
+  reason: restriction.reason,
+  startsOn: restriction.starts_on,
+  endsOn: restriction.ends_on,
+  isActive: isInForce(restriction, today()),
+  imposedBy: userSummary(restriction.imposer),
+  liftedAt: restriction.lifted_at,
+  liftedBy: userSummary(restriction.lifter),
+  liftReason: restriction.lift_reason,
+  createdAt: restriction.created_at
+});
+
+const approvalIncludes = () => [
+  { model: db.Prisoner, as: 'prisoner', attributes: ['prisoner_id', 'full_name', 'prison_id'] },
+  { model: db.Visitor, as: 'visitor', attributes: ['visitor_id', 'visitor_name', 'nic'] },
+  { model: db.User, as: 'requester', attributes: ['user_id', 'employee_full_name'] },
+  { model: db.User, as: 'reviewer', attributes: ['user_id', 'employee_full_name'] }
+];
+
+const banIncludes = () => [
+  { model: db.Prisoner, as: 'prisoner', attributes: ['prisoner_id', 'full_name', 'prison_id'] },
+  { model: db.Prison, as: 'prison', attributes: ['prison_id', 'prison_name'] },
+  { model: db.User, as: 'imposer', attributes: ['user_id', 'employee_full_name'] },
+  { model: db.User, as: 'lifter', attributes: ['user_id', 'employee_full_name'] }
+];
+
+const restrictionIncludes = () => [
+  { model: db.User, as: 'imposer', attributes: ['user_id', 'employee_full_name'] },
+  { model: db.User, as: 'lifter', attributes: ['user_id', 'employee_full_name'] }
+];
+
+/**
+ * Whether a ban or restriction applies on a date (YYYY-MM-DD).
+ * ends_on is the last day it applies; a null ends_on never expires.
+ */
+const isInForce = (record, date) => {
+  return !record.lifted_at &&
+    record.starts_on <= date &&
+    (!record.ends_on || record.ends_on >= date);
+};
+
+/**
+ * Where clause for bans and restrictions in force on a date
+ */
+const inForceOn = (date) => ({
+  lifted_at: null,
+  starts_on: { [Op.lte]: date },
+  [Op.or]: [
+    { ends_on: null },
+    { ends_on: { [Op.gte]: date } }
+  ]
+});
+
+const findPrisoner = async (prisonerId, actor) => {
+  const prisoner = await db.Prisoner.findByPk(prisonerId);
+
+  if (!prisoner) {
+    throw new Error('Prisoner not found');
+  }
+
+  accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+  return prisoner;
+};
+
+/**
+ * Describe why a ban stops a visit
+ */
+const banReason = (ban) => {
+  const scope = ban.scope === VISITOR_BAN_SCOPE.SYSTEM ? 'from all prisons' :
+                ban.scope === VISITOR_BAN_SCOPE.PRISON ? 'from this prison' :
+                'from visiting this prisoner';
+  const until = ban.ends_on ? ` until ${ban.ends_on}` : '';
+  return `Visitor is banned ${scope}${until}: ${ban.reason}`;
+};
+
+/**
+ * Reason a professional visitor's credential does not cover a visit, or null
+ */
+const credentialReason = async (visitorId, visitType, visitDate, transaction = null) => {
+  const credential = await db.VisitorCredential.findOne({
+    where: { visitor_id: visitorId },
+    transaction
+  });
+
+  if (!credential || credential.credential_type !== visitType) {
+    return `Visitor has no ${visitType.toLowerCase()} credential`;
+  }
+  if (credential.verification_status !== CREDENTIAL_STATUS.VERIFIED) {
+    return `Visitor's ${visitType.toLowerCase()} credential is not verified`;
+  }
+  if (credential.expires_on && credential.expires_on < visitDate) {
+    return `Visitor's ${visitType.toLowerCase()} credential expired on ${credential.expires_on}`;
+  }
+
+  return null;
+};
+
+/**
+ * Reason a visitor may not visit a prisoner on a date, or null when the
+ * visit is allowed. The visitor must be approved on the prisoner's list,
+ * must not be banned at the prisoner, the prisoner's prison or system-wide,
+ * and the prisoner's visits must not be restricted on that date.
+ * Professional visits need a verified credential for the visit type instead
+ * of approval, and are not stopped by behaviour restrictions. Archived
+ * visitors cannot visit, and prisons that require it only admit visitors
+ * whose identity has been verified.
+ */
+const getIneligibilityReason = async (prisoner, visitorId, visitDate, transaction = null, visitType = VISIT_TYPE.SOCIAL) => {
+  const professional = visitType !== VISIT_TYPE.SOCIAL;
+
+  const visitor = await db.Visitor.findByPk(visitorId, {
+    attributes: ['verification_status', 'is_archived'],
+    transaction
+  });
+
+  if (!visitor) {
+    return 'Visitor not found';
+  }
+  if (visitor.is_archived) {
+    return 'Visitor is archived';
+  }
+
+  const prison = await db.Prison.findByPk(prisoner.prison_id, {
+    attributes: ['require_verified_visitors'],
+    transaction
+  });
+
+  if (prison && prison.require_verified_visitors &&
+      visitor.verification_status !== CREDENTIAL_STATUS.VERIFIED) {
+    return 'Visitor\'s identity must be verified before visiting this prison';
+  }
+
+  if (professional) {
+    const reason = await credentialReason(visitorId, visitType, visitDate, transaction);
+    if (reason) {
+      return reason;
+    }
+  } else {
+    const approval = await db.ApprovedVisitor.findOne({
+      where: { prisoner_id: prisoner.prisoner_id, visitor_id: visitorId },
+      transaction
+    });
+
+    if (!approval || approval.status === APPROVED_VISITOR_STATUS.REMOVED) {
+      return 'Visitor is not on the prisoner\'s approved visitor list';
+    }
+    if (approval.status === APPROVED_VISITOR_STATUS.PENDING) {
+      return 'Visitor approval for this prisoner is still pending';
+    }
+    if (approval.status === APPROVED_VISITOR_STATUS.REJECTED) {
+      return 'Visitor was rejected for this prisoner\'s approved visitor list';
+    }
+  }
+
+  const ban = await db.VisitorBan.findOne({
+    where: {
+      visitor_id: visitorId,
+      ...inForceOn(visitDate),
+      [Op.and]: [{
+        [Op.or]: [
+          { scope: VISITOR_BAN_SCOPE.SYSTEM },
+          { scope: VISITOR_BAN_SCOPE.PRISON, prison_id: prisoner.prison_id },
+          { scope: VISITOR_BAN_SCOPE.PRISONER, prisoner_id: prisoner.prisoner_id }
+        ]
+      }]
+    },
+    order: [['scope', 'DESC']],
+    transaction
+  });
+
+  if (ban) {
+    return banReason(ban);
+  }
+
+  if (professional) {
+    return null;
+  }
+
+  const restriction = await db.PrisonerVisitRestriction.findOne({
+    where: {
+      prisoner_id: prisoner.prisoner_id,
+      ...inForceOn(visitDate)
+    },
+    order: [['ends_on', 'DESC']],
+    transaction
+  });
+
+  if (restriction) {
+    return `Prisoner visits are restricted until ${restriction.ends_on}: ${restriction.reason}`;
+  }
+
+  return null;
+};
+
+/**
+ * Throw the ineligibility reason unless the visit is allowed
+ */
+const assertEligible = async (prisoner, visitorId, visitDate, transaction = null, visitType = VISIT_TYPE.SOCIAL) => {
+  const reason = await getIneligibilityReason(prisoner, visitorId, visitDate, transaction, visitType);
+  if (reason) {
+    throw new Error(reason);
+  }
+};
+
+/**
+ * A visitor's bans and approvals as seen by the actor. Prisoner and prison
+ * scoped entries outside the actor's prisons are left out.
+ */
+const getVisitorStanding = async (visitorId, actor) => {
+  const scope = accessPolicy.prisonScope(actor);
+
+  const bans = await db.VisitorBan.findAll({
+    where: { visitor_id: visitorId, ...inForceOn(today()) },
+    include: banIncludes(),
+    order: [['starts_on', 'DESC']]
+  });
+
+  const visibleBans = bans.filter(ban => {
+    if (ban.scope === VISITOR_BAN_SCOPE.SYSTEM) {
+      return true;
+    }
+    const prisonId = ban.scope === VISITOR_BAN_SCOPE.PRISON ? ban.prison_id : ban.prisoner.prison_id;
+    return accessPolicy.canAccessPrison(actor, prisonId);
+  });
+
+  const approvals = await db.ApprovedVisitor.findAll({
+    where: {
+      visitor_id: visitorId,
+      status: { [Op.ne]: APPROVED_VISITOR_STATUS.REMOVED }
+    },
+    include: [{
+      model: db.Prisoner,
+      as: 'prisoner',
+      attributes: ['prisoner_id', 'full_name', 'prison_id'],
+      ...(scope !== undefined && { where: { prison_id: scope } })
+    }],
+    order: [['created_at', 'DESC']]
+  });
+
+  const status = visibleBans.some(ban => ban.scope === VISITOR_BAN_SCOPE.SYSTEM) ? 'Banned' :
+                 visibleBans.length > 0 ? 'Restricted' : 'Good';
+
+  return {
+    status,
+    activeBans: visibleBans.map(formatBan),
+    approvals: approvals.map(approval => ({
+      approvalId: approval.approval_id,
+      prisonerId: approval.prisoner.prisoner_id,
+      prisonerName: approval.prisoner.full_name,
+      relationship: approval.relationship,
+      status: approval.status
+    }))
+  };
+};
+
+/**
+ * Get a prisoner's approved visitor list
+ */
+const getApprovedVisitors = async (prisonerId, actor, status = null) => {
+  try {
+    await findPrisoner(prisonerId, actor);
+
+    const whereClause = { prisoner_id: prisonerId };
+    if (status) {
+      whereClause.status = status;
+    }
+
+    const approvals = await db.ApprovedVisitor.findAll({
+      where: whereClause,
+      include: approvalIncludes(),
+      order: [['created_at', 'DESC']]
+    });
+
+    return approvals.map(formatApproval);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Request that a visitor be added to a prisoner's approved list.
+ * A removed or rejected entry is reopened as a new request.
+ */
+const addApprovedVisitor = async (prisonerId, approvalData, actor) => {
+  try {
+    const prisoner = await findPrisoner(prisonerId, actor);
+
+    const visitor = await db.Visitor.findByPk(approvalData.visitor_id);
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    if (visitor.is_archived) {
+      throw new Error('Archived visitors cannot be added to approved visitor lists');
+    }
+
+    const fields = {
+      relationship: approvalData.relationship,
+      status: APPROVED_VISITOR_STATUS.PENDING,
+      requested_by: actor.userId,
+      reviewed_by: null,
+      reviewed_at: null,
+      notes: approvalData.notes || null
+    };
+
+    let approval = await db.ApprovedVisitor.findOne({
+      where: { prisoner_id: prisoner.prisoner_id, visitor_id: visitor.visitor_id }
+    });
+
+    if (approval) {
+      if ([APPROVED_VISITOR_STATUS.PENDING, APPROVED_VISITOR_STATUS.APPROVED].includes(approval.status)) {
+        throw new Error('Visitor is already on this prisoner\'s list');
+      }
+      await approval.update(fields);
+    } else {
+      approval = await db.ApprovedVisitor.create({
+        prisoner_id: prisoner.prisoner_id,
+        visitor_id: visitor.visitor_id,
+        ...fields
+      });
+    }
+
+    const created = await db.ApprovedVisitor.findByPk(approval.approval_id, {
+      include: approvalIncludes()
+    });
+
+    return formatApproval(created);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Approve, reject or remove an entry on a prisoner's approved list.
+ * Scheduled visits are left alone; staff cancel them if needed.
+ */
+const reviewApprovedVisitor = async (prisonerId, approvalId, reviewData, actor) => {
+  try {
+    await findPrisoner(prisonerId, actor);
+
+    const approval = await db.ApprovedVisitor.findOne({
+      where: { approval_id: approvalId, prisoner_id: prisonerId }
+    });
+
+    if (!approval) {
+      throw new Error('Approved visitor entry not found');
+    }
+
+    if (approval.status === reviewData.status) {
+      throw new Error(`Visitor is already ${reviewData.status.toLowerCase()}`);
+    }
+
+    if (approval.status === APPROVED_VISITOR_STATUS.REMOVED) {
+      throw new Error('Removed visitors must be requested again');
+    }
+
+    await approval.update({
+      status: reviewData.status,
+      reviewed_by: actor.userId,
+      reviewed_at: new Date(),
+      notes: reviewData.notes !== undefined ? reviewData.notes : approval.notes
+    });
+
+    const updated = await db.ApprovedVisitor.findByPk(approval.approval_id, {
+      include: approvalIncludes()
+    });
+
+    return formatApproval(updated);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Format professional credential for API response
+ */
+const formatCredential = (credential) => ({
+  credentialId: credential.credential_id,
+  visitorId: credential.visitor_id,
+  credentialType: credential.credential_type,
+  organisation: credential.organisation,
+  registrationNumber: credential.registration_number,
+  expiresOn: credential.expires_on,
+  verificationStatus: credential.verification_status,
+  verifiedBy: userSummary(credential.verifier),
+  verifiedAt: credential.verified_at,
+  verificationNotes: credential.verification_notes,
+  updatedAt: credential.updated_at
+});
+
+const findCredential = async (visitorId) => {
+  return db.VisitorCredential.findOne({
+    where: { visitor_id: visitorId },
+    include: [{ model: db.User, as: 'verifier', attributes: ['user_id', 'employee_full_name'] }]
+  });
+};
+
+/**
+ * Get a visitor's professional credential
+ */
+const getCredential = async (visitorId) => {
+  try {
+    const visitor = await db.Visitor.findByPk(visitorId);
+
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    const credential = await findCredential(visitor.visitor_id);
+
+    return credential ? formatCredential(credential) : null;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Record or replace a visitor's professional credential. Any change needs
+ * verifying again before professional visits can be booked.
+ */
+const saveCredential = async (visitorId, credentialData) => {
+  try {
+    const visitor = await db.Visitor.findByPk(visitorId);
+
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    const fields = {
+      credential_type: credentialData.credential_type,
+      organisation: credentialData.organisation,
+      registration_number: credentialData.registration_number || null,
+      expires_on: credentialData.expires_on || null,
+      verification_status: CREDENTIAL_STATUS.PENDING,
+      verified_by: null,
+      verified_at: null,
+      verification_notes: null
+    };
+
+    const existing = await db.VisitorCredential.findOne({
+      where: { visitor_id: visitor.visitor_id }
+    });
+
+    if (existing) {
+      await existing.update(fields);
+    } else {
+      await db.VisitorCredential.create({ visitor_id: visitor.visitor_id, ...fields });
+    }
+
+    return formatCredential(await findCredential(visitor.visitor_id));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Verify or reject a visitor's professional credential
+ */
+const verifyCredential = async (visitorId, verificationData, actor) => {
+  try {
+    const credential = await db.VisitorCredential.findOne({
+      where: { visitor_id: visitorId }
+    });
+
+    if (!credential) {
+      throw new Error('Visitor credential not found');
+    }
+
+    if (credential.verification_status === verificationData.status) {
+      throw new Error(`Credential is already ${verificationData.status.toLowerCase()}`);
+    }
+
+    if (credential.expires_on && credential.expires_on < today() &&
+        verificationData.status === CREDENTIAL_STATUS.VERIFIED) {
+      throw new Error('Cannot verify an expired credential');
+    }
+
+    await credential.update({
+      verification_status: verificationData.status,
+      verified_by: actor.userId,
+      verified_at: new Date(),
+      verification_notes: verificationData.notes || null
+    });
+
+    return formatCredential(await findCredential(visitorId));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Check the actor may impose or lift a ban of this scope
+ */
+const authorizeBan = (actor, ban, prisoner) => {
+  if (ban.scope === VISITOR_BAN_SCOPE.SYSTEM) {
+    accessPolicy.authorize(actor, 'visitorBan:system');
+  } else if (ban.scope === VISITOR_BAN_SCOPE.PRISON) {
+    accessPolicy.authorize(actor, 'visitorBan:prison', ban);
+  } else {
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+  }
+};
+
+/**
+ * Get a visitor's bans, newest first
+ */
+const getVisitorBans = async (visitorId, actor) => {
+  try {
+    const visitor = await db.Visitor.findByPk(visitorId);
+
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    const bans = await db.VisitorBan.findAll({
+      where: { visitor_id: visitorId },
+      include: banIncludes(),
+      order: [['starts_on', 'DESC']]
+    });
+
+    return bans
+      .filter(ban => ban.scope === VISITOR_BAN_SCOPE.SYSTEM ||
+        accessPolicy.canAccessPrison(actor, ban.prison_id || ban.prisoner.prison_id))
+      .map(formatBan);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Ban a visitor from one prisoner, one prison or every prison
+ */
+const banVisitor = async (visitorId, banData, actor) => {
+  try {
+    const visitor = await db.Visitor.findByPk(visitorId);
+
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    const ban = {
+      visitor_id: visitor.visitor_id,
+      scope: banData.scope,
+      prisoner_id: null,
+      prison_id: null
+    };
+    let prisoner = null;
+
+    if (banData.scope === VISITOR_BAN_SCOPE.PRISONER) {
+      prisoner = await db.Prisoner.findByPk(banData.prisoner_id);
+      if (!prisoner) {
+        throw new Error('Prisoner not found');
+      }
+      ban.prisoner_id = prisoner.prisoner_id;
+    } else if (banData.scope === VISITOR_BAN_SCOPE.PRISON) {
+      const prison = await db.Prison.findByPk(banData.prison_id);
+      if (!prison) {
+        throw new Error('Prison not found');
+      }
+      ban.prison_id = prison.prison_id;
+    }
+
+    authorizeBan(actor, ban, prisoner);
+
+    const startsOn = banData.starts_on || today();
+    if (banData.ends_on && banData.ends_on < startsOn) {
+      throw new Error('Ban must end on or after the day it starts');
+    }
+
+    const created = await db.VisitorBan.create({
+      ...ban,
+      reason: banData.reason,
+      starts_on: startsOn,
+      ends_on: banData.ends_on || null,
+      imposed_by: actor.userId
+    });
+
+    const result = await db.VisitorBan.findByPk(created.ban_id, {
+      include: banIncludes()
+    });
+
+    return formatBan(result);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Lift a ban before it ends
+ */
+const liftBan = async (visitorId, banId, reason, actor) => {
+  try {
+    const ban = await db.VisitorBan.findOne({
+      where: { ban_id: banId, visitor_id: visitorId },
+      include: [{ model: db.Prisoner, as: 'prisoner', attributes: ['prisoner_id', 'prison_id'] }]
+    });
+
+    if (!ban) {
+      throw new Error('Ban not found');
+    }
+
+    authorizeBan(actor, ban, ban.prisoner);
+
+    if (ban.lifted_at) {
+      throw new Error('Ban is already lifted');
+    }
+
+    if (ban.ends_on && ban.ends_on < today()) {
+      throw new Error('Ban has already ended');
+    }
+
+    await ban.update({
+      lifted_at: new Date(),
+      lifted_by: actor.userId,
+      lift_reason: reason
+    });
+
+    return { message: 'Ban lifted successfully' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Restrict a prisoner's visits as the sanction of a negative behaviour
+ * record, starting today for the given number of days
+ */
+const imposeRestriction = async (behaviourRecord, days, actor, transaction = null) => {
+  if (behaviourRecord.behaviour_type !== BEHAVIOUR_TYPE.NEGATIVE) {
+    throw new Error('Visit restrictions can only follow negative behaviour');
+  }
+
+  const startsOn = today();
+
+  return db.PrisonerVisitRestriction.create({
+    prisoner_id: behaviourRecord.prisoner_id,
+    behaviour_id: behaviourRecord.behaviour_id,
+    reason: behaviourRecord.action_taken || behaviourRecord.description,
+    starts_on: startsOn,
+    ends_on: addDays(startsOn, days - 1),
+    imposed_by: actor.userId
+  }, { transaction });
+};
+
+/**
+ * Remove the restrictions a behaviour record imposed, when the record itself
+ * is deleted
+ */
+const removeRestrictionsForBehaviour = async (behaviourId, transaction = null) => {
+  await db.PrisonerVisitRestriction.destroy({
+    where: { behaviour_id: behaviourId },
+    individualHooks: true,
+    transaction
+  });
+};
+
+/**
+ * Get a prisoner's visit restrictions, newest first
+ */
+const getVisitRestrictions = async (prisonerId, actor) => {
+  try {
+    await findPrisoner(prisonerId, actor);
+
+    const restrictions = await db.PrisonerVisitRestriction.findAll({
+      where: { prisoner_id: prisonerId },
+      include: restrictionIncludes(),
+      order: [['starts_on', 'DESC']]
+    });
+
+    return restrictions.map(formatRestriction);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Lift a visit restriction before it ends
+ */
+const liftRestriction = async (prisonerId, restrictionId, reason, actor) => {
+  try {
+    await findPrisoner(prisonerId, actor);
+
+    const restriction = await db.PrisonerVisitRestriction.findOne({
+      where: { restriction_id: restrictionId, prisoner_id: prisonerId }
+    });
+
+    if (!restriction) {
+      throw new Error('Visit restriction not found');
+    }
+
+    if (restriction.lifted_at) {
+      throw new Error('Visit restriction is already lifted');
+    }
+
+    if (restriction.ends_on < today()) {
+      throw new Error('Visit restriction has already ended');
+    }
+
+    await restriction.update({
+      lifted_at: new Date(),
+      lifted_by: actor.userId,
+      lift_reason: reason
+    });
+
+    return { message: 'Visit restriction lifted successfully' };
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getIneligibilityReason,
+  assertEligible,
+  getVisitorStanding,
+  getApprovedVisitors,
+  addApprovedVisitor,
+  reviewApprovedVisitor,
+  getVisitorBans,
+  banVisitor,
+  liftBan,
+  imposeRestriction,
+  removeRestrictionsForBehaviour,
+  getVisitRestrictions,
+  liftRestriction,
+  getCredential,
+  saveCredential,
+  verifyCredential
+};
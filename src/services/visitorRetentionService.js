@@ -0,0 +1,177 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const { CREDENTIAL_STATUS, VISIT_STATUS, VISITOR_RETENTION } = require('../config/constants');
+const { addDays, today } = require('../utils/dates');
+const { writeAuditRecord } = require('../utils/auditTrail');
+const { removeDocumentFile } = require('../utils/visitorDocumentStorage');
+
+// Contact details removed from visitors past the retention period
+const PSEUDONYMISED_FIELDS = ['mobile_number', 'address'];
+const REMOVED_MOBILE_NUMBER = 'REMOVED';
+
+/**
+ * Visitors due for pseudonymisation: registered before the cutoff, with no
+ * visit on or after it and none still open
+ */
+const findDueVisitors = async (cutoffDate) => {
+  const activeVisits = await db.Visit.findAll({
+    where: {
+      [Op.or]: [
+        { visit_date: { [Op.gte]: cutoffDate } },
+        { status: [VISIT_STATUS.SCHEDULED, VISIT_STATUS.CHECKED_IN] }
+      ]
+    },
+    attributes: ['visitor_id'],
+    group: ['visitor_id'],
+    raw: true
+  });
+  const activeVisitorIds = activeVisits.map(visit => visit.visitor_id);
+
+  return db.Visitor.findAll({
+    where: {
+      pseudonymised_at: null,
+      created_at: { [Op.lt]: cutoffDate },
+      ...(activeVisitorIds.length > 0 && { visitor_id: { [Op.notIn]: activeVisitorIds } })
+    },
+    order: [['visitor_id', 'ASC']]
+  });
+};
+
+/**
+ * Date of each visitor's last visit, keyed by visitor ID
+ */
+const lastVisitDates = async (visitorIds) => {
+  if (visitorIds.length === 0) {
+    return {};
+  }
+
+  const rows = await db.Visit.findAll({
+    where: { visitor_id: visitorIds },
+    attributes: [
+      'visitor_id',
+      [db.sequelize.fn('MAX', db.sequelize.col('visit_date')), 'lastVisitDate']
+    ],
+    group: ['visitor_id'],
+    raw: true
+  });
+
+  return rows.reduce((acc, row) => {
+    acc[row.visitor_id] = row.lastVisitDate;
+    return acc;
+  }, {});
+};
+
+/**
+ * Number of photo and ID document scans held for each visitor, keyed by visitor ID
+ */
+const documentCounts = async (visitorIds) => {
+  if (visitorIds.length === 0) {
+    return {};
+  }
+
+  const rows = await db.VisitorDocument.findAll({
+    where: { visitor_id: visitorIds },
+    attributes: [
+      'visitor_id',
+      [db.sequelize.fn('COUNT', db.sequelize.col('document_id')), 'documentCount']
+    ],
+    group: ['visitor_id'],
+    raw: true
+  });
+
+  return rows.reduce((acc, row) => {
+    acc[row.visitor_id] = Number(row.documentCount);
+    return acc;
+  }, {});
+};
+
+/**
+ * Remove the contact details, photo and ID document scans of visitors who
+ * have not visited within the retention period and archive them. The visitor
+ * record and its visits are kept so visit history still counts. With dryRun
+ * the visitors are only reported.
+ */
+const applyRetentionPolicy = async ({ dryRun = false, retentionDays = VISITOR_RETENTION.DAYS } = {}) => {
+  try {
+    const cutoffDate = addDays(today(), -retentionDays);
+    const visitors = await findDueVisitors(cutoffDate);
+    const visitorIds = visitors.map(visitor => visitor.visitor_id);
+    const lastVisits = await lastVisitDates(visitorIds);
+    const documents = await documentCounts(visitorIds);
+
+    const changes = visitors.map(visitor => ({
+      visitorId: visitor.visitor_id,
+      lastVisitDate: lastVisits[visitor.visitor_id] || null,
+      documentsRemoved: documents[visitor.visitor_id] || 0,
+      archived: !visitor.is_archived
+    }));
+
+    if (!dryRun) {
+      for (const visitor of visitors) {
+        const now = new Date();
+
+        const removedDocuments = await db.sequelize.transaction(async (t) => {
+          const visitorDocuments = await db.VisitorDocument.findAll({
+            where: { visitor_id: visitor.visitor_id },
+            transaction: t
+          });
+
+          // Skip the audit hooks so the removed details are not copied into the trail.
+          // Verification rested on the scans being removed, so it goes back to pending.
+          await visitor.update({
+            mobile_number: REMOVED_MOBILE_NUMBER,
+            address: null,
+            verification_status: CREDENTIAL_STATUS.PENDING,
+            verified_by: null,
+            verified_at: null,
+            verification_notes: null,
+            is_archived: true,
+            archived_at: visitor.archived_at || now,
+            pseudonymised_at: now
+          }, { transaction: t, hooks: false });
+
+          await db.VisitorDocument.destroy({
+            where: { visitor_id: visitor.visitor_id },
+            transaction: t
+          });
+
+          await writeAuditRecord(db, {
+            userId: null,
+            actionType: 'PSEUDONYMISE_VISITOR',
+            operation: 'ACTION',
+            tableName: 'visitors',
+            recordId: visitor.visitor_id,
+            prisonId: null,
+            newValues: {
+              fields: PSEUDONYMISED_FIELDS,
+              documentsRemoved: visitorDocuments.length,
+              retentionDays,
+              lastVisitDate: lastVisits[visitor.visitor_id] || null
+            }
+          }, t);
+
+          return visitorDocuments;
+        });
+
+        // Files are only removed once the rows are gone for good
+        await Promise.all(removedDocuments.map(removeDocumentFile));
+      }
+    }
+
+    return {
+      dryRun,
+      retentionDays,
+      cutoffDate,
+      pseudonymised: changes.length,
+      archived: changes.filter(change => change.archived).length,
+      documentsRemoved: changes.reduce((sum, change) => sum + change.documentsRemoved, 0),
+      visitors: changes
+    };
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  applyRetentionPolicy
+};
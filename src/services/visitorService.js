@@ -1,5 +1,25 @@
 const db = require('../models');
 const { Op } = require('sequelize');
+const { CREDENTIAL_STATUS, VISITOR_DOCUMENT_TYPE, VISIT_STATUS } = require('../config/constants');
+const accessPolicy = require('../utils/accessPolicy');
+const visitorEligibilityService = require('./visitorEligibilityService');
+const { visitDetails } = require('./visitService');
+const { documentPath, removeDocumentFile, removeUploadedFile } = require('../utils/visitorDocumentStorage');
+const fs = require('fs').promises;
+
+// Documents a visitor's identity is verified against
+const VERIFICATION_DOCUMENT_TYPES = [VISITOR_DOCUMENT_TYPE.PHOTO, VISITOR_DOCUMENT_TYPE.ID_FRONT];
+
+/**
+ * Format visitor document for API response. Files are only served through
+ * the authenticated documents route.
+ */
+const formatDocument = (document) => ({
+  documentId: document.document_id,
+  documentType: document.document_type,
+  documentUrl: `/api/visitors/${document.visitor_id}/documents/${document.document_id}/file`,
+  uploadDate: document.upload_date
+});
 
 /**
  * Get all visitors with filtering and pagination
@@ -19,13 +39,22 @@ const getAllVisitors = async (filters = {}, page = 1, limit = 10) => {
       ];
     }
 
+    if (filters.verificationStatus) {
+      whereClause.verification_status = filters.verificationStatus;
+    }
+
+    // Archived visitors are hidden unless asked for
+    if (!filters.includeArchived) {
+      whereClause.is_archived = false;
+    }
+
     // Get visitors with pagination
     const { count, rows: visitors } = await db.Visitor.findAndCountAll({
       where: whereClause,
       limit: parseInt(limit),
       offset: parseInt(offset),
       order: [['created_at', 'DESC']],
-      attributes: ['visitor_id', 'visitor_name', 'nic', 'mobile_number', 'address', 'created_at']
+      attributes: ['visitor_id', 'visitor_name', 'nic', 'mobile_number', 'address', 'verification_status', 'is_archived', 'created_at']
     });
 
     return {
@@ -35,6 +64,8 @@ const getAllVisitors = async (filters = {}, page = 1, limit = 10) => {
         nic: visitor.nic,
         mobileNumber: visitor.mobile_number,
         address: visitor.address,
+        verificationStatus: visitor.verification_status,
+        isArchived: visitor.is_archived,
         createdAt: visitor.created_at
       })),
       pagination: {
@@ -52,24 +83,26 @@ const getAllVisitors = async (filters = {}, page = 1, limit = 10) => {
 /**
  * Search visitors by NIC or name
  */
-const searchVisitors = async (query) => {
+const searchVisitors = async (query, includeArchived = false) => {
   try {
     const visitors = await db.Visitor.findAll({
       where: {
         [Op.or]: [
           { visitor_name: { [Op.like]: `%${query}%` } },
           { nic: { [Op.like]: `%${query}%` } }
-        ]
+        ],
+        ...(!includeArchived && { is_archived: false })
       },
       limit: 10,
-      attributes: ['visitor_id', 'visitor_name', 'nic', 'mobile_number']
+      attributes: ['visitor_id', 'visitor_name', 'nic', 'mobile_number', 'is_archived']
     });
 
     return visitors.map(visitor => ({
       visitorId: visitor.visitor_id,
       visitorName: visitor.visitor_name,
       nic: visitor.nic,
-      mobileNumber: visitor.mobile_number
+      mobileNumber: visitor.mobile_number,
+      isArchived: visitor.is_archived
     }));
   } catch (error) {
     throw error;
@@ -77,9 +110,9 @@ const searchVisitors = async (query) => {
 };
 
 /**
- * Get visitor by ID
+ * Get visitor by ID, with the visitor's current bans and approvals
  */
-const getVisitorById = async (visitorId) => {
+const getVisitorById = async (visitorId, actor) => {
   try {
     const visitor = await db.Visitor.findByPk(visitorId, {
       include: [
@@ -89,6 +122,25 @@ const getVisitorById = async (visitorId) => {
           attributes: ['visit_id', 'visit_date', 'status'],
           limit: 5,
           order: [['visit_date', 'DESC']]
+        },
+        {
+          model: db.VisitorCredential,
+          as: 'credential',
+          attributes: ['credential_type', 'organisation', 'verification_status', 'expires_on']
+        },
+        {
+          model: db.VisitorDocument,
+          as: 'documents'
+        },
+        {
+          model: db.User,
+          as: 'verifier',
+          attributes: ['user_id', 'employee_full_name']
+        },
+        {
+          model: db.User,
+          as: 'archiver',
+          attributes: ['user_id', 'employee_full_name']
         }
       ]
     });
@@ -103,11 +155,37 @@ const getVisitorById = async (visitorId) => {
       nic: visitor.nic,
       mobileNumber: visitor.mobile_number,
       address: visitor.address,
+      verification: {
+        status: visitor.verification_status,
+        verifiedBy: visitor.verifier ? {
+          userId: visitor.verifier.user_id,
+          fullName: visitor.verifier.employee_full_name
+        } : null,
+        verifiedAt: visitor.verified_at,
+        notes: visitor.verification_notes
+      },
+      documents: visitor.documents ? visitor.documents.map(formatDocument) : [],
+      archive: {
+        isArchived: visitor.is_archived,
+        archivedAt: visitor.archived_at,
+        archivedBy: visitor.archiver ? {
+          userId: visitor.archiver.user_id,
+          fullName: visitor.archiver.employee_full_name
+        } : null,
+        pseudonymisedAt: visitor.pseudonymised_at
+      },
       recentVisits: visitor.visits ? visitor.visits.map(visit => ({
         visitId: visit.visit_id,
         visitDate: visit.visit_date,
         status: visit.status
       })) : [],
+      credential: visitor.credential ? {
+        credentialType: visitor.credential.credential_type,
+        organisation: visitor.credential.organisation,
+        verificationStatus: visitor.credential.verification_status,
+        expiresOn: visitor.credential.expires_on
+      } : null,
+      standing: await visitorEligibilityService.getVisitorStanding(visitor.visitor_id, actor),
       createdAt: visitor.created_at,
       updatedAt: visitor.updated_at
     };
@@ -119,7 +197,7 @@ const getVisitorById = async (visitorId) => {
 /**
  * Create new visitor
  */
-const createVisitor = async (visitorData) => {
+const createVisitor = async (visitorData, actor) => {
   try {
     // Check if visitor with same NIC already exists
     const existingVisitor = await db.Visitor.findOne({
@@ -138,7 +216,7 @@ const createVisitor = async (visitorData) => {
       address: visitorData.address
     });
 
-    return await getVisitorById(newVisitor.visitor_id);
+    return await getVisitorById(newVisitor.visitor_id, actor);
   } catch (error) {
     throw error;
   }
@@ -147,7 +225,7 @@ const createVisitor = async (visitorData) => {
 /**
  * Update visitor
  */
-const updateVisitor = async (visitorId, updateData) => {
+const updateVisitor = async (visitorId, updateData, actor) => {
   try {
     const visitor = await db.Visitor.findByPk(visitorId);
 
@@ -182,9 +260,23 @@ const updateVisitor = async (visitorId, updateData) => {
       allowedUpdates[key] === undefined && delete allowedUpdates[key]
     );
 
+    // A changed name or NIC no longer matches the verified documents
+    const identityChanged = ['visitor_name', 'nic'].some(key =>
+      allowedUpdates[key] !== undefined && allowedUpdates[key] !== visitor[key]
+    );
+
+    if (identityChanged && visitor.verification_status !== CREDENTIAL_STATUS.PENDING) {
+      Object.assign(allowedUpdates, {
+        verification_status: CREDENTIAL_STATUS.PENDING,
+        verified_by: null,
+        verified_at: null,
+        verification_notes: null
+      });
+    }
+
     await visitor.update(allowedUpdates);
 
-    return await getVisitorById(visitorId);
+    return await getVisitorById(visitorId, actor);
   } catch (error) {
     throw error;
   }
@@ -210,7 +302,287 @@ const deleteVisitor = async (visitorId) => {
       throw new Error('Cannot delete visitor with existing visit records. Consider archiving instead.');
     }
 
-    await visitor.destroy();
+    const [approvalCount, banCount] = await Promise.all([
+      db.ApprovedVisitor.count({ where: { visitor_id: visitorId } }),
+      db.VisitorBan.count({ where: { visitor_id: visitorId } })
+    ]);
+
+    if (approvalCount > 0 || banCount > 0) {
+      throw new Error('Cannot delete visitor with approved visitor entries or bans');
+    }
+
+    const documents = await db.VisitorDocument.findAll({
+      where: { visitor_id: visitorId }
+    });
+
+    await db.sequelize.transaction(async (t) => {
+      await db.VisitorCredential.destroy({ where: { visitor_id: visitorId }, transaction: t });
+      await db.VisitorDocument.destroy({ where: { visitor_id: visitorId }, transaction: t });
+      await visitor.destroy({ transaction: t });
+    });
+
+    await Promise.all(documents.map(removeDocumentFile));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Upload visitor photo or ID document scan
+ */
+const uploadDocument = async (visitorId, file, documentType, actor) => {
+  try {
+    const visitor = await db.Visitor.findByPk(visitorId);
+
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    const document = await db.VisitorDocument.create({
+      visitor_id: visitor.visitor_id,
+      document_url: file.filename,
+      document_type: documentType || VISITOR_DOCUMENT_TYPE.PHOTO,
+      uploaded_by: actor.userId,
+      upload_date: new Date()
+    });
+
+    return formatDocument(document);
+  } catch (error) {
+    // The file is already stored, so drop it when no document row holds it
+    await removeUploadedFile(file);
+    throw error;
+  }
+};
+
+/**
+ * Prisons a visitor is known at: those of the prisoners they visit or are
+ * approved to visit, and of the staff who uploaded their documents
+ */
+const visitorPrisonIds = async (visitorId) => {
+  const prisonerInclude = { model: db.Prisoner, as: 'prisoner', attributes: ['prisoner_id', 'prison_id'] };
+
+  const [visits, approvals, documents] = await Promise.all([
+    db.Visit.findAll({ where: { visitor_id: visitorId }, include: [prisonerInclude] }),
+    db.ApprovedVisitor.findAll({ where: { visitor_id: visitorId }, include: [prisonerInclude] }),
+    db.VisitorDocument.findAll({
+      where: { visitor_id: visitorId },
+      include: [{ model: db.User, as: 'uploader', attributes: ['user_id', 'prison_id'] }]
+    })
+  ]);
+
+  return [
+    ...[...visits, ...approvals].map(record => record.prisoner && record.prisoner.prison_id),
+    ...documents.map(document => document.uploader && document.uploader.prison_id)
+  ];
+};
+
+/**
+ * Path of a visitor's stored photo or ID document scan, for staff of a
+ * prison the visitor is known at
+ */
+const getDocumentFile = async (visitorId, documentId, actor) => {
+  try {
+    const document = await db.VisitorDocument.findOne({
+      where: {
+        document_id: documentId,
+        visitor_id: visitorId
+      }
+    });
+
+    if (!document) {
+      throw new Error('Document not found');
+    }
+
+    accessPolicy.authorize(actor, 'visitor:viewDocuments', { prisonIds: await visitorPrisonIds(visitorId) });
+
+    const filePath = documentPath(document);
+
+    try {
+      await fs.access(filePath);
+    } catch (err) {
+      throw new Error('Document file not found');
+    }
+
+    return filePath;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Delete visitor photo or ID document scan
+ */
+const deleteDocument = async (visitorId, documentId) => {
+  try {
+    const visitor = await db.Visitor.findByPk(visitorId);
+
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    const document = await db.VisitorDocument.findOne({
+      where: {
+        document_id: documentId,
+        visitor_id: visitorId
+      }
+    });
+
+    if (!document) {
+      throw new Error('Document not found');
+    }
+
+    await db.sequelize.transaction(async (t) => {
+      await document.destroy({ transaction: t });
+
+      // Verification was made against the photo and ID front on file at the
+      // time; once none of the removed type from then is left it has to be redone
+      if (visitor.verification_status !== CREDENTIAL_STATUS.VERIFIED ||
+          !VERIFICATION_DOCUMENT_TYPES.includes(document.document_type)) {
+        return;
+      }
+
+      const remaining = await db.VisitorDocument.count({
+        where: {
+          visitor_id: visitorId,
+          document_type: document.document_type,
+          upload_date: { [Op.lte]: visitor.verified_at }
+        },
+        transaction: t
+      });
+
+      if (remaining === 0) {
+        await visitor.update({
+          verification_status: CREDENTIAL_STATUS.PENDING,
+          verified_by: null,
+          verified_at: null,
+          verification_notes: null
+        }, { transaction: t });
+      }
+    });
+
+    await removeDocumentFile(document);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Verify or reject a visitor's identity. Verifying needs a photo and the
+ * front of an ID document on file to check the visitor against.
+ */
+const verifyVisitor = async (visitorId, verificationData, actor) => {
+  try {
+    const visitor = await db.Visitor.findByPk(visitorId);
+
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    if (visitor.verification_status === verificationData.status) {
+      throw new Error(`Visitor is already ${verificationData.status.toLowerCase()}`);
+    }
+
+    if (verificationData.status === CREDENTIAL_STATUS.VERIFIED) {
+      const documents = await db.VisitorDocument.findAll({
+        where: { visitor_id: visitorId },
+        attributes: ['document_type']
+      });
+      const types = documents.map(document => document.document_type);
+
+      if (!VERIFICATION_DOCUMENT_TYPES.every(type => types.includes(type))) {
+        throw new Error('A photo and an ID document scan are required to verify a visitor');
+      }
+    }
+
+    await visitor.update({
+      verification_status: verificationData.status,
+      verified_by: actor.userId,
+      verified_at: new Date(),
+      verification_notes: verificationData.notes || null
+    });
+
+    return await getVisitorById(visitorId, actor);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Archive a visitor who no longer visits. The visitor and their visit
+ * history are kept but hidden from lists and cannot be booked.
+ */
+const archiveVisitor = async (visitorId, actor) => {
+  try {
+    const visitor = await db.Visitor.findByPk(visitorId);
+
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    if (visitor.is_archived) {
+      throw new Error('Visitor is already archived');
+    }
+
+    const openVisits = await db.Visit.count({
+      where: {
+        visitor_id: visitorId,
+        status: [VISIT_STATUS.SCHEDULED, VISIT_STATUS.CHECKED_IN]
+      }
+    });
+
+    if (openVisits > 0) {
+      throw new Error('Cannot archive visitor with scheduled visits. Cancel them first.');
+    }
+
+    await visitor.update({
+      is_archived: true,
+      archived_at: new Date(),
+      archived_by: actor.userId
+    });
+
+    return await getVisitorById(visitorId, actor);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Restore an archived visitor. Visitors pseudonymised under the retention
+ * policy need their contact details again.
+ */
+const restoreVisitor = async (visitorId, restoreData, actor) => {
+  try {
+    const visitor = await db.Visitor.findByPk(visitorId);
+
+    if (!visitor) {
+      throw new Error('Visitor not found');
+    }
+
+    if (!visitor.is_archived) {
+      throw new Error('Visitor is not archived');
+    }
+
+    const updates = {
+      is_archived: false,
+      archived_at: null,
+      archived_by: null
+    };
+
+    if (visitor.pseudonymised_at) {
+      if (!restoreData.mobile_number || !restoreData.address) {
+        throw new Error('Mobile number and address are required to restore a pseudonymised visitor');
+      }
+
+      Object.assign(updates, {
+        mobile_number: restoreData.mobile_number,
+        address: restoreData.address,
+        pseudonymised_at: null
+      });
+    }
+
+    await visitor.update(updates);
+
+    return await getVisitorById(visitorId, actor);
   } catch (error) {
     throw error;
   }
@@ -219,7 +591,7 @@ const deleteVisitor = async (visitorId) => {
 /**
  * Get visitor's visit history
  */
-const getVisitorHistory = async (visitorId, userPrisonId, userRole, page = 1, limit = 10) => {
+const getVisitorHistory = async (visitorId, actor, page = 1, limit = 10) => {
   try {
     const visitor = await db.Visitor.findByPk(visitorId);
 
@@ -250,9 +622,10 @@ const getVisitorHistory = async (visitorId, userPrisonId, userRole, page = 1, li
       }
     ];
 
-    // Filter by prison if not super admin
-    if (userRole !== 'Super Admin' && userPrisonId) {
-      includeOptions[0].include[0].where = { prison_id: userPrisonId };
+    // Only visits to prisons the user works in
+    const prisonScope = accessPolicy.prisonScope(actor);
+    if (prisonScope !== undefined) {
+      includeOptions[0].include[0].where = { prison_id: prisonScope };
       includeOptions[0].required = true;
     }
 
@@ -293,9 +666,8 @@ const getVisitorHistory = async (visitorId, userPrisonId, userRole, page = 1, li
         visitDate: visit.visit_date,
         visitTimeStart: visit.visit_time_start,
         visitTimeEnd: visit.visit_time_end,
-        purpose: visit.purpose,
+        ...visitDetails(visit, actor),
         status: visit.status,
-        notes: visit.notes,
         approvedBy: visit.approver ? {
           userId: visit.approver.user_id,
           fullName: visit.approver.employee_full_name
@@ -458,6 +830,12 @@ module.exports = {
   createVisitor,
   updateVisitor,
   deleteVisitor,
+  uploadDocument,
+  getDocumentFile,
+  deleteDocument,
+  verifyVisitor,
+  archiveVisitor,
+  restoreVisitor,
   getVisitorHistory,
   getVisitorStatistics
 };
\ No newline at end of file
@@ -0,0 +1,411 @@
+const db = require('../models');
+const { Op } = require('sequelize');
+const { PRISONER_STATUS } = require('../config/constants');
+const { addDays, today } = require('../utils/dates');
+const accessPolicy = require('../utils/accessPolicy');
+
+/**
+ * Format pay rate for API response
+ */
+const formatRate = (rate) => ({
+  rateId: rate.rate_id,
+  hourlyRate: parseFloat(rate.hourly_rate),
+  effectiveFrom: rate.effective_from
+});
+
+/**
+ * Format job for API response, with its rate schedule and the rate in
+ * effect today
+ */
+const formatJob = (job) => {
+  const rates = (job.rates || [])
+    .map(formatRate)
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  const current = rates.filter(rate => rate.effectiveFrom <= today()).pop();
+
+  return {
+    jobId: job.job_id,
+    prisonId: job.prison_id,
+    jobName: job.job_name,
+    category: job.category,
+    skillLevel: job.skill_level,
+    description: job.description,
+    isActive: job.is_active,
+    currentHourlyRate: current ? current.hourlyRate : null,
+    rates
+  };
+};
+
+/**
+ * Format work assignment for API response
+ */
+const formatAssignment = (assignment) => ({
+  assignmentId: assignment.assignment_id,
+  prisonerId: assignment.prisoner_id,
+  job: assignment.job ? {
+    jobId: assignment.job.job_id,
+    jobName: assignment.job.job_name,
+    category: assignment.job.category,
+    skillLevel: assignment.job.skill_level
+  } : { jobId: assignment.job_id },
+  startDate: assignment.start_date,
+  endDate: assignment.end_date,
+  endReason: assignment.end_reason,
+  assignedBy: assignment.assigner ? {
+    userId: assignment.assigner.user_id,
+    fullName: assignment.assigner.employee_full_name
+  } : null,
+  createdAt: assignment.created_at
+});
+
+const assignmentIncludes = () => [
+  { model: db.WorkJob, as: 'job', attributes: ['job_id', 'job_name', 'category', 'skill_level'] },
+  { model: db.User, as: 'assigner', attributes: ['user_id', 'employee_full_name'] }
+];
+
+const findPrison = async (prisonId, actor, action) => {
+  const prison = await db.Prison.findByPk(prisonId);
+
+  if (!prison) {
+    throw new Error('Prison not found');
+  }
+
+  accessPolicy.authorize(actor, action, prison);
+
+  return prison;
+};
+
+const findJob = async (prisonId, jobId) => {
+  const job = await db.WorkJob.findOne({
+    where: { job_id: jobId, prison_id: prisonId },
+    include: [{ model: db.WorkPayRate, as: 'rates' }]
+  });
+
+  if (!job) {
+    throw new Error('Job not found');
+  }
+
+  return job;
+};
+
+const findPrisoner = async (prisonerId, actor) => {
+  const prisoner = await db.Prisoner.findByPk(prisonerId);
+
+  if (!prisoner) {
+    throw new Error('Prisoner not found');
+  }
+
+  accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+  return prisoner;
+};
+
+/**
+ * Pay rate of a job in effect on a date, or null before its first rate
+ */
+const getEffectiveRate = async (jobId, date, transaction = null) => {
+  return db.WorkPayRate.findOne({
+    where: {
+      job_id: jobId,
+      effective_from: { [Op.lte]: date }
+    },
+    order: [['effective_from', 'DESC']],
+    transaction
+  });
+};
+
+/**
+ * A prisoner's work assignment covering a date, with its job
+ */
+const findAssignmentOn = async (prisonerId, date, transaction = null) => {
+  return db.WorkAssignment.findOne({
+    where: {
+      prisoner_id: prisonerId,
+      start_date: { [Op.lte]: date },
+      [Op.or]: [
+        { end_date: null },
+        { end_date: { [Op.gte]: date } }
+      ]
+    },
+    include: [{ model: db.WorkJob, as: 'job' }],
+    transaction
+  });
+};
+
+/**
+ * Get a prison's job catalogue
+ */
+const getJobs = async (prisonId, actor, includeInactive = false) => {
+  try {
+    await findPrison(prisonId, actor, 'prison:view');
+
+    const jobs = await db.WorkJob.findAll({
+      where: {
+        prison_id: prisonId,
+        ...(!includeInactive && { is_active: true })
+      },
+      include: [{ model: db.WorkPayRate, as: 'rates' }],
+      order: [['category', 'ASC'], ['job_name', 'ASC']]
+    });
+
+    return jobs.map(formatJob);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Add a job to a prison's catalogue with its first pay rate
+ */
+const createJob = async (prisonId, jobData, actor) => {
+  try {
+    const prison = await findPrison(prisonId, actor, 'prison:manageWork');
+
+    const existing = await db.WorkJob.findOne({
+      where: { prison_id: prison.prison_id, job_name: jobData.job_name }
+    });
+
+    if (existing) {
+      throw new Error('Job with this name already exists');
+    }
+
+    const job = await db.sequelize.transaction(async (t) => {
+      const created = await db.WorkJob.create({
+        prison_id: prison.prison_id,
+        job_name: jobData.job_name,
+        category: jobData.category,
+        skill_level: jobData.skill_level,
+        description: jobData.description || null
+      }, { transaction: t });
+
+      await db.WorkPayRate.create({
+        job_id: created.job_id,
+        hourly_rate: jobData.hourly_rate,
+        effective_from: jobData.effective_from || today(),
+        created_by: actor.userId
+      }, { transaction: t });
+
+      return created;
+    });
+
+    return formatJob(await findJob(prison.prison_id, job.job_id));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Update job details or withdraw it from the catalogue. Withdrawn jobs
+ * cannot take new assignments; open assignments are kept.
+ */
+const updateJob = async (prisonId, jobId, updateData, actor) => {
+  try {
+    await findPrison(prisonId, actor, 'prison:manageWork');
+    const job = await findJob(prisonId, jobId);
+
+    if (updateData.job_name && updateData.job_name !== job.job_name) {
+      const existing = await db.WorkJob.findOne({
+        where: {
+          prison_id: prisonId,
+          job_name: updateData.job_name,
+          job_id: { [Op.ne]: jobId }
+        }
+      });
+
+      if (existing) {
+        throw new Error('Job with this name already exists');
+      }
+    }
+
+    const allowedUpdates = {
+      job_name: updateData.job_name,
+      category: updateData.category,
+      skill_level: updateData.skill_level,
+      description: updateData.description,
+      is_active: updateData.is_active
+    };
+
+    // Remove undefined values
+    Object.keys(allowedUpdates).forEach(key =>
+      allowedUpdates[key] === undefined && delete allowedUpdates[key]
+    );
+
+    await job.update(allowedUpdates);
+
+    return formatJob(await findJob(prisonId, jobId));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Add a pay rate to a job's schedule. Work already recorded keeps the
+ * amount it was paid at.
+ */
+const addPayRate = async (prisonId, jobId, rateData, actor) => {
+  try {
+    await findPrison(prisonId, actor, 'prison:manageWork');
+    const job = await findJob(prisonId, jobId);
+
+    const existing = await db.WorkPayRate.findOne({
+      where: { job_id: job.job_id, effective_from: rateData.effective_from }
+    });
+
+    if (existing) {
+      throw new Error(`Job already has a rate effective from ${rateData.effective_from}`);
+    }
+
+    await db.WorkPayRate.create({
+      job_id: job.job_id,
+      hourly_rate: rateData.hourly_rate,
+      effective_from: rateData.effective_from,
+      created_by: actor.userId
+    });
+
+    return formatJob(await findJob(prisonId, jobId));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get a prisoner's work assignments, latest first
+ */
+const getWorkAssignments = async (prisonerId, actor) => {
+  try {
+    const prisoner = await findPrisoner(prisonerId, actor);
+
+    const assignments = await db.WorkAssignment.findAll({
+      where: { prisoner_id: prisoner.prisoner_id },
+      include: assignmentIncludes(),
+      order: [['start_date', 'DESC']]
+    });
+
+    return assignments.map(formatAssignment);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Assign a prisoner to a job of their prison. A prisoner holds one job at
+ * a time, so the period may not overlap another assignment.
+ */
+const assignJob = async (prisonerId, assignmentData, actor) => {
+  try {
+    const prisoner = await findPrisoner(prisonerId, actor);
+
+    if (prisoner.status !== PRISONER_STATUS.ACTIVE) {
+      throw new Error('Only active prisoners can be assigned to jobs');
+    }
+
+    const job = await db.WorkJob.findOne({
+      where: { job_id: assignmentData.job_id, prison_id: prisoner.prison_id }
+    });
+
+    if (!job) {
+      throw new Error('Job not found in the prisoner\'s prison');
+    }
+
+    if (!job.is_active) {
+      throw new Error('Job is no longer in the catalogue');
+    }
+
+    const startDate = assignmentData.start_date;
+    const endDate = assignmentData.end_date || null;
+
+    const overlapping = await db.WorkAssignment.findOne({
+      where: {
+        prisoner_id: prisoner.prisoner_id,
+        ...(endDate && { start_date: { [Op.lte]: endDate } }),
+        [Op.or]: [
+          { end_date: null },
+          { end_date: { [Op.gte]: startDate } }
+        ]
+      }
+    });
+
+    if (overlapping) {
+      throw new Error(`Prisoner already has a work assignment from ${overlapping.start_date}. End it first.`);
+    }
+
+    const assignment = await db.WorkAssignment.create({
+      prisoner_id: prisoner.prisoner_id,
+      job_id: job.job_id,
+      start_date: startDate,
+      end_date: endDate,
+      assigned_by: actor.userId
+    });
+
+    const created = await db.WorkAssignment.findByPk(assignment.assignment_id, {
+      include: assignmentIncludes()
+    });
+
+    return formatAssignment(created);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * End a work assignment on its last working day
+ */
+const endAssignment = async (prisonerId, assignmentId, endData, actor) => {
+  try {
+    const prisoner = await findPrisoner(prisonerId, actor);
+
+    const assignment = await db.WorkAssignment.findOne({
+      where: { assignment_id: assignmentId, prisoner_id: prisoner.prisoner_id }
+    });
+
+    if (!assignment) {
+      throw new Error('Work assignment not found');
+    }
+
+    const endDate = endData.end_date || today();
+
+    if (assignment.end_date && assignment.end_date <= endDate) {
+      throw new Error(`Work assignment already ends on ${assignment.end_date}`);
+    }
+
+    if (endDate < assignment.start_date) {
+      throw new Error('End date cannot be before the assignment start date');
+    }
+
+    const laterWork = await db.PrisonerWorkRecord.count({
+      where: {
+        assignment_id: assignment.assignment_id,
+        work_date: { [Op.gt]: endDate }
+      }
+    });
+
+    if (laterWork > 0) {
+      throw new Error('Work has been recorded against this assignment after the end date');
+    }
+
+    await assignment.update({
+      end_date: endDate,
+      end_reason: endData.reason || null
+    });
+
+    const updated = await db.WorkAssignment.findByPk(assignment.assignment_id, {
+      include: assignmentIncludes()
+    });
+
+    return formatAssignment(updated);
+  } catch (error) {
+    throw error;
+  }
+};
+
+module.exports = {
+  getEffectiveRate,
+  findAssignmentOn,
+  getJobs,
+  createJob,
+  updateJob,
+  addPayRate,
+  getWorkAssignments,
+  assignJob,
+  endAssignment
+};
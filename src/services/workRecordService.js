@@ -1,15 +1,218 @@
 const db = require('../models');
-const { USER_ROLES, PAYMENT_STATUS, PRISONER_STATUS } = require('../config/constants');
+const { PAYMENT_STATUS, PRISONER_STATUS } = require('../config/constants');
 const { Op } = require('sequelize');
+const { addDays, today, weekOf } = require('../utils/dates');
+const workJobService = require('./workJobService');
+const accountService = require('./accountService');
+const accessPolicy = require('../utils/accessPolicy');
+const { writeAuditRecord } = require('../utils/auditTrail');
 
 /**
- * Check if user has access to prisoner's prison
+ * Price hours worked at the rate of the prisoner's job on the work date.
+ * Paying a different amount is an override, which needs payment approval
+ * rights and a reason.
  */
-const checkPrisonAccess = (userPrisonId, prisonerPrisonId, userRole) => {
-  if (userRole === USER_ROLES.SUPER_ADMIN) {
-    return true;
+const priceWork = async (prisonerId, workDate, hoursWorked, override, actor, transaction = null) => {
+  const assignment = await workJobService.findAssignmentOn(prisonerId, workDate, transaction);
+
+  if (!assignment) {
+    throw new Error(`Prisoner has no work assignment on ${workDate}`);
+  }
+
+  const rate = await workJobService.getEffectiveRate(assignment.job_id, workDate, transaction);
+
+  if (!rate) {
+    throw new Error(`${assignment.job.job_name} has no pay rate in effect on ${workDate}`);
+  }
+
+  const hourlyRate = parseFloat(rate.hourly_rate);
+  const computedAmount = Math.round(hoursWorked * hourlyRate * 100) / 100;
+  const overridden = override.amount !== undefined && override.amount !== null &&
+                     override.amount !== computedAmount;
+
+  if (overridden) {
+    accessPolicy.authorize(actor, 'workRecord:overridePayment');
+    if (!override.reason) {
+      throw new Error('A reason is required to override the computed payment amount');
+    }
+  }
+
+  return {
+    assignment,
+    hourlyRate,
+    computedAmount,
+    paymentAmount: overridden ? override.amount : computedAmount,
+    overridden
+  };
+};
+
+/**
+ * Flag a payment override in the audit trail next to the row change
+ */
+const recordOverride = async (workRecord, pricing, reason, prisonId, actor, transaction) => {
+  await writeAuditRecord(db, {
+    userId: actor.userId,
+    actionType: 'WORK_PAYMENT_OVERRIDE',
+    operation: 'ACTION',
+    tableName: 'prisoner_work_records',
+    recordId: workRecord.work_record_id,
+    prisonId,
+    newValues: {
+      hoursWorked: parseFloat(workRecord.hours_worked),
+      hourlyRate: pricing.hourlyRate,
+      computedAmount: pricing.computedAmount,
+      paymentAmount: pricing.paymentAmount,
+      reason
+    }
+  }, transaction);
+};
+
+/**
+ * Job and pay fields of a work record for API responses
+ */
+const formatPay = (record) => ({
+  assignmentId: record.assignment_id,
+  hourlyRate: record.hourly_rate !== null ? parseFloat(record.hourly_rate) : null,
+  paymentOverridden: record.payment_overridden,
+  overrideReason: record.override_reason
+});
+
+/**
+ * Clock times of a work record for API responses
+ */
+const formatTiming = (record) => ({
+  startTime: record.start_time ? record.start_time.slice(0, 5) : null,
+  endTime: record.end_time ? record.end_time.slice(0, 5) : null,
+  breakMinutes: record.break_minutes
+});
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+/**
+ * Hours of a work entry: clock time less breaks when start and end times
+ * are given, otherwise the hours entered
+ */
+const resolveHours = (entry) => {
+  const hoursGiven = entry.hours_worked !== undefined && entry.hours_worked !== null;
+
+  if (!entry.start_time && !entry.end_time) {
+    if (!hoursGiven) {
+      throw new Error('Hours worked or start and end times are required');
+    }
+    const hours = parseFloat(entry.hours_worked);
+    if (!Number.isFinite(hours) || hours <= 0) {
+      throw new Error('Hours worked must be a positive number');
+    }
+    return { startTime: null, endTime: null, breakMinutes: 0, hours };
+  }
+
+  if (!entry.start_time || !entry.end_time) {
+    throw new Error('Both start and end times are required');
+  }
+
+  if (!TIME_PATTERN.test(entry.start_time) || !TIME_PATTERN.test(entry.end_time)) {
+    throw new Error('Start and end times must be in HH:MM format');
+  }
+
+  const shiftMinutes = toMinutes(entry.end_time) - toMinutes(entry.start_time);
+  const breakMinutes = parseInt(entry.break_minutes || 0, 10);
+
+  if (shiftMinutes <= 0) {
+    throw new Error('End time must be after start time');
+  }
+
+  if (!Number.isInteger(breakMinutes) || breakMinutes < 0 || breakMinutes >= shiftMinutes) {
+    throw new Error('Breaks must be shorter than the shift');
+  }
+
+  const hours = Math.round((shiftMinutes - breakMinutes) / 60 * 100) / 100;
+
+  if (hoursGiven && Math.abs(parseFloat(entry.hours_worked) - hours) >= 0.01) {
+    throw new Error(`Hours worked do not match the clock times, which give ${hours} hours`);
+  }
+
+  return {
+    startTime: `${entry.start_time.slice(0, 5)}:00`,
+    endTime: `${entry.end_time.slice(0, 5)}:00`,
+    breakMinutes,
+    hours
+  };
+};
+
+/**
+ * Check a work entry against the prisoner's other records: no duplicate or
+ * overlapping entries, and within the prison's daily and weekly hour limits
+ */
+const checkWorkHours = async (prisoner, workDate, timing, excludeRecordId, transaction) => {
+  // Serialise entries for the prisoner; the records below are read with a
+  // lock too, so they include entries committed while waiting here rather
+  // than the transaction's earlier snapshot
+  await db.Prisoner.findByPk(prisoner.prisoner_id, {
+    attributes: ['prisoner_id'],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  const prison = await db.Prison.findByPk(prisoner.prison_id, {
+    attributes: ['prison_id', 'max_daily_work_hours', 'max_weekly_work_hours'],
+    transaction
+  });
+
+  const week = weekOf(workDate);
+
+  const records = await db.PrisonerWorkRecord.findAll({
+    where: {
+      prisoner_id: prisoner.prisoner_id,
+      work_date: { [Op.between]: [week.startDate, week.endDate] },
+      ...(excludeRecordId && { work_record_id: { [Op.ne]: excludeRecordId } })
+    },
+    attributes: ['work_record_id', 'work_date', 'start_time', 'end_time', 'hours_worked'],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  const sameDay = records.filter(record => record.work_date === workDate);
+
+  const duplicate = sameDay.find(record =>
+    (record.start_time || null) === timing.startTime &&
+    (record.end_time || null) === timing.endTime &&
+    parseFloat(record.hours_worked) === timing.hours
+  );
+
+  if (duplicate) {
+    throw new Error(`Duplicate of work record ${duplicate.work_record_id} on ${workDate}`);
+  }
+
+  if (timing.startTime) {
+    const overlapping = sameDay.find(record =>
+      record.start_time && record.end_time &&
+      toMinutes(record.start_time) < toMinutes(timing.endTime) &&
+      toMinutes(timing.startTime) < toMinutes(record.end_time)
+    );
+
+    if (overlapping) {
+      throw new Error(`Overlaps work record ${overlapping.work_record_id} from ${overlapping.start_time.slice(0, 5)} to ${overlapping.end_time.slice(0, 5)} on ${workDate}`);
+    }
+  }
+
+  const sumHours = (list) => list.reduce((sum, record) => sum + parseFloat(record.hours_worked), timing.hours);
+  const dailyLimit = parseFloat(prison.max_daily_work_hours);
+  const weeklyLimit = parseFloat(prison.max_weekly_work_hours);
+  const dayHours = Math.round(sumHours(sameDay) * 100) / 100;
+  const weekHours = Math.round(sumHours(records) * 100) / 100;
+
+  if (dayHours > dailyLimit) {
+    throw new Error(`Exceeds the daily limit of ${dailyLimit} hours: ${dayHours} hours on ${workDate}`);
+  }
+
+  if (weekHours > weeklyLimit) {
+    throw new Error(`Exceeds the weekly limit of ${weeklyLimit} hours: ${weekHours} hours in the week of ${week.startDate}`);
   }
-  return userPrisonId === prisonerPrisonId;
 };
 
 /**
@@ -112,7 +315,9 @@ const getAllWorkRecords = async (filters = {}, page = 1, limit = 10) => {
         taskDescription: record.task_description,
         workDate: record.work_date,
         hoursWorked: parseFloat(record.hours_worked),
+        ...formatTiming(record),
         paymentAmount: parseFloat(record.payment_amount),
+        ...formatPay(record),
         paymentStatus: record.payment_status,
         paymentDate: record.payment_date,
         recordedBy: record.recorder ? {
@@ -138,7 +343,7 @@ const getAllWorkRecords = async (filters = {}, page = 1, limit = 10) => {
 /**
  * Get work records for a specific prisoner
  */
-const getWorkRecordsByPrisoner = async (prisonerId, userPrisonId, userRole, page = 1, limit = 10) => {
+const getWorkRecordsByPrisoner = async (prisonerId, actor, page = 1, limit = 10) => {
   try {
     // Check if prisoner exists
     const prisoner = await db.Prisoner.findByPk(prisonerId, {
@@ -156,9 +361,7 @@ const getWorkRecordsByPrisoner = async (prisonerId, userPrisonId, userRole, page
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
-    }
+    accessPolicy.authorize(actor, 'prisoner:access', prisoner);
 
     const offset = (page - 1) * limit;
 
@@ -199,7 +402,9 @@ const getWorkRecordsByPrisoner = async (prisonerId, userPrisonId, userRole, page
         taskDescription: record.task_description,
         workDate: record.work_date,
         hoursWorked: parseFloat(record.hours_worked),
+        ...formatTiming(record),
         paymentAmount: parseFloat(record.payment_amount),
+        ...formatPay(record),
         paymentStatus: record.payment_status,
         paymentDate: record.payment_date,
         recordedBy: record.recorder ? {
@@ -231,7 +436,7 @@ const getWorkRecordsByPrisoner = async (prisonerId, userPrisonId, userRole, page
 /**
  * Get work record by ID
  */
-const getWorkRecordById = async (workRecordId, userPrisonId, userRole) => {
+const getWorkRecordById = async (workRecordId, actor) => {
   try {
     const workRecord = await db.PrisonerWorkRecord.findByPk(workRecordId, {
       include: [
@@ -251,6 +456,12 @@ const getWorkRecordById = async (workRecordId, userPrisonId, userRole) => {
           model: db.User,
           as: 'recorder',
           attributes: ['user_id', 'employee_full_name', 'username', 'email']
+        },
+        {
+          model: db.WorkAssignment,
+          as: 'assignment',
+          attributes: ['assignment_id'],
+          include: [{ model: db.WorkJob, as: 'job', attributes: ['job_id', 'job_name', 'category'] }]
         }
       ]
     });
@@ -260,9 +471,7 @@ const getWorkRecordById = async (workRecordId, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, workRecord.prisoner.prison.prison_id, userRole)) {
-      throw new Error('You do not have access to this work record');
-    }
+    accessPolicy.authorize(actor, 'workRecord:access', workRecord);
 
     return {
       workRecordId: workRecord.work_record_id,
@@ -281,7 +490,14 @@ const getWorkRecordById = async (workRecordId, userPrisonId, userRole) => {
       taskDescription: workRecord.task_description,
       workDate: workRecord.work_date,
       hoursWorked: parseFloat(workRecord.hours_worked),
+      ...formatTiming(workRecord),
       paymentAmount: parseFloat(workRecord.payment_amount),
+      ...formatPay(workRecord),
+      job: workRecord.assignment && workRecord.assignment.job ? {
+        jobId: workRecord.assignment.job.job_id,
+        jobName: workRecord.assignment.job.job_name,
+        category: workRecord.assignment.job.category
+      } : null,
       paymentStatus: workRecord.payment_status,
       paymentDate: workRecord.payment_date,
       recordedBy: workRecord.recorder ? {
@@ -298,54 +514,147 @@ const getWorkRecordById = async (workRecordId, userPrisonId, userRole) => {
   }
 };
 
+/**
+ * Check, price and insert one work record within a transaction
+ */
+const insertWorkRecord = async (workRecordData, actor, transaction) => {
+  // Check if prisoner exists and is active
+  const prisoner = await db.Prisoner.findByPk(workRecordData.prisoner_id, { transaction });
+
+  if (!prisoner) {
+    throw new Error('Prisoner not found');
+  }
+
+  if (prisoner.status !== PRISONER_STATUS.ACTIVE) {
+    throw new Error('Work records can only be created for active prisoners');
+  }
+
+  // Check access
+  accessPolicy.authorize(actor, 'prisoner:access', prisoner);
+
+  const workDate = workRecordData.work_date || today();
+  const timing = resolveHours(workRecordData);
+
+  await checkWorkHours(prisoner, workDate, timing, null, transaction);
+
+  const pricing = await priceWork(prisoner.prisoner_id, workDate, timing.hours, {
+    amount: workRecordData.payment_amount,
+    reason: workRecordData.override_reason
+  }, actor, transaction);
+
+  // Create work record
+  const newWorkRecord = await db.PrisonerWorkRecord.create({
+    prisoner_id: prisoner.prisoner_id,
+    assignment_id: pricing.assignment.assignment_id,
+    task_description: workRecordData.task_description || pricing.assignment.job.job_name,
+    work_date: workDate,
+    start_time: timing.startTime,
+    end_time: timing.endTime,
+    break_minutes: timing.breakMinutes,
+    hours_worked: timing.hours,
+    hourly_rate: pricing.hourlyRate,
+    payment_amount: pricing.paymentAmount,
+    payment_overridden: pricing.overridden,
+    override_reason: pricing.overridden ? workRecordData.override_reason : null,
+    payment_status: PAYMENT_STATUS.PENDING,
+    recorded_by: actor.userId
+  }, { transaction });
+
+  if (pricing.overridden) {
+    await recordOverride(newWorkRecord, pricing, workRecordData.override_reason, prisoner.prison_id, actor, transaction);
+  }
+
+  return newWorkRecord;
+};
+
 /**
  * Create new work record
  */
-const createWorkRecord = async (workRecordData, userId, userPrisonId, userRole) => {
+const createWorkRecord = async (workRecordData, actor) => {
   const transaction = await db.sequelize.transaction();
-  
+
   try {
-    // Check if prisoner exists and is active
-    const prisoner = await db.Prisoner.findByPk(workRecordData.prisoner_id, {
-      include: [
-        {
-          model: db.Prison,
-          as: 'prison',
-          attributes: ['prison_id', 'prison_name']
+    const newWorkRecord = await insertWorkRecord(workRecordData, actor, transaction);
+
+    await transaction.commit();
+
+    // Fetch created work record with details
+    return await getWorkRecordById(newWorkRecord.work_record_id, actor);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Enter a week of work for a gang of prisoners. Each row is checked and
+ * saved on its own, so one bad row does not hold back the others; later
+ * rows are checked against the hours of earlier ones. With validateOnly
+ * nothing is saved.
+ */
+const submitTimesheet = async (weekStart, entries, actor, validateOnly = false) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const weekEnd = addDays(weekStart, 6);
+    const results = [];
+
+    for (const [index, entry] of entries.entries()) {
+      const row = { row: index + 1, prisonerId: entry.prisoner_id, workDate: entry.work_date };
+
+      try {
+        if (!entry.work_date || entry.work_date < weekStart || entry.work_date > weekEnd) {
+          throw new Error(`Work date must be within the week of ${weekStart}`);
         }
-      ]
-    });
 
-    if (!prisoner) {
-      throw new Error('Prisoner not found');
-    }
+        if (entry.work_date > today()) {
+          throw new Error('Work date cannot be in the future');
+        }
 
-    if (prisoner.status !== PRISONER_STATUS.ACTIVE) {
-      throw new Error('Work records can only be created for active prisoners');
-    }
+        if (entry.work_date < addDays(today(), -30)) {
+          throw new Error('Work date cannot be more than 30 days in the past');
+        }
 
-    // Check access
-    if (!checkPrisonAccess(userPrisonId, prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this prisoner');
+        // Timesheet rows are paid at the job rate; overrides go through
+        // the single work record endpoints
+        const { payment_amount, override_reason, ...rowData } = entry;
+
+        // A savepoint per row keeps the rows that pass
+        const record = await db.sequelize.transaction({ transaction }, (savepoint) =>
+          insertWorkRecord(rowData, actor, savepoint)
+        );
+
+        results.push({
+          ...row,
+          valid: true,
+          workRecordId: validateOnly ? null : record.work_record_id,
+          hoursWorked: parseFloat(record.hours_worked),
+          paymentAmount: parseFloat(record.payment_amount)
+        });
+      } catch (error) {
+        results.push({ ...row, valid: false, error: error.message });
+      }
     }
 
-    // Create work record
-    const newWorkRecord = await db.PrisonerWorkRecord.create({
-      prisoner_id: workRecordData.prisoner_id,
-      task_description: workRecordData.task_description,
-      work_date: workRecordData.work_date || new Date(),
-      hours_worked: workRecordData.hours_worked,
-      payment_amount: workRecordData.payment_amount,
-      payment_status: PAYMENT_STATUS.PENDING,
-      recorded_by: userId
-    }, { transaction });
+    if (validateOnly) {
+      await transaction.rollback();
+    } else {
+      await transaction.commit();
+    }
 
-    await transaction.commit();
+    const accepted = results.filter(result => result.valid);
 
-    // Fetch created work record with details
-    return await getWorkRecordById(newWorkRecord.work_record_id, userPrisonId, userRole);
+    return {
+      weekStart,
+      weekEnd,
+      validateOnly,
+      total: results.length,
+      accepted: accepted.length,
+      rejected: results.length - accepted.length,
+      totalHours: Math.round(accepted.reduce((sum, result) => sum + result.hoursWorked, 0) * 100) / 100,
+      rows: results
+    };
   } catch (error) {
-    console.log(error)
     await transaction.rollback();
     throw error;
   }
@@ -354,7 +663,7 @@ const createWorkRecord = async (workRecordData, userId, userPrisonId, userRole)
 /**
  * Update work record
  */
-const updateWorkRecord = async (workRecordId, updateData, userPrisonId, userRole) => {
+const updateWorkRecord = async (workRecordId, updateData, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
@@ -363,7 +672,7 @@ const updateWorkRecord = async (workRecordId, updateData, userPrisonId, userRole
         {
           model: db.Prisoner,
           as: 'prisoner',
-          attributes: ['prison_id']
+          attributes: ['prisoner_id', 'prison_id']
         }
       ]
     });
@@ -373,21 +682,21 @@ const updateWorkRecord = async (workRecordId, updateData, userPrisonId, userRole
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, workRecord.prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this work record');
-    }
+    accessPolicy.authorize(actor, 'workRecord:access', workRecord);
 
     // Cannot update already paid records
     if (workRecord.payment_status === PAYMENT_STATUS.PAID) {
       throw new Error('Cannot update work record with paid status');
     }
 
+    if (workRecord.payroll_run_id) {
+      throw new Error('Cannot update work record held in a payroll run');
+    }
+
     // Update work record (excluding payment status and payment date)
     const allowedUpdates = {
       task_description: updateData.task_description,
-      work_date: updateData.work_date,
-      hours_worked: updateData.hours_worked,
-      payment_amount: updateData.payment_amount
+      work_date: updateData.work_date
     };
 
     // Remove undefined values
@@ -395,12 +704,65 @@ const updateWorkRecord = async (workRecordId, updateData, userPrisonId, userRole
       allowedUpdates[key] === undefined && delete allowedUpdates[key]
     );
 
+    // Changed date, hours or clock times are checked against the hour
+    // limits and priced again; an earlier override is dropped unless a new
+    // amount is given
+    const timingKeys = ['work_date', 'hours_worked', 'start_time', 'end_time', 'break_minutes'];
+    const retimed = timingKeys.some(key => updateData[key] !== undefined);
+    const repriced = retimed || updateData.payment_amount !== undefined;
+    let pricing = null;
+
+    if (repriced) {
+      const workDate = updateData.work_date || workRecord.work_date;
+      const pick = (key) => updateData[key] !== undefined ? updateData[key] : workRecord[key];
+      const startTime = pick('start_time');
+
+      // Clock times decide the hours unless they are cleared
+      const timing = resolveHours({
+        start_time: startTime,
+        end_time: pick('end_time'),
+        break_minutes: pick('break_minutes'),
+        hours_worked: updateData.hours_worked !== undefined || startTime
+          ? updateData.hours_worked
+          : workRecord.hours_worked
+      });
+
+      if (retimed) {
+        await checkWorkHours(workRecord.prisoner, workDate, timing, workRecord.work_record_id, transaction);
+      }
+
+      pricing = await priceWork(
+        workRecord.prisoner_id,
+        workDate,
+        timing.hours,
+        { amount: updateData.payment_amount, reason: updateData.override_reason },
+        actor,
+        transaction
+      );
+
+      Object.assign(allowedUpdates, {
+        start_time: timing.startTime,
+        end_time: timing.endTime,
+        break_minutes: timing.breakMinutes,
+        hours_worked: timing.hours,
+        assignment_id: pricing.assignment.assignment_id,
+        hourly_rate: pricing.hourlyRate,
+        payment_amount: pricing.paymentAmount,
+        payment_overridden: pricing.overridden,
+        override_reason: pricing.overridden ? updateData.override_reason : null
+      });
+    }
+
     await workRecord.update(allowedUpdates, { transaction });
 
+    if (pricing && pricing.overridden) {
+      await recordOverride(workRecord, pricing, updateData.override_reason, workRecord.prisoner.prison_id, actor, transaction);
+    }
+
     await transaction.commit();
 
     // Return updated work record
-    return await getWorkRecordById(workRecordId, userPrisonId, userRole);
+    return await getWorkRecordById(workRecordId, actor);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -410,7 +772,7 @@ const updateWorkRecord = async (workRecordId, updateData, userPrisonId, userRole
 /**
  * Delete work record
  */
-const deleteWorkRecord = async (workRecordId, userPrisonId, userRole) => {
+const deleteWorkRecord = async (workRecordId, actor) => {
   try {
     const workRecord = await db.PrisonerWorkRecord.findByPk(workRecordId, {
       include: [
@@ -427,15 +789,17 @@ const deleteWorkRecord = async (workRecordId, userPrisonId, userRole) => {
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, workRecord.prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this work record');
-    }
+    accessPolicy.authorize(actor, 'workRecord:access', workRecord);
 
     // Cannot delete already paid records
     if (workRecord.payment_status === PAYMENT_STATUS.PAID) {
       throw new Error('Cannot delete work record with paid status');
     }
 
+    if (workRecord.payroll_run_id) {
+      throw new Error('Cannot delete work record held in a payroll run');
+    }
+
     await workRecord.destroy();
   } catch (error) {
     throw error;
@@ -445,10 +809,11 @@ const deleteWorkRecord = async (workRecordId, userPrisonId, userRole) => {
 /**
  * Approve payment for work record
  */
-const approvePayment = async (workRecordId, paymentDate, userPrisonId, userRole) => {
+const approvePayment = async (workRecordId, paymentDate, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
+    // Locked so a double-submitted approval waits and then sees it is paid
     const workRecord = await db.PrisonerWorkRecord.findByPk(workRecordId, {
       include: [
         {
@@ -456,7 +821,9 @@ const approvePayment = async (workRecordId, paymentDate, userPrisonId, userRole)
           as: 'prisoner',
           attributes: ['prison_id']
         }
-      ]
+      ],
+      transaction,
+      lock: transaction.LOCK.UPDATE
     });
 
     if (!workRecord) {
@@ -464,15 +831,21 @@ const approvePayment = async (workRecordId, paymentDate, userPrisonId, userRole)
     }
 
     // Check access
-    if (!checkPrisonAccess(userPrisonId, workRecord.prisoner.prison_id, userRole)) {
-      throw new Error('You do not have access to this work record');
-    }
+    accessPolicy.authorize(actor, 'workRecord:access', workRecord);
 
     // Check if already paid
     if (workRecord.payment_status === PAYMENT_STATUS.PAID) {
       throw new Error('Payment is already approved for this work record');
     }
 
+    // Records held in a payroll run are paid when the run is posted
+    if (workRecord.payroll_run_id) {
+      throw new Error('Work record is held in a payroll run');
+    }
+
+    // Credit the payment to the prisoner's account
+    await accountService.creditWorkPayment(workRecord, paymentDate, actor.userId, transaction);
+
     // Update payment status
     await workRecord.update({
       payment_status: PAYMENT_STATUS.PAID,
@@ -482,7 +855,7 @@ const approvePayment = async (workRecordId, paymentDate, userPrisonId, userRole)
     await transaction.commit();
 
     // Return updated work record
-    return await getWorkRecordById(workRecordId, userPrisonId, userRole);
+    return await getWorkRecordById(workRecordId, actor);
   } catch (error) {
     await transaction.rollback();
     throw error;
@@ -492,7 +865,7 @@ const approvePayment = async (workRecordId, paymentDate, userPrisonId, userRole)
 /**
  * Bulk approve payments
  */
-const bulkApprovePayments = async (workRecordIds, paymentDate, userPrisonId, userRole) => {
+const bulkApprovePayments = async (workRecordIds, paymentDate, actor) => {
   const transaction = await db.sequelize.transaction();
   
   try {
@@ -505,41 +878,44 @@ const bulkApprovePayments = async (workRecordIds, paymentDate, userPrisonId, use
 
     for (const workRecordId of workRecordIds) {
       try {
-        const workRecord = await db.PrisonerWorkRecord.findByPk(workRecordId, {
-          include: [
-            {
-              model: db.Prisoner,
-              as: 'prisoner',
-              attributes: ['prison_id', 'full_name']
-            }
-          ]
-        });
+        // Each record gets a savepoint, so a failure part way through a
+        // record rolls back its credit without undoing the others
+        await db.sequelize.transaction({ transaction }, async (savepoint) => {
+          const workRecord = await db.PrisonerWorkRecord.findByPk(workRecordId, {
+            include: [
+              {
+                model: db.Prisoner,
+                as: 'prisoner',
+                attributes: ['prison_id', 'full_name']
+              }
+            ],
+            transaction: savepoint,
+            lock: savepoint.LOCK.UPDATE
+          });
 
-        if (!workRecord) {
-          results.failed++;
-          results.errors.push({ workRecordId, error: 'Work record not found' });
-          continue;
-        }
+          if (!workRecord) {
+            throw new Error('Work record not found');
+          }
 
-        // Check access
-        if (!checkPrisonAccess(userPrisonId, workRecord.prisoner.prison_id, userRole)) {
-          results.failed++;
-          results.errors.push({ workRecordId, error: 'Access denied' });
-          continue;
-        }
+          if (!accessPolicy.can(actor, 'workRecord:access', workRecord)) {
+            throw new Error('Access denied');
+          }
 
-        // Skip if already paid
-        if (workRecord.payment_status === PAYMENT_STATUS.PAID) {
-          results.failed++;
-          results.errors.push({ workRecordId, error: 'Already paid' });
-          continue;
-        }
+          if (workRecord.payment_status === PAYMENT_STATUS.PAID) {
+            throw new Error('Already paid');
+          }
+
+          if (workRecord.payroll_run_id) {
+            throw new Error('Held in a payroll run');
+          }
 
-        // Approve payment
-        await workRecord.update({
-          payment_status: PAYMENT_STATUS.PAID,
-          payment_date: paymentDate || new Date()
-        }, { transaction });
+          // Approve payment and credit the prisoner's account
+          await accountService.creditWorkPayment(workRecord, paymentDate, actor.userId, savepoint);
+          await workRecord.update({
+            payment_status: PAYMENT_STATUS.PAID,
+            payment_date: paymentDate || new Date()
+          }, { transaction: savepoint });
+        });
 
         results.approved++;
       } catch (error) {
@@ -628,7 +1004,9 @@ const getPendingPayments = async (prisonId = null, page = 1, limit = 10) => {
         taskDescription: record.task_description,
         workDate: record.work_date,
         hoursWorked: parseFloat(record.hours_worked),
+        ...formatTiming(record),
         paymentAmount: parseFloat(record.payment_amount),
+        ...formatPay(record),
         paymentStatus: record.payment_status,
         recordedBy: record.recorder ? {
           userId: record.recorder.user_id,
@@ -786,6 +1164,7 @@ module.exports = {
   getWorkRecordsByPrisoner,
   getWorkRecordById,
   createWorkRecord,
+  submitTimesheet,
   updateWorkRecord,
   deleteWorkRecord,
   approvePayment,
@@ -0,0 +1,331 @@
+const { USER_ROLES, PERMISSIONS } = require('../config/constants');
+
+/**
+ * Central access policy: decides whether an actor may perform an action on
+ * a resource from the actor's role, permissions and prisons, and from the
+ * state of the resource itself.
+ *
+ * An actor is the authenticated user as set on req.user:
+ *   { userId, roleName, permissions, prisonId, assignments, delegations }
+ * assignments lists further prisons the user works in, each with the role
+ * held there ({ prisonId, roleName, startsAt, endsAt }), and delegations
+ * lists time-bounded access grants ({ prisonId, startsAt, endsAt }).
+ * Route guards use the user's own role; the role held at a prison decides
+ * role-restricted actions on that prison's resources, so a delegation alone
+ * never passes a roles clause. Rules that name no prisons only look at the
+ * user's own role, so an assignment role never grants a system-wide action.
+ */
+
+const ADMIN_ROLES = [USER_ROLES.SUPER_ADMIN, USER_ROLES.PRISON_ADMIN];
+
+const isSuperAdmin = (actor) => !!actor && actor.roleName === USER_ROLES.SUPER_ADMIN;
+
+const isAdmin = (actor) => !!actor && ADMIN_ROLES.includes(actor.roleName);
+
+const hasPermission = (actor, permission) => {
+  return !!actor && Array.isArray(actor.permissions) && actor.permissions.includes(permission);
+};
+
+/**
+ * Whether an assignment or delegation is in force at the given time
+ */
+const isWithinPeriod = (grant, at = new Date()) => {
+  if (grant.startsAt && new Date(grant.startsAt) > at) {
+    return false;
+  }
+  return !grant.endsAt || new Date(grant.endsAt) > at;
+};
+
+const activeAssignments = (actor, at = new Date()) => {
+  return ((actor && actor.assignments) || []).filter(assignment => isWithinPeriod(assignment, at));
+};
+
+/**
+ * Role the actor holds at a prison: the own role at the user's own prison,
+ * the assignment role (or the own role when it names none) at an assigned
+ * prison, and no role at a prison reached only through a delegation, which
+ * grants access but not role-restricted actions
+ */
+const roleAt = (actor, prisonId, at = new Date()) => {
+  if (actor.prisonId && parseInt(actor.prisonId) === parseInt(prisonId)) {
+    return actor.roleName;
+  }
+  const assignment = activeAssignments(actor, at)
+    .find(a => parseInt(a.prisonId) === parseInt(prisonId));
+  if (!assignment) {
+    return null;
+  }
+  return assignment.roleName || actor.roleName;
+};
+
+/**
+ * Prisons the actor may work in, or null when access is unrestricted
+ */
+const getAccessiblePrisonIds = (actor, at = new Date()) => {
+  if (isSuperAdmin(actor)) {
+    return null;
+  }
+
+  const ids = new Set();
+
+  if (actor && actor.prisonId) {
+    ids.add(parseInt(actor.prisonId));
+  }
+
+  activeAssignments(actor, at).forEach(assignment => ids.add(parseInt(assignment.prisonId)));
+
+  ((actor && actor.delegations) || [])
+    .filter(delegation => isWithinPeriod(delegation, at))
+    .forEach(delegation => ids.add(parseInt(delegation.prisonId)));
+
+  return [...ids];
+};
+
+const canAccessPrison = (actor, prisonId, at = new Date()) => {
+  const ids = getAccessiblePrisonIds(actor, at);
+  return ids === null || ids.includes(parseInt(prisonId));
+};
+
+/**
+ * Prison of a record that belongs to a prisoner (visit, work record, ...)
+ */
+const prisonerPrisonId = (record) => {
+  const prisoner = record.prisoner;
+  if (!prisoner) {
+    return null;
+  }
+  if (prisoner.prison_id !== undefined) {
+    return prisoner.prison_id;
+  }
+  return prisoner.prison ? prisoner.prison.prison_id : null;
+};
+
+const ownPrison = (resource) => [resource.prison_id];
+const prisonerRecordPrison = (resource) => [prisonerPrisonId(resource)];
+const transferSource = (transfer) => [transfer.source_prison_id];
+const transferDestination = (transfer) => [transfer.destination_prison_id];
+
+/**
+ * Staff below Prison Admin may not act on administrators
+ */
+const notAdministrator = (actor, user) => {
+  if (!isSuperAdmin(actor) && user.role && ADMIN_ROLES.includes(user.role.role_name)) {
+    return 'You do not have permission to manage this user';
+  }
+  return null;
+};
+
+/**
+ * Rules per action. Every clause must pass:
+ *   roles       - actor's own role must be one of these (with prisons: the
+ *                 role held at one of the resource's prisons)
+ *   permissions - actor must hold at least one of these permissions
+ *   prisons     - resource => prison ids; actor must have access to at least one
+ *   check       - (actor, resource) => denial reason or null, for resource state
+ * message is the denial reason when the prison clause fails, roleMessage and
+ * permissionMessage when the role or permission clause does, and
+ * excludeDelegations stops delegated access from counting for the rule.
+ */
+const RULES = {
+  'prison:view': { prisons: ownPrison, message: 'You do not have access to this prison' },
+  'prison:manage': { roles: [USER_ROLES.SUPER_ADMIN], roleMessage: 'Only Super Admin can manage prisons' },
+  'prison:overrideCapacity': { roles: [USER_ROLES.SUPER_ADMIN], roleMessage: 'Only Super Admin can override prison capacity' },
+  'prison:delegate': {
+    roles: ADMIN_ROLES,
+    prisons: ownPrison,
+    excludeDelegations: true,
+    message: 'You can only delegate access to your assigned prisons'
+  },
+  'prison:manageVisiting': {
+    roles: ADMIN_ROLES,
+    roleMessage: 'Only Prison Admin or Super Admin can manage visiting arrangements',
+    prisons: ownPrison,
+    message: 'You do not have access to this prison'
+  },
+  'prison:manageWork': {
+    roles: ADMIN_ROLES,
+    roleMessage: 'Only Prison Admin or Super Admin can manage the job catalogue',
+    prisons: ownPrison,
+    message: 'You do not have access to this prison'
+  },
+  'prison:manageHousing': {
+    permissions: [PERMISSIONS.MANAGE_HOUSING],
+    permissionMessage: 'You do not have permission to manage housing',
+    prisons: ownPrison,
+    message: 'You do not have access to this prison'
+  },
+  'prison:assignStaff': {
+    roles: ADMIN_ROLES,
+    prisons: ownPrison,
+    excludeDelegations: true,
+    message: 'You can only assign staff to your assigned prisons'
+  },
+
+  'prisoner:access': { prisons: ownPrison, message: 'You do not have access to this prisoner' },
+  'prisoner:delete': {
+    roles: ADMIN_ROLES,
+    roleMessage: 'Only Prison Admin or Super Admin can delete prisoners',
+    prisons: ownPrison,
+    message: 'You do not have access to this prisoner'
+  },
+  'prisoner:release': {
+    roles: ADMIN_ROLES,
+    roleMessage: 'Only Prison Admin or Super Admin can release prisoners',
+    prisons: ownPrison,
+    message: 'You do not have access to this prisoner'
+  },
+
+  'visitorBan:prison': { prisons: ownPrison, message: 'You can only ban visitors from your assigned prisons' },
+  'visitorBan:system': { roles: [USER_ROLES.SUPER_ADMIN], roleMessage: 'Only Super Admin can manage system-wide visitor bans' },
+  'visitor:viewDocuments': {
+    prisons: (visitor) => visitor.prisonIds,
+    message: 'You do not have access to this visitor\'s documents'
+  },
+
+  'visit:access': { prisons: prisonerRecordPrison, message: 'You do not have access to this visit' },
+  'visit:viewPrivileged': { permissions: [PERMISSIONS.VIEW_LEGAL_PRIVILEGE] },
+  'behaviour:access': { prisons: prisonerRecordPrison, message: 'You do not have access to this behaviour record' },
+  'workRecord:access': { prisons: prisonerRecordPrison, message: 'You do not have access to this work record' },
+  'workRecord:overridePayment': {
+    permissions: [PERMISSIONS.APPROVE_PAYMENT],
+    permissionMessage: 'Only users who approve payments can override the computed payment amount'
+  },
+  'payrollRun:access': { prisons: ownPrison, message: 'You do not have access to this payroll run' },
+  'payrollRun:reverse': {
+    roles: ADMIN_ROLES,
+    roleMessage: 'Only Prison Admin or Super Admin can reverse payroll runs',
+    prisons: ownPrison,
+    message: 'You do not have access to this payroll run'
+  },
+
+  'housingUnit:access': { prisons: ownPrison, message: 'You do not have access to this housing unit' },
+  'cell:access': { prisons: ownPrison, message: 'You do not have access to this cell' },
+
+  'transfer:view': {
+    prisons: (transfer) => [transfer.source_prison_id, transfer.destination_prison_id],
+    message: 'You do not have access to this transfer'
+  },
+  'transfer:approve': { prisons: transferDestination, message: 'You do not have access to approve this transfer' },
+  'transfer:reject': { prisons: transferDestination, message: 'You do not have access to reject this transfer' },
+  'transfer:receive': { prisons: transferDestination, message: 'You do not have access to receive this transfer' },
+  'transfer:cancel': { prisons: transferSource, message: 'You do not have access to cancel this transfer' },
+  'transfer:dispatch': { prisons: transferSource, message: 'You do not have access to dispatch this transfer' },
+
+  'auditLog:view': { prisons: ownPrison, message: 'You do not have access to this audit log entry' },
+
+  'user:manage': {
+    roles: ADMIN_ROLES,
+    prisons: ownPrison,
+    excludeDelegations: true,
+    message: 'You can only manage users in your assigned prison',
+    check: notAdministrator
+  },
+  'role:assign': {
+    check: (actor, role) => !isSuperAdmin(actor) && ADMIN_ROLES.includes(role.role_name)
+      ? 'You do not have permission to assign this role'
+      : null
+  }
+};
+
+/**
+ * Reason the action is denied, or null when it is allowed
+ */
+const evaluate = (actor, action, resource = {}) => {
+  const rule = RULES[action];
+
+  if (!rule) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+
+  if (!actor) {
+    return 'Authentication required';
+  }
+
+  const roleMessage = rule.roleMessage || 'You do not have permission to perform this action';
+
+  // Assignment roles only count towards the prisons they were given for
+  const heldRoles = rule.prisons
+    ? [actor.roleName, ...activeAssignments(actor).map(a => a.roleName)]
+    : [actor.roleName];
+
+  if (rule.roles && !heldRoles.some(role => rule.roles.includes(role))) {
+    return roleMessage;
+  }
+
+  if (rule.permissions && !rule.permissions.some(permission => hasPermission(actor, permission))) {
+    return rule.permissionMessage || 'You do not have permission to perform this action';
+  }
+
+  if (rule.prisons && getAccessiblePrisonIds(actor) !== null) {
+    const subject = rule.excludeDelegations ? { ...actor, delegations: [] } : actor;
+    const reachable = rule.prisons(resource)
+      .filter(id => id !== null && id !== undefined)
+      .filter(id => canAccessPrison(subject, id));
+
+    if (reachable.length === 0) {
+      return rule.message;
+    }
+
+    if (rule.roles && !reachable.some(id => rule.roles.includes(roleAt(actor, id)))) {
+      return roleMessage;
+    }
+  }
+
+  if (rule.check) {
+    return rule.check(actor, resource);
+  }
+
+  return null;
+};
+
+const can = (actor, action, resource) => evaluate(actor, action, resource) === null;
+
+/**
+ * Throw the denial reason unless the action is allowed
+ */
+const authorize = (actor, action, resource) => {
+  const reason = evaluate(actor, action, resource);
+  if (reason) {
+    throw new Error(reason);
+  }
+};
+
+/**
+ * Where-clause value restricting a prison_id column to what the actor can
+ * see, or undefined when unrestricted
+ */
+const prisonScope = (actor) => {
+  const ids = getAccessiblePrisonIds(actor);
+  if (ids === null) {
+    return undefined;
+  }
+  return ids.length === 1 ? ids[0] : ids;
+};
+
+/**
+ * Prison filter for list and statistics endpoints: the requested prison if
+ * the actor can see it, otherwise every prison the actor can see.
+ * Null means no restriction.
+ */
+const prisonFilter = (actor, requestedPrisonId = null) => {
+  if (requestedPrisonId && canAccessPrison(actor, requestedPrisonId)) {
+    return parseInt(requestedPrisonId);
+  }
+  const scope = prisonScope(actor);
+  return scope === undefined ? null : scope;
+};
+
+module.exports = {
+  ADMIN_ROLES,
+  isSuperAdmin,
+  isAdmin,
+  hasPermission,
+  isWithinPeriod,
+  roleAt,
+  getAccessiblePrisonIds,
+  canAccessPrison,
+  can,
+  authorize,
+  prisonScope,
+  prisonFilter
+};
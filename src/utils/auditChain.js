@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { Transaction } = require('sequelize');
+
+// previous_hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// The chain has a single head row
+const CHAIN_HEAD_ID = 1;
+
+// Columns covered by the entry hash, in a fixed order
+const HASHED_FIELDS = [
+  'user_id',
+  'action_type',
+  'operation',
+  'table_name',
+  'record_id',
+  'prison_id',
+  'old_values',
+  'new_values',
+  'ip_address',
+  'correlation_id',
+  'timestamp',
+  'previous_hash'
+];
+
+/**
+ * Serialise a value with object keys sorted, so JSON columns hash the same
+ * after the database has reordered them
+ */
+const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * SHA-256 of an audit entry's contents and the previous entry's hash
+ */
+const computeEntryHash = (entry) => {
+  const payload = HASHED_FIELDS.map(field => {
+    let value = entry[field];
+
+    // Store and reload JSON the way the database will hand it back
+    if ((field === 'old_values' || field === 'new_values') && value !== null && value !== undefined) {
+      value = JSON.parse(JSON.stringify(value));
+    }
+
+    return `${field}=${canonicalize(value)}`;
+  }).join('|');
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+/**
+ * Chain committed entries that have not been sealed yet, oldest first. Audit
+ * records are written unchained inside the business transaction, so no
+ * audited write waits on another; sealing runs afterwards in its own short
+ * transaction holding the chain head lock, so only one writer extends the
+ * chain at a time. Returns the number of entries sealed.
+ */
+const sealPendingEntries = async (db, options = {}) => {
+  const { batchSize = 500 } = options;
+  let sealed = 0;
+
+  for (;;) {
+    // Read committed so each pass sees entries committed while it waited for the head
+    const count = await db.sequelize.transaction({
+      isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED
+    }, async (t) => {
+      await db.AuditChainHead.findOrCreate({
+        where: { head_id: CHAIN_HEAD_ID },
+        defaults: { last_position: 0, last_hash: GENESIS_HASH },
+        transaction: t
+      });
+
+      const head = await db.AuditChainHead.findByPk(CHAIN_HEAD_ID, {
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+
+      const rows = await db.AuditLog.findAll({
+        where: { chain_position: null },
+        order: [['log_id', 'ASC']],
+        limit: batchSize,
+        transaction: t
+      });
+
+      let position = head.last_position;
+      let previousHash = head.last_hash;
+
+      for (const row of rows) {
+        const entry = { ...row.get({ plain: true }), previous_hash: previousHash };
+        const entryHash = computeEntryHash(entry);
+        position++;
+
+        // Hooks would reject the update, since entries are otherwise immutable
+        await db.AuditLog.update({
+          chain_position: position,
+          previous_hash: previousHash,
+          entry_hash: entryHash
+        }, {
+          where: { log_id: entry.log_id },
+          hooks: false,
+          transaction: t
+        });
+
+        previousHash = entryHash;
+      }
+
+      if (rows.length > 0) {
+        await head.update({ last_position: position, last_hash: previousHash }, { transaction: t });
+      }
+
+      return rows.length;
+    });
+
+    sealed += count;
+
+    if (count < batchSize) {
+      return sealed;
+    }
+  }
+};
+
+/**
+ * Walk the sealed audit log in chain order up to the chain head and report
+ * the first broken link. Entries not sealed yet are counted as pending. The
+ * last entry must match the head, so entries removed from the end are caught.
+ */
+const verifyChain = async (db, options = {}) => {
+  const { batchSize = 500 } = options;
+  const { Op } = db.Sequelize;
+
+  let lastPosition = 0;
+  let previousHash = GENESIS_HASH;
+  let checked = 0;
+
+  // Read the head first and stop there, so entries sealed meanwhile are left out
+  const head = await db.AuditChainHead.findByPk(CHAIN_HEAD_ID);
+  const headPosition = head ? head.last_position : 0;
+  const headHash = head ? head.last_hash : GENESIS_HASH;
+  const pending = await db.AuditLog.count({ where: { chain_position: null } });
+
+  for (;;) {
+    const rows = await db.AuditLog.findAll({
+      where: { chain_position: { [Op.gt]: lastPosition, [Op.lte]: headPosition } },
+      order: [['chain_position', 'ASC']],
+      limit: batchSize
+    });
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      const entry = row.get({ plain: true });
+      const breakResult = (reason) => ({
+        valid: false,
+        checked,
+        pending,
+        brokenAt: {
+          logId: entry.log_id,
+          reason,
+          expectedPreviousHash: previousHash,
+          storedPreviousHash: entry.previous_hash,
+          storedHash: entry.entry_hash
+        }
+      });
+
+      if (entry.chain_position !== lastPosition + 1) {
+        return breakResult('Chain position does not follow the preceding entry (entry removed)');
+      }
+
+      if (entry.previous_hash !== previousHash) {
+        return breakResult('Previous hash does not match the preceding entry (entry removed or reordered)');
+      }
+
+      if (computeEntryHash(entry) !== entry.entry_hash) {
+        return breakResult('Entry contents do not match its hash (entry modified)');
+      }
+
+      lastPosition = entry.chain_position;
+      previousHash = entry.entry_hash;
+      checked++;
+    }
+  }
+
+  if (headPosition !== lastPosition || headHash !== previousHash) {
+    return {
+      valid: false,
+      checked,
+      pending,
+      brokenAt: {
+        logId: null,
+        reason: 'Chain head does not match the last entry (entries removed from the end)',
+        expectedPreviousHash: headHash,
+        storedPreviousHash: previousHash,
+        storedHash: null
+      }
+    };
+  }
+
+  return {
+    valid: true,
+    checked,
+    pending,
+    lastHash: checked > 0 ? previousHash : null,
+    brokenAt: null
+  };
+};
+
+module.exports = {
+  GENESIS_HASH,
+  computeEntryHash,
+  sealPendingEntries,
+  verifyChain
+};
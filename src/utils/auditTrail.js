@@ -0,0 +1,278 @@
+const { getContext } = require('./requestContext');
+const { sealPendingEntries } = require('./auditChain');
+const { VISIT_TYPE } = require('../config/constants');
+
+// Models whose changes are written to the audit trail
+const AUDITED_MODELS = [
+  'Prison',
+  'Prisoner',
+  'User',
+  'Role',
+  'RolePermission',
+  'Visit',
+  'Visitor',
+  'PrisonerBehaviourRecord',
+  'PrisonerWorkRecord',
+  'PrisonerFamilyDetail',
+  'PrisonerPhoto',
+  'PrisonerBodyMark',
+  'PrisonerSentence',
+  'SentenceAdjustment',
+  'PrisonerTransfer',
+  'HousingUnit',
+  'Cell',
+  'CellPlacement',
+  'AccessDelegation',
+  'UserPrisonAssignment',
+  'ApprovedVisitor',
+  'VisitorBan',
+  'PrisonerVisitRestriction',
+  'VisitRule',
+  'VisitingRoom',
+  'VisitSlot',
+  'VisitBlackout',
+  'VisitItem',
+  'VisitSeries',
+  'VisitorCredential',
+  'VisitorDocument',
+  'WorkJob',
+  'WorkPayRate',
+  'WorkAssignment',
+  'PrisonerAccountEntry',
+  'PayrollRun',
+  'PayrollRunItem'
+];
+
+// Never copied into audit records
+const REDACTED_FIELDS = ['password_hash', 'totp_secret', 'totp_recovery_codes'];
+
+// Fields kept out of the audit trail for particular models, worked out from
+// the row's values. Visitor contact details outlive the retention policy that
+// removes them from the row, and the purpose and notes of professional visits
+// are privileged.
+const MODEL_REDACTED_FIELDS = {
+  Visitor: () => ['mobile_number', 'address'],
+  Visit: (values) => (values.visit_type === VISIT_TYPE.SOCIAL ? [] : ['purpose', 'notes'])
+};
+
+const redactedFields = (model, ...rows) => {
+  const modelFields = MODEL_REDACTED_FIELDS[model.name];
+  return rows.reduce(
+    (fields, values) => (modelFields ? [...fields, ...modelFields(values)] : fields),
+    REDACTED_FIELDS
+  );
+};
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+/**
+ * Plain copy of the model's own columns
+ */
+const snapshot = (model, values) => {
+  const result = {};
+  const redacted = redactedFields(model, values);
+  Object.keys(model.rawAttributes).forEach(attr => {
+    if (IGNORED_FIELDS.includes(attr) || values[attr] === undefined) {
+      return;
+    }
+    result[attr] = redacted.includes(attr) ? '[REDACTED]' : values[attr];
+  });
+  return result;
+};
+
+/**
+ * Old and new values of the columns changed by an update
+ */
+const diff = (model, instance) => {
+  const oldValues = {};
+  const newValues = {};
+  // Redacted when either version of the row calls for it
+  const redactedAttrs = redactedFields(model, instance._previousDataValues, instance.dataValues);
+
+  Object.keys(model.rawAttributes).forEach(attr => {
+    if (IGNORED_FIELDS.includes(attr)) {
+      return;
+    }
+
+    const previous = instance._previousDataValues[attr];
+    const current = instance.dataValues[attr];
+
+    if (JSON.stringify(previous) !== JSON.stringify(current)) {
+      const redacted = redactedAttrs.includes(attr);
+      oldValues[attr] = redacted ? '[REDACTED]' : previous;
+      newValues[attr] = redacted ? '[REDACTED]' : current;
+    }
+  });
+
+  return { oldValues, newValues };
+};
+
+/**
+ * Work out which prison a record belongs to so admins can be scoped
+ */
+const resolvePrisonId = async (db, model, values, transaction) => {
+  if (values.prison_id) {
+    return values.prison_id;
+  }
+  if (values.source_prison_id) {
+    return values.source_prison_id;
+  }
+  if (values.prisoner_id) {
+    const prisoner = await db.Prisoner.findByPk(values.prisoner_id, {
+      attributes: ['prison_id'],
+      transaction,
+      hooks: false
+    });
+    return prisoner ? prisoner.prison_id : null;
+  }
+  if (values.visit_id) {
+    const visit = await db.Visit.findByPk(values.visit_id, {
+      attributes: ['prisoner_id'],
+      transaction,
+      hooks: false
+    });
+    return visit ? resolvePrisonId(db, model, { prisoner_id: visit.prisoner_id }, transaction) : null;
+  }
+  return null;
+};
+
+// One sealing pass at a time in this process; a request for another while
+// one runs is folded into a single follow-up pass
+let sealing = null;
+let sealAgain = false;
+
+/**
+ * Chain committed audit records in the background. Entries missed here, e.g.
+ * when the process stops first, are picked up by the next pass.
+ */
+const scheduleSeal = (db) => {
+  if (sealing) {
+    sealAgain = true;
+    return;
+  }
+
+  sealing = sealPendingEntries(db)
+    .catch(error => console.error('Failed to chain audit log entries:', error.message))
+    .finally(() => {
+      sealing = null;
+      if (sealAgain) {
+        sealAgain = false;
+        scheduleSeal(db);
+      }
+    });
+};
+
+/**
+ * Outermost transaction, since savepoints run their commit hooks on release
+ */
+const rootTransaction = (transaction) => {
+  let root = transaction;
+  while (root.parent) {
+    root = root.parent;
+  }
+  return root;
+};
+
+/**
+ * Write one audit record, joining the caller's transaction so the record
+ * only exists if the change itself is committed. The record is chained once
+ * that transaction commits.
+ */
+const writeAuditRecord = async (db, entry, transaction = null) => {
+  const context = getContext() || {};
+
+  // Lets the route middleware know the request already left a trail
+  context.auditedChanges = (context.auditedChanges || 0) + 1;
+
+  const values = {
+    user_id: entry.userId !== undefined ? entry.userId : context.userId || null,
+    action_type: entry.actionType || context.action || entry.operation,
+    operation: entry.operation,
+    table_name: entry.tableName,
+    record_id: entry.recordId,
+    prison_id: entry.prisonId,
+    old_values: entry.oldValues || null,
+    new_values: entry.newValues || null,
+    ip_address: context.ipAddress || null,
+    correlation_id: context.correlationId || null
+  };
+
+  if (!transaction) {
+    const record = await db.AuditLog.create(values);
+    scheduleSeal(db);
+    return record;
+  }
+
+  const record = await db.AuditLog.create(values, { transaction });
+  rootTransaction(transaction).afterCommit(() => scheduleSeal(db));
+  return record;
+};
+
+/**
+ * Attach create/update/destroy hooks to the audited models
+ */
+const registerAuditHooks = (db) => {
+  AUDITED_MODELS.forEach(modelName => {
+    const model = db[modelName];
+    if (!model) {
+      return;
+    }
+
+    const tableName = model.getTableName();
+    const recordIdOf = (instance) => instance.get(model.primaryKeyAttribute);
+
+    // Run per-row hooks for Model.update/Model.destroy so each row is recorded
+    model.addHook('beforeBulkUpdate', 'auditTrail', (options) => {
+      options.individualHooks = true;
+    });
+
+    model.addHook('beforeBulkDestroy', 'auditTrail', (options) => {
+      options.individualHooks = true;
+    });
+
+    model.addHook('afterCreate', 'auditTrail', async (instance, options) => {
+      const values = instance.get({ plain: true });
+      await writeAuditRecord(db, {
+        operation: 'CREATE',
+        tableName,
+        recordId: recordIdOf(instance),
+        prisonId: await resolvePrisonId(db, model, values, options.transaction),
+        newValues: snapshot(model, values)
+      }, options.transaction);
+    });
+
+    model.addHook('afterUpdate', 'auditTrail', async (instance, options) => {
+      const { oldValues, newValues } = diff(model, instance);
+      if (Object.keys(newValues).length === 0) {
+        return;
+      }
+
+      await writeAuditRecord(db, {
+        operation: 'UPDATE',
+        tableName,
+        recordId: recordIdOf(instance),
+        prisonId: await resolvePrisonId(db, model, instance.get({ plain: true }), options.transaction),
+        oldValues,
+        newValues
+      }, options.transaction);
+    });
+
+    model.addHook('afterDestroy', 'auditTrail', async (instance, options) => {
+      const values = instance.get({ plain: true });
+      await writeAuditRecord(db, {
+        operation: 'DELETE',
+        tableName,
+        recordId: recordIdOf(instance),
+        prisonId: await resolvePrisonId(db, model, values, options.transaction),
+        oldValues: snapshot(model, values)
+      }, options.transaction);
+    });
+  });
+};
+
+module.exports = {
+  AUDITED_MODELS,
+  registerAuditHooks,
+  writeAuditRecord
+};
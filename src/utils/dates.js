@@ -0,0 +1,53 @@
+/**
+ * Helpers for DATEONLY values, handled as YYYY-MM-DD strings in UTC
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Add days to a DATEONLY value and return a YYYY-MM-DD string
+ */
+const addDays = (date, days) => {
+  const value = typeof date === 'string' ? date : new Date(date).toISOString().slice(0, 10);
+  const result = new Date(`${value}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+};
+
+/**
+ * Number of whole days between two DATEONLY values
+ */
+const daysBetween = (fromDate, toDate) => {
+  const from = new Date(`${addDays(fromDate, 0)}T00:00:00Z`);
+  const to = new Date(`${addDays(toDate, 0)}T00:00:00Z`);
+  return Math.round((to - from) / MS_PER_DAY);
+};
+
+const today = () => addDays(new Date(), 0);
+
+/**
+ * Monday to Sunday week containing a date
+ */
+const weekOf = (date) => {
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const startDate = addDays(date, -((dayOfWeek + 6) % 7));
+  return { startDate, endDate: addDays(startDate, 6) };
+};
+
+/**
+ * Calendar month containing a date
+ */
+const monthOf = (date) => {
+  const startDate = `${date.slice(0, 7)}-01`;
+  const nextMonth = new Date(`${startDate}T00:00:00Z`);
+  nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+  return { startDate, endDate: addDays(nextMonth, -1) };
+};
+
+module.exports = {
+  addDays,
+  daysBetween,
+  today,
+  weekOf,
+  monthOf
+};
@@ -0,0 +1,44 @@
+const { PASSWORD_POLICY } = require('../config/constants');
+
+/**
+ * Check a password against the configured policy.
+ * Returns a list of unmet requirements (empty when the password is acceptable).
+ */
+const getPasswordPolicyErrors = (password) => {
+  const errors = [];
+  const value = typeof password === 'string' ? password : '';
+
+  if (value.length < PASSWORD_POLICY.MIN_LENGTH) {
+    errors.push(`Password must be at least ${PASSWORD_POLICY.MIN_LENGTH} characters long`);
+  }
+  if (PASSWORD_POLICY.REQUIRE_UPPERCASE && !/[A-Z]/.test(value)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (PASSWORD_POLICY.REQUIRE_LOWERCASE && !/[a-z]/.test(value)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+  if (PASSWORD_POLICY.REQUIRE_NUMBER && !/\d/.test(value)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (PASSWORD_POLICY.REQUIRE_SPECIAL && !/[^A-Za-z\d]/.test(value)) {
+    errors.push('Password must contain at least one special character');
+  }
+
+  return errors;
+};
+
+/**
+ * express-validator custom rule enforcing the password policy
+ */
+const passwordPolicyValidator = (value) => {
+  const errors = getPasswordPolicyErrors(value);
+  if (errors.length > 0) {
+    throw new Error(errors.join('. '));
+  }
+  return true;
+};
+
+module.exports = {
+  getPasswordPolicyErrors,
+  passwordPolicyValidator
+};
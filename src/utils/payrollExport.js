@@ -0,0 +1,103 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Payroll run summary exports. Both take the formatted run from
+ * payrollService.getPayrollRunById.
+ */
+
+const COLUMNS = ['Prisoner ID', 'Case Number', 'Full Name', 'Records', 'Hours', 'Amount'];
+
+const money = (value) => Number(value).toFixed(2);
+
+const headerLines = (run) => [
+  ['Run Number', run.runNumber || 'Not posted'],
+  ['Prison', run.prison.prisonName || run.prison.prisonId],
+  ['Period', `${run.periodStart} to ${run.periodEnd}`],
+  ['Status', run.status],
+  ['Payment Date', run.paymentDate || '']
+];
+
+const prisonerRow = (prisoner) => [
+  prisoner.prisonerId,
+  prisoner.caseNumber || '',
+  prisoner.fullName || '',
+  prisoner.records,
+  money(prisoner.hours),
+  money(prisoner.amount)
+];
+
+const totalRow = (run) => ['', '', 'Total', run.recordCount, money(run.totalHours), money(run.totalAmount)];
+
+/**
+ * Quote a CSV field when it holds a separator, quote or line break
+ */
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (fields) => fields.map(csvField).join(',');
+
+/**
+ * Run summary as CSV: run details, then one row per prisoner and a total
+ */
+const toCsv = (run) => {
+  const lines = [
+    ...headerLines(run).map(csvLine),
+    '',
+    csvLine(COLUMNS),
+    ...run.prisoners.map(prisoner => csvLine(prisonerRow(prisoner))),
+    csvLine(totalRow(run))
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Run summary as a PDF document, resolved as a Buffer
+ */
+const toPdf = (run) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.fontSize(16).text('Payroll Run Summary');
+  doc.moveDown(0.5);
+  doc.fontSize(10);
+  headerLines(run).forEach(([label, value]) => doc.text(`${label}: ${value}`));
+  doc.moveDown();
+
+  // Prisoner ID, Case Number, Full Name, Records, Hours, Amount
+  const x = [50, 115, 210, 380, 430, 485];
+  const widths = [60, 90, 165, 45, 50, 60];
+
+  const row = (fields, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    fields.forEach((field, i) => {
+      doc.text(String(field), x[i], y, { width: widths[i], align: i >= 3 ? 'right' : 'left' });
+    });
+    doc.x = x[0];
+    doc.moveDown(0.3);
+  };
+
+  row(COLUMNS, true);
+  run.prisoners.forEach(prisoner => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+      doc.addPage();
+      row(COLUMNS, true);
+    }
+    row(prisonerRow(prisoner));
+  });
+  row(totalRow(run), true);
+
+  doc.end();
+});
+
+module.exports = {
+  toCsv,
+  toPdf
+};
@@ -0,0 +1,58 @@
+const db = require('../models');
+
+// Entries are also dropped on change; the TTL bounds staleness when several
+// API processes share one database
+const TTL_MS = (parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS) || 60) * 1000;
+
+const cache = new Map();
+
+/**
+ * Role name, two-factor requirement and permission names for a role
+ */
+const getRoleAccess = async (roleId) => {
+  const cached = cache.get(roleId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const role = await db.Role.findByPk(roleId, {
+    include: [
+      {
+        model: db.Permission,
+        as: 'permissions',
+        through: { attributes: [] }
+      }
+    ]
+  });
+
+  if (!role) {
+    cache.delete(roleId);
+    return null;
+  }
+
+  const value = {
+    roleId: role.role_id,
+    roleName: role.role_name,
+    requiresTwoFactor: role.requires_two_factor,
+    permissions: role.permissions.map(p => p.permission_name)
+  };
+
+  cache.set(roleId, { value, expiresAt: Date.now() + TTL_MS });
+  return value;
+};
+
+/**
+ * Drop one role, or every role when no id is given
+ */
+const invalidate = (roleId = null) => {
+  if (roleId === null) {
+    cache.clear();
+  } else {
+    cache.delete(parseInt(roleId));
+  }
+};
+
+module.exports = {
+  getRoleAccess,
+  invalidate
+};
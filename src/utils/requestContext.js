@@ -0,0 +1,52 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// A caller-supplied request id is only kept when it fits the audit log's
+// correlation_id column and carries nothing but plain id characters
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+/**
+ * Middleware that opens a context for the request.
+ * Anything running on behalf of the request (services, model hooks) can
+ * read the acting user and correlation id without it being passed around.
+ */
+const requestContextMiddleware = (req, res, next) => {
+  const requestId = req.get('X-Request-Id');
+  const correlationId = requestId && REQUEST_ID_PATTERN.test(requestId)
+    ? requestId
+    : crypto.randomUUID();
+
+  res.set('X-Request-Id', correlationId);
+
+  storage.run({
+    correlationId,
+    ipAddress: req.ip || (req.socket && req.socket.remoteAddress),
+    userId: null,
+    prisonId: null,
+    action: null,
+    auditedChanges: 0
+  }, () => next());
+};
+
+/**
+ * Get the current request context (undefined outside a request)
+ */
+const getContext = () => storage.getStore();
+
+/**
+ * Merge values into the current request context
+ */
+const setContext = (values) => {
+  const store = storage.getStore();
+  if (store) {
+    Object.assign(store, values);
+  }
+};
+
+module.exports = {
+  requestContextMiddleware,
+  getContext,
+  setContext
+};
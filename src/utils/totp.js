@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults, which authenticator apps assume
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode RFC 4648 base32, ignoring padding, spaces and case
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random 160-bit secret, base32 encoded
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step counter for a moment in time
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TIME_STEP_SECONDS);
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ */
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+                 (hmac[offset + 1] << 16) |
+                 (hmac[offset + 2] << 8) |
+                 hmac[offset + 3];
+
+  return String(binary % Math.pow(10, CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Current TOTP code for a secret
+ */
+const generateCode = (secret, time = Date.now()) => generateCodeForStep(secret, getTimeStep(time));
+
+/**
+ * Check a code against the current step and `window` steps either side to
+ * allow for clock drift. Returns the matching step, or null.
+ */
+const verifyCode = (secret, code, window = 1, time = Date.now()) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== CODE_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateCodeForStep(secret, currentStep + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps read from a QR code
+ */
+const buildOtpauthUrl = (issuer, accountName, secret) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl
+};
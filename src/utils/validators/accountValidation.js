@@ -0,0 +1,78 @@
+const { body, query } = require('express-validator');
+const { ACCOUNT_ENTRY_TYPE } = require('../../config/constants');
+
+const MANUAL_ENTRY_TYPES = [
+  ACCOUNT_ENTRY_TYPE.FAMILY_DEPOSIT,
+  ACCOUNT_ENTRY_TYPE.CANTEEN_PURCHASE,
+  ACCOUNT_ENTRY_TYPE.FINE,
+  ACCOUNT_ENTRY_TYPE.RESTITUTION
+];
+
+/**
+ * Validation rules for an account statement period
+ */
+const accountStatementValidation = [
+  query('start_date')
+    .optional()
+    .isDate()
+    .withMessage('Invalid start date format'),
+
+  query('end_date')
+    .optional()
+    .isDate()
+    .withMessage('Invalid end date format')
+    .custom((value, { req }) => {
+      if (req.query.start_date && value < req.query.start_date) {
+        throw new Error('End date cannot be before start date');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for posting a deposit or debit to a prisoner's account
+ */
+const accountEntryValidation = [
+  body('entry_type')
+    .notEmpty()
+    .withMessage('Entry type is required')
+    .isIn(MANUAL_ENTRY_TYPES)
+    .withMessage(`Entry type must be one of: ${MANUAL_ENTRY_TYPES.join(', ')}`),
+
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isFloat({ gt: 0, max: 1000000 })
+    .withMessage('Amount must be a positive number')
+    .toFloat(),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference must not exceed 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for reversing an account entry
+ */
+const reverseAccountEntryValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must not exceed 1000 characters')
+];
+
+module.exports = {
+  accountStatementValidation,
+  accountEntryValidation,
+  reverseAccountEntryValidation
+};
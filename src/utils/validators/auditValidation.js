@@ -0,0 +1,62 @@
+const { query } = require('express-validator');
+
+/**
+ * Validation rules for audit log queries
+ */
+const auditLogQueryValidation = [
+  query('table_name')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Table name must not exceed 50 characters'),
+
+  query('record_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Record ID must be a positive integer'),
+
+  query('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+
+  query('prison_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Prison ID must be a positive integer'),
+
+  query('operation')
+    .optional()
+    .isIn(['CREATE', 'UPDATE', 'DELETE', 'ACTION'])
+    .withMessage('Operation must be one of: CREATE, UPDATE, DELETE, ACTION'),
+
+  query('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value, { req }) => {
+      if (req.query.start_date && new Date(value) < new Date(req.query.start_date)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+module.exports = {
+  auditLogQueryValidation
+};
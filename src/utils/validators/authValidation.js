@@ -1,4 +1,5 @@
-const { body } = require('express-validator');
+const { body, query, param } = require('express-validator');
+const { passwordPolicyValidator } = require('../passwordPolicy');
 
 /**
  * Validation rules for login
@@ -32,10 +33,7 @@ const changePasswordValidation = [
     .withMessage('Current password is required'),
   
   body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&#])[A-Za-z\d@$!%*?&#]/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
+    .custom(passwordPolicyValidator),
   
   body('confirmPassword')
     .notEmpty()
@@ -44,8 +42,80 @@ const changePasswordValidation = [
     .withMessage('Passwords do not match')
 ];
 
+/**
+ * Validation rules for listing sessions
+ */
+const sessionQueryValidation = [
+  query('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer')
+];
+
+/**
+ * Validation rules for revoking a session
+ */
+const revokeSessionValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Session ID must be a positive integer')
+];
+
+/**
+ * Validation rules for the second login step
+ */
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code must not be empty'),
+
+  body()
+    .custom((value) => {
+      if (!value.code && !value.recoveryCode) {
+        throw new Error('A two-factor code or recovery code is required');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for actions confirmed with a TOTP code
+ */
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+];
+
+/**
+ * Validation rules for disabling two-factor authentication
+ */
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  ...twoFactorCodeValidation
+];
+
 module.exports = {
   loginValidation,
   refreshTokenValidation,
-  changePasswordValidation
+  changePasswordValidation,
+  sessionQueryValidation,
+  revokeSessionValidation,
+  twoFactorLoginValidation,
+  twoFactorCodeValidation,
+  disableTwoFactorValidation
 };
\ No newline at end of file
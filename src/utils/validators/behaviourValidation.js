@@ -78,6 +78,18 @@ const createBehaviourRecordValidation = [
       }
       return true;
     }),
+
+  body('visit_restriction_days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Visit restriction must be between 1 and 365 days')
+    .toInt()
+    .custom((value, { req }) => {
+      if (req.body.behaviour_type !== BEHAVIOUR_TYPE.NEGATIVE) {
+        throw new Error('Visit restrictions can only follow negative behaviour');
+      }
+      return true;
+    }),
   
   body('notes')
     .optional()
@@ -169,8 +181,21 @@ const approveSentenceAdjustmentValidation = [
     .withMessage('Approval notes must not exceed 1000 characters')
 ];
 
+/**
+ * Validation rules for reversing sentence adjustment
+ */
+const reverseSentenceAdjustmentValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reversal reason is required')
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reversal reason must be between 10 and 1000 characters')
+];
+
 module.exports = {
   createBehaviourRecordValidation,
   updateBehaviourRecordValidation,
-  approveSentenceAdjustmentValidation
+  approveSentenceAdjustmentValidation,
+  reverseSentenceAdjustmentValidation
 };
\ No newline at end of file
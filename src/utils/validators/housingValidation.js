@@ -0,0 +1,173 @@
+const { body } = require('express-validator');
+const { HOUSING_UNIT_TYPE, SECURITY_LEVEL, CELL_DESIGNATION } = require('../../config/constants');
+
+/**
+ * Validation rules for creating a block or wing
+ */
+const createHousingUnitValidation = [
+  body('prison_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Invalid prison ID')
+    .toInt(),
+
+  body('unit_type')
+    .notEmpty()
+    .withMessage('Unit type is required')
+    .isIn(Object.values(HOUSING_UNIT_TYPE))
+    .withMessage(`Unit type must be one of: ${Object.values(HOUSING_UNIT_TYPE).join(', ')}`),
+
+  body('parent_unit_id')
+    .if(body('unit_type').equals(HOUSING_UNIT_TYPE.WING))
+    .notEmpty()
+    .withMessage('Parent block is required for a wing')
+    .isInt({ min: 1 })
+    .withMessage('Invalid parent unit ID')
+    .toInt(),
+
+  body('unit_name')
+    .trim()
+    .notEmpty()
+    .withMessage('Unit name is required')
+    .isLength({ max: 100 })
+    .withMessage('Unit name must not exceed 100 characters'),
+
+  body('security_level')
+    .optional()
+    .isIn(Object.values(SECURITY_LEVEL))
+    .withMessage(`Security level must be one of: ${Object.values(SECURITY_LEVEL).join(', ')}`),
+
+  body('gender_designation')
+    .optional()
+    .isIn(Object.values(CELL_DESIGNATION))
+    .withMessage(`Gender designation must be one of: ${Object.values(CELL_DESIGNATION).join(', ')}`)
+];
+
+/**
+ * Validation rules for updating a block or wing
+ */
+const updateHousingUnitValidation = [
+  body('unit_name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Unit name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Unit name must not exceed 100 characters'),
+
+  body('security_level')
+    .optional()
+    .isIn(Object.values(SECURITY_LEVEL))
+    .withMessage(`Security level must be one of: ${Object.values(SECURITY_LEVEL).join(', ')}`),
+
+  body('gender_designation')
+    .optional()
+    .isIn(Object.values(CELL_DESIGNATION))
+    .withMessage(`Gender designation must be one of: ${Object.values(CELL_DESIGNATION).join(', ')}`),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating a cell
+ */
+const createCellValidation = [
+  body('unit_id')
+    .notEmpty()
+    .withMessage('Housing unit is required')
+    .isInt({ min: 1 })
+    .withMessage('Invalid housing unit ID')
+    .toInt(),
+
+  body('cell_number')
+    .trim()
+    .notEmpty()
+    .withMessage('Cell number is required')
+    .isLength({ max: 20 })
+    .withMessage('Cell number must not exceed 20 characters'),
+
+  body('capacity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Cell capacity must be between 1 and 100')
+    .toInt(),
+
+  body('security_level')
+    .optional()
+    .isIn(Object.values(SECURITY_LEVEL))
+    .withMessage(`Security level must be one of: ${Object.values(SECURITY_LEVEL).join(', ')}`),
+
+  body('gender_designation')
+    .optional()
+    .isIn(Object.values(CELL_DESIGNATION))
+    .withMessage(`Gender designation must be one of: ${Object.values(CELL_DESIGNATION).join(', ')}`)
+];
+
+/**
+ * Validation rules for updating a cell
+ */
+const updateCellValidation = [
+  body('capacity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Cell capacity must be between 1 and 100')
+    .toInt(),
+
+  body('security_level')
+    .optional()
+    .isIn(Object.values(SECURITY_LEVEL))
+    .withMessage(`Security level must be one of: ${Object.values(SECURITY_LEVEL).join(', ')}`),
+
+  body('gender_designation')
+    .optional()
+    .isIn(Object.values(CELL_DESIGNATION))
+    .withMessage(`Gender designation must be one of: ${Object.values(CELL_DESIGNATION).join(', ')}`),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for assigning a prisoner to a cell
+ */
+const assignCellValidation = [
+  body('cell_id')
+    .notEmpty()
+    .withMessage('Cell is required')
+    .isInt({ min: 1 })
+    .withMessage('Invalid cell ID')
+    .toInt(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
+/**
+ * Validation rules for vacating a cell
+ */
+const vacateCellValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+];
+
+module.exports = {
+  createHousingUnitValidation,
+  updateHousingUnitValidation,
+  createCellValidation,
+  updateCellValidation,
+  assignCellValidation,
+  vacateCellValidation
+};
@@ -0,0 +1,82 @@
+const { body, query } = require('express-validator');
+const { PAYROLL_RUN_STATUS } = require('../../config/constants');
+
+/**
+ * Validation rules for opening a payroll run
+ */
+const createPayrollRunValidation = [
+  body('prison_id')
+    .notEmpty()
+    .withMessage('Prison ID is required')
+    .isInt({ min: 1 })
+    .withMessage('Invalid prison ID')
+    .toInt(),
+
+  body('period_start')
+    .notEmpty()
+    .withMessage('Period start is required')
+    .isDate()
+    .withMessage('Invalid period start format'),
+
+  body('period_end')
+    .notEmpty()
+    .withMessage('Period end is required')
+    .isDate()
+    .withMessage('Invalid period end format')
+    .custom((value, { req }) => {
+      if (value < req.body.period_start) {
+        throw new Error('Period end cannot be before period start');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for posting a payroll run
+ */
+const postPayrollRunValidation = [
+  body('payment_date')
+    .optional()
+    .isDate()
+    .withMessage('Invalid payment date format')
+];
+
+/**
+ * Validation rules for cancelling or reversing a payroll run
+ */
+const closePayrollRunValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters')
+];
+
+/**
+ * Validation rules for downloading a payroll run summary
+ */
+const exportPayrollRunValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'pdf'])
+    .withMessage('Format must be one of: csv, pdf')
+];
+
+/**
+ * Validation rules for a prison's payroll run list
+ */
+const payrollRunListValidation = [
+  query('status')
+    .optional()
+    .isIn(Object.values(PAYROLL_RUN_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(PAYROLL_RUN_STATUS).join(', ')}`)
+];
+
+module.exports = {
+  createPayrollRunValidation,
+  postPayrollRunValidation,
+  closePayrollRunValidation,
+  exportPayrollRunValidation,
+  payrollRunListValidation
+};
@@ -1,4 +1,5 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+const { BEHAVIOUR_RATING, VISIT_BLACKOUT_TYPE, VISIT_SLOT_TYPE } = require('../../config/constants');
 
 /**
  * Validation rules for creating a prison
@@ -64,7 +65,31 @@ const createPrisonValidation = [
   body('is_active')
     .optional()
     .isBoolean()
-    .withMessage('is_active must be a boolean')
+    .withMessage('is_active must be a boolean'),
+
+  body('require_verified_visitors')
+    .optional()
+    .isBoolean()
+    .withMessage('require_verified_visitors must be a boolean')
+    .toBoolean(),
+
+  body('max_daily_work_hours')
+    .optional()
+    .isFloat({ gt: 0, max: 24 })
+    .withMessage('Daily work hour limit must be between 0 and 24')
+    .toFloat(),
+
+  body('max_weekly_work_hours')
+    .optional()
+    .isFloat({ gt: 0, max: 168 })
+    .withMessage('Weekly work hour limit must be between 0 and 168')
+    .toFloat()
+    .custom((value, { req }) => {
+      if (req.body.max_daily_work_hours !== undefined && value < req.body.max_daily_work_hours) {
+        throw new Error('Weekly work hour limit cannot be less than the daily limit');
+      }
+      return true;
+    })
 ];
 
 /**
@@ -127,13 +152,223 @@ const updatePrisonValidation = [
       return true;
     }),
   
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean'),
+
+  body('require_verified_visitors')
+    .optional()
+    .isBoolean()
+    .withMessage('require_verified_visitors must be a boolean')
+    .toBoolean(),
+
+  body('max_daily_work_hours')
+    .optional()
+    .isFloat({ gt: 0, max: 24 })
+    .withMessage('Daily work hour limit must be between 0 and 24')
+    .toFloat(),
+
+  body('max_weekly_work_hours')
+    .optional()
+    .isFloat({ gt: 0, max: 168 })
+    .withMessage('Weekly work hour limit must be between 0 and 168')
+    .toFloat()
+    .custom((value, { req }) => {
+      if (req.body.max_daily_work_hours !== undefined && value < req.body.max_daily_work_hours) {
+        throw new Error('Weekly work hour limit cannot be less than the daily limit');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for a visit quota and frequency rule
+ */
+const visitRuleValidation = [
+  body('behaviour_rating')
+    .optional({ nullable: true })
+    .isIn(Object.values(BEHAVIOUR_RATING))
+    .withMessage(`Behaviour rating must be one of: ${Object.values(BEHAVIOUR_RATING).join(', ')}`),
+
+  body('visits_per_week')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 50 })
+    .withMessage('Visits per week must be between 0 and 50')
+    .toInt(),
+
+  body('visits_per_month')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 200 })
+    .withMessage('Visits per month must be between 0 and 200')
+    .toInt(),
+
+  body('max_visitors_per_session')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Maximum visitors per session must be between 1 and 20')
+    .toInt(),
+
+  body('min_days_between_visits')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Minimum days between visits must be between 0 and 90')
+    .toInt()
+];
+
+/**
+ * Validation rules for creating a visiting room
+ */
+const createVisitingRoomValidation = [
+  body('room_name')
+    .trim()
+    .notEmpty()
+    .withMessage('Room name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Room name must be between 2 and 100 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters')
+];
+
+/**
+ * Validation rules for updating a visiting room
+ */
+const updateVisitingRoomValidation = [
+  body('room_name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Room name must be between 2 and 100 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+
   body('is_active')
     .optional()
     .isBoolean()
     .withMessage('is_active must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for adding a visit slot to a room timetable
+ */
+const createVisitSlotValidation = [
+  body('day_of_week')
+    .notEmpty()
+    .withMessage('Day of week is required')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+
+  body('start_time')
+    .notEmpty()
+    .withMessage('Start time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/)
+    .withMessage('Start time must be in HH:MM:SS format'),
+
+  body('end_time')
+    .notEmpty()
+    .withMessage('End time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/)
+    .withMessage('End time must be in HH:MM:SS format')
+    .custom((value, { req }) => {
+      if (req.body.start_time && value <= req.body.start_time) {
+        throw new Error('End time must be after start time');
+      }
+      return true;
+    }),
+
+  body('capacity')
+    .notEmpty()
+    .withMessage('Capacity is required')
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Capacity must be between 1 and 200')
+    .toInt(),
+
+  body('slot_type')
+    .optional()
+    .isIn(Object.values(VISIT_SLOT_TYPE))
+    .withMessage(`Slot type must be one of: ${Object.values(VISIT_SLOT_TYPE).join(', ')}`)
+];
+
+/**
+ * Validation rules for updating a visit slot
+ */
+const updateVisitSlotValidation = [
+  body('capacity')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Capacity must be between 1 and 200')
+    .toInt(),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for adding a blackout date or holiday
+ */
+const createBlackoutValidation = [
+  body('blackout_date')
+    .notEmpty()
+    .withMessage('Blackout date is required')
+    .isDate()
+    .withMessage('Invalid blackout date format'),
+
+  body('blackout_type')
+    .notEmpty()
+    .withMessage('Blackout type is required')
+    .isIn(Object.values(VISIT_BLACKOUT_TYPE))
+    .withMessage(`Blackout type must be one of: ${Object.values(VISIT_BLACKOUT_TYPE).join(', ')}`),
+
+  body('room_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Invalid room ID')
+    .toInt(),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 255 })
+    .withMessage('Reason must not exceed 255 characters')
+];
+
+/**
+ * Validation rules for listing blackout dates
+ */
+const blackoutListValidation = [
+  query('start_date')
+    .optional()
+    .isDate()
+    .withMessage('Invalid start date format'),
+
+  query('end_date')
+    .optional()
+    .isDate()
+    .withMessage('Invalid end date format')
 ];
 
 module.exports = {
   createPrisonValidation,
-  updatePrisonValidation
-};
\ No newline at end of file
+  updatePrisonValidation,
+  visitRuleValidation,
+  createVisitingRoomValidation,
+  updateVisitingRoomValidation,
+  createVisitSlotValidation,
+  updateVisitSlotValidation,
+  createBlackoutValidation,
+  blackoutListValidation
+};
@@ -1,5 +1,5 @@
 const { body } = require('express-validator');
-const { PRISONER_STATUS, GENDER, PHOTO_TYPE } = require('../../config/constants');
+const { PRISONER_STATUS, GENDER, PHOTO_TYPE, SENTENCE_TYPE } = require('../../config/constants');
 
 /**
  * Validation rules for registering a prisoner
@@ -90,12 +90,58 @@ const registerPrisonerValidation = [
     .trim()
     .isLength({ max: 50 })
     .withMessage('Cell number must not exceed 50 characters'),
+
+  body('cell_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Invalid cell ID')
+    .toInt(),
   
   body('social_status')
     .optional()
     .trim()
     .isLength({ max: 500 })
-    .withMessage('Social status must not exceed 500 characters')
+    .withMessage('Social status must not exceed 500 characters'),
+
+  body('capacity_override')
+    .optional()
+    .isBoolean()
+    .withMessage('Capacity override must be a boolean')
+    .toBoolean(),
+
+  body('capacity_override_reason')
+    .if(body('capacity_override').equals('true'))
+    .trim()
+    .notEmpty()
+    .withMessage('Capacity override reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Capacity override reason must not exceed 500 characters'),
+
+  body('sentences')
+    .optional()
+    .isArray()
+    .withMessage('Sentences must be an array'),
+
+  body('sentences.*.term_days')
+    .isInt({ min: 1 })
+    .withMessage('Sentence term must be at least 1 day')
+    .toInt(),
+
+  body('sentences.*.start_date')
+    .optional()
+    .isDate()
+    .withMessage('Invalid sentence start date format'),
+
+  body('sentences.*.sentence_type')
+    .optional()
+    .isIn(Object.values(SENTENCE_TYPE))
+    .withMessage(`Sentence type must be one of: ${Object.values(SENTENCE_TYPE).join(', ')}`),
+
+  body('sentences.*.remand_credit_days')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Remand credit days must be a non-negative integer')
+    .toInt()
 ];
 
 /**
@@ -168,6 +214,58 @@ const updatePrisonerValidation = [
     .withMessage('Social status must not exceed 500 characters')
 ];
 
+/**
+ * Validation rules for adding a sentence
+ */
+const sentenceValidation = [
+  body('term_days')
+    .notEmpty()
+    .withMessage('Sentence term is required')
+    .isInt({ min: 1 })
+    .withMessage('Sentence term must be at least 1 day')
+    .toInt(),
+
+  body('start_date')
+    .optional()
+    .isDate()
+    .withMessage('Invalid sentence start date format'),
+
+  body('sentence_type')
+    .optional()
+    .isIn(Object.values(SENTENCE_TYPE))
+    .withMessage(`Sentence type must be one of: ${Object.values(SENTENCE_TYPE).join(', ')}`),
+
+  body('consecutive_to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Invalid preceding sentence ID')
+    .toInt(),
+
+  body('remand_credit_days')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Remand credit days must be a non-negative integer')
+    .toInt(),
+
+  body('remission_eligible')
+    .optional()
+    .isBoolean()
+    .withMessage('Remission eligible must be a boolean')
+    .toBoolean(),
+
+  body('case_reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Case reference must not exceed 100 characters'),
+
+  body('offence')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Offence must not exceed 1000 characters')
+];
+
 /**
  * Validation rules for family details
  */
@@ -240,12 +338,11 @@ const transferPrisonerValidation = [
     .withMessage('Invalid target prison ID')
     .toInt(),
   
-  // body('transfer_reason')
-  //   .trim()
-  //   .notEmpty()
-  //   .withMessage('Transfer reason is required')
-  //   .isLength({ min: 10, max: 500 })
-  //   .withMessage('Transfer reason must be between 10 and 500 characters')
+  body('transfer_reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Transfer reason must not exceed 500 characters')
 ];
 
 /**
@@ -269,6 +366,7 @@ const releasePrisonerValidation = [
 module.exports = {
   registerPrisonerValidation,
   updatePrisonerValidation,
+  sentenceValidation,
   familyDetailsValidation,
   bodyMarkValidation,
   transferPrisonerValidation,
@@ -0,0 +1,87 @@
+const { body, param } = require('express-validator');
+
+/**
+ * Permission ID list (reusable)
+ */
+const permissionIdsRules = (optional) => {
+  const chain = body('permission_ids');
+  return [
+    (optional ? chain.optional() : chain)
+      .isArray({ min: 1 })
+      .withMessage('permission_ids must be a non-empty array'),
+
+    body('permission_ids.*')
+      .isInt({ min: 1 })
+      .withMessage('Each permission ID must be a positive integer')
+  ];
+};
+
+/**
+ * Validation rules for creating a role
+ */
+const createRoleValidation = [
+  body('role_name')
+    .trim()
+    .notEmpty()
+    .withMessage('Role name is required')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Role name must be between 3 and 50 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must not exceed 255 characters'),
+
+  body('requires_two_factor')
+    .optional()
+    .isBoolean()
+    .withMessage('requires_two_factor must be a boolean')
+    .toBoolean(),
+
+  ...permissionIdsRules(true)
+];
+
+/**
+ * Validation rules for updating a role
+ */
+const updateRoleValidation = [
+  body('role_name')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Role name must be between 3 and 50 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must not exceed 255 characters'),
+
+  body('requires_two_factor')
+    .optional()
+    .isBoolean()
+    .withMessage('requires_two_factor must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for granting permissions to a role
+ */
+const attachPermissionsValidation = permissionIdsRules(false);
+
+/**
+ * Validation rules for revoking a permission from a role
+ */
+const detachPermissionValidation = [
+  param('permissionId')
+    .isInt({ min: 1 })
+    .withMessage('Permission ID must be a positive integer')
+];
+
+module.exports = {
+  createRoleValidation,
+  updateRoleValidation,
+  attachPermissionsValidation,
+  detachPermissionValidation
+};
@@ -0,0 +1,68 @@
+const { body, query } = require('express-validator');
+const { TRANSFER_STATUS } = require('../../config/constants');
+
+/**
+ * Validation rules for approve, dispatch and receive steps
+ */
+const transferStepValidation = [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for approving a transfer
+ */
+const approveTransferValidation = [
+  ...transferStepValidation,
+
+  body('capacity_override')
+    .optional()
+    .isBoolean()
+    .withMessage('Capacity override must be a boolean')
+    .toBoolean(),
+
+  body('capacity_override_reason')
+    .if(body('capacity_override').equals('true'))
+    .trim()
+    .notEmpty()
+    .withMessage('Capacity override reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Capacity override reason must not exceed 500 characters')
+];
+
+/**
+ * Validation rules for rejecting or cancelling a transfer
+ */
+const closeTransferValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters')
+];
+
+/**
+ * Validation rules for prison transfer queue
+ */
+const transferQueueValidation = [
+  query('direction')
+    .optional()
+    .isIn(['inbound', 'outbound'])
+    .withMessage('Direction must be one of: inbound, outbound'),
+
+  query('status')
+    .optional()
+    .isIn(Object.values(TRANSFER_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(TRANSFER_STATUS).join(', ')}`)
+];
+
+module.exports = {
+  transferStepValidation,
+  approveTransferValidation,
+  closeTransferValidation,
+  transferQueueValidation
+};
@@ -1,4 +1,5 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+const { passwordPolicyValidator } = require('../passwordPolicy');
 
 /**
  * Validation rules for NIC (Sri Lankan National Identity Card)
@@ -23,10 +24,7 @@ const validateNIC = (value) => {
 const passwordRules = body('password')
   .notEmpty()
   .withMessage('Password is required')
-  .isLength({ min: 8 })
-  .withMessage('Password must be at least 8 characters long')
-  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&#])[A-Za-z\d@$!%*?&#]/)
-  .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character');
+  .custom(passwordPolicyValidator);
 
 /**
  * Validation rules for creating a user
@@ -154,15 +152,111 @@ const updateUserValidation = [
  */
 const resetPasswordValidation = [
   body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&#])[A-Za-z\d@$!%*?&#]/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character')
+    .custom(passwordPolicyValidator),
+
+  body('reset_two_factor')
+    .optional()
+    .isBoolean()
+    .withMessage('reset_two_factor must be a boolean')
+];
+
+/**
+ * Validation rules for login attempt queries
+ */
+const loginAttemptQueryValidation = [
+  query('succeeded')
+    .optional()
+    .isBoolean()
+    .withMessage('succeeded must be a boolean'),
+
+  query('prison_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Prison ID must be a positive integer'),
+
+  query('ip_address')
+    .optional()
+    .isIP()
+    .withMessage('IP address must be valid'),
+
+  query('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+];
+
+/**
+ * Validation rules for delegating prison access to a user
+ */
+const createDelegationValidation = [
+  body('prison_id')
+    .notEmpty()
+    .withMessage('Prison ID is required')
+    .isInt({ min: 1 })
+    .withMessage('Prison ID must be a positive integer'),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 255 })
+    .withMessage('Reason must not exceed 255 characters'),
+
+  body('starts_at')
+    .optional()
+    .isISO8601()
+    .withMessage('Start must be a valid date'),
+
+  body('ends_at')
+    .notEmpty()
+    .withMessage('End is required')
+    .isISO8601()
+    .withMessage('End must be a valid date')
+];
+
+/**
+ * Validation rules for assigning a user to a further prison
+ */
+const assignPrisonValidation = [
+  body('prison_id')
+    .notEmpty()
+    .withMessage('Prison ID is required')
+    .isInt({ min: 1 })
+    .withMessage('Prison ID must be a positive integer'),
+
+  body('role_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Role ID must be a positive integer'),
+
+  body('starts_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start must be a valid date'),
+
+  body('ends_at')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End must be a valid date'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Notes must not exceed 255 characters')
 ];
 
 module.exports = {
   validateNIC,
   createUserValidation,
   updateUserValidation,
-  resetPasswordValidation
+  resetPasswordValidation,
+  loginAttemptQueryValidation,
+  createDelegationValidation,
+  assignPrisonValidation
 };
\ No newline at end of file
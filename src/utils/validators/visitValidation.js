@@ -1,5 +1,5 @@
-const { body } = require('express-validator');
-const { VISIT_STATUS } = require('../../config/constants');
+const { body, query } = require('express-validator');
+const { VISIT_STATUS, VISIT_RECURRENCE, VISIT_TYPE } = require('../../config/constants');
 
 /**
  * Validation rules for creating a visit
@@ -19,6 +19,11 @@ const createVisitValidation = [
     .withMessage('Invalid visitor ID')
     .toInt(),
   
+  body('visit_type')
+    .optional()
+    .isIn(Object.values(VISIT_TYPE))
+    .withMessage(`Visit type must be one of: ${Object.values(VISIT_TYPE).join(', ')}`),
+  
   body('relationship')
     .trim()
     .notEmpty()
@@ -53,13 +58,22 @@ const createVisitValidation = [
       return true;
     }),
   
+  body('slot_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Invalid visit slot ID')
+    .toInt(),
+  
+  // A booked slot sets the times; without one they are required
   body('visit_time_start')
+    .if(body('slot_id').not().exists({ values: 'null' }))
     .notEmpty()
     .withMessage('Visit start time is required')
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/)
     .withMessage('Visit start time must be in HH:MM:SS format'),
   
   body('visit_time_end')
+    .if(body('slot_id').not().exists({ values: 'null' }))
     .notEmpty()
     .withMessage('Visit end time is required')
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/)
@@ -135,6 +149,12 @@ const updateVisitValidation = [
       return true;
     }),
   
+  body('slot_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Invalid visit slot ID')
+    .toInt(),
+  
   body('visit_time_start')
     .optional()
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/)
@@ -188,8 +208,92 @@ const updateVisitStatusValidation = [
   body('status')
     .notEmpty()
     .withMessage('Status is required')
-    .isIn(Object.values(VISIT_STATUS))
-    .withMessage(`Status must be one of: ${Object.values(VISIT_STATUS).join(', ')}`),
+    .isIn([VISIT_STATUS.CANCELLED, VISIT_STATUS.NO_SHOW, VISIT_STATUS.DENIED])
+    .withMessage(`Status must be one of: ${[VISIT_STATUS.CANCELLED, VISIT_STATUS.NO_SHOW, VISIT_STATUS.DENIED].join(', ')}`),
+  
+  body('reason')
+    .if(body('status').isIn([VISIT_STATUS.NO_SHOW, VISIT_STATUS.DENIED]))
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required for this status')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must not exceed 1000 characters'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for checking a visitor in
+ */
+const checkInVisitValidation = [
+  body('visitor_searched')
+    .notEmpty()
+    .withMessage('Whether the visitor was searched is required')
+    .isBoolean()
+    .withMessage('visitor_searched must be a boolean')
+    .toBoolean(),
+  
+  body('search_notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Search notes must not exceed 1000 characters'),
+  
+  body('items')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Items must be an array of at most 50 items'),
+  
+  body('items.*.description')
+    .trim()
+    .notEmpty()
+    .withMessage('Item description is required')
+    .isLength({ max: 255 })
+    .withMessage('Item description must not exceed 255 characters'),
+  
+  body('items.*.quantity')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Item quantity must be between 1 and 1000')
+    .toInt(),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for checking a visitor out
+ */
+const checkOutVisitValidation = [
+  body('outcome')
+    .optional()
+    .isIn([VISIT_STATUS.COMPLETED, VISIT_STATUS.TERMINATED])
+    .withMessage(`Outcome must be one of: ${VISIT_STATUS.COMPLETED}, ${VISIT_STATUS.TERMINATED}`),
+  
+  body('reason')
+    .if(body('outcome').equals(VISIT_STATUS.TERMINATED))
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required when a visit is terminated')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must not exceed 1000 characters'),
+  
+  body('retained_item_ids')
+    .optional()
+    .isArray()
+    .withMessage('Retained item IDs must be an array'),
+  
+  body('retained_item_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Invalid item ID')
+    .toInt(),
   
   body('notes')
     .optional()
@@ -198,8 +302,196 @@ const updateVisitStatusValidation = [
     .withMessage('Notes must not exceed 1000 characters')
 ];
 
+/**
+ * Validation rules for creating a recurring visit series
+ */
+const createVisitSeriesValidation = [
+  body('prisoner_id')
+    .notEmpty()
+    .withMessage('Prisoner ID is required')
+    .isInt({ min: 1 })
+    .withMessage('Invalid prisoner ID')
+    .toInt(),
+  
+  body('visitor_id')
+    .notEmpty()
+    .withMessage('Visitor ID is required')
+    .isInt({ min: 1 })
+    .withMessage('Invalid visitor ID')
+    .toInt(),
+  
+  body('relationship')
+    .trim()
+    .notEmpty()
+    .withMessage('Relationship is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Relationship must be between 2 and 100 characters')
+    .matches(/^[a-zA-Z\s-]+$/)
+    .withMessage('Relationship can only contain letters, spaces and hyphens'),
+  
+  body('frequency')
+    .notEmpty()
+    .withMessage('Frequency is required')
+    .isIn(Object.values(VISIT_RECURRENCE))
+    .withMessage(`Frequency must be one of: ${Object.values(VISIT_RECURRENCE).join(', ')}`),
+  
+  // The first occurrence is booked within the normal booking window
+  body('start_date')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isDate()
+    .withMessage('Invalid start date format')
+    .custom((value) => {
+      const startDate = new Date(value);
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+      
+      if (startDate < today) {
+        throw new Error('Start date cannot be in the past');
+      }
+      
+      const maxFutureDate = new Date();
+      maxFutureDate.setDate(maxFutureDate.getDate() + 30);
+      
+      if (startDate > maxFutureDate) {
+        throw new Error('Start date cannot be more than 30 days in the future');
+      }
+      
+      return true;
+    }),
+  
+  body('end_date')
+    .optional()
+    .isDate()
+    .withMessage('Invalid end date format')
+    .custom((value, { req }) => {
+      if (req.body.start_date && value <= req.body.start_date) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+  
+  body('occurrences')
+    .optional()
+    .isInt({ min: 1, max: 26 })
+    .withMessage('Occurrences must be between 1 and 26')
+    .toInt()
+    .custom((value, { req }) => {
+      if (req.body.end_date) {
+        throw new Error('Give either an end date or a number of occurrences, not both');
+      }
+      return true;
+    }),
+  
+  body('end_date')
+    .if(body('occurrences').not().exists())
+    .notEmpty()
+    .withMessage('An end date or a number of occurrences is required'),
+  
+  body('slot_id')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Invalid visit slot ID')
+    .toInt(),
+  
+  body('visit_time_start')
+    .if(body('slot_id').not().exists({ values: 'null' }))
+    .notEmpty()
+    .withMessage('Visit start time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/)
+    .withMessage('Visit start time must be in HH:MM:SS format'),
+  
+  body('visit_time_end')
+    .if(body('slot_id').not().exists({ values: 'null' }))
+    .notEmpty()
+    .withMessage('Visit end time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/)
+    .withMessage('Visit end time must be in HH:MM:SS format')
+    .custom((value, { req }) => {
+      if (req.body.visit_time_start && value <= req.body.visit_time_start) {
+        throw new Error('Visit end time must be after start time');
+      }
+      return true;
+    }),
+  
+  body('purpose')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Purpose must not exceed 500 characters'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for updating a visit and the occurrences after it
+ */
+const updateVisitSeriesValidation = [
+  body('visit_date')
+    .not()
+    .exists()
+    .withMessage('Occurrence dates cannot be changed for a series; update the visit on its own'),
+  
+  ...updateVisitValidation
+];
+
+/**
+ * Validation rules for cancelling a visit and the occurrences after it
+ */
+const cancelVisitSeriesValidation = [
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for the visit availability query
+ */
+const visitAvailabilityValidation = [
+  query('prison_id')
+    .notEmpty()
+    .withMessage('Prison ID is required')
+    .isInt({ min: 1 })
+    .withMessage('Invalid prison ID')
+    .toInt(),
+  
+  query('date')
+    .notEmpty()
+    .withMessage('Date is required')
+    .isDate()
+    .withMessage('Invalid date format'),
+  
+  query('visit_type')
+    .optional()
+    .isIn(Object.values(VISIT_TYPE))
+    .withMessage(`Visit type must be one of: ${Object.values(VISIT_TYPE).join(', ')}`)
+];
+
+/**
+ * Validation rules for the visit allowance query
+ */
+const visitAllowanceValidation = [
+  query('date')
+    .optional()
+    .isDate()
+    .withMessage('Invalid date format')
+];
+
 module.exports = {
   createVisitValidation,
   updateVisitValidation,
-  updateVisitStatusValidation
+  updateVisitStatusValidation,
+  checkInVisitValidation,
+  checkOutVisitValidation,
+  createVisitSeriesValidation,
+  updateVisitSeriesValidation,
+  cancelVisitSeriesValidation,
+  visitAvailabilityValidation,
+  visitAllowanceValidation
 };
\ No newline at end of file
@@ -1,4 +1,14 @@
 const { body, query } = require('express-validator');
+const {
+  APPROVED_VISITOR_STATUS,
+  VISITOR_BAN_SCOPE,
+  VISIT_TYPE,
+  CREDENTIAL_STATUS,
+  VISITOR_DOCUMENT_TYPE
+} = require('../../config/constants');
+
+// Visit types a professional credential can cover
+const PROFESSIONAL_TYPES = Object.values(VISIT_TYPE).filter(type => type !== VISIT_TYPE.SOCIAL);
 
 /**
  * Validation rules for creating a visitor
@@ -95,8 +105,217 @@ const searchVisitorValidation = [
     .withMessage('Search query must be at least 2 characters')
 ];
 
+/**
+ * Validation rules for adding a visitor to a prisoner's approved list
+ */
+const addApprovedVisitorValidation = [
+  body('visitor_id')
+    .notEmpty()
+    .withMessage('Visitor ID is required')
+    .isInt({ min: 1 })
+    .withMessage('Invalid visitor ID')
+    .toInt(),
+
+  body('relationship')
+    .trim()
+    .notEmpty()
+    .withMessage('Relationship is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Relationship must be between 2 and 100 characters')
+    .matches(/^[a-zA-Z\s-]+$/)
+    .withMessage('Relationship can only contain letters, spaces and hyphens'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for reviewing an approved visitor entry
+ */
+const reviewApprovedVisitorValidation = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn([
+      APPROVED_VISITOR_STATUS.APPROVED,
+      APPROVED_VISITOR_STATUS.REJECTED,
+      APPROVED_VISITOR_STATUS.REMOVED
+    ])
+    .withMessage('Status must be one of: Approved, Rejected, Removed'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for banning a visitor
+ */
+const banVisitorValidation = [
+  body('scope')
+    .notEmpty()
+    .withMessage('Scope is required')
+    .isIn(Object.values(VISITOR_BAN_SCOPE))
+    .withMessage(`Scope must be one of: ${Object.values(VISITOR_BAN_SCOPE).join(', ')}`),
+
+  body('prisoner_id')
+    .if(body('scope').equals(VISITOR_BAN_SCOPE.PRISONER))
+    .notEmpty()
+    .withMessage('Prisoner ID is required for a prisoner ban')
+    .isInt({ min: 1 })
+    .withMessage('Invalid prisoner ID')
+    .toInt(),
+
+  body('prison_id')
+    .if(body('scope').equals(VISITOR_BAN_SCOPE.PRISON))
+    .notEmpty()
+    .withMessage('Prison ID is required for a prison ban')
+    .isInt({ min: 1 })
+    .withMessage('Invalid prison ID')
+    .toInt(),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must not exceed 1000 characters'),
+
+  body('starts_on')
+    .optional()
+    .isDate()
+    .withMessage('Invalid start date format'),
+
+  body('ends_on')
+    .optional({ nullable: true })
+    .isDate()
+    .withMessage('Invalid end date format')
+];
+
+/**
+ * Validation rules for lifting a ban or visit restriction early
+ */
+const liftValidation = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isLength({ max: 1000 })
+    .withMessage('Reason must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for recording a professional credential
+ */
+const credentialValidation = [
+  body('credential_type')
+    .notEmpty()
+    .withMessage('Credential type is required')
+    .isIn(PROFESSIONAL_TYPES)
+    .withMessage(`Credential type must be one of: ${PROFESSIONAL_TYPES.join(', ')}`),
+
+  body('organisation')
+    .trim()
+    .notEmpty()
+    .withMessage('Organisation is required')
+    .isLength({ max: 200 })
+    .withMessage('Organisation must not exceed 200 characters'),
+
+  body('registration_number')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Registration number must not exceed 100 characters'),
+
+  body('registration_number')
+    .if(body('credential_type').equals(VISIT_TYPE.LEGAL))
+    .notEmpty()
+    .withMessage('Bar number is required for legal credentials'),
+
+  body('expires_on')
+    .optional({ nullable: true })
+    .isDate()
+    .withMessage('Invalid expiry date format')
+];
+
+/**
+ * Validation rules for verifying a professional credential
+ */
+const verifyCredentialValidation = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn([CREDENTIAL_STATUS.VERIFIED, CREDENTIAL_STATUS.REJECTED])
+    .withMessage(`Status must be one of: ${CREDENTIAL_STATUS.VERIFIED}, ${CREDENTIAL_STATUS.REJECTED}`),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for uploading a visitor photo or ID document scan
+ */
+const documentUploadValidation = [
+  body('document_type')
+    .notEmpty()
+    .withMessage('Document type is required')
+    .isIn(Object.values(VISITOR_DOCUMENT_TYPE))
+    .withMessage(`Document type must be one of: ${Object.values(VISITOR_DOCUMENT_TYPE).join(', ')}`)
+];
+
+/**
+ * Validation rules for verifying or rejecting a visitor's identity
+ */
+const verifyVisitorValidation = [
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn([CREDENTIAL_STATUS.VERIFIED, CREDENTIAL_STATUS.REJECTED])
+    .withMessage(`Status must be one of: ${CREDENTIAL_STATUS.VERIFIED}, ${CREDENTIAL_STATUS.REJECTED}`),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+/**
+ * Validation rules for restoring an archived visitor
+ */
+const restoreVisitorValidation = [
+  body('mobile_number')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Mobile number must be exactly 10 digits'),
+
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Address must be between 10 and 500 characters')
+];
+
 module.exports = {
   createVisitorValidation,
   updateVisitorValidation,
-  searchVisitorValidation
-};
\ No newline at end of file
+  searchVisitorValidation,
+  addApprovedVisitorValidation,
+  reviewApprovedVisitorValidation,
+  banVisitorValidation,
+  liftValidation,
+  credentialValidation,
+  verifyCredentialValidation,
+  documentUploadValidation,
+  verifyVisitorValidation,
+  restoreVisitorValidation
+};
@@ -1,5 +1,72 @@
 const { body } = require('express-validator');
-const { PAYMENT_STATUS } = require('../../config/constants');
+const { PAYMENT_STATUS, WORK_JOB_CATEGORY, SKILL_LEVEL } = require('../../config/constants');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Another field of the record being validated: a timesheet row's own field
+ * for entries.*, otherwise the request body's
+ */
+const fieldOf = (req, path, field) => {
+  const row = path.match(/^entries\[(\d+)\]\./);
+  const source = row ? (req.body.entries[row[1]] || {}) : req.body;
+  return source[field];
+};
+
+/**
+ * Validation rules for clock times and breaks of a work record; prefix
+ * selects timesheet rows
+ */
+const clockTimeRules = (prefix = '') => [
+  body(`${prefix}start_time`)
+    .optional({ values: 'null' })
+    .matches(TIME_PATTERN)
+    .withMessage('Start time must be in HH:MM format'),
+
+  body(`${prefix}end_time`)
+    .optional({ values: 'null' })
+    .matches(TIME_PATTERN)
+    .withMessage('End time must be in HH:MM format')
+    .custom((value, { req, path }) => {
+      const startTime = fieldOf(req, path, 'start_time');
+      if (startTime && value.slice(0, 5) <= String(startTime).slice(0, 5)) {
+        throw new Error('End time must be after start time');
+      }
+      return true;
+    }),
+
+  body(`${prefix}break_minutes`)
+    .optional()
+    .isInt({ min: 0, max: 480 })
+    .withMessage('Break must be between 0 and 480 minutes')
+    .toInt()
+];
+
+/**
+ * Validation rules for the work entered on a new work record; prefix
+ * selects timesheet rows
+ */
+const workEntryRules = (prefix = '') => [
+  body(`${prefix}task_description`)
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Task description must be between 10 and 1000 characters'),
+
+  // Hours are worked out from clock times when those are given
+  body(`${prefix}hours_worked`)
+    .if((value, { req, path }) => !fieldOf(req, path, 'start_time'))
+    .notEmpty()
+    .withMessage('Hours worked is required unless start and end times are given'),
+
+  body(`${prefix}hours_worked`)
+    .optional()
+    .isFloat({ min: 0.5, max: 24 })
+    .withMessage('Hours worked must be between 0.5 and 24')
+    .toFloat(),
+
+  ...clockTimeRules(prefix)
+];
 
 /**
  * Validation rules for creating a work record
@@ -12,13 +79,6 @@ const createWorkRecordValidation = [
     .withMessage('Invalid prisoner ID')
     .toInt(),
   
-  body('task_description')
-    .trim()
-    .notEmpty()
-    .withMessage('Task description is required')
-    .isLength({ min: 10, max: 1000 })
-    .withMessage('Task description must be between 10 and 1000 characters'),
-  
   body('work_date')
     .optional()
     .isDate()
@@ -38,16 +98,10 @@ const createWorkRecordValidation = [
       return true;
     }),
   
-  body('hours_worked')
-    .notEmpty()
-    .withMessage('Hours worked is required')
-    .isFloat({ min: 0.5, max: 24 })
-    .withMessage('Hours worked must be between 0.5 and 24')
-    .toFloat(),
+  ...workEntryRules(),
   
   body('payment_amount')
-    .notEmpty()
-    .withMessage('Payment amount is required')
+    .optional()
     .isFloat({ min: 0 })
     .withMessage('Payment amount must be a positive number')
     .toFloat()
@@ -59,7 +113,13 @@ const createWorkRecordValidation = [
         throw new Error(`Payment amount seems too high. Maximum allowed: LKR ${hoursWorked * maxPaymentPerHour}`);
       }
       return true;
-    })
+    }),
+
+  body('override_reason')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Override reason must be between 5 and 1000 characters')
 ];
 
 /**
@@ -95,6 +155,8 @@ const updateWorkRecordValidation = [
     .isFloat({ min: 0.5, max: 24 })
     .withMessage('Hours worked must be between 0.5 and 24')
     .toFloat(),
+
+  ...clockTimeRules(),
   
   body('payment_amount')
     .optional()
@@ -111,7 +173,57 @@ const updateWorkRecordValidation = [
         }
       }
       return true;
-    })
+    }),
+
+  body('override_reason')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Override reason must be between 5 and 1000 characters')
+];
+
+/**
+ * Validation rules for a weekly timesheet. Row fields follow the rules of a
+ * single work record; hour limits, overlaps and job assignments are checked
+ * row by row by the service so that each row gets its own result.
+ */
+const timesheetValidation = [
+  body('week_start')
+    .notEmpty()
+    .withMessage('Week start is required')
+    .isDate()
+    .withMessage('Invalid week start format')
+    .custom((value) => {
+      if (new Date(value) > new Date()) {
+        throw new Error('Week start cannot be in the future');
+      }
+      return true;
+    }),
+
+  body('entries')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Entries must be a list of 1 to 200 rows'),
+
+  body('entries.*.prisoner_id')
+    .notEmpty()
+    .withMessage('Prisoner ID is required')
+    .isInt({ min: 1 })
+    .withMessage('Invalid prisoner ID')
+    .toInt(),
+
+  body('entries.*.work_date')
+    .notEmpty()
+    .withMessage('Work date is required')
+    .isDate()
+    .withMessage('Invalid work date format'),
+
+  ...workEntryRules('entries.*.'),
+
+  body('validate_only')
+    .optional()
+    .isBoolean()
+    .withMessage('validate_only must be a boolean')
+    .toBoolean()
 ];
 
 /**
@@ -132,8 +244,156 @@ const approvePaymentValidation = [
     })
 ];
 
+/**
+ * Validation rules for an hourly pay rate
+ */
+const hourlyRateRule = () => body('hourly_rate')
+  .notEmpty()
+  .withMessage('Hourly rate is required')
+  .isFloat({ min: 0, max: 1000 })
+  .withMessage('Hourly rate must be between 0 and 1000')
+  .toFloat();
+
+/**
+ * Validation rules for adding a job to a prison's catalogue
+ */
+const createJobValidation = [
+  body('job_name')
+    .trim()
+    .notEmpty()
+    .withMessage('Job name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Job name must be between 2 and 100 characters'),
+
+  body('category')
+    .notEmpty()
+    .withMessage('Category is required')
+    .isIn(Object.values(WORK_JOB_CATEGORY))
+    .withMessage(`Category must be one of: ${Object.values(WORK_JOB_CATEGORY).join(', ')}`),
+
+  body('skill_level')
+    .optional()
+    .isIn(Object.values(SKILL_LEVEL))
+    .withMessage(`Skill level must be one of: ${Object.values(SKILL_LEVEL).join(', ')}`),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters'),
+
+  hourlyRateRule(),
+
+  body('effective_from')
+    .optional()
+    .isDate()
+    .withMessage('Invalid effective date format')
+];
+
+/**
+ * Validation rules for updating a job
+ */
+const updateJobValidation = [
+  body('job_name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Job name must be between 2 and 100 characters'),
+
+  body('category')
+    .optional()
+    .isIn(Object.values(WORK_JOB_CATEGORY))
+    .withMessage(`Category must be one of: ${Object.values(WORK_JOB_CATEGORY).join(', ')}`),
+
+  body('skill_level')
+    .optional()
+    .isIn(Object.values(SKILL_LEVEL))
+    .withMessage(`Skill level must be one of: ${Object.values(SKILL_LEVEL).join(', ')}`),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must not exceed 1000 characters'),
+
+  body('is_active')
+    .optional()
+    .isBoolean()
+    .withMessage('is_active must be a boolean')
+    .toBoolean(),
+
+  body('hourly_rate')
+    .not()
+    .exists()
+    .withMessage('Add a new pay rate to change the hourly rate')
+];
+
+/**
+ * Validation rules for adding a pay rate to a job's schedule
+ */
+const payRateValidation = [
+  hourlyRateRule(),
+
+  body('effective_from')
+    .notEmpty()
+    .withMessage('Effective date is required')
+    .isDate()
+    .withMessage('Invalid effective date format')
+];
+
+/**
+ * Validation rules for assigning a prisoner to a job
+ */
+const assignJobValidation = [
+  body('job_id')
+    .notEmpty()
+    .withMessage('Job ID is required')
+    .isInt({ min: 1 })
+    .withMessage('Invalid job ID')
+    .toInt(),
+
+  body('start_date')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isDate()
+    .withMessage('Invalid start date format'),
+
+  body('end_date')
+    .optional({ values: 'null' })
+    .isDate()
+    .withMessage('Invalid end date format')
+    .custom((value, { req }) => {
+      if (value < req.body.start_date) {
+        throw new Error('End date cannot be before start date');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for ending a work assignment
+ */
+const endAssignmentValidation = [
+  body('end_date')
+    .optional()
+    .isDate()
+    .withMessage('Invalid end date format'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Reason must not exceed 1000 characters')
+];
+
 module.exports = {
   createWorkRecordValidation,
   updateWorkRecordValidation,
-  approvePaymentValidation
+  timesheetValidation,
+  approvePaymentValidation,
+  createJobValidation,
+  updateJobValidation,
+  payRateValidation,
+  assignJobValidation,
+  endAssignmentValidation
 };
\ No newline at end of file
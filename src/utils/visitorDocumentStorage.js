@@ -0,0 +1,36 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Visitor photos and ID document scans are kept outside the public uploads
+// directory and only served through the authenticated documents route
+const DOCUMENT_DIR = path.join(__dirname, '../../storage/visitor-documents');
+
+/**
+ * Location on disk of a stored document; document_url holds its file name
+ */
+const documentPath = (document) => path.join(DOCUMENT_DIR, path.basename(document.document_url));
+
+const removeFile = async (filePath) => {
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    console.log('File not found or already deleted:', err.message);
+  }
+};
+
+/**
+ * Delete a stored visitor document file from the filesystem
+ */
+const removeDocumentFile = (document) => removeFile(documentPath(document));
+
+/**
+ * Delete a file multer stored for a request that was then rejected
+ */
+const removeUploadedFile = (file) => removeFile(file.path);
+
+module.exports = {
+  DOCUMENT_DIR,
+  documentPath,
+  removeDocumentFile,
+  removeUploadedFile
+};